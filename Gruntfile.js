@@ -54,6 +54,8 @@ module.exports = function(grunt) {
           'static/js/upload.js': 'frontend/upload.js',
           'static/js/user.js': 'frontend/user.js',
           'static/js/manage-urls.js': 'frontend/manage-urls.js',
+          'static/js/search-places.js': 'frontend/search-places.js',
+          'static/js/apitest.js': 'frontend/apitest.js',
           'static/js/editor.js': 'build/editor-es6-bundle.js'
         }
       }
@@ -12,6 +12,7 @@ class AbstractBackendAdapter {
     this.sourceURL = undefined; // the most canonical URL for the source
     this.supportedPattern = undefined; // a RegExp object
     this.supportedFields = undefined; // array of 'thing' properties this adapter supports
+    this.thingType = undefined; // type of all things from this source, e.g., 'book' (optional)
 
     if (new.target === AbstractBackendAdapter)
       throw new TypeError('AbstractBackendAdapter is an abstract class, please instantiate a derived class.');
@@ -37,6 +38,14 @@ class AbstractBackendAdapter {
     throw new Error('Not implemented.');
   }
 
+  // Get the identifier of the item a supported URL refers to, e.g., a Wikidata
+  // Q number, so that different URLs for the same item can be recognized.
+  // Returns undefined if the adapter does not support this, or if the URL does
+  // not contain an identifier.
+  getItemID(_url) {
+    return undefined;
+  }
+
   getSourceURL() {
     return this.sourceURL || 'no source URL defined';
   }
@@ -49,6 +58,12 @@ class AbstractBackendAdapter {
     return this.supportedFields || [];
   }
 
+  // Type of review subject (see models/helpers/thing-types.js) that all URLs
+  // supported by this adapter refer to, or undefined if it varies
+  getThingType() {
+    return this.thingType;
+  }
+
 }
 
 module.exports = AbstractBackendAdapter;
@@ -1,7 +1,8 @@
 'use strict';
 
 // This module performs book metadata lookups in Open Library, including title,
-// subtitle and authorship information.  Language of text strings may be set
+// subtitle and authorship information, and (for editions) the ISBN and
+// publisher.  Language of text strings may be set
 // to undetermined ('und'), since such language information is not consistently
 // present in the source.
 
@@ -46,11 +47,19 @@ class OpenLibraryBackendAdapter extends AbstractBackendAdapter {
     // - case doesn't matter
     this.supportedPattern =
     new RegExp('^https*://openlibrary.org/(works|books)/(OL[^/.]+)(?:/(?:.*))*$', 'i');
-    this.supportedFields = ['label', 'authors', 'subtitle'];
+    this.supportedFields = ['label', 'authors', 'subtitle', 'isbn', 'publisher'];
     this.sourceID = 'openlibrary';
+    this.thingType = 'book';
     this.sourceURL = 'https://openlibrary.org/';
   }
 
+  // Works and editions are different items, so the ID includes the type,
+  // e.g., "works/OL15832982W"
+  getItemID(url) {
+    const m = url.match(this.supportedPattern);
+    return m ? `${m[1].toLowerCase()}/${m[2].toUpperCase()}` : undefined;
+  }
+
   async lookup(url) {
     const m = url.match(this.supportedPattern);
     if (m === null)
@@ -104,6 +113,17 @@ class OpenLibraryBackendAdapter extends AbstractBackendAdapter {
         [language]: escapeHTML(data.subtitle)
       };
 
+    // Only editions have identifiers and publishers. Invalid ISBNs are
+    // discarded when the data is stored.
+    const isbn = (data.isbn_13 || [])[0] || (data.isbn_10 || [])[0];
+    if (isbn)
+      result.data.isbn = isbn;
+
+    if (Array.isArray(data.publishers) && data.publishers.length)
+      result.data.publisher = {
+        [language]: escapeHTML(data.publishers[0])
+      };
+
     let authors;
     try {
       authors = await this.getAuthors(data.authors);
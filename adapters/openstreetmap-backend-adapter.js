@@ -1,7 +1,9 @@
 'use strict';
 
 // This module performs label lookups in OpenStreetMap for ways or nodes, based
-// on the 'name' property in OpenStreetMap
+// on the 'name' property in OpenStreetMap. Addresses and opening hours are
+// obtained from the corresponding tags. Coordinates are those of the node, or
+// the center of the way.
 
 // External deps
 const request = require('request-promise-native');
@@ -27,11 +29,18 @@ class OpenStreetMapBackendAdapter extends AbstractBackendAdapter {
     // - case doesn't matter
     this.supportedPattern =
       new RegExp('^https://www.openstreetmap.org/(node|way)/(\\d+)(?:#.*)?$', 'i');
-    this.supportedFields = ['label'];
+    this.supportedFields = ['label', 'address', 'postalAddress', 'coordinates', 'openingHours'];
     this.sourceID = 'openstreetmap';
+    this.thingType = 'place';
     this.sourceURL = 'https://openstreetmap.org/';
   }
 
+  // Nodes and ways are numbered separately, e.g., "node/1234"
+  getItemID(url) {
+    const m = url.match(this.supportedPattern);
+    return m ? `${m[1].toLowerCase()}/${m[2]}` : undefined;
+  }
+
   async lookup(url) {
     const m = url.match(this.supportedPattern);
     if (m === null)
@@ -41,10 +50,11 @@ class OpenStreetMapBackendAdapter extends AbstractBackendAdapter {
     const osmType = m[1];
     const osmID = m[2];
 
+    // "center" adds the center of the bounding box of ways
     const query =
       '[out:json];\n' +
       `${osmType}(${osmID});\n` +
-      'out;\n';
+      'out center;\n';
 
     const options = {
       method: 'POST',
@@ -70,7 +80,8 @@ class OpenStreetMapBackendAdapter extends AbstractBackendAdapter {
       throw new Error(`No tags set for ${osmType} ID: ${osmID}`);
 
 
-    const tags = data.elements[0].tags;
+    const element = data.elements[0];
+    const tags = element.tags;
     const label = {};
 
     // Names without a language code are stores as 'undetermined' - while those
@@ -101,11 +112,61 @@ class OpenStreetMapBackendAdapter extends AbstractBackendAdapter {
       },
       sourceID: this.sourceID
     };
+
+    const postalAddress = this.getPostalAddress(tags);
+    if (postalAddress) {
+      result.data.postalAddress = postalAddress;
+      result.data.address = { und: this.formatAddress(postalAddress) };
+    }
+
+    const center = element.center || element;
+    if (center.lat !== undefined && center.lon !== undefined)
+      result.data.coordinates = { lat: center.lat, lon: center.lon };
+
+    // Values we cannot store are discarded when the data is stored
+    if (tags['opening_hours'])
+      result.data.openingHours = tags['opening_hours'];
+
     debug.adapters('result:' + JSON.stringify(result, null, 2));
 
     return result;
   }
 
+  // Map the "addr:*" tags, if present, to the properties of a schema.org
+  // PostalAddress. Values are escaped.
+  getPostalAddress(tags) {
+    const street = [tags['addr:street'] || tags['addr:place'], tags['addr:housenumber']]
+      .filter(Boolean)
+      .join(' ');
+    const address = {
+      streetAddress: street,
+      postalCode: tags['addr:postcode'],
+      addressLocality: tags['addr:city'],
+      addressRegion: tags['addr:state'],
+      addressCountry: tags['addr:country']
+    };
+    for (let key in address) {
+      if (address[key])
+        address[key] = escapeHTML(address[key]);
+      else
+        Reflect.deleteProperty(address, key);
+    }
+    return Object.keys(address).length ? address : undefined;
+  }
+
+  // Compose a single-line address from a postal address. The format of
+  // addresses varies by country; we use a common international one, e.g.,
+  // "Main Street 1, 12345 Springfield".
+  formatAddress(postalAddress) {
+    const { streetAddress, postalCode, addressLocality, addressCountry } = postalAddress;
+    const city = [postalCode, addressLocality]
+      .filter(Boolean)
+      .join(' ');
+    return [streetAddress, city, addressCountry]
+      .filter(Boolean)
+      .join(', ');
+  }
+
 }
 
 module.exports = OpenStreetMapBackendAdapter;
@@ -29,6 +29,11 @@ class WikidataBackendAdapter extends AbstractBackendAdapter {
     this.sourceURL = 'https://www.wikidata.org/';
   }
 
+  getItemID(url) {
+    const qNumber = (url.match(this.supportedPattern) || [])[4];
+    return qNumber ? qNumber.toUpperCase() : undefined;
+  }
+
   async lookup(url) {
     let qNumber = (url.match(this.supportedPattern) || [])[4];
     if (!qNumber)
@@ -42,13 +42,19 @@ const pages = require('./routes/pages');
 const files = require('./routes/files');
 const uploads = require('./routes/uploads');
 const blogPosts = require('./routes/blog-posts');
+const comments = require('./routes/comments');
+const reviewTranslations = require('./routes/review-translations');
 const api = require('./routes/api');
+const apiComments = require('./routes/api-comments');
+const apiDrafts = require('./routes/api-drafts');
 const apiHelper = require('./routes/helpers/api');
 const flashHelper = require('./routes/helpers/flash');
 const things = require('./routes/things');
 const ErrorProvider = require('./routes/errors');
 const debug = require('./util/debug');
 const apitest = require('./routes/apitest');
+const moderation = require('./routes/moderation');
+const changes = require('./routes/changes');
 
 // Initialize custom HBS helpers
 require('./util/handlebars-helpers.js');
@@ -207,6 +213,8 @@ async function getApp(db = require('./db')) {
   });
 
   app.use('/api', api);
+  app.use('/api', apiComments);
+  app.use('/api', apiDrafts);
 
   // Upload processing has to be done before CSRF middleware kicks in
   app.use('/', uploads.stage1Router);
@@ -218,7 +226,11 @@ async function getApp(db = require('./db')) {
   app.use('/', teams);
   app.use('/', files);
   app.use('/', blogPosts);
+  app.use('/', comments);
+  app.use('/', reviewTranslations);
   app.use('/', apitest);
+  app.use('/', moderation);
+  app.use('/', changes);
   app.use('/', uploads.stage2Router);
   app.use('/user', users);
 
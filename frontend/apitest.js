@@ -0,0 +1,111 @@
+/* global $ */
+(function() {
+  'use strict';
+
+  // Front-end code for the /apitest interface: an explorer for the API, built
+  // from the OpenAPI document served at /api/openapi.json
+
+  const $explorer = $('#api-explorer');
+  if (!$explorer.length)
+    return;
+
+  $.getJSON('/api/openapi.json')
+    .done(renderDocument)
+    .fail(() => $explorer.text('Could not load the API description.'));
+
+  function renderDocument(doc) {
+    $explorer.empty();
+    $('<p>')
+      .text(`${doc.info.title} ${doc.info.version}`)
+      .appendTo($explorer);
+
+    for (let path of Object.keys(doc.paths).sort()) {
+      for (let method of Object.keys(doc.paths[path]))
+        renderOperation(method, path, doc.paths[path][method]).appendTo($explorer);
+    }
+  }
+
+  function renderOperation(method, path, operation) {
+    const $operation = $('<details class="api-operation">');
+    $('<summary>')
+      .append($('<code>').text(`${method.toUpperCase()} ${path}`))
+      .append(document.createTextNode(` ${operation.summary || ''}`))
+      .appendTo($operation);
+
+    if (operation.description)
+      $('<p>').text(operation.description).appendTo($operation);
+
+    const $form = $('<form class="pure-form pure-form-stacked">').appendTo($operation);
+    for (let param of operation.parameters || []) {
+      const label = `${param.in} parameter ${param.name}${param.required ? ' (required)' : ''}`;
+      $('<label>').text(label).appendTo($form);
+      $('<input type="text" class="max-width">')
+        .attr('data-param-in', param.in)
+        .attr('data-param-name', param.name)
+        .attr('placeholder', param.description || param.schema.type)
+        .appendTo($form);
+    }
+
+    const content = operation.requestBody && operation.requestBody.content;
+    if (content && content['application/json']) {
+      $('<label>').text('JSON request body').appendTo($form);
+      $('<textarea class="max-width" rows="6" data-request-body>')
+        .val('{\n}')
+        .appendTo($form);
+    } else if (content && content['multipart/form-data']) {
+      $('<p>')
+        .text('This operation expects a multipart/form-data request, which is not supported here.')
+        .appendTo($form);
+    }
+
+    const $output = $('<pre class="api-response">').hide();
+    $('<button type="submit" class="pure-button pure-button-primary button-rounded">')
+      .text('Send request')
+      .appendTo($form);
+    $form.after($output);
+
+    $form.submit(event => {
+      event.preventDefault();
+      sendRequest(method, path, $form, $output);
+    });
+    return $operation;
+  }
+
+  function sendRequest(method, path, $form, $output) {
+    const query = {};
+    let url = `/api${path}`;
+    $form.find('[data-param-in]').each(function() {
+      const value = $(this).val();
+      if (!value)
+        return;
+      if ($(this).attr('data-param-in') == 'path')
+        url = url.replace(`{${$(this).attr('data-param-name')}}`, encodeURIComponent(value));
+      else
+        query[$(this).attr('data-param-name')] = value;
+    });
+    if (Object.keys(query).length)
+      url += `?${$.param(query)}`;
+
+    const settings = {
+      url,
+      method: method.toUpperCase(),
+      headers: { 'X-Requested-With': 'XMLHttpRequest' },
+      dataType: 'text'
+    };
+    const $body = $form.find('[data-request-body]');
+    if ($body.length) {
+      settings.contentType = 'application/json';
+      settings.data = $body.val();
+    }
+
+    $.ajax(settings)
+      .always((data, textStatus, xhr) => {
+        // On failure, the arguments are (xhr, textStatus, error)
+        if (typeof data == 'object' && data.status !== undefined)
+          xhr = data;
+        $output
+          .text(`${settings.method} ${url}\n${xhr.status} ${xhr.statusText}\n\n${xhr.responseText}`)
+          .show();
+      });
+  }
+}());
@@ -0,0 +1,200 @@
+/* global $, config, libreviews */
+'use strict';
+
+// Server-side drafts (see routes/api-drafts.js) for the form on the page, if
+// it has a data-draft-type attribute. While the user is writing, the form is
+// saved periodically if it has changed. A saved draft can be restored from a
+// notice above the form, or immediately if the URL ends in #restore-draft, as
+// in the links on the user page.
+
+// Milliseconds between checks for changes to save
+const autosaveInterval = 30000;
+
+// Field names that must not be restored from a draft
+const excludedFields = ['_csrf', 'base-revision'];
+
+/**
+ * Start saving drafts of the form on the page, and offer to restore any
+ * earlier draft of it.
+ *
+ * @param {Object} [options]
+ *  draft settings
+ * @param {Function} options.beforeSave
+ *  called before the form is serialized, e.g., to update textareas from rich
+ *  text editors
+ */
+function initializeDrafts({ beforeSave } = {}) {
+  const $form = $('form[data-draft-type]').first();
+  if (!$form.length || !config.userID)
+    return;
+
+  const formURL = window.location.pathname,
+    formType = $form.attr('data-draft-type');
+  const $status = $('<div class="draft-status"></div>').appendTo($form);
+
+  // We only save drafts that differ from what was last saved or loaded
+  if (beforeSave)
+    beforeSave();
+  let lastSaved = JSON.stringify(getFields($form));
+  let submitted = false;
+
+  // Publishing the form deletes the draft, so we must not save it again
+  $form.submit(() => (submitted = true));
+
+  $.ajax({
+      type: 'GET',
+      url: '/api/draft',
+      data: { form: formURL },
+      dataType: 'json'
+    })
+    .done(res => {
+      const { draft } = res;
+      if (JSON.stringify(draft.fields) === lastSaved)
+        return;
+
+      if (window.location.hash == '#restore-draft')
+        restoreDraft($form, draft);
+      else
+        showDraftNotice($form, draft);
+    });
+  // A failure most likely means that there is no draft, so we ignore it
+
+  window.setInterval(saveDraft, autosaveInterval);
+
+  function saveDraft() {
+    if (submitted)
+      return;
+
+    if (beforeSave)
+      beforeSave();
+
+    const fields = getFields($form),
+      serializedFields = JSON.stringify(fields);
+    if (serializedFields === lastSaved)
+      return;
+
+    $.ajax({
+        type: 'POST',
+        url: '/api/draft',
+        data: JSON.stringify({
+          formURL,
+          formType,
+          title: $form.find('[data-draft-title]').val() || '',
+          fields
+        }),
+        contentType: 'application/json',
+        dataType: 'json'
+      })
+      .done(res => {
+        lastSaved = serializedFields;
+        $status
+          .removeClass('draft-status-error')
+          .text(libreviews.msg('draft saved at', { stringParam: formatDate(res.savedOn) }));
+      })
+      .fail(() => {
+        $status
+          .addClass('draft-status-error')
+          .text(libreviews.msg('draft not saved'));
+      });
+  }
+}
+
+// Get the values of all named form fields that belong in a draft
+function getFields($form) {
+  const fields = {};
+  $form.find('input[name],textarea[name],select[name]').each(function() {
+    if (excludedFields.includes(this.name) || this.hasAttribute('data-ignore-autosave') ||
+      this.type == 'file' || this.type == 'submit')
+      return;
+
+    if (this.type == 'checkbox')
+      fields[this.name] = this.checked ? 'on' : '';
+    else if (this.type == 'radio') {
+      if (this.checked)
+        fields[this.name] = this.value;
+    } else
+      fields[this.name] = $(this).val() || '';
+  });
+  return fields;
+}
+
+// Replace the form's contents with those of the draft
+function restoreDraft($form, draft) {
+  for (let name in draft.fields) {
+    if (excludedFields.includes(name))
+      continue;
+
+    const value = draft.fields[name];
+    let $fields = $form.find('input[name],textarea[name],select[name]').filter(function() {
+      return this.name === name;
+    });
+
+    // Uploaded files are added to the form by JavaScript
+    if (!$fields.length && /^uploaded-file-/.test(name))
+      $fields = $('<input type="hidden">')
+        .attr('name', name)
+        .appendTo($form);
+
+    $fields.each(function() {
+      if (this.type == 'checkbox')
+        this.checked = value == 'on';
+      else if (this.type == 'radio')
+        this.checked = this.value == value;
+      else
+        $(this).val(value);
+    });
+    $fields.trigger('change');
+  }
+
+  // Rich text editors have to be re-created from their textareas
+  for (let id in libreviews.activeRTEs)
+    libreviews.activeRTEs[id].reRender();
+
+  // Lets form scripts update controls that depend on field values
+  $form.trigger('draftrestored');
+}
+
+function showDraftNotice($form, draft) {
+  const $notice = $('<div class="message-box draft-notice"></div>')
+    .append('<span class="fa fa-info-circle fa-fw spaced-icon">&nbsp;</span>')
+    .append($('<span></span>').text(libreviews.msg('server draft available', {
+      stringParam: formatDate(draft.savedOn)
+    })))
+    .append('<br>');
+
+  const $restore = $('<button class="pure-button button-rounded message-button"></button>')
+    .html('<span class="fa fa-fw fa-undo spaced-icon">&nbsp;</span>')
+    .append(document.createTextNode(libreviews.msg('restore server draft')))
+    .click(event => {
+      event.preventDefault();
+      restoreDraft($form, draft);
+      $notice.fadeOut(200);
+    });
+
+  const $discard = $('<button class="pure-button button-rounded message-button message-button-destructive"></button>')
+    .html('<span class="fa fa-fw fa-trash-o spaced-icon">&nbsp;</span>')
+    .append(document.createTextNode(libreviews.msg('discard server draft')))
+    .click(event => {
+      event.preventDefault();
+      $.ajax({
+        type: 'POST',
+        url: '/api/draft/delete',
+        data: JSON.stringify({ formURL: draft.formURL }),
+        contentType: 'application/json',
+        dataType: 'json'
+      });
+      $notice.fadeOut(200);
+    });
+
+  $notice
+    .append($restore)
+    .append(' ')
+    .append($discard)
+    .insertBefore($form);
+}
+
+function formatDate(dateStr) {
+  return new Date(dateStr).toLocaleString(config.language);
+}
+
+module.exports = { initializeDrafts };
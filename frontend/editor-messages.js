@@ -58,7 +58,12 @@ const msgArr = [
   'fair use in caption',
   'rights in caption, own work',
   'rights in caption, someone else\'s work',
-  'caption label'
+  'caption label',
+  'draft saved at',
+  'draft not saved',
+  'server draft available',
+  'restore server draft',
+  'discard server draft'
 ].concat(getUploadModalMessageKeys());
 
 const getMessages = require('../util/get-messages');
@@ -33,6 +33,9 @@ const { saveSelection, restoreSelection } = require('./editor-selection');
 // markup for spoiler/NSFW warnings
 const { markdownParser, markdownSerializer, markdownSchema } = require('./editor-markdown');
 
+// For saving drafts of forms with RTEs on the server
+const { initializeDrafts } = require('./drafts');
+
 // ProseMirror provides no native way to enable/disable the editor, so
 // we add it here
 EditorView.prototype.disable = function() {
@@ -209,6 +212,15 @@ if (window.config.userPrefersRichTextEditor) {
   });
 }
 
+// Save drafts of the form on the page, if it supports them. The RTEs'
+// content has to be serialized into their textareas first.
+initializeDrafts({
+  beforeSave() {
+    for (let id in rtes)
+      rtes[id].updateTextarea();
+  }
+});
+
 // Create a new RTE (ProseMirror) instance and add it to the DOM; register
 // relevant event handlers.
 function renderRTE($textarea) {
@@ -332,6 +344,9 @@ function addCustomFeatures(spec) {
 
   $(window).on('beforeunload', updateOnUnload);
 
+  // Helper for external access to the current markdown, e.g., for drafts
+  rtes[myID].updateTextarea = updateOnUnload;
+
   // Full remove this control and all associated event handlers
   rtes[myID].nuke = function() {
     $ce.off();
@@ -565,8 +565,11 @@
               // if it appears in multiple languages
               let seenIDs = [];
 
-              // Helper function for adding labels to the suggestions array
+              // Helper function for adding labels and aliases to the
+              // suggestions array. For aliases, the label of the review
+              // subject is shown instead of its description.
               let processLabelKey = (labelKey, labelLanguage) => {
+                let isAlias = /^aliases-/.test(labelKey);
                 for (let label of res.results[labelKey]) {
                   // Don't include any result more than once
                   if (seenIDs.indexOf(label._id) !== -1)
@@ -576,7 +579,9 @@
                   let suggestion = {
                     title: label.text,
                     urlID: label.urlID,
-                    description: window.libreviews.resolveString(config.language, label.description)
+                    description: isAlias ?
+                      `\u2192 ${window.libreviews.resolveString(config.language, label.label)}` :
+                      window.libreviews.resolveString(config.language, label.description)
                   };
                   if (labelLanguage !== config.language)
                     suggestion.language = labelLanguage;
@@ -586,17 +591,22 @@
                 Reflect.deleteProperty(res.results, labelKey);
               };
 
-              // Process the user's currently selected language before others
-              let myLabelKey = `labels-${config.language}`;
-              if (Array.isArray(res.results[myLabelKey]) && res.results[myLabelKey].length)
-                processLabelKey(myLabelKey, config.language);
+              // Process labels in the user's currently selected language
+              // before others, and labels before aliases
+              for (let prefix of ['labels', 'aliases']) {
+                let myLabelKey = `${prefix}-${config.language}`;
+                if (Array.isArray(res.results[myLabelKey]) && res.results[myLabelKey].length)
+                  processLabelKey(myLabelKey, config.language);
+              }
 
               // Process remaining languages
-              for (let labelKey in res.results) {
-                let labelLanguage = (labelKey.match(/labels-(.*)/) || [])[1];
-                if (!labelLanguage)
-                  continue;
-                processLabelKey(labelKey, labelLanguage);
+              for (let prefix of ['labels', 'aliases']) {
+                for (let labelKey in res.results) {
+                  let labelLanguage = (labelKey.match(new RegExp(`^${prefix}-(.*)`)) || [])[1];
+                  if (!labelLanguage)
+                    continue;
+                  processLabelKey(labelKey, labelLanguage);
+                }
               }
             }
             this.render();
@@ -119,6 +119,9 @@
       excludeFields: $('[data-ignore-autosave]' + maybeExcludeURL)
     });
 
+    // Drafts saved on the server are restored by frontend/drafts.js
+    $('#review-form').on('draftrestored', processRestoredServerDraft);
+
     // Wire up mode switcher for source of review subject: URL or database
     $('#review-via-url').conditionalSwitcherClick(activateReviewViaURL);
     $('#review-via-database').conditionalSwitcherClick(activateReviewViaDatabase);
@@ -530,6 +533,22 @@
     }
   }
 
+  /**
+   * Update controls that depend on field values after a draft saved on the
+   * server has been loaded into the review form, and keep local storage in
+   * sync with it.
+   *
+   * @memberof Review
+   */
+  function processRestoredServerDraft() {
+    let rating = Number($('#review-rating').val());
+    if (rating)
+      selectStar.apply($(`#star-button-${rating}`)[0]);
+    else
+      clearStars();
+
+    sisyphus.saveAllData();
+  }
 
   /**
    * Replace star images with their placeholder versions
@@ -0,0 +1,28 @@
+/* global $ */
+(function() {
+  'use strict';
+
+  // Front-end code for the /actions/search-places form. The button to search
+  // near the current location is only shown if the browser can determine it.
+  if (!navigator.geolocation)
+    return;
+
+  $('#use-my-location')
+    .show()
+    .click(useMyLocation);
+
+  function useMyLocation() {
+    const $button = $(this);
+    $button.prop('disabled', true);
+    $('#location-error').hide();
+    navigator.geolocation.getCurrentPosition(position => {
+      $('#search-places-lat').val(position.coords.latitude.toFixed(5));
+      $('#search-places-lon').val(position.coords.longitude.toFixed(5));
+      $button.closest('form').submit();
+    }, () => {
+      $button.prop('disabled', false);
+      $('#location-error').show();
+    });
+  }
+
+}());
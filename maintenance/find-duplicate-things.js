@@ -0,0 +1,49 @@
+// Find review subjects (things) that are likely duplicates of each other, and
+// record them for the moderator report at /moderation/duplicates. Candidates
+// dismissed by moderators are not reported again.
+//
+// Run with --dry-run to only print the candidates, and with --skip-labels to
+// skip the comparison of labels, which requires the search index.
+'use strict';
+const Thing = require('../models/thing');
+const ThingDuplicate = require('../models/thing-duplicate');
+const debug = require('../util/debug');
+
+// Commonly run from command-line, force output
+debug.util.enabled = true;
+debug.errorLog.enabled = true;
+
+const dryRun = process.argv.includes('--dry-run');
+const labels = !process.argv.includes('--skip-labels');
+
+async function findDuplicates() {
+  await Promise.all([Thing.ready(), ThingDuplicate.ready()]);
+  debug.util('Looking for likely duplicate review subjects' +
+    (labels ? '.' : ' (skipping labels).'));
+
+  const candidates = await ThingDuplicate.findCandidates({ labels });
+  for (let candidate of candidates) {
+    const reasons = candidate.reasons
+      .map(reason => `${reason.type} ${reason.source ? reason.source + ':' : ''}${reason.value}`);
+    debug.util(`${candidate.thingIDs.join(' / ')}: ${reasons.join('; ')}`);
+  }
+  debug.util(`Found ${candidates.length} likely duplicate pair(s).`);
+
+  if (dryRun)
+    return;
+
+  const { added, updated, removed, dismissed } = await ThingDuplicate.record(candidates);
+  debug.util(`${added} new, ${updated} updated, ${removed} no longer found, ` +
+    `${dismissed} previously dismissed.`);
+}
+
+findDuplicates()
+  .then(() => {
+    debug.util('Duplicate detection completed.');
+    process.exit();
+  })
+  .catch(error => {
+    debug.error('Problem finding duplicates. The error was:');
+    debug.error({ error });
+    process.exit(1);
+  });
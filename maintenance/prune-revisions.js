@@ -0,0 +1,92 @@
+// Permanently remove old revisions of all versioned content according to the
+// retention policy in the `revisionRetention` setting (see config/default.json5).
+// Run with --dry-run to get a report of what would be removed without changing
+// anything: the IDs and dates of the revisions of each document, and the
+// number of revisions per table.
+'use strict';
+const config = require('config');
+const r = require('../db').r;
+const Thing = require('../models/thing');
+const Review = require('../models/review');
+const Team = require('../models/team');
+const BlogPost = require('../models/blog-post');
+const Comment = require('../models/comment');
+const File = require('../models/file');
+const UserMeta = require('../models/user-meta');
+const { getCutoff, getPrunableRevisions } = require('../models/helpers/revision-retention');
+const debug = require('../util/debug');
+
+// Commonly run from command-line, force output
+debug.util.enabled = true;
+debug.errorLog.enabled = true;
+
+const models = [Thing, Review, Team, BlogPost, Comment, File, UserMeta];
+const dryRun = process.argv.includes('--dry-run');
+const { keepAllDays, keepTags } = config.revisionRetention;
+
+async function pruneRevisions() {
+  const cutoff = getCutoff(keepAllDays);
+  debug.util(`Pruning revisions older than ${cutoff.toISOString()}` +
+    (dryRun ? ' (dry run, nothing will be removed).' : '.'));
+
+  for (let Model of models) {
+    await Model.ready();
+    const { tableName, documents, pruned, orphaned } = await pruneModel(Model, cutoff);
+    debug.util(`${tableName}: ${pruned} revision(s) of ${documents} document(s) ` +
+      (dryRun ? 'would be removed.' : 'removed.'));
+    if (orphaned.length)
+      debug.util(`${tableName}: skipped old revisions of ${orphaned.length} missing ` +
+        `document(s): ${orphaned.join(', ')}`);
+  }
+}
+
+// Old revisions only ever point to the current revision of their document
+// (via `_oldRevOf`), never to each other, so removing some of them leaves the
+// remaining ones intact. We do not touch old revisions whose current revision
+// is missing, since we cannot tell which of them is the first one.
+async function pruneModel(Model, cutoff) {
+  const tableName = Model.getTableName();
+  const table = r.table(tableName);
+  const result = { tableName, documents: 0, pruned: 0, orphaned: [] };
+
+  const ids = await table
+    .between(r.minval, cutoff, { index: '_revDate' })
+    .filter(rev => rev('_oldRevOf').default(false).ne(false))('_oldRevOf')
+    .distinct();
+
+  for (let id of ids) {
+    const currentID = await table.get(id)('id').default(null);
+    if (!currentID) {
+      result.orphaned.push(id);
+      continue;
+    }
+
+    const revisions = await table
+      .getAll(id, { index: '_oldRevOf' })
+      .pluck('id', '_revDate', '_revTags');
+
+    const prunable = getPrunableRevisions(revisions, { cutoff, keepTags });
+    if (!prunable.length)
+      continue;
+
+    result.documents++;
+    result.pruned += prunable.length;
+    if (dryRun)
+      debug.util(`${tableName} ${id}: ` +
+        prunable.map(rev => `${rev.id} (${rev._revDate.toISOString()})`).join(', '));
+    else
+      await table.getAll(...prunable.map(rev => rev.id)).delete();
+  }
+  return result;
+}
+
+pruneRevisions()
+  .then(() => {
+    debug.util('Revision pruning completed.');
+    process.exit();
+  })
+  .catch(error => {
+    debug.error('Problem pruning revisions. The error was:');
+    debug.error({ error });
+    process.exit(1);
+  });
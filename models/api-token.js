@@ -0,0 +1,157 @@
+'use strict';
+
+/**
+ * Model for personal API tokens, which let scripts and bots access the API on
+ * behalf of a user without a browser session. We only store a hash of each
+ * token; the token itself is shown to the user once, when it is created. Not
+ * versioned.
+ *
+ * @namespace APIToken
+ */
+const crypto = require('crypto');
+const thinky = require('../db');
+const r = thinky.r;
+const type = thinky.type;
+const User = require('./user');
+
+const tokenOptions = {
+  maxLabelLength: 100,
+  // Read tokens may only be used for GET, HEAD and OPTIONS requests, and for
+  // read-only POST operations (see routes/helpers/api.js)
+  scopes: ['read', 'write'],
+  // Number of random bytes; tokens are hex-encoded
+  byteLength: 32,
+  // Number of token characters stored in the clear, so users can tell
+  // their tokens apart
+  prefixLength: 8
+};
+
+/* eslint-disable newline-per-chained-call */ /* for schema readability */
+let apiTokenSchema = {
+  id: type.string().uuid(4),
+  userID: type.string().uuid(4).required(),
+  label: type.string().max(tokenOptions.maxLabelLength).required(),
+  scope: type.string().enum(tokenOptions.scopes).required(),
+  tokenHash: type.string().required(),
+  tokenPrefix: type.string().max(tokenOptions.prefixLength),
+  createdOn: type.date().default(() => new Date()),
+  lastUsedOn: type.date(),
+  // Convenience permission check for the current request
+  canWrite: type.virtual().default(function() {
+    return this.scope == 'write';
+  })
+};
+/* eslint-enable newline-per-chained-call */ /* for schema readability */
+
+let APIToken = thinky.createModel("api_tokens", apiTokenSchema);
+
+APIToken.ensureIndex("tokenHash");
+APIToken.ensureIndex("userID");
+
+APIToken.belongsTo(User, "user", "userID", "id");
+User.hasMany(APIToken, "apiTokens", "id", "userID");
+
+APIToken.options = tokenOptions; // for external visibility
+Object.freeze(APIToken.options);
+
+// NOTE: STATIC METHODS --------------------------------------------------------
+
+/**
+ * Generate and save a new token for the given user.
+ *
+ * @param {User} user
+ *  owner of the token
+ * @param {Object} options
+ *  token settings
+ * @param {String} options.label
+ *  user-supplied name for the token
+ * @param {String} options.scope='read'
+ *  one of `APIToken.options.scopes`
+ * @returns {Object}
+ *  `{ apiToken, token }`, where `token` is the unhashed token. It cannot be
+ *  recovered later.
+ * @async
+ */
+APIToken.create = async function(user, { label, scope = 'read' } = {}) {
+  const token = crypto.randomBytes(tokenOptions.byteLength).toString('hex');
+  const apiToken = new APIToken({
+    userID: user.id,
+    label,
+    scope,
+    tokenHash: APIToken.hash(token),
+    tokenPrefix: token.substr(0, tokenOptions.prefixLength),
+    createdOn: new Date()
+  });
+  await apiToken.save();
+  return { apiToken, token };
+};
+
+/**
+ * Look up a token by its unhashed value.
+ *
+ * @param {String} token
+ *  the token as submitted by the client
+ * @returns {APIToken}
+ *  the token, or undefined if there is no match
+ * @async
+ */
+APIToken.findByToken = async function(token) {
+  if (typeof token != 'string' || !token)
+    return undefined;
+
+  const tokens = await APIToken
+    .getAll(APIToken.hash(token), { index: 'tokenHash' })
+    .limit(1);
+  return tokens[0];
+};
+
+/**
+ * Get the tokens of a given user.
+ *
+ * @param {User} user
+ *  user to look up
+ * @returns {Query}
+ *  tokens in reverse chronological order
+ */
+APIToken.getForUser = function(user) {
+  return APIToken
+    .getAll(user.id, { index: 'userID' })
+    .orderBy(r.desc('createdOn'));
+};
+
+/**
+ * Hash a token for storage or lookup. Tokens are long random strings, so a
+ * single round of SHA-256 is sufficient here, and it lets us look up tokens by
+ * their hash.
+ *
+ * @param {String} token
+ *  unhashed token
+ * @returns {String}
+ *  hex-encoded hash
+ */
+APIToken.hash = function(token) {
+  return crypto
+    .createHash('sha256')
+    .update(token)
+    .digest('hex');
+};
+
+// NOTE: INSTANCE METHODS ------------------------------------------------------
+
+APIToken.define("markAsUsed", markAsUsed);
+
+/**
+ * Record the time of the most recent use of this token.
+ *
+ * @returns {APIToken}
+ *  the updated token
+ * @memberof APIToken
+ * @instance
+ * @async
+ */
+async function markAsUsed() {
+  this.lastUsedOn = new Date();
+  return await this.save();
+}
+
+module.exports = APIToken;
@@ -44,6 +44,8 @@ Object.assign(blogPostSchema, revision.getSchema());
 let BlogPost = thinky.createModel("blog_posts", blogPostSchema);
 
 BlogPost.ensureIndex("createdOn");
+BlogPost.ensureIndex("_revDate");
+BlogPost.ensureIndex("_oldRevOf");
 BlogPost.belongsTo(User, "creator", "createdBy", "id");
 
 // NOTE: STATIC METHODS --------------------------------------------------------
@@ -52,6 +54,9 @@ BlogPost.belongsTo(User, "creator", "createdBy", "id");
 
 BlogPost.createFirstRevision = revision.getFirstRevisionHandler(BlogPost);
 BlogPost.getNotStaleOrDeleted = revision.getNotStaleOrDeletedGetHandler(BlogPost);
+BlogPost.getRevisions = revision.getRevisionsHandler(BlogPost);
+BlogPost.getRecentRevisions = revision.getRecentRevisionsHandler(BlogPost);
+BlogPost.getDeleted = revision.getDeletedHandler(BlogPost);
 
 // Custom methods
 
@@ -158,7 +163,9 @@ BlogPost.getMostRecentBlogPostsBySlug = async function(teamSlugName, options) {
 // Standard handlers
 
 BlogPost.define("newRevision", revision.getNewRevisionHandler(BlogPost));
+BlogPost.define("restoreRevision", revision.getRestoreRevisionHandler(BlogPost));
 BlogPost.define("deleteAllRevisions", revision.getDeleteAllRevisionsHandler(BlogPost));
+BlogPost.define("undeleteAllRevisions", revision.getUndeleteAllRevisionsHandler(BlogPost));
 
 // Custom methods
 
@@ -0,0 +1,232 @@
+'use strict';
+
+/**
+ * Model for comments on reviews. A comment can be a reply to another comment
+ * on the same review, so comments form threads. Comments are versioned, and
+ * site moderators can remove them without deleting them (see
+ * {@link Comment#remove}).
+ *
+ * @namespace Comment
+ */
+const escapeHTML = require('escape-html');
+
+const thinky = require('../db');
+const type = thinky.type;
+const mlString = require('./helpers/ml-string');
+const revision = require('./helpers/revision');
+const isValidLanguage = require('../locales/languages').isValid;
+const User = require('./user');
+
+const commentOptions = {
+  maxRemovalReasonLength: 300,
+  // Length of excerpts used to label comments in lists of changes
+  maxExcerptLength: 60
+};
+
+/* eslint-disable newline-per-chained-call */
+/* for schema readability */
+
+let commentSchema = {
+  id: type.string().uuid(4),
+  reviewID: type.string().uuid(4).required(true),
+  // The comment this comment replies to, if any
+  parentID: type.string().uuid(4),
+  text: mlString.getSchema(),
+  html: mlString.getSchema(),
+
+  // Track original authorship across revisions
+  createdOn: type.date().required(true),
+  createdBy: type.string().uuid(4).required(true),
+  originalLanguage: type.string().max(4).required(true).validator(isValidLanguage),
+
+  // Set by site moderators via the remove method. Removed comments stay in
+  // their thread (so replies keep their context), but their text is no longer
+  // shown.
+  removedBy: type.string().uuid(4),
+  removedOn: type.date(),
+  removalReason: type.string().max(commentOptions.maxRemovalReasonLength),
+
+  // These can only be populated from the outside using a user object
+  userCanEdit: type.virtual().default(false),
+  userCanDelete: type.virtual().default(false),
+  userCanRemove: type.virtual().default(false),
+  userIsAuthor: type.virtual().default(false)
+};
+
+/* eslint-enable newline-per-chained-call */
+
+// Add versioning related fields
+Object.assign(commentSchema, revision.getSchema());
+
+let Comment = thinky.createModel("comments", commentSchema);
+
+Comment.options = commentOptions;
+Object.freeze(Comment.options);
+
+Comment.belongsTo(User, "creator", "createdBy", "id");
+Comment.ensureIndex("reviewID");
+Comment.ensureIndex("createdOn");
+Comment.ensureIndex("_revDate");
+Comment.ensureIndex("_oldRevOf");
+
+// NOTE: STATIC METHODS --------------------------------------------------------
+
+// Standard handlers
+
+Comment.createFirstRevision = revision.getFirstRevisionHandler(Comment);
+Comment.getNotStaleOrDeleted = revision.getNotStaleOrDeletedGetHandler(Comment);
+Comment.getRevisions = revision.getRevisionsHandler(Comment);
+Comment.getRecentRevisions = revision.getRecentRevisionsHandler(Comment);
+Comment.getDeleted = revision.getDeletedHandler(Comment);
+
+// Custom methods
+
+/**
+ * Get a comment and the user object representing its original author
+ *
+ * @param {String} id
+ *  comment ID
+ * @returns {Comment}
+ *  comment with populated `.creator` property
+ * @async
+ */
+Comment.getWithCreator = async function(id) {
+  return await Comment
+    .getNotStaleOrDeleted(id, {
+      creator: {
+        _apply: seq => seq.without('password')
+      }
+    });
+};
+
+/**
+ * Get all current comments on a review as threads, oldest first. Replies are
+ * nested in the `replies` array of the comment they reply to. Replies to
+ * comments that have since been deleted are shown as top-level comments.
+ *
+ * @param {String} reviewID
+ *  the review whose comments to get
+ * @param {User} [user]
+ *  if provided, permissions for this user are populated for each comment
+ * @returns {Comment[]}
+ *  top-level comments, with `.creator` and `.replies` populated
+ * @async
+ */
+Comment.getThreads = async function(reviewID, user) {
+  const comments = await Comment
+    .getAll(reviewID, { index: 'reviewID' })
+    .filter({ _revDeleted: false }, { default: true })
+    .filter({ _oldRevOf: false }, { default: true })
+    .orderBy('createdOn')
+    .getJoin({
+      creator: {
+        _apply: seq => seq.without('password')
+      }
+    });
+
+  const commentsByID = {};
+  for (let comment of comments) {
+    comment.replies = [];
+    comment.populateUserInfo(user);
+    commentsByID[comment.id] = comment;
+  }
+
+  const threads = [];
+  for (let comment of comments) {
+    if (comment.parentID && commentsByID[comment.parentID])
+      commentsByID[comment.parentID].replies.push(comment);
+    else
+      threads.push(comment);
+  }
+  return threads;
+};
+
+/**
+ * Get a short plain text excerpt of a comment (or a raw revision of one), to
+ * identify it in lists of changes or deleted content.
+ *
+ * @param {Object} comment
+ *  comment or raw revision
+ * @param {String} language
+ *  preferred language
+ * @returns {String}
+ *  excerpt, HTML-escaped
+ */
+Comment.getExcerpt = function(comment, language) {
+  const resolved = mlString.resolve(language, comment.text || {});
+  let excerpt = (resolved ? resolved.str : '').replace(/\s+/g, ' ').trim();
+  if (excerpt.length > commentOptions.maxExcerptLength)
+    excerpt = excerpt.substr(0, commentOptions.maxExcerptLength) + '…';
+  // Escape after truncating, so we don't cut off entities
+  return escapeHTML(excerpt);
+};
+
+// NOTE: INSTANCE METHODS ------------------------------------------------------
+
+// Standard handlers
+
+Comment.define("newRevision", revision.getNewRevisionHandler(Comment));
+Comment.define("restoreRevision", revision.getRestoreRevisionHandler(Comment));
+Comment.define("deleteAllRevisions", revision.getDeleteAllRevisionsHandler(Comment));
+Comment.define("undeleteAllRevisions", revision.getUndeleteAllRevisionsHandler(Comment));
+
+// Custom methods
+
+Comment.define("populateUserInfo", populateUserInfo);
+Comment.define("remove", remove);
+
+/**
+ * Populate virtual fields with permissions for a given user. Edit and delete
+ * permissions are the same as for reviews. Removed comments can no longer be
+ * edited.
+ *
+ * @param {User} user
+ *  the user whose permissions to check
+ * @memberof Comment
+ * @instance
+ */
+function populateUserInfo(user) {
+  if (!user)
+    return; // fields will be at their default value (false)
+
+  if (user.isSuperUser || user.isSiteModerator || user.id === this.createdBy)
+    this.userCanDelete = true;
+
+  if ((user.isSuperUser || user.id === this.createdBy) && !this.removedBy)
+    this.userCanEdit = true;
+
+  if ((user.isSuperUser || user.isSiteModerator) && !this.removedBy)
+    this.userCanRemove = true;
+
+  if (user.id === this.createdBy)
+    this.userIsAuthor = true;
+}
+
+/**
+ * Remove this comment as a moderator, by creating and saving a new revision
+ * that records who removed it and why. The text remains in the database.
+ *
+ * @param {User} user
+ *  the moderator removing the comment
+ * @param {Object} [options]
+ *  removal options
+ * @param {String} options.reason
+ *  reason for the removal, shown in place of the comment (HTML-safe)
+ * @param {String[]} options.tags
+ *  tags to associate with the new revision
+ * @returns {Comment}
+ *  the new revision
+ * @memberof Comment
+ * @instance
+ * @async
+ */
+async function remove(user, { reason, tags = ['remove-via-form'] } = {}) {
+  const newRev = await this.newRevision(user, { tags });
+  newRev.removedBy = user.id;
+  newRev.removedOn = new Date();
+  newRev.removalReason = reason || undefined;
+  await newRev.save();
+  return newRev;
+}
+
+module.exports = Comment;
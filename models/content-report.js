@@ -0,0 +1,285 @@
+'use strict';
+
+/**
+ * Model for reports of spam, abuse and other problems with content on the
+ * site. Reports are listed for site moderators (see routes/moderation.js), who
+ * resolve all open reports on a piece of content at once, by dismissing them,
+ * by deleting the content, or by warning its author. Reporters and warned
+ * authors can see the outcome on their own reports page.
+ *
+ * This model is not versioned.
+ *
+ * @namespace ContentReport
+ */
+const thinky = require('../db');
+const r = thinky.r;
+const type = thinky.type;
+const User = require('./user');
+const ReportedError = require('../util/reported-error');
+
+const reportOptions = {
+  // Kinds of content that can be reported, named as in routes/moderation.js
+  contentTypes: ['reviews', 'comments', 'things', 'posts', 'files'],
+  reasons: ['spam', 'abuse', 'copyright', 'inappropriate', 'other'],
+  // 'open' until a moderator has resolved the report with one of the others
+  statuses: ['open', 'dismissed', 'deleted', 'warned'],
+  outcomes: ['dismissed', 'deleted', 'warned'],
+  maxNotesLength: 1000
+};
+
+/* eslint-disable newline-per-chained-call */ /* for schema readability */
+let contentReportSchema = {
+  id: type.string().uuid(4),
+  contentType: type.string().enum(reportOptions.contentTypes).required(true),
+  contentID: type.string().uuid(4).required(true),
+  // Author of the reported content, who is told if they have been warned
+  contentAuthorID: type.string().uuid(4),
+  reason: type.string().enum(reportOptions.reasons).required(true),
+  // Optional explanation by the reporter, plain text
+  notes: type.string().max(reportOptions.maxNotesLength),
+  createdOn: type.date().required(true),
+  createdBy: type.string().uuid(4).required(true),
+  status: type.string().enum(reportOptions.statuses).default('open'),
+  resolvedOn: type.date(),
+  resolvedBy: type.string().uuid(4),
+  // Optional explanation by the moderator, shown to reporters and author
+  resolutionNote: type.string().max(reportOptions.maxNotesLength)
+};
+/* eslint-enable newline-per-chained-call */ /* for schema readability */
+
+let ContentReport = thinky.createModel("content_reports", contentReportSchema);
+
+ContentReport.ensureIndex("contentID");
+ContentReport.ensureIndex("createdBy");
+ContentReport.ensureIndex("contentAuthorID");
+ContentReport.ensureIndex("createdOn");
+
+ContentReport.belongsTo(User, "reporter", "createdBy", "id");
+ContentReport.belongsTo(User, "resolver", "resolvedBy", "id");
+
+ContentReport.options = reportOptions; // for external visibility
+Object.freeze(ContentReport.options);
+
+// NOTE: STATIC METHODS --------------------------------------------------------
+
+/**
+ * File a new report. Each user can only have one open report per piece of
+ * content.
+ *
+ * @param {Object} data
+ *  report data
+ * @param {String} data.contentType
+ *  one of `ContentReport.options.contentTypes`
+ * @param {String} data.contentID
+ *  ID of the reported content
+ * @param {String} [data.contentAuthorID]
+ *  ID of the user who created the reported content
+ * @param {String} data.reason
+ *  one of `ContentReport.options.reasons`
+ * @param {String} [data.notes]
+ *  optional explanation
+ * @param {User} user
+ *  the user filing the report
+ * @returns {ContentReport}
+ *  the saved report
+ * @throws {ReportedError}
+ *  if the reason is not valid, if the notes are too long, if users report
+ *  their own content, or if they have already reported it
+ * @async
+ */
+ContentReport.create = async function(data, user) {
+  const { contentType, contentID, contentAuthorID, reason } = data;
+  if (!reportOptions.reasons.includes(reason))
+    throw new ReportedError({
+      message: 'Invalid report reason: %s',
+      messageParams: [String(reason)],
+      userMessage: 'invalid report reason'
+    });
+
+  if (contentAuthorID === user.id)
+    throw new ReportedError({
+      message: 'User %s tried to report their own content %s.',
+      messageParams: [user.id, contentID],
+      userMessage: 'cannot report own content'
+    });
+
+  const existingReports = await ContentReport
+    .getAll(contentID, { index: 'contentID' })
+    .filter({ createdBy: user.id, status: 'open' })
+    .limit(1);
+  if (existingReports.length)
+    throw new ReportedError({
+      message: 'User %s has already reported content %s.',
+      messageParams: [user.id, contentID],
+      userMessage: 'content already reported'
+    });
+
+  const notes = typeof data.notes == 'string' ? data.notes.trim() : '';
+  if (notes.length > reportOptions.maxNotesLength)
+    throw new ReportedError({
+      message: 'Report notes exceed maximum length.',
+      userMessage: 'report note too long',
+      userMessageParams: [String(reportOptions.maxNotesLength)]
+    });
+
+  return await new ContentReport({
+    contentType,
+    contentID,
+    contentAuthorID,
+    reason,
+    notes: notes || undefined,
+    createdOn: new Date(),
+    createdBy: user.id,
+    status: 'open'
+  }).save();
+};
+
+/**
+ * Get the open reports, grouped by the content they refer to. Content with
+ * the oldest reports is listed first.
+ *
+ * @param {Object} [options]
+ *  query criteria
+ * @param {Number} options.limit=100
+ *  maximum number of reports to get
+ * @returns {Object[]}
+ *  `{ contentType, contentID, contentAuthorID, reports }` for each piece of
+ *  reported content. Reports have a populated `.reporter`.
+ * @async
+ */
+ContentReport.getOpen = async function({ limit = 100 } = {}) {
+  const reports = await ContentReport
+    .orderBy({ index: 'createdOn' })
+    .filter({ status: 'open' })
+    .limit(limit)
+    .getJoin({
+      reporter: {
+        _apply: seq => seq.without('password')
+      }
+    });
+
+  const groups = new Map();
+  for (let report of reports) {
+    if (!groups.has(report.contentID))
+      groups.set(report.contentID, {
+        contentType: report.contentType,
+        contentID: report.contentID,
+        contentAuthorID: report.contentAuthorID,
+        reports: []
+      });
+    groups.get(report.contentID).reports.push(report);
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Resolve all open reports on a piece of content, and let the reporters (and,
+ * if they were warned, the author of the content) know about it.
+ *
+ * @param {String} contentID
+ *  ID of the reported content
+ * @param {User} user
+ *  the moderator resolving the reports
+ * @param {Object} resolution
+ *  how the reports were resolved
+ * @param {String} resolution.outcome
+ *  one of `ContentReport.options.outcomes`
+ * @param {String} [resolution.note]
+ *  optional explanation
+ * @returns {ContentReport[]}
+ *  the resolved reports
+ * @throws {ReportedError}
+ *  if the outcome is not valid, if the note is too long, or if there are no
+ *  open reports on the content
+ * @async
+ */
+ContentReport.resolveAll = async function(contentID, user, { outcome, note } = {}) {
+  if (!reportOptions.outcomes.includes(outcome))
+    throw new ReportedError({
+      message: 'Invalid report outcome: %s',
+      messageParams: [String(outcome)],
+      userMessage: 'invalid report outcome'
+    });
+
+  const reports = await ContentReport
+    .getAll(contentID, { index: 'contentID' })
+    .filter({ status: 'open' });
+  if (!reports.length)
+    throw new ReportedError({
+      message: 'There are no open reports on content %s.',
+      messageParams: [contentID],
+      userMessage: 'report to resolve not found'
+    });
+
+  const resolutionNote = typeof note == 'string' && note.trim() ? note.trim() : undefined,
+    resolvedOn = new Date();
+  if (resolutionNote && resolutionNote.length > reportOptions.maxNotesLength)
+    throw new ReportedError({
+      message: 'Resolution note exceeds maximum length.',
+      userMessage: 'report note too long',
+      userMessageParams: [String(reportOptions.maxNotesLength)]
+    });
+
+  for (let report of reports) {
+    report.status = outcome;
+    report.resolvedOn = resolvedOn;
+    report.resolvedBy = user.id;
+    report.resolutionNote = resolutionNote;
+    await report.save();
+  }
+
+  const notifiedUserIDs = new Set(reports.map(report => report.createdBy));
+  if (outcome == 'warned' && reports[0].contentAuthorID)
+    notifiedUserIDs.add(reports[0].contentAuthorID);
+  await User.increaseReportUpdateCount([...notifiedUserIDs]);
+
+  return reports;
+};
+
+/**
+ * Get the reports a user has filed, and the warnings they have received as
+ * authors of reported content, newest first.
+ *
+ * @param {User} user
+ *  the user whose reports to get
+ * @param {Object} [options]
+ *  query criteria
+ * @param {Number} options.limit=50
+ *  maximum number of reports and of warnings to get
+ * @returns {Object}
+ *  `{ reports, warnings }`. Warnings are the reports that led to them, with a
+ *  populated `.resolver`; if several reports were resolved with the same
+ *  warning, only one of them is included.
+ * @async
+ */
+ContentReport.getForUser = async function(user, { limit = 50 } = {}) {
+  const [reports, warningReports] = await Promise.all([
+    ContentReport
+      .getAll(user.id, { index: 'createdBy' })
+      .orderBy(r.desc('createdOn'))
+      .limit(limit),
+    ContentReport
+      .getAll(user.id, { index: 'contentAuthorID' })
+      .filter({ status: 'warned' })
+      .orderBy(r.desc('resolvedOn'))
+      .limit(limit)
+      .getJoin({
+        resolver: {
+          _apply: seq => seq.without('password')
+        }
+      })
+  ]);
+
+  // All reports resolved at once share the resolution date
+  const seenResolutions = new Set();
+  const warnings = warningReports.filter(report => {
+    const resolution = `${report.contentID}:${report.resolvedOn.getTime()}`;
+    if (seenResolutions.has(resolution))
+      return false;
+    seenResolutions.add(resolution);
+    return true;
+  });
+  return { reports, warnings };
+};
+
+module.exports = ContentReport;
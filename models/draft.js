@@ -0,0 +1,219 @@
+'use strict';
+
+/**
+ * Model for drafts of review, blog post and team forms, which are saved
+ * periodically while users are writing, so they can resume their work on
+ * another device or after their session has expired. Each user has at most
+ * one draft per form, identified by the form's URL. Drafts are deleted when
+ * the form is published.
+ *
+ * This model is not versioned.
+ *
+ * @namespace Draft
+ */
+const crypto = require('crypto');
+const thinky = require('../db');
+const r = thinky.r;
+const type = thinky.type;
+const ReportedError = require('../util/reported-error');
+
+const draftOptions = {
+  // Kinds of forms that can be drafted, which determine how drafts are listed
+  formTypes: ['review', 'post', 'team'],
+  maxFormURLLength: 512,
+  maxTitleLength: 256,
+  // Limits for the saved form fields (names and values)
+  maxFields: 50,
+  maxFieldLength: 100000,
+  maxDraftsPerUser: 50
+};
+
+/* eslint-disable newline-per-chained-call */ /* for schema readability */
+let draftSchema = {
+  // Derived from the user ID and form URL, see Draft.getKey
+  id: type.string(),
+  userID: type.string().uuid(4).required(true),
+  // Path of the page with the form, e.g. /review/<id>/edit
+  formURL: type.string().max(draftOptions.maxFormURLLength).required(true),
+  formType: type.string().enum(draftOptions.formTypes).required(true),
+  // Plain text of the form's title or name field, for listing the draft
+  title: type.string().max(draftOptions.maxTitleLength),
+  // Values of the form's fields, keyed by field name
+  fields: type.object().allowExtra(true),
+  createdOn: type.date().required(true),
+  savedOn: type.date().required(true)
+};
+/* eslint-enable newline-per-chained-call */ /* for schema readability */
+
+let Draft = thinky.createModel("drafts", draftSchema);
+
+Draft.ensureIndex("userID");
+
+Draft.options = draftOptions; // for external visibility
+Object.freeze(Draft.options);
+
+// NOTE: STATIC METHODS --------------------------------------------------------
+
+/**
+ * Get the primary key of a user's draft of a form. Using it as the ID ensures
+ * that there is only one draft per user and form. The URL is hashed to keep
+ * the key short.
+ *
+ * @param {String} userID
+ *  ID of the user
+ * @param {String} formURL
+ *  path of the page with the form
+ * @returns {String}
+ *  key of the draft
+ */
+Draft.getKey = function(userID, formURL) {
+  const hash = crypto
+    .createHash('sha256')
+    .update(formURL)
+    .digest('hex');
+  return `${userID}:${hash}`;
+};
+
+/**
+ * Create or update a user's draft of a form.
+ *
+ * @param {User} user
+ *  the user writing the draft
+ * @param {Object} data
+ *  draft data
+ * @param {String} data.formURL
+ *  path of the page with the form
+ * @param {String} data.formType
+ *  one of `Draft.options.formTypes`
+ * @param {String} [data.title]
+ *  plain text title of the draft
+ * @param {Object} data.fields
+ *  string values of the form fields, keyed by field name
+ * @returns {Draft}
+ *  the saved draft
+ * @throws {ReportedError}
+ *  if the data is not valid, or if the user has too many other drafts
+ * @async
+ */
+Draft.saveForUser = async function(user, { formURL, formType, title, fields }) {
+  Draft.validateData({ formURL, formType, fields });
+
+  const id = Draft.getKey(user.id, formURL),
+    now = new Date();
+  let [draft] = await Draft.getAll(id);
+
+  if (!draft) {
+    const draftCount = await r
+      .table('drafts')
+      .getAll(user.id, { index: 'userID' })
+      .count();
+    if (draftCount >= draftOptions.maxDraftsPerUser)
+      throw new ReportedError({
+        message: 'User %s has too many drafts.',
+        messageParams: [user.id],
+        userMessage: 'too many drafts',
+        userMessageParams: [String(draftOptions.maxDraftsPerUser)]
+      });
+
+    draft = new Draft({
+      id,
+      userID: user.id,
+      formURL,
+      createdOn: now
+    });
+  }
+
+  Object.assign(draft, {
+    formType,
+    title: typeof title == 'string' ? title.trim().substr(0, draftOptions.maxTitleLength) : undefined,
+    fields,
+    savedOn: now
+  });
+  return await draft.save();
+};
+
+/**
+ * Check that draft data can be saved.
+ *
+ * @param {Object} data
+ *  draft data, see {@link Draft.saveForUser}
+ * @throws {ReportedError}
+ *  if the data is not valid
+ */
+Draft.validateData = function({ formURL, formType, fields }) {
+  const fail = message => {
+    throw new ReportedError({
+      message,
+      userMessage: 'invalid draft'
+    });
+  };
+
+  // Only paths on this site, not protocol-relative URLs
+  if (typeof formURL != 'string' || !/^\/(?!\/)/.test(formURL) ||
+    formURL.length > draftOptions.maxFormURLLength)
+    fail('Draft form URL must be a path of limited length.');
+
+  if (!draftOptions.formTypes.includes(formType))
+    fail('Draft form type is not valid.');
+
+  if (typeof fields != 'object' || fields === null || Array.isArray(fields))
+    fail('Draft fields must be an object.');
+
+  const names = Object.keys(fields);
+  if (names.length > draftOptions.maxFields)
+    fail('Draft has too many fields.');
+
+  for (let name of names) {
+    if (typeof fields[name] != 'string' || fields[name].length > draftOptions.maxFieldLength)
+      fail('Draft field values must be strings of limited length.');
+  }
+};
+
+/**
+ * Get a user's draft of a form.
+ *
+ * @param {User} user
+ *  the user whose draft to get
+ * @param {String} formURL
+ *  path of the page with the form
+ * @returns {Draft}
+ *  the draft, or undefined if there is none
+ * @async
+ */
+Draft.getForForm = async function(user, formURL) {
+  const [draft] = await Draft.getAll(Draft.getKey(user.id, formURL));
+  return draft;
+};
+
+/**
+ * Get all drafts of a user, most recently saved first.
+ *
+ * @param {User} user
+ *  the user whose drafts to get
+ * @returns {Draft[]}
+ *  the drafts
+ * @async
+ */
+Draft.getForUser = async function(user) {
+  return await Draft
+    .getAll(user.id, { index: 'userID' })
+    .orderBy(r.desc('savedOn'));
+};
+
+/**
+ * Delete a user's draft of a form, if there is one.
+ *
+ * @param {User} user
+ *  the user whose draft to delete
+ * @param {String} formURL
+ *  path of the page with the form
+ * @async
+ */
+Draft.discard = async function(user, formURL) {
+  await r
+    .table('drafts')
+    .get(Draft.getKey(user.id, formURL))
+    .delete();
+};
+
+module.exports = Draft;
@@ -41,6 +41,8 @@ const File = thinky.createModel("files", fileSchema);
 
 File.belongsTo(User, "uploader", "uploadedBy", "id");
 File.ensureIndex("uploadedOn");
+File.ensureIndex("_revDate");
+File.ensureIndex("_oldRevOf");
 
 // NOTE: STATIC METHODS --------------------------------------------------------
 
@@ -48,6 +50,9 @@ File.ensureIndex("uploadedOn");
 
 File.createFirstRevision = revision.getFirstRevisionHandler(File);
 File.getNotStaleOrDeleted = revision.getNotStaleOrDeletedGetHandler(File);
+File.getRevisions = revision.getRevisionsHandler(File);
+File.getRecentRevisions = revision.getRecentRevisionsHandler(File);
+File.getDeleted = revision.getDeletedHandler(File);
 File.filterNotStaleOrDeleted = revision.getNotStaleOrDeletedFilterHandler(File);
 
 // Custom handlers
@@ -102,6 +107,7 @@ File.getFileFeed = async function({ offsetDate, limit = 10 } = {}) {
 
 File.define("newRevision", revision.getNewRevisionHandler(File));
 File.define("deleteAllRevisions", revision.getDeleteAllRevisionsHandler(File));
+File.define("undeleteAllRevisions", revision.getUndeleteAllRevisionsHandler(File));
 File.define("populateUserInfo", populateUserInfo);
 
 /**
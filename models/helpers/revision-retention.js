@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Retention policy for old revisions of versioned content, as configured in
+ * the `revisionRetention` setting (see config/default.json5). Used by
+ * maintenance/prune-revisions.js, which permanently removes the revisions
+ * that the policy does not require us to keep.
+ *
+ * @namespace RevisionRetention
+ */
+
+const revisionRetention = {
+
+  /**
+   * Get the date before which revisions may be pruned.
+   *
+   * @param {Number} keepAllDays
+   *  number of days for which all revisions are kept
+   * @param {Date} [now=new Date()]
+   *  the current date
+   * @returns {Date}
+   *  the cutoff date
+   * @memberof RevisionRetention
+   */
+  getCutoff(keepAllDays, now = new Date()) {
+    return new Date(now.getTime() - (keepAllDays * 24 * 60 * 60 * 1000));
+  },
+
+  /**
+   * Of the given old revisions of a single document, get the ones the
+   * retention policy does not require us to keep. We keep:
+   *
+   * - the first revision, i.e., the document as it was created
+   * - all revisions from the cutoff date onward
+   * - the last revision of each day (UTC), as a snapshot of the state at the
+   *   end of it
+   * - revisions tagged with any of `keepTags`
+   *
+   * @param {Object[]} revisions
+   *  old revisions with at least the `id`, `_revDate` and `_revTags` fields,
+   *  in any order
+   * @param {Object} policy
+   *  retention policy
+   * @param {Date} policy.cutoff
+   *  only revisions before this date may be pruned
+   * @param {String[]} policy.keepTags
+   *  revisions with any of these tags are never pruned
+   * @returns {Object[]}
+   *  the revisions that may be pruned, oldest first
+   * @memberof RevisionRetention
+   */
+  getPrunableRevisions(revisions, { cutoff, keepTags }) {
+    const sorted = revisions
+      .slice()
+      .sort((rev1, rev2) => rev1._revDate - rev2._revDate);
+
+    const lastOfDay = new Map();
+    for (let rev of sorted)
+      lastOfDay.set(getDay(rev._revDate), rev);
+
+    return sorted.filter((rev, index) =>
+      index > 0 &&
+      rev._revDate < cutoff &&
+      lastOfDay.get(getDay(rev._revDate)) !== rev &&
+      !(rev._revTags || []).some(tag => keepTags.includes(tag))
+    );
+  }
+
+};
+
+function getDay(date) {
+  return date.toISOString().substr(0, 10);
+}
+
+module.exports = revisionRetention;
@@ -2,6 +2,13 @@
 const thinky = require('../../db');
 const r = thinky.r;
 const type = thinky.type;
+const ReportedError = require('../../util/reported-error');
+
+// Fields that are not copied when restoring an earlier revision: the ID and
+// revision metadata, which belong to the new revision, and slug names, which
+// must be updated via `updateSlug` so they stay in sync with the slug table
+const restoreSkippedFields = ['id', '_oldRevOf', '_revID', '_revUser',
+  '_revDate', '_revDeleted', '_revTags', '_revSummary', 'canonicalSlugName'];
 
 /**
  * Common handler functions for managing revisions. These are typically attached
@@ -36,13 +43,15 @@ const revision = {
      *  revision options
      * @param {String[]} options.tags
      *  set of tags to associate with this revision
+     * @param {String} options.summary
+     *  free-text summary of the change, provided by the user (HTML-safe)
      * @returns {Model}
      *  new revision of the given Model
      * @memberof Revision
      * @inner
      * @this model
      */
-    const _newRevision = async function(user, { tags } = {}) {
+    const _newRevision = async function(user, { tags, summary } = {}) {
       let newRev = this;
       // Archive current revision
       let oldRev = new Model(newRev);
@@ -54,6 +63,7 @@ const revision = {
       newRev._revUser = user.id;
       newRev._revDate = new Date();
       newRev._revTags = tags;
+      newRev._revSummary = summary;
       return newRev;
     };
     return _newRevision;
@@ -129,6 +139,195 @@ const revision = {
   },
 
 
+  /**
+   * Get handler to obtain all revisions of an object, including the current
+   * one, as stored in the database. Deleted objects have no visible
+   * revisions. Requires the `_oldRevOf` index, see models/thing.js.
+   *
+   * @param {Model} Model
+   *  the table to query with this handler
+   * @returns {Function}
+   *  function we can attach as a static method to the Model via
+   *  `Model.getRevisions = fn`. See {@link Revision~_getRevisions}.
+   * @memberof Revision
+   */
+  getRevisionsHandler(Model) {
+
+    /**
+     * Function obtained via {@link Revision.getRevisionsHandler}.
+     *
+     * @param {String} id
+     *  the ID of the current revision
+     * @returns {Object[]}
+     *  plain objects (without virtual fields) for each revision, newest first
+     * @memberof Revision
+     * @inner
+     */
+    const _getRevisions = async id => {
+      const table = r.table(Model.getTableName());
+      // The current revision by primary key, the old ones by index
+      return await table
+        .getAll(id)
+        .union(table.getAll(id, { index: '_oldRevOf' }))
+        .filter({ _revDeleted: false }, { default: true })
+        .orderBy(r.desc('_revDate'));
+    };
+    return _getRevisions;
+  },
+
+  /**
+   * Get handler to obtain the most recent revisions of all objects in a
+   * table, e.g., to patrol recent changes. Requires the `_revDate` and
+   * `_oldRevOf` indexes, see models/thing.js.
+   *
+   * @param {Model} Model
+   *  the table to query with this handler
+   * @returns {Function}
+   *  function we can attach as a static method to the Model via
+   *  `Model.getRecentRevisions = fn`. See {@link Revision~_getRecentRevisions}.
+   * @memberof Revision
+   */
+  getRecentRevisionsHandler(Model) {
+
+    /**
+     * Function obtained via {@link Revision.getRecentRevisionsHandler}.
+     * Revisions of deleted objects are not included.
+     *
+     * @param {Object} [options]
+     *  query options
+     * @param {Date} options.offsetDate
+     *  only get revisions created before this date
+     * @param {Number} [options.limit=50]
+     *  maximum number of revisions to get
+     * @param {String} options.userID
+     *  only get revisions by this user
+     * @param {String} options.tag
+     *  only get revisions with this tag
+     * @param {Boolean} [options.onlyUntrusted=false]
+     *  only get revisions by users who are not trusted
+     * @returns {Object[]}
+     *  plain objects for each revision, newest first. The revision that
+     *  preceded each one is in its `_previous` property (null for first
+     *  revisions).
+     * @memberof Revision
+     * @inner
+     */
+    const _getRecentRevisions = async function({
+      offsetDate,
+      limit = 50,
+      userID,
+      tag,
+      onlyUntrusted = false
+    } = {}) {
+      const table = r.table(Model.getTableName());
+      let query = table;
+
+      if (offsetDate && offsetDate.valueOf)
+        query = query.between(r.minval, offsetDate, {
+          index: '_revDate',
+          rightBound: 'open'
+        });
+
+      query = query
+        .orderBy({ index: r.desc('_revDate') })
+        .filter({ _revDeleted: false }, { default: true });
+
+      if (userID)
+        query = query.filter({ _revUser: userID });
+
+      if (tag)
+        query = query.filter(rev => rev('_revTags').default([]).contains(tag));
+
+      if (onlyUntrusted)
+        query = query.filter(rev => r.table('users').get(rev('_revUser'))('isTrusted')
+          .default(false).eq(false));
+
+      // Old revisions point to the current one via `_oldRevOf`, and the
+      // current one is always the newest, so any earlier revision is old
+      return await query
+        .limit(limit)
+        .merge(rev => ({
+          _previous: table
+            .getAll(r.branch(rev('_oldRevOf').default(false), rev('_oldRevOf'), rev('id')), {
+              index: '_oldRevOf'
+            })
+            .filter(oldRev => oldRev('_revDate').lt(rev('_revDate')))
+            .orderBy(r.desc('_revDate'))
+            .nth(0)
+            .default(null)
+        }));
+    };
+    return _getRecentRevisions;
+  },
+
+  /**
+   * Get a function that lets us restore the content of an earlier revision
+   * of an object as a new revision.
+   *
+   * @param {Model} Model
+   *  the Model we want to attach the handler to
+   * @returns {Function}
+   *  function we can attach as an instance method via `Model.define`. See
+   *  {@link Revision~_restoreRevision}.
+   * @memberof Revision
+   */
+  getRestoreRevisionHandler(Model) {
+
+    /**
+     * Function obtained via {@link Revision.getRestoreRevisionHandler}.
+     * Archives the current revision and copies the content of the given
+     * earlier revision into a new one. Does not save, so callers can update
+     * slugs and other derived data first.
+     *
+     * @param {User} user
+     *  the user to associate with the new revision
+     * @param {String} revID
+     *  the `_revID` of the earlier revision
+     * @param {Object} [options]
+     *  revision options
+     * @param {String[]} options.tags
+     *  additional tags to associate with the new revision. The first tag will
+     *  always be 'rollback'.
+     * @returns {Model}
+     *  new revision with the restored content
+     * @throws {ReportedError}
+     *  if there is no such earlier revision
+     * @memberof Revision
+     * @inner
+     * @this model
+     */
+    const _restoreRevision = async function(user, revID, { tags = [] } = {}) {
+      const table = r.table(Model.getTableName());
+      const [current, oldRev] = await Promise.all([
+        table.get(this.id),
+        table
+        .getAll(this.id, { index: '_oldRevOf' })
+        .filter({ _revID: revID })
+        .filter({ _revDeleted: false }, { default: true })
+        .nth(0)
+        .default(null)
+      ]);
+
+      if (!oldRev)
+        throw new ReportedError({
+          message: 'Revision %s of document %s does not exist or has been deleted.',
+          messageParams: [revID, this.id],
+          userMessage: 'revision to restore not found'
+        });
+
+      const newRev = await this.newRevision(user, { tags: ['rollback'].concat(tags) });
+
+      // Fields that were added after the earlier revision are removed
+      const keys = new Set(Object.keys(current).concat(Object.keys(oldRev)));
+      for (let key of keys) {
+        if (!restoreSkippedFields.includes(key))
+          newRev[key] = oldRev[key];
+      }
+      return newRev;
+    };
+    return _restoreRevision;
+  },
+
   /**
    * Get a function that lets us create the first revision of a given model.
    * Does not save.
@@ -154,18 +353,21 @@ const revision = {
      *  revision options
      * @param {String[]} options.tags
      *  set of tags to associate with this revision
+     * @param {String} options.summary
+     *  free-text summary of the change, provided by the user (HTML-safe)
      * @returns {Model}
      *  first revision
      * @memberof Revision
      * @inner
      */
-    const _createFirstRevision = async function(user, { tags } = {}) {
+    const _createFirstRevision = async function(user, { tags, summary } = {}) {
       let firstRev = new Model({});
       const uuid = await r.uuid();
       firstRev._revID = uuid;
       firstRev._revUser = user.id;
       firstRev._revDate = new Date();
       firstRev._revTags = tags;
+      firstRev._revSummary = summary;
       return firstRev;
     };
     return _createFirstRevision;
@@ -199,13 +401,17 @@ const revision = {
      *  set of tags to associate with the deletion revision. The first tag will
      *  always be 'delete', but you can specify, e.g., the method by which
      *  the deletion occurred.
+     * @param {Object} options.fields
+     *  fields to set in the deletion revision, which is saved with them, e.g.,
+     *  the `mergedInto` field of things
      * @returns {Model}
      *  revision with deletion metadata
      * @memberof Revision
      * @inner
      */
     const _deleteAllRevisions = async function(user, {
-      tags = []
+      tags = [],
+      fields = {}
     } = {}) {
       const id = this.id;
       tags.unshift('delete');
@@ -214,16 +420,130 @@ const revision = {
       // information about the deletion itself (date, user who
       // performed it, tags, etc.)
       const rev = await this.newRevision(user, { tags });
+      Object.assign(rev, fields);
       rev._revDeleted = true;
       await rev.save();
 
       // Update all other rows
-      await Model.filter({ _oldRevOf: id }).update({ _revDeleted: true });
+      await Model
+        .getAll(id, { index: '_oldRevOf' })
+        .update({ _revDeleted: true });
       return rev;
     };
     return _deleteAllRevisions;
   },
 
+  /**
+   * Get a function that reverses {@link Revision~_deleteAllRevisions}: it
+   * marks all revisions of a deleted object as not deleted, and saves the
+   * undeletion metadata as a new revision.
+   *
+   * @param {Model} Model
+   *  the Model we want to attach the handler to
+   * @returns {Function}
+   *  function we can attach as an instance method via `Model.define`. See
+   *  {@link Revision~_undeleteAllRevisions}.
+   * @memberof Revision
+   */
+  getUndeleteAllRevisionsHandler(Model) {
+
+    /**
+     * Function obtained via {@link Revision.getUndeleteAllRevisionsHandler}.
+     * Must be called on the current (deleted) revision. The deletion revision
+     * itself is kept as an old revision, so the history shows who deleted
+     * the object and when.
+     *
+     * Revisions are restored as a whole, so any revisions that were deleted
+     * individually before the object was deleted are restored as well.
+     *
+     * @param {User} user
+     *  the user we want to associate with this undeletion action
+     * @param {Object} [options]
+     *  revision options
+     * @param {String[]} options.tags
+     *  set of tags to associate with the new revision. The first tag will
+     *  always be 'undelete'.
+     * @returns {Model}
+     *  new revision, saved
+     * @memberof Revision
+     * @inner
+     * @this model
+     */
+    const _undeleteAllRevisions = async function(user, {
+      tags = []
+    } = {}) {
+      const id = this.id;
+      tags.unshift('undelete');
+
+      const rev = await this.newRevision(user, { tags });
+      rev._revDeleted = false;
+      await rev.save();
+
+      // Includes the archived copy of the deletion revision
+      await Model
+        .getAll(id, { index: '_oldRevOf' })
+        .update({ _revDeleted: false });
+      return rev;
+    };
+    return _undeleteAllRevisions;
+  },
+
+  /**
+   * Get handler to obtain deleted objects, most recently deleted first.
+   *
+   * @param {Model} Model
+   *  the table to query with this handler
+   * @returns {Function}
+   *  function we can attach as a static method to the Model via
+   *  `Model.getDeleted = fn`. See {@link Revision~_getDeleted}.
+   * @memberof Revision
+   */
+  getDeletedHandler(Model) {
+
+    /**
+     * Function obtained via {@link Revision.getDeletedHandler}.
+     *
+     * @param {Object} [options]
+     *  query options
+     * @param {Date} options.offsetDate
+     *  only get objects deleted before this date
+     * @param {Number} [options.limit=25]
+     *  maximum number of objects to get
+     * @returns {Object}
+     *  feed of the form `{ items, offsetDate }`. The current (deleted)
+     *  revisions are in `items`. `offsetDate` is set if there are more
+     *  objects, and can be used to get them.
+     * @memberof Revision
+     * @inner
+     */
+    const _getDeleted = async function({ offsetDate, limit = 25 } = {}) {
+      let query = Model;
+
+      if (offsetDate && offsetDate.valueOf)
+        query = query.between(r.minval, offsetDate, {
+          index: '_revDate',
+          rightBound: 'open'
+        });
+
+      query = query
+        .orderBy({ index: r.desc('_revDate') })
+        .filter({ _revDeleted: true })
+        .filter({ _oldRevOf: false }, { default: true });
+
+      const feed = {
+        items: await query.limit(limit + 1)
+      };
+
+      // At least one additional document available, set offset for pagination
+      if (feed.items.length == limit + 1) {
+        feed.offsetDate = feed.items[limit - 1]._revDate;
+        feed.items.pop();
+      }
+      return feed;
+    };
+    return _getDeleted;
+  },
+
 
   /**
    * Obtain a copy of the standard revision schema.
@@ -247,7 +567,8 @@ const revision = {
         .required(true), // Set this for all revisions, including current
       _oldRevOf: type.string(), // Only set if it's an old revision of an existing thing
       _revDeleted: type.boolean(), // Set to true for all deleted revisions (not all revisions have to be deleted)
-      _revTags: [type.string()] // Optional tags to describe action performed through this revision, e.g. edit, delete, etc.
+      _revTags: [type.string()], // Optional tags to describe action performed through this revision, e.g. edit, delete, etc.
+      _revSummary: type.string() // Optional summary of the change, entered by the user. Stored escaped.
     };
   }
 };
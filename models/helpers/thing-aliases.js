@@ -0,0 +1,69 @@
+'use strict';
+
+/**
+ * Helper functions for the aliases of review subjects ({@link Thing} objects),
+ * which are stored as arrays of strings keyed by language.
+ *
+ * @namespace ThingAliases
+ */
+
+const thingAliases = {
+
+  /**
+   * Count the aliases of a thing in all languages.
+   *
+   * @param {Object} [aliases={}]
+   *  arrays of aliases, keyed by language
+   * @returns {Number}
+   *  the number of aliases
+   * @memberof ThingAliases
+   */
+  countAliases(aliases = {}) {
+    return Object.keys(aliases)
+      .reduce((count, language) => count + (aliases[language] || []).length, 0);
+  },
+
+  /**
+   * Get the labels and aliases of a thing that another thing does not have as
+   * its label or aliases yet, e.g., to add them to the other thing when
+   * merging the two. The other thing keeps at most `maxAliases` aliases, so
+   * any beyond that are returned separately.
+   *
+   * @param {Thing} source
+   *  the thing to get labels and aliases from
+   * @param {Thing} target
+   *  the thing to compare with
+   * @param {Number} maxAliases
+   *  maximum number of aliases the target may have
+   * @returns {Object}
+   *  `{ aliases, droppedAliases }`, both arrays of aliases keyed by language.
+   *  `aliases` can be added to the target; `droppedAliases` would exceed
+   *  `maxAliases`.
+   * @memberof ThingAliases
+   */
+  getNewAliases(source, target, maxAliases) {
+    const aliases = {},
+      droppedAliases = {};
+    let count = thingAliases.countAliases(target.aliases);
+    const addAlias = (language, alias) => {
+      const known = ((target.aliases || {})[language] || [])
+        .concat((target.label || {})[language] || [])
+        .concat(aliases[language] || [])
+        .concat(droppedAliases[language] || []);
+      if (!alias || known.includes(alias))
+        return;
+      const addTo = count < maxAliases ? aliases : droppedAliases;
+      addTo[language] = (addTo[language] || []).concat(alias);
+      count++;
+    };
+
+    for (let language in source.label || {})
+      addAlias(language, source.label[language]);
+    for (let language in source.aliases || {})
+      source.aliases[language].forEach(alias => addAlias(language, alias));
+    return { aliases, droppedAliases };
+  }
+
+};
+
+module.exports = thingAliases;
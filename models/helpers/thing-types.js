@@ -0,0 +1,449 @@
+'use strict';
+// Internal deps
+const thinky = require('../../db');
+const type = thinky.type;
+const mlString = require('./ml-string');
+const ReportedError = require('../../util/reported-error');
+
+/**
+ * Types of review subjects ({@link Thing} objects), and the fields that only
+ * apply to review subjects of a given type. Review subjects without a type
+ * (e.g., because they were created before types were introduced) may still
+ * have values for these fields, but only the fields of a subject's type can be
+ * edited.
+ *
+ * @namespace ThingTypes
+ */
+
+// Field definitions:
+// - schema: Thinky type definition
+// - multilingual: multilingual strings are edited one language at a time
+// - editable: set to false for fields that can only be filled in from external
+//   sources via adapters
+// - normalize: function that turns user input into the stored value, or
+//   returns undefined if it is not valid (reported using the
+//   `invalidMessage`). Only for non-multilingual fields.
+// - format: function that turns a stored object value back into a string, for
+//   display and editing
+// - labelKey, titleKey, helpKey: message keys for the field name, the title of
+//   the edit form, and the help text shown in it
+// - icon: Font Awesome icon shown with the value
+const fields = {
+  // Many creative works have a subtitle that we don't typically include as part
+  // of the label.
+  subtitle: {
+    schema: mlString.getSchema(),
+    multilingual: true,
+    labelKey: 'thing subtitle',
+    titleKey: 'edit subtitle',
+    helpKey: 'thing subtitle help',
+    icon: 'fa-header'
+  },
+  // For creative works like books, magazine articles. Author names can be
+  // transliterated, hence also a multilingual field. However, it is advisable
+  // to treat it as monolingual in presentation (i.e. avoid indicating language),
+  // since cross-language differences are the exception and not the norm.
+  authors: {
+    schema: [mlString.getSchema({ maxLength: 256 })],
+    multilingual: true,
+    editable: false,
+    labelKey: 'thing authors',
+    icon: 'fa-user'
+  },
+  // Stored without hyphens; ISBN-10 and ISBN-13 are both accepted
+  isbn: {
+    schema: type.string().validator(_isNormalized(_normalizeISBN)),
+    normalize: _normalizeISBN,
+    invalidMessage: 'invalid isbn',
+    labelKey: 'thing isbn',
+    titleKey: 'edit isbn',
+    helpKey: 'thing isbn help',
+    icon: 'fa-barcode'
+  },
+  publisher: {
+    schema: mlString.getSchema({ maxLength: 256 }),
+    multilingual: true,
+    labelKey: 'thing publisher',
+    titleKey: 'edit publisher',
+    helpKey: 'thing publisher help',
+    icon: 'fa-building'
+  },
+  address: {
+    schema: mlString.getSchema({ maxLength: 512 }),
+    multilingual: true,
+    labelKey: 'thing address',
+    titleKey: 'edit address',
+    helpKey: 'thing address help',
+    icon: 'fa-map-marker'
+  },
+  // Street address, postal code, etc., in separate properties named after the
+  // schema.org PostalAddress properties. Imported from OpenStreetMap and used
+  // for search and microdata; not listed separately from the address above.
+  postalAddress: {
+    schema: {
+      streetAddress: type.string().max(256),
+      postalCode: type.string().max(32),
+      addressLocality: type.string().max(256),
+      addressRegion: type.string().max(256),
+      addressCountry: type.string().max(256)
+    },
+    normalize: _normalizePostalAddress,
+    editable: false
+  },
+  // Latitude and longitude in decimal degrees (WGS 84). Users can enter them
+  // as they are shown by most map sites, e.g., "52.5163, 13.3777".
+  coordinates: {
+    schema: {
+      lat: type.number().min(-90)
+        .max(90),
+      lon: type.number().min(-180)
+        .max(180)
+    },
+    normalize: _normalizeCoordinates,
+    format: _formatCoordinates,
+    invalidMessage: 'invalid coordinates',
+    labelKey: 'thing coordinates',
+    titleKey: 'edit coordinates',
+    helpKey: 'thing coordinates help',
+    icon: 'fa-globe'
+  },
+  // In OpenStreetMap syntax, e.g., "Mo-Fr 09:00-17:00; Sa 10:00-14:00", see
+  // https://wiki.openstreetmap.org/wiki/Key:opening_hours
+  openingHours: {
+    schema: type.string().validator(_isNormalized(_normalizeOpeningHours)),
+    normalize: _normalizeOpeningHours,
+    invalidMessage: 'invalid opening hours',
+    labelKey: 'thing opening hours',
+    titleKey: 'edit opening hours',
+    helpKey: 'thing opening hours help',
+    icon: 'fa-clock-o'
+  },
+  director: {
+    schema: mlString.getSchema({ maxLength: 256 }),
+    multilingual: true,
+    labelKey: 'thing director',
+    titleKey: 'edit director',
+    helpKey: 'thing director help',
+    icon: 'fa-video-camera'
+  },
+  releaseYear: {
+    schema: type.number().integer().min(1000)
+      .max(9999),
+    normalize: _normalizeYear,
+    invalidMessage: 'invalid release year',
+    labelKey: 'thing release year',
+    titleKey: 'edit release year',
+    helpKey: 'thing release year help',
+    icon: 'fa-calendar'
+  },
+  manufacturer: {
+    schema: mlString.getSchema({ maxLength: 256 }),
+    multilingual: true,
+    labelKey: 'thing manufacturer',
+    titleKey: 'edit manufacturer',
+    helpKey: 'thing manufacturer help',
+    icon: 'fa-industry'
+  },
+  // Barcode number (EAN, UPC), stored without spaces
+  gtin: {
+    schema: type.string().validator(_isNormalized(_normalizeGTIN)),
+    normalize: _normalizeGTIN,
+    invalidMessage: 'invalid gtin',
+    labelKey: 'thing gtin',
+    titleKey: 'edit gtin',
+    helpKey: 'thing gtin help',
+    icon: 'fa-barcode'
+  },
+  developer: {
+    schema: mlString.getSchema({ maxLength: 256 }),
+    multilingual: true,
+    labelKey: 'thing developer',
+    titleKey: 'edit developer',
+    helpKey: 'thing developer help',
+    icon: 'fa-code'
+  },
+  // Ideally an SPDX identifier like "GPL-3.0-or-later"
+  license: {
+    schema: type.string().validator(_isNormalized(_normalizeLicense)),
+    normalize: _normalizeLicense,
+    invalidMessage: 'invalid software license',
+    labelKey: 'thing software license',
+    titleKey: 'edit software license',
+    helpKey: 'thing software license help',
+    icon: 'fa-balance-scale'
+  }
+};
+
+// Fields are listed in the order in which they are shown. `schemaOrgType` is
+// used for microdata on the page of a review subject.
+const types = {
+  book: {
+    labelKey: 'thing type book',
+    fields: ['subtitle', 'authors', 'isbn', 'publisher'],
+    schemaOrgType: 'Book'
+  },
+  place: {
+    labelKey: 'thing type place',
+    fields: ['address', 'postalAddress', 'coordinates', 'openingHours'],
+    schemaOrgType: 'Place'
+  },
+  film: {
+    labelKey: 'thing type film',
+    fields: ['director', 'releaseYear'],
+    schemaOrgType: 'Movie'
+  },
+  product: {
+    labelKey: 'thing type product',
+    fields: ['manufacturer', 'gtin'],
+    schemaOrgType: 'Product'
+  },
+  software: {
+    labelKey: 'thing type software',
+    fields: ['developer', 'license'],
+    schemaOrgType: 'SoftwareApplication'
+  }
+};
+
+const thingTypes = {
+
+  /**
+   * Obtain the Thinky type definitions for all type-specific fields, to be
+   * added to the schema of the Thing model.
+   *
+   * @returns {Object}
+   *  field names as keys, type definitions as values
+   * @memberof ThingTypes
+   */
+  getSchema() {
+    const schema = {};
+    for (let name in fields)
+      schema[name] = fields[name].schema;
+    return schema;
+  },
+
+  /**
+   * @returns {String[]}
+   *  identifiers of all types, e.g., 'book'
+   * @memberof ThingTypes
+   */
+  getTypeIDs() {
+    return Object.keys(types);
+  },
+
+  /**
+   * @param {String} typeID
+   *  identifier of a type
+   * @returns {Boolean}
+   *  whether the type exists
+   * @memberof ThingTypes
+   */
+  isValid(typeID) {
+    return types.hasOwnProperty(typeID);
+  },
+
+  /**
+   * @param {String} typeID
+   *  identifier of a type
+   * @returns {Object}
+   *  the type definition, or undefined for unknown types
+   * @memberof ThingTypes
+   */
+  getType(typeID) {
+    return thingTypes.isValid(typeID) ? types[typeID] : undefined;
+  },
+
+  /**
+   * @returns {String[]}
+   *  names of all type-specific fields
+   * @memberof ThingTypes
+   */
+  getAllFieldNames() {
+    return Object.keys(fields);
+  },
+
+  /**
+   * @param {String} name
+   *  name of a type-specific field
+   * @returns {Object}
+   *  the field definition, or undefined if there is no such field
+   * @memberof ThingTypes
+   */
+  getField(name) {
+    return fields.hasOwnProperty(name) ? fields[name] : undefined;
+  },
+
+  /**
+   * Get the names of the fields that apply to a type.
+   *
+   * @param {String} typeID
+   *  identifier of a type; may be undefined
+   * @param {Object} [options]
+   *  filter options
+   * @param {Boolean} options.onlyEditable=false
+   *  exclude fields that can only be filled in via adapters
+   * @returns {String[]}
+   *  field names, in display order; empty for unknown types
+   * @memberof ThingTypes
+   */
+  getFieldNames(typeID, { onlyEditable = false } = {}) {
+    const typeDef = thingTypes.getType(typeID);
+    if (!typeDef)
+      return [];
+    return typeDef.fields.filter(name => !onlyEditable || fields[name].editable !== false);
+  },
+
+  /**
+   * Turn user input for a non-multilingual field into the value to store.
+   * Input is trimmed; empty input clears the field.
+   *
+   * @param {String} name
+   *  name of the field
+   * @param {String} input
+   *  unescaped user input
+   * @returns {String|Number}
+   *  the value to store (unescaped), or undefined to clear the field
+   * @throws {ReportedError}
+   *  if the input is not valid for this field
+   * @memberof ThingTypes
+   */
+  normalizeValue(name, input) {
+    const field = fields[name];
+    const str = typeof input == 'string' ? input.trim() : '';
+    if (!str)
+      return undefined;
+
+    const value = field.normalize(str);
+    if (value === undefined)
+      throw new ReportedError({
+        message: 'Value %s is not valid for the %s field of a review subject.',
+        messageParams: [str, name],
+        userMessage: field.invalidMessage,
+        userMessageParams: [str]
+      });
+    return value;
+  },
+
+  /**
+   * Turn the stored value of a non-multilingual field into a string, e.g., to
+   * show it in the edit form or to compare it against submitted input.
+   *
+   * @param {String} name
+   *  name of the field
+   * @param {*} value
+   *  stored value
+   * @returns {String}
+   *  the value as a string, or undefined if there is no value
+   * @memberof ThingTypes
+   */
+  formatValue(name, value) {
+    const field = thingTypes.getField(name);
+    if (value === undefined)
+      return undefined;
+    return field && field.format ? field.format(value) : String(value);
+  },
+
+  /**
+   * Check a value obtained from an external source (see adapters/) for any
+   * field. Values of non-multilingual type-specific fields are normalized
+   * (strings are trimmed first); all other values are passed through.
+   *
+   * @param {String} name
+   *  name of the field
+   * @param {*} value
+   *  value from the external source
+   * @returns {*}
+   *  the value to store, or undefined if it is not valid
+   * @memberof ThingTypes
+   */
+  getExternalValue(name, value) {
+    const field = thingTypes.getField(name);
+    if (!field || !field.normalize || value === undefined)
+      return value;
+    return field.normalize(typeof value == 'object' ? value : String(value).trim());
+  }
+
+};
+
+// Normalizers return undefined for invalid input. Apart from postal addresses,
+// valid values never contain characters that need to be escaped in HTML.
+
+// Schema validator for stored values, which must already be normalized
+function _isNormalized(normalize) {
+  return value => value === undefined || normalize(value) === value;
+}
+
+function _normalizeISBN(str) {
+  const isbn = str.replace(/[\s-]/g, '').toUpperCase();
+  if (/^\d{9}[\dX]$/.test(isbn)) {
+    let sum = 0;
+    for (let i = 0; i < 10; i++)
+      sum += (10 - i) * (isbn[i] == 'X' ? 10 : Number(isbn[i]));
+    return sum % 11 === 0 ? isbn : undefined;
+  }
+  return /^97[89]\d{10}$/.test(isbn) && _hasValidGTINCheckDigit(isbn) ? isbn : undefined;
+}
+
+function _normalizeGTIN(str) {
+  const gtin = str.replace(/\s/g, '');
+  return /^(\d{8}|\d{12,14})$/.test(gtin) && _hasValidGTINCheckDigit(gtin) ? gtin : undefined;
+}
+
+// GTINs (which include ISBN-13s) share a check digit algorithm: digits are
+// weighted 3 and 1 alternately, starting from the right
+function _hasValidGTINCheckDigit(digits) {
+  let sum = 0;
+  for (let i = digits.length - 2, weight = 3; i >= 0; i--, weight = 4 - weight)
+    sum += weight * Number(digits[i]);
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+function _normalizeYear(str) {
+  return /^\d{4}$/.test(str) && Number(str) >= 1000 ? Number(str) : undefined;
+}
+
+// We don't attempt to parse the full opening hours syntax, but restrict input
+// to the characters it uses (except for quoted comments)
+function _normalizeOpeningHours(str) {
+  return str.length <= 255 && /^[\w\s:;,.+\-/[\]]+$/.test(str) ? str : undefined;
+}
+
+function _normalizeLicense(str) {
+  return str.length <= 100 && !/[<>&"']/.test(str) ? str : undefined;
+}
+
+// Accepts "lat, lon" strings and `{ lat, lon }` objects. Coordinates are
+// rounded to 7 decimal places (about 1 cm).
+function _normalizeCoordinates(input) {
+  let lat, lon;
+  if (typeof input == 'string') {
+    const match = input.match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+    if (!match)
+      return undefined;
+    [lat, lon] = [Number(match[1]), Number(match[2])];
+  } else if (input && typeof input == 'object') {
+    [lat, lon] = [Number(input.lat), Number(input.lon)];
+  }
+  if (!(Math.abs(lat) <= 90 && Math.abs(lon) <= 180))
+    return undefined;
+  const round = number => Math.round(number * 1e7) / 1e7;
+  return { lat: round(lat), lon: round(lon) };
+}
+
+function _formatCoordinates(coordinates) {
+  return `${coordinates.lat}, ${coordinates.lon}`;
+}
+
+// Keeps the known properties that have non-empty string values. Values are
+// not escaped here; adapters escape them like other text they import.
+function _normalizePostalAddress(input) {
+  if (!input || typeof input != 'object')
+    return undefined;
+  const address = {};
+  for (let key of ['streetAddress', 'postalCode', 'addressLocality', 'addressRegion', 'addressCountry']) {
+    if (typeof input[key] == 'string' && input[key].trim())
+      address[key] = input[key].trim();
+  }
+  return Object.keys(address).length ? address : undefined;
+}
+
+module.exports = thingTypes;
@@ -0,0 +1,257 @@
+'use strict';
+
+/**
+ * Model for proposed translations of a review's title and text into another
+ * language. Trusted users can propose translations of reviews they did not
+ * write; the author of the review approves or rejects them. An approved
+ * translation is added to the review as a new revision credited to the
+ * translator (see {@link ReviewTranslation.approve}).
+ *
+ * This model is not versioned.
+ *
+ * @namespace ReviewTranslation
+ */
+const escapeHTML = require('escape-html');
+const thinky = require('../db');
+const r = thinky.r;
+const type = thinky.type;
+const User = require('./user');
+const Review = require('./review');
+const ReportedError = require('../util/reported-error');
+const isValidLanguage = require('../locales/languages').isValid;
+const md = require('../util/md');
+
+const translationOptions = {
+  // 'pending' until the author of the review has approved or rejected it
+  statuses: ['pending', 'approved', 'rejected']
+};
+
+/* eslint-disable newline-per-chained-call */ /* for schema readability */
+let reviewTranslationSchema = {
+  id: type.string().uuid(4),
+  reviewID: type.string().uuid(4).required(true),
+  // Language of the translation, never the review's original language
+  language: type.string().max(4).required(true).validator(isValidLanguage),
+  // HTML-escaped, as in reviews
+  title: type.string().max(Review.options.maxTitleLength).required(true),
+  // HTML-escaped markdown, and the HTML rendered from it
+  text: type.string().required(true),
+  html: type.string().required(true),
+  createdOn: type.date().required(true),
+  createdBy: type.string().uuid(4).required(true),
+  status: type.string().enum(translationOptions.statuses).default('pending'),
+  resolvedOn: type.date()
+};
+/* eslint-enable newline-per-chained-call */ /* for schema readability */
+
+let ReviewTranslation = thinky.createModel("review_translations", reviewTranslationSchema);
+
+ReviewTranslation.ensureIndex("reviewID");
+
+ReviewTranslation.belongsTo(User, "creator", "createdBy", "id");
+
+ReviewTranslation.options = translationOptions; // for external visibility
+Object.freeze(ReviewTranslation.options);
+
+// NOTE: STATIC METHODS --------------------------------------------------------
+
+/**
+ * Propose a translation of a review. If the user already has a pending
+ * proposal for the same review and language, it is replaced.
+ *
+ * @param {Review} review
+ *  the review to translate
+ * @param {User} user
+ *  the user proposing the translation
+ * @param {Object} data
+ *  translation data
+ * @param {String} data.language
+ *  language of the translation
+ * @param {String} data.title
+ *  translated title, not escaped
+ * @param {String} data.text
+ *  translated text (markdown), not escaped
+ * @returns {ReviewTranslation}
+ *  the saved proposal
+ * @throws {ReportedError}
+ *  if users are not trusted, if they try to translate their own review, or
+ *  if the translation is not valid
+ * @async
+ */
+ReviewTranslation.propose = async function(review, user, { language, title, text }) {
+  if (!user.isTrusted && !user.isSuperUser)
+    throw new ReportedError({
+      message: 'User %s is not trusted to translate reviews.',
+      messageParams: [user.id],
+      userMessage: 'must be trusted to translate'
+    });
+
+  if (review.createdBy === user.id)
+    throw new ReportedError({
+      message: 'User %s tried to propose a translation of their own review %s.',
+      messageParams: [user.id, review.id],
+      userMessage: 'cannot translate own review'
+    });
+
+  if (!isValidLanguage(language) || language === review.originalLanguage)
+    throw new ReportedError({
+      message: 'Invalid translation language: %s',
+      messageParams: [String(language)],
+      userMessage: 'invalid translation language'
+    });
+
+  title = typeof title == 'string' ? escapeHTML(title.trim()) : '';
+  text = typeof text == 'string' ? text.trim() : '';
+  if (!title || !text || title.length > Review.options.maxTitleLength)
+    throw new ReportedError({
+      message: 'Translation needs a title of limited length and a text.',
+      userMessage: 'invalid translation',
+      userMessageParams: [String(Review.options.maxTitleLength)]
+    });
+
+  let [translation] = await ReviewTranslation
+    .getAll(review.id, { index: 'reviewID' })
+    .filter({ createdBy: user.id, language, status: 'pending' })
+    .limit(1);
+
+  if (!translation)
+    translation = new ReviewTranslation({
+      reviewID: review.id,
+      language,
+      createdBy: user.id,
+      status: 'pending'
+    });
+
+  Object.assign(translation, {
+    title,
+    text: escapeHTML(text),
+    html: md.render(text, { language }),
+    createdOn: new Date()
+  });
+  return await translation.save();
+};
+
+/**
+ * Get the pending translation proposals for a review, oldest first.
+ *
+ * @param {String} reviewID
+ *  ID of the review
+ * @returns {ReviewTranslation[]}
+ *  the proposals, with a populated `.creator`
+ * @async
+ */
+ReviewTranslation.getPending = async function(reviewID) {
+  return await ReviewTranslation
+    .getAll(reviewID, { index: 'reviewID' })
+    .filter({ status: 'pending' })
+    .orderBy('createdOn')
+    .getJoin({
+      creator: {
+        _apply: seq => seq.without('password')
+      }
+    });
+};
+
+/**
+ * Count the pending translation proposals for a review.
+ *
+ * @param {String} reviewID
+ *  ID of the review
+ * @returns {Number}
+ *  number of proposals
+ * @async
+ */
+ReviewTranslation.countPending = async function(reviewID) {
+  return await r
+    .table('review_translations')
+    .getAll(reviewID, { index: 'reviewID' })
+    .filter({ status: 'pending' })
+    .count();
+};
+
+/**
+ * Approve a pending translation proposal, and add the translation to the
+ * review as a new revision. The revision is credited to the translator.
+ *
+ * @param {ReviewTranslation} translation
+ *  the proposal to approve
+ * @param {Review} review
+ *  the current revision of the translated review, without joined data
+ * @param {User} user
+ *  the user approving the proposal, who must be the author of the review
+ * @returns {Review}
+ *  the new revision of the review
+ * @throws {ReportedError}
+ *  if the user is not the author, or if the proposal is no longer pending
+ * @async
+ */
+ReviewTranslation.approve = async function(translation, review, user) {
+  ReviewTranslation.checkResolvable(translation, review, user);
+
+  const newRev = await review.newRevision({ id: translation.createdBy }, {
+    tags: ['translate-via-proposal']
+  });
+  const { language } = translation;
+  newRev.title[language] = translation.title;
+  newRev.text[language] = translation.text;
+  newRev.html[language] = translation.html;
+  await newRev.save();
+
+  translation.status = 'approved';
+  translation.resolvedOn = new Date();
+  await translation.save();
+  return newRev;
+};
+
+/**
+ * Reject a pending translation proposal.
+ *
+ * @param {ReviewTranslation} translation
+ *  the proposal to reject
+ * @param {Review} review
+ *  the translated review
+ * @param {User} user
+ *  the user rejecting the proposal, who must be the author of the review
+ * @returns {ReviewTranslation}
+ *  the rejected proposal
+ * @throws {ReportedError}
+ *  if the user is not the author, or if the proposal is no longer pending
+ * @async
+ */
+ReviewTranslation.reject = async function(translation, review, user) {
+  ReviewTranslation.checkResolvable(translation, review, user);
+
+  translation.status = 'rejected';
+  translation.resolvedOn = new Date();
+  return await translation.save();
+};
+
+/**
+ * Check that a user may approve or reject a translation proposal.
+ *
+ * @param {ReviewTranslation} translation
+ *  the proposal
+ * @param {Review} review
+ *  the translated review
+ * @param {User} user
+ *  the user resolving the proposal
+ * @throws {ReportedError}
+ *  if the user is not the author, or if the proposal is no longer pending
+ */
+ReviewTranslation.checkResolvable = function(translation, review, user) {
+  if (translation.reviewID !== review.id || review.createdBy !== user.id)
+    throw new ReportedError({
+      message: 'User %s tried to resolve translation %s, but is not the review author.',
+      messageParams: [user.id, translation.id],
+      userMessage: 'only author can resolve translation'
+    });
+
+  if (translation.status !== 'pending')
+    throw new ReportedError({
+      message: 'Translation %s has already been resolved.',
+      messageParams: [translation.id],
+      userMessage: 'translation already resolved'
+    });
+};
+
+module.exports = ReviewTranslation;
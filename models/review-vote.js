@@ -0,0 +1,199 @@
+'use strict';
+
+/**
+ * Model for votes on whether a review is helpful. Each user has at most one
+ * vote per review, which they can change or retract. Authors cannot vote on
+ * their own reviews. Votes are used to rank reviews by helpfulness (see
+ * {@link ReviewVote.getScore}).
+ *
+ * This model is not versioned.
+ *
+ * @namespace ReviewVote
+ */
+const thinky = require('../db');
+const type = thinky.type;
+const ReportedError = require('../util/reported-error');
+
+const voteOptions = {
+  // Values that can be submitted; 'none' retracts a vote
+  votes: ['helpful', 'not-helpful', 'none'],
+  // Normal quantile for the confidence level of the helpfulness score (95%)
+  scoreConfidence: 1.96
+};
+
+/* eslint-disable newline-per-chained-call */ /* for schema readability */
+let reviewVoteSchema = {
+  // Derived from the review and user IDs, see ReviewVote.getKey
+  id: type.string(),
+  reviewID: type.string().uuid(4).required(true),
+  userID: type.string().uuid(4).required(true),
+  helpful: type.boolean().required(true),
+  createdOn: type.date().required(true)
+};
+/* eslint-enable newline-per-chained-call */ /* for schema readability */
+
+let ReviewVote = thinky.createModel("review_votes", reviewVoteSchema);
+
+ReviewVote.ensureIndex("reviewID");
+
+ReviewVote.options = voteOptions; // for external visibility
+Object.freeze(ReviewVote.options);
+
+// NOTE: STATIC METHODS --------------------------------------------------------
+
+/**
+ * Get the primary key of a user's vote on a review. Using it as the ID ensures
+ * that there is only one vote per user and review.
+ *
+ * @param {String} reviewID
+ *  ID of the review
+ * @param {String} userID
+ *  ID of the user
+ * @returns {String}
+ *  key of the vote
+ */
+ReviewVote.getKey = function(reviewID, userID) {
+  return `${reviewID}:${userID}`;
+};
+
+/**
+ * Record, change or retract a user's vote on a review.
+ *
+ * @param {Review} review
+ *  the review to vote on
+ * @param {User} user
+ *  the user casting the vote
+ * @param {String} vote
+ *  one of `ReviewVote.options.votes`
+ * @returns {ReviewVote}
+ *  the saved vote, or undefined if it was retracted
+ * @throws {ReportedError}
+ *  if the vote is not valid, or if users try to vote on their own review
+ * @async
+ */
+ReviewVote.cast = async function(review, user, vote) {
+  if (!voteOptions.votes.includes(vote))
+    throw new ReportedError({
+      message: 'Invalid vote: %s',
+      messageParams: [String(vote)],
+      userMessage: 'invalid vote'
+    });
+
+  if (review.createdBy === user.id)
+    throw new ReportedError({
+      message: 'User %s tried to vote on their own review %s.',
+      messageParams: [user.id, review.id],
+      userMessage: 'cannot vote on own review'
+    });
+
+  const id = ReviewVote.getKey(review.id, user.id);
+  let [existingVote] = await ReviewVote.getAll(id);
+
+  if (vote == 'none') {
+    if (existingVote)
+      await existingVote.delete();
+    return undefined;
+  }
+
+  const helpful = vote == 'helpful';
+  if (existingVote) {
+    existingVote.helpful = helpful;
+    existingVote.createdOn = new Date();
+    return await existingVote.save();
+  }
+
+  return await new ReviewVote({
+    id,
+    reviewID: review.id,
+    userID: user.id,
+    helpful,
+    createdOn: new Date()
+  }).save();
+};
+
+/**
+ * Count the votes for a set of reviews.
+ *
+ * @param {String[]} reviewIDs
+ *  IDs of the reviews
+ * @returns {Object}
+ *  `{ helpful, notHelpful, score }` for each review ID. Reviews without
+ *  votes are included with counts of 0.
+ * @async
+ */
+ReviewVote.getCounts = async function(reviewIDs) {
+  const counts = {};
+  for (let reviewID of reviewIDs)
+    counts[reviewID] = { helpful: 0, notHelpful: 0 };
+
+  if (reviewIDs.length) {
+    const groups = await ReviewVote
+      .getAll(...reviewIDs, { index: 'reviewID' })
+      .group('reviewID', 'helpful')
+      .count()
+      .ungroup()
+      .execute();
+
+    for (let group of groups) {
+      const [reviewID, helpful] = group.group;
+      counts[reviewID][helpful ? 'helpful' : 'notHelpful'] = group.reduction;
+    }
+  }
+
+  for (let reviewID in counts)
+    counts[reviewID].score = ReviewVote.getScore(counts[reviewID].helpful, counts[reviewID].notHelpful);
+
+  return counts;
+};
+
+/**
+ * Get a user's votes on a set of reviews.
+ *
+ * @param {String[]} reviewIDs
+ *  IDs of the reviews
+ * @param {User} user
+ *  the user whose votes to look up
+ * @returns {Object}
+ *  'helpful' or 'not-helpful' for each review ID the user has voted on
+ * @async
+ */
+ReviewVote.getUserVotes = async function(reviewIDs, user) {
+  const userVotes = {};
+  if (!reviewIDs.length)
+    return userVotes;
+
+  const votes = await ReviewVote.getAll(...reviewIDs.map(reviewID => ReviewVote.getKey(reviewID, user.id)));
+  for (let vote of votes)
+    userVotes[vote.reviewID] = vote.helpful ? 'helpful' : 'not-helpful';
+
+  return userVotes;
+};
+
+/**
+ * Calculate the helpfulness score of a review: the lower bound of the Wilson
+ * score interval for the share of "helpful" votes. A review with few votes
+ * ranks below one with a similar share of many votes, since we can be less
+ * certain that its share is representative.
+ *
+ * @param {Number} helpful
+ *  number of "helpful" votes
+ * @param {Number} notHelpful
+ *  number of "not helpful" votes
+ * @returns {Number}
+ *  score between 0 and 1; 0 if there are no votes
+ */
+ReviewVote.getScore = function(helpful, notHelpful) {
+  const n = helpful + notHelpful;
+  if (!n)
+    return 0;
+
+  const z = voteOptions.scoreConfidence,
+    p = helpful / n,
+    center = p + (z * z / (2 * n)),
+    margin = z * Math.sqrt((p * (1 - p) / n) + (z * z / (4 * n * n)));
+  // Rounding errors can result in tiny negative values if there are no
+  // helpful votes
+  return Math.max(0, (center - margin) / (1 + (z * z / n)));
+};
+
+module.exports = ReviewVote;
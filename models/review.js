@@ -14,6 +14,7 @@ const mlString = require('./helpers/ml-string');
 const ReportedError = require('../util/reported-error');
 const User = require('./user');
 const Thing = require('./thing');
+const ReviewVote = require('./review-vote');
 const revision = require('./helpers/revision');
 const isValidLanguage = require('../locales/languages').isValid;
 const adapters = require('../adapters/adapters');
@@ -41,11 +42,21 @@ let reviewSchema = {
   // We track this for all objects where we want to be able to handle
   // translation permissions separately from edit permissions
   originalLanguage: type.string().max(4).validator(isValidLanguage),
+  // Set by the author to prevent comments on this review (see models/comment.js)
+  commentsDisabled: type.boolean(),
 
   // These can only be populated from the outside using a user object
   userCanDelete: type.virtual().default(false),
   userCanEdit: type.virtual().default(false),
-  userIsAuthor: type.virtual().default(false)
+  userIsAuthor: type.virtual().default(false),
+  userCanVote: type.virtual().default(false),
+  // Trusted users can propose translations (see models/review-translation.js)
+  userCanTranslate: type.virtual().default(false),
+
+  // Populated by Review.populateVotes: `{ helpful, notHelpful, score }`, and
+  // the current user's vote ('helpful' or 'not-helpful'), if any
+  votes: type.virtual(),
+  userVote: type.virtual()
 };
 
 /* eslint-enable newline-per-chained-call */
@@ -64,6 +75,9 @@ Review.belongsTo(User, "creator", "createdBy", "id");
 Review.belongsTo(Thing, "thing", "thingID", "id");
 Thing.hasMany(Review, "reviews", "id", "thingID");
 Review.ensureIndex("createdOn");
+Review.ensureIndex("thingID");
+Review.ensureIndex("_revDate");
+Review.ensureIndex("_oldRevOf");
 
 
 // NOTE: STATIC METHODS START HERE ---------------------------------------------
@@ -72,6 +86,9 @@ Review.ensureIndex("createdOn");
 
 Review.filterNotStaleOrDeleted = revision.getNotStaleOrDeletedFilterHandler(Review);
 Review.getNotStaleOrDeleted = revision.getNotStaleOrDeletedGetHandler(Review);
+Review.getRevisions = revision.getRevisionsHandler(Review);
+Review.getRecentRevisions = revision.getRecentRevisionsHandler(Review);
+Review.getDeleted = revision.getDeletedHandler(Review);
 
 // Custom methods --------------------------------------------------------------
 
@@ -153,6 +170,7 @@ Review.create = async function(reviewObj, { tags, files } = {}) {
     createdOn: reviewObj.createdOn,
     createdBy: reviewObj.createdBy,
     originalLanguage: reviewObj.originalLanguage,
+    commentsDisabled: reviewObj.commentsDisabled,
     _revID: r.uuid(),
     _revUser: reviewObj.createdBy,
     _revDate: reviewObj.createdOn,
@@ -251,11 +269,21 @@ Review.findOrCreateThing = async function(reviewObj) {
  *  author to filter by
  * @param {Date} options.offsetDate
  *  get reviews older than this date
+ * @param {Date} options.createdAfter
+ *  only get reviews created on or after this date
  * @param {Boolean} options.onlyTrusted=false
  *  only get reviews by users whose user.isTrusted is truthy. Is applied after
  *  the limit, so you may end up with fewer reviews than specified.
  * @param {String} options.thingID
  *  only get reviews of the Thing with the provided ID
+ * @param {String} options.teamID
+ *  only get reviews associated with the Team with the provided ID
+ * @param {String} options.language
+ *  only get reviews originally written in this language
+ * @param {Number} options.minRating
+ *  only get reviews with at least this star rating
+ * @param {Number} options.maxRating
+ *  only get reviews with at most this star rating
  * @param {Boolean} options.withThing=true
  *  join the associated Thing object with each review
  * @param {Boolean} options.withTeams=true
@@ -264,30 +292,43 @@ Review.findOrCreateThing = async function(reviewObj) {
  *  exclude reviews by the user with the provided ID
  * @param {Number} options.limit=10
  *  how many reviews to load
+ * @param {String} options.sortBy='date'
+ *  'date' for newest first, or 'helpfulness' to rank reviews by their
+ *  helpfulness score (see {@link ReviewVote.getScore}), then by date. Ranking
+ *  requires a `thingID`, since all reviews of the thing are scored. Votes are
+ *  populated when ranking (see {@link Review.populateVotes}).
+ * @param {Number} options.offset=0
+ *  when ranking by helpfulness, how many top-ranked reviews to skip. Used
+ *  instead of `offsetDate` for pagination.
  *
- * @returns {Review[]}
- *  the reviews matching the provided criteria
+ * @returns {Object}
+ *  `{ feedItems, offsetDate }` for feeds by date, `{ feedItems, nextOffset }`
+ *  for feeds by helpfulness. The offset values are only set if there are more
+ *  reviews.
  */
 Review.getFeed = async function({
   createdBy = undefined,
   offsetDate = undefined,
+  createdAfter = undefined,
   onlyTrusted = false,
   thingID = undefined,
+  teamID = undefined,
+  language = undefined,
+  minRating = undefined,
+  maxRating = undefined,
   withThing = true,
   withTeams = true,
   withoutCreator = undefined,
-  limit = 10
+  limit = 10,
+  sortBy = 'date',
+  offset = 0
 } = {}) {
 
-  let query = Review;
+  const byHelpfulness = sortBy == 'helpfulness';
+  if (byHelpfulness && !thingID)
+    throw new Error('Reviews can only be ranked by helpfulness for a given thing.');
 
-  if (offsetDate && offsetDate.valueOf)
-    query = query.between(r.minval, r.epochTime(offsetDate.valueOf() / 1000), {
-      index: 'createdOn',
-      rightBound: 'open' // Do not return previous record that exactly matches offset
-    });
-
-  query = query.orderBy({ index: r.desc('createdOn') });
+  let query = getFeedBaseQuery({ byHelpfulness, thingID, offsetDate, createdAfter });
 
   if (thingID)
     query = query.filter({ thingID });
@@ -298,15 +339,35 @@ Review.getFeed = async function({
   if (createdBy)
     query = query.filter({ createdBy });
 
+  if (language)
+    query = query.filter({ originalLanguage: language });
+
+  if (minRating)
+    query = query.filter(r.row('starRating').ge(minRating));
+
+  if (maxRating)
+    query = query.filter(r.row('starRating').le(maxRating));
+
   query = query
     .filter(r.row('_revDeleted').eq(false), { default: true }) // Exclude deleted
-    .filter(r.row('_oldRevOf').eq(false), { default: true }) // Exclude old
-    .limit(limit + 1); // One over limit to check if we need potentially another set
+    .filter(r.row('_oldRevOf').eq(false), { default: true }); // Exclude old
+
+  // Team associations are stored in a separate table, so we have to join them
+  // before we can filter by them (and before applying the limit)
+  if (teamID)
+    query = query
+      .getJoin({ teams: true })
+      .filter(review => review('teams')('id').contains(teamID));
+
+  // One over limit to check if we need potentially another set. Rankings are
+  // only known once we have the votes for all reviews, see below.
+  if (!byHelpfulness)
+    query = query.limit(limit + 1);
 
   if (withThing)
     query = query.getJoin({ thing: true });
 
-  if (withTeams)
+  if (withTeams && !teamID)
     query = query.getJoin({ teams: true });
 
   query = query.getJoin({
@@ -318,9 +379,15 @@ Review.getFeed = async function({
   let feedItems = await query;
   const result = {};
 
+  if (byHelpfulness)
+    feedItems = (await rankByHelpfulness(feedItems)).slice(offset, offset + limit + 1);
+
   // At least one additional document available, set offset for pagination
   if (feedItems.length == limit + 1) {
-    result.offsetDate = feedItems[limit - 1].createdOn;
+    if (byHelpfulness)
+      result.nextOffset = offset + limit;
+    else
+      result.offsetDate = feedItems[limit - 1].createdOn;
     feedItems.pop();
   }
 
@@ -332,12 +399,155 @@ Review.getFeed = async function({
 
 };
 
+// Start of a query for Review.getFeed: reviews in the given date range, newest
+// first. If they are to be ranked by helpfulness, we need all reviews of the
+// thing instead, in any order.
+function getFeedBaseQuery({ byHelpfulness, thingID, offsetDate, createdAfter }) {
+  const hasOffsetDate = offsetDate && offsetDate.valueOf;
+  const hasLowerBound = createdAfter && createdAfter.valueOf;
+  const lowerBound = hasLowerBound ? r.epochTime(createdAfter.valueOf() / 1000) : r.minval;
+  const upperBound = hasOffsetDate ? r.epochTime(offsetDate.valueOf() / 1000) : r.maxval;
+
+  if (byHelpfulness)
+    return Review
+      .getAll(thingID, { index: 'thingID' })
+      .filter(r.row('createdOn').ge(lowerBound).and(r.row('createdOn').lt(upperBound)));
+
+  let query = Review;
+  if (hasOffsetDate || hasLowerBound)
+    query = query.between(lowerBound, upperBound, {
+      index: 'createdOn',
+      rightBound: 'open' // Do not return previous record that exactly matches offset
+    });
+
+  return query.orderBy({ index: r.desc('createdOn') });
+}
+
+// Sort reviews by helpfulness score, and by date if they have the same score
+async function rankByHelpfulness(reviews) {
+  await Review.populateVotes(reviews);
+  return reviews.sort((review1, review2) => review2.votes.score - review1.votes.score ||
+    review2.createdOn - review1.createdOn);
+}
+
+/**
+ * Populate the `votes` of each of the given reviews with the number of
+ * "helpful" and "not helpful" votes and the resulting helpfulness score. If a
+ * user is given, their own votes are populated as `userVote`.
+ *
+ * @async
+ * @param {Review[]} reviews
+ *  reviews to populate
+ * @param {User} [user]
+ *  the user whose votes to look up
+ */
+Review.populateVotes = async function(reviews, user) {
+  const reviewIDs = reviews.map(review => review.id);
+  const [counts, userVotes] = await Promise.all([
+    ReviewVote.getCounts(reviewIDs),
+    user ? ReviewVote.getUserVotes(reviewIDs, user) : {}
+  ]);
+  for (let review of reviews) {
+    review.votes = counts[review.id];
+    review.userVote = userVotes[review.id];
+  }
+};
+
+/**
+ * Get the distribution of star ratings and the development of the average
+ * rating over time for a set of reviews. Uses a single query that groups
+ * reviews by month and rating, so only the counts are transferred.
+ *
+ * @async
+ * @param {Object} [options]
+ *  which reviews to include (current revisions only). If neither option is
+ *  given, statistics for all reviews are returned.
+ * @param {String} options.thingID
+ *  only include reviews of the Thing with the provided ID
+ * @param {String} options.teamID
+ *  only include reviews associated with the Team with the provided ID
+ * @returns {Object}
+ *  statistics with the following keys:
+ *  - `numberOfReviews` and `averageStarRating` (0 if there are no reviews)
+ *  - `distribution`: array of `{ starRating, numberOfReviews }` for each
+ *    possible rating, from 1 to 5 stars
+ *  - `trend`: array of `{ month, numberOfReviews, averageStarRating,
+ *    cumulativeAverageStarRating }` for each month (formatted as YYYY-MM, UTC)
+ *    in which reviews were written, oldest first. The cumulative average
+ *    includes all reviews up to the end of the month.
+ */
+Review.getRatingStats = async function({
+  thingID = undefined,
+  teamID = undefined
+} = {}) {
+
+  let query = thingID ? Review.getAll(thingID, { index: 'thingID' }) : Review;
+
+  query = query
+    .filter(r.row('_revDeleted').eq(false), { default: true }) // Exclude deleted
+    .filter(r.row('_oldRevOf').eq(false), { default: true }); // Exclude old
+
+  // See getFeed
+  if (teamID)
+    query = query
+      .getJoin({ teams: true })
+      .filter(review => review('teams')('id').contains(teamID));
+
+  // Raw results, since the groups are not Review objects
+  const groups = await query
+    .group(review => [review('createdOn').year(), review('createdOn').month(), review('starRating')])
+    .count()
+    .ungroup()
+    .execute();
+
+  const distribution = [1, 2, 3, 4, 5].map(starRating => ({ starRating, numberOfReviews: 0 }));
+  const months = new Map();
+  for (let { group, reduction } of groups) {
+    const [year, month, starRating] = group;
+    if (!distribution[starRating - 1])
+      continue;
+    distribution[starRating - 1].numberOfReviews += reduction;
+
+    const key = `${year}-${month < 10 ? '0' + month : month}`;
+    if (!months.has(key))
+      months.set(key, { month: key, numberOfReviews: 0, sum: 0 });
+    months.get(key).numberOfReviews += reduction;
+    months.get(key).sum += starRating * reduction;
+  }
+
+  let totalCount = 0,
+    totalSum = 0;
+  const trend = [...months.keys()]
+    .sort()
+    .map(key => {
+      const { month, numberOfReviews, sum } = months.get(key);
+      totalCount += numberOfReviews;
+      totalSum += sum;
+      return {
+        month,
+        numberOfReviews,
+        averageStarRating: sum / numberOfReviews,
+        cumulativeAverageStarRating: totalSum / totalCount
+      };
+    });
+
+  return {
+    numberOfReviews: totalCount,
+    averageStarRating: totalCount ? totalSum / totalCount : 0,
+    distribution,
+    trend
+  };
+
+};
+
 // NOTE: INSTANCE METHODS START HERE -------------------------------------------
 
 // Standard handlers -----------------------------------------------------------
 
 Review.define("newRevision", revision.getNewRevisionHandler(Review));
+Review.define("restoreRevision", revision.getRestoreRevisionHandler(Review));
 Review.define("deleteAllRevisions", revision.getDeleteAllRevisionsHandler(Review));
+Review.define("undeleteAllRevisions", revision.getUndeleteAllRevisionsHandler(Review));
 
 // Custom methods
 
@@ -364,6 +574,11 @@ function populateUserInfo(user) {
 
   if (user.id === this.createdBy)
     this.userIsAuthor = true;
+  else
+    this.userCanVote = true;
+
+  if (user.id !== this.createdBy && (user.isTrusted || user.isSuperUser))
+    this.userCanTranslate = true;
 }
 
 /**
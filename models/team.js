@@ -79,6 +79,9 @@ let teamSchema = {
 Object.assign(teamSchema, revision.getSchema());
 let Team = thinky.createModel("teams", teamSchema);
 
+Team.ensureIndex("_revDate");
+Team.ensureIndex("_oldRevOf");
+
 // NOTE: JOINS -----------------------------------------------------------------
 
 // Define membership and moderator relations; these are managed by the ODM
@@ -118,6 +121,9 @@ Review.hasAndBelongsToMany(Team, "teams", "id", "id", {
 
 Team.createFirstRevision = revision.getFirstRevisionHandler(Team);
 Team.getNotStaleOrDeleted = revision.getNotStaleOrDeletedGetHandler(Team);
+Team.getRevisions = revision.getRevisionsHandler(Team);
+Team.getRecentRevisions = revision.getRecentRevisionsHandler(Team);
+Team.getDeleted = revision.getDeletedHandler(Team);
 Team.filterNotStaleOrDeleted = revision.getNotStaleOrDeletedFilterHandler(Team);
 
 // Custom handlers
@@ -216,7 +222,9 @@ Team.getWithData = async function(id, {
 // Standard handlers
 
 Team.define("newRevision", revision.getNewRevisionHandler(Team));
+Team.define("restoreRevision", revision.getRestoreRevisionHandler(Team));
 Team.define("deleteAllRevisions", revision.getDeleteAllRevisionsHandler(Team));
+Team.define("undeleteAllRevisions", revision.getUndeleteAllRevisionsHandler(Team));
 
 // Update the slug if an update is needed. Modifies the team object but does
 // not save it.
@@ -0,0 +1,309 @@
+'use strict';
+
+/**
+ * Model for pairs of review subjects ({@link Thing} objects) that are likely
+ * duplicates of each other. Candidates are found by
+ * `maintenance/find-duplicate-things.js` and listed for site moderators, who
+ * can merge them or dismiss them as false positives. Dismissed pairs are kept,
+ * so they are not reported again.
+ *
+ * This model is not versioned.
+ *
+ * @namespace ThingDuplicate
+ */
+const thinky = require('../db');
+const r = thinky.r;
+const type = thinky.type;
+const Thing = require('./thing');
+const User = require('./user');
+const mlString = require('./helpers/ml-string');
+const urlUtils = require('../util/url-utils');
+const adapters = require('../adapters/adapters');
+const search = require('../search');
+
+const duplicateOptions = {
+  // Kinds of evidence for a duplicate
+  reasonTypes: ['url', 'source', 'label'],
+  // If more things than this share a URL apart from their query strings, the
+  // query string is likely what identifies the item (as in
+  // example.com/item?id=1), so we don't report them.
+  maxURLGroupSize: 5
+};
+
+/* eslint-disable newline-per-chained-call */ /* for schema readability */
+let thingDuplicateSchema = {
+  // Derived from the thing IDs, see ThingDuplicate.getKey
+  id: type.string(),
+  thingIDs: [type.string().uuid(4)],
+  // `value` is the shared URL key, source item ID or label; `source` is the
+  // adapter source ID for reasons of type 'source'
+  reasons: [{
+    type: type.string().enum(duplicateOptions.reasonTypes),
+    source: type.string(),
+    value: type.string()
+  }],
+  detectedOn: type.date(),
+  dismissedOn: type.date(),
+  dismissedBy: type.string().uuid(4)
+};
+/* eslint-enable newline-per-chained-call */ /* for schema readability */
+
+let ThingDuplicate = thinky.createModel("thing_duplicates", thingDuplicateSchema);
+
+ThingDuplicate.ensureIndex("detectedOn");
+
+ThingDuplicate.belongsTo(User, "dismisser", "dismissedBy", "id");
+
+ThingDuplicate.options = duplicateOptions; // for external visibility
+Object.freeze(ThingDuplicate.options);
+
+// NOTE: STATIC METHODS --------------------------------------------------------
+
+/**
+ * Get the primary key for a pair of things, which is the same regardless of
+ * their order.
+ *
+ * @param {String} thingID1
+ *  ID of the first thing
+ * @param {String} thingID2
+ *  ID of the second thing
+ * @returns {String}
+ *  key of the pair
+ */
+ThingDuplicate.getKey = function(thingID1, thingID2) {
+  return [thingID1, thingID2].sort().join(':');
+};
+
+/**
+ * Find pairs of current review subjects that are likely duplicates, based on
+ * URLs that differ only by scheme, "www.", trailing slash or query string; on
+ * URLs that refer to the same item in a source we have an adapter for (e.g.,
+ * the same Wikidata Q number); and, optionally, on near-identical labels found
+ * through the search index.
+ *
+ * @param {Object} [options]
+ *  detection options
+ * @param {Boolean} options.labels=true
+ *  also compare labels, which requires one search query per thing
+ * @returns {Object[]}
+ *  candidates of the form `{ id, thingIDs, reasons }`, not saved
+ * @async
+ */
+ThingDuplicate.findCandidates = async function({ labels = true } = {}) {
+  const things = await Thing.filterNotStaleOrDeleted();
+  const candidates = new Map();
+
+  const addCandidate = (thingID1, thingID2, reason) => {
+    const id = ThingDuplicate.getKey(thingID1, thingID2);
+    if (!candidates.has(id))
+      candidates.set(id, { id, thingIDs: id.split(':'), reasons: [] });
+
+    const { reasons } = candidates.get(id);
+    if (!reasons.some(other => other.type == reason.type && other.value == reason.value))
+      reasons.push(reason);
+  };
+
+  const urlGroups = new Map(),
+    sourceGroups = new Map();
+
+  const addToGroup = (groups, key, thingID) => {
+    if (!groups.has(key))
+      groups.set(key, new Set());
+    groups.get(key).add(thingID);
+  };
+
+  for (let thing of things) {
+    for (let url of thing.urls || []) {
+      addToGroup(urlGroups, urlUtils.getComparisonKey(url), thing.id);
+      for (let adapter of adapters.getAll()) {
+        const itemID = adapter.getItemID(url);
+        if (itemID)
+          addToGroup(sourceGroups, `${adapter.getSourceID()}:${itemID}`, thing.id);
+      }
+    }
+  }
+
+  for (let [value, thingIDs] of urlGroups) {
+    if (thingIDs.size <= duplicateOptions.maxURLGroupSize)
+      _forEachPair(thingIDs, (id1, id2) => addCandidate(id1, id2, { type: 'url', value }));
+  }
+
+  for (let [key, thingIDs] of sourceGroups) {
+    const [source, value] = key.split(/:(.+)/);
+    _forEachPair(thingIDs, (id1, id2) => addCandidate(id1, id2, { type: 'source', source, value }));
+  }
+
+  if (labels) {
+    const currentIDs = new Set(things.map(thing => thing.id));
+    for (let thing of things) {
+      if (!thing.label)
+        continue;
+
+      const result = await search.findSimilarThings(thing);
+      for (let hit of result.hits.hits) {
+        const value = _getSimilarLabel(thing.label, hit._source.label);
+        if (value && currentIDs.has(hit._id))
+          addCandidate(thing.id, hit._id, { type: 'label', value });
+      }
+    }
+  }
+
+  return [...candidates.values()];
+};
+
+/**
+ * Save newly found candidates, update the reasons for known ones, and remove
+ * the ones that were not found again (e.g., because one of the things has been
+ * merged or edited). Dismissed candidates are never removed, so that they are
+ * not reported again.
+ *
+ * @param {Object[]} candidates
+ *  as returned by `ThingDuplicate.findCandidates`
+ * @returns {Object}
+ *  counts of the form `{ added, updated, removed, dismissed }`
+ * @async
+ */
+ThingDuplicate.record = async function(candidates) {
+  const existing = new Map();
+  for (let duplicate of await ThingDuplicate.run())
+    existing.set(duplicate.id, duplicate);
+
+  const counts = { added: 0, updated: 0, removed: 0, dismissed: 0 };
+  for (let candidate of candidates) {
+    let duplicate = existing.get(candidate.id);
+    existing.delete(candidate.id);
+    if (duplicate) {
+      if (duplicate.dismissedOn)
+        counts.dismissed++;
+      else
+        counts.updated++;
+      duplicate.reasons = candidate.reasons;
+    } else {
+      duplicate = new ThingDuplicate(Object.assign({ detectedOn: new Date() }, candidate));
+      counts.added++;
+    }
+    await duplicate.save();
+  }
+
+  for (let duplicate of existing.values()) {
+    if (!duplicate.dismissedOn) {
+      await duplicate.delete();
+      counts.removed++;
+    }
+  }
+  return counts;
+};
+
+/**
+ * Get candidates that have not been dismissed, most recently detected first,
+ * together with both things. Candidates where one of the things has since been
+ * deleted (e.g., merged) are skipped.
+ *
+ * @param {Object} [options]
+ *  query options
+ * @param {Number} options.limit=100
+ *  maximum number of candidates to look up
+ * @returns {Object}
+ *  `{ items, total }`, where each item is a ThingDuplicate with a `things`
+ *  property, and `total` is the number of candidates that have not been
+ *  dismissed
+ * @async
+ */
+ThingDuplicate.getOpen = async function({ limit = 100 } = {}) {
+  const isOpen = duplicate => duplicate.hasFields('dismissedOn').not();
+  const [duplicates, total] = await Promise.all([
+    ThingDuplicate
+      .orderBy({ index: r.desc('detectedOn') })
+      .filter(isOpen)
+      .limit(limit),
+    r.table('thing_duplicates')
+      .filter(isOpen)
+      .count()
+  ]);
+
+  const thingIDs = [].concat(...duplicates.map(duplicate => duplicate.thingIDs));
+  const things = new Map();
+  if (thingIDs.length) {
+    const currentThings = await Thing
+      .getAll(...thingIDs)
+      .filter({ _revDeleted: false }, { default: true })
+      .filter({ _oldRevOf: false }, { default: true });
+    currentThings.forEach(thing => things.set(thing.id, thing));
+  }
+
+  const items = duplicates.filter(duplicate => duplicate.thingIDs.every(id => things.has(id)));
+  items.forEach(duplicate => (duplicate.things = duplicate.thingIDs.map(id => things.get(id))));
+  return { items, total };
+};
+
+// NOTE: INSTANCE METHODS ------------------------------------------------------
+
+ThingDuplicate.define("dismiss", dismiss);
+
+/**
+ * Mark this candidate as a false positive, so it is no longer listed or
+ * reported.
+ *
+ * @param {User} user
+ *  the moderator dismissing the candidate
+ * @returns {ThingDuplicate}
+ *  the updated candidate
+ * @memberof ThingDuplicate
+ * @instance
+ * @async
+ */
+async function dismiss(user) {
+  this.dismissedOn = new Date();
+  this.dismissedBy = user.id;
+  return await this.save();
+}
+
+// NOTE: INTERNAL FUNCTIONS ----------------------------------------------------
+
+/**
+ * Call a function for each unordered pair of IDs in a set.
+ *
+ * @param {Set} ids
+ *  set of IDs
+ * @param {Function} handlePair
+ *  called with two IDs
+ * @memberof ThingDuplicate
+ * @protected
+ */
+function _forEachPair(ids, handlePair) {
+  const idArray = [...ids];
+  for (let i = 0; i < idArray.length; i++)
+    for (let j = i + 1; j < idArray.length; j++)
+      handlePair(idArray[i], idArray[j]);
+}
+
+/**
+ * Search results match fuzzily on individual words, so a short label may match
+ * a longer one that contains it. We only consider labels near-identical if,
+ * in at least one language, they consist of the same number of words.
+ *
+ * @param {Object} label
+ *  multilingual label of a thing, as stored (HTML-escaped)
+ * @param {Object} otherLabel
+ *  multilingual label of a search result, as indexed (unescaped)
+ * @returns {String}
+ *  the label of the thing in the first language in which the labels are
+ *  near-identical, or undefined
+ * @memberof ThingDuplicate
+ * @protected
+ */
+function _getSimilarLabel(label, otherLabel) {
+  if (!otherLabel)
+    return undefined;
+
+  const strippedLabel = mlString.stripHTML(label);
+  const countWords = str => str.toLowerCase().split(/[\s\-–—:;,.!?()]+/).filter(Boolean).length;
+  for (let lang in strippedLabel) {
+    if (typeof otherLabel[lang] == 'string' &&
+      countWords(strippedLabel[lang]) === countWords(otherLabel[lang]))
+      return strippedLabel[lang];
+  }
+  return undefined;
+}
+
+module.exports = ThingDuplicate;
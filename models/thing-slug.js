@@ -14,7 +14,7 @@ const r = thinky.r;
 const type = thinky.type;
 
 // You can use these slugs, but they'll be automatically be qualified with a number
-const reservedSlugs = ['register', 'actions', 'signin', 'login', 'teams', 'user', 'new', 'signout', 'logout', 'api', 'faq', 'static', 'terms'];
+const reservedSlugs = ['register', 'actions', 'signin', 'login', 'teams', 'user', 'new', 'signout', 'logout', 'api', 'faq', 'static', 'terms', 'moderation', 'changes'];
 
 // Model for unique, human-readable identifiers ('slugs') for review subjects
 // ('things')
@@ -35,6 +35,7 @@ let ThingSlug = thinky.createModel("thing_slugs", thingSlugSchema, {
 });
 
 ThingSlug.ensureIndex("createdOn");
+ThingSlug.ensureIndex("thingID");
 
 
 // NOTE: INSTANCE METHODS ------------------------------------------------------
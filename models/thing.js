@@ -16,6 +16,8 @@ const debug = require('../util/debug');
 const mlString = require('./helpers/ml-string');
 const revision = require('./helpers/revision');
 const slugName = require('./helpers/slug-name');
+const thingTypes = require('./helpers/thing-types');
+const thingAliases = require('./helpers/thing-aliases');
 const getSetIDHandler = require('./helpers/set-id');
 const File = require('./file');
 const ThingSlug = require('./thing-slug');
@@ -24,6 +26,8 @@ const ReportedError = require('../util/reported-error');
 const adapters = require('../adapters/adapters');
 const search = require('../search');
 
+const thingOptions = { maxAliasLength: 256, maxAliases: 100 };
+
 let thingSchema = {
 
   id: type.string(),
@@ -36,7 +40,7 @@ let thingSchema = {
   }),
 
   aliases: mlString.getSchema({
-    maxLength: 256,
+    maxLength: thingOptions.maxAliasLength,
     array: true
   }),
 
@@ -44,20 +48,8 @@ let thingSchema = {
     maxLength: 512
   }),
 
-  // Many creative works have a subtitle that we don't typically include as part
-  // of the label.
-  subtitle: mlString.getSchema({
-    maxlength: 256
-  }),
-
-  // For creative works like books, magazine articles. Author names can be
-  // transliterated, hence also a multilingual field. However, it is advisable
-  // to treat it as monolingual in presentation (i.e. avoid indicating language),
-  // since cross-language differences are the exception and not the norm.
-  authors: [mlString.getSchema({
-    maxLength: 256
-  })],
-
+  // Determines which type-specific fields apply, see helpers/thing-types.js
+  type: type.string().enum(thingTypes.getTypeIDs()),
 
   // Data for fields can be pulled from external sources. For fields that
   // support this, we record whether a sync is currently active (in which
@@ -81,6 +73,10 @@ let thingSchema = {
 
   canonicalSlugName: type.string(),
 
+  // Set on the deletion revision of a thing that was merged into another one
+  // (see `mergeInto`), so we can redirect to the thing that took its place
+  mergedInto: type.string().uuid(4),
+
   urlID: type.virtual().default(function() {
     return this.canonicalSlugName ? encodeURIComponent(this.canonicalSlugName) : this.id;
   }),
@@ -93,6 +89,7 @@ let thingSchema = {
   userCanDelete: type.virtual().default(false),
   userCanEdit: type.virtual().default(false),
   userCanUpload: type.virtual().default(false),
+  userCanMerge: type.virtual().default(false),
   userIsCreator: type.virtual().default(false),
 
   // Populated asynchronously using the populateReviewMetrics method
@@ -100,11 +97,16 @@ let thingSchema = {
   averageStarRating: type.virtual().default(0)
 };
 
+// Add type-specific fields like `authors` or `address`
+Object.assign(thingSchema, thingTypes.getSchema());
+
 // Add versioning related fields
 Object.assign(thingSchema, revision.getSchema());
 
 let Thing = thinky.createModel("things", thingSchema);
 
+Thing.options = Object.freeze(thingOptions); // for external visibility
+
 Thing.hasAndBelongsToMany(File, "files", "id", "id", {
   type: 'media_usage'
 });
@@ -113,6 +115,14 @@ File.hasAndBelongsToMany(Thing, "things", "id", "id", {
   type: 'media_usage'
 });
 
+// Multi index for URL lookups. Each URL is indexed separately.
+Thing.ensureIndex("urls", thing => thing("urls"), { multi: true });
+
+// Used to list recent changes across all versioned models, see
+// revision.getRecentRevisionsHandler
+Thing.ensureIndex("_revDate");
+Thing.ensureIndex("_oldRevOf");
+
 Thing.hasOne(ThingSlug, "slug", "id", "thingID");
 
 ThingSlug.belongsTo(Thing, "thing", "thingID", "thing");
@@ -122,6 +132,9 @@ ThingSlug.belongsTo(Thing, "thing", "thingID", "thing");
 // Standard handlers -----------------------------------------------------------
 
 Thing.getNotStaleOrDeleted = revision.getNotStaleOrDeletedGetHandler(Thing);
+Thing.getRevisions = revision.getRevisionsHandler(Thing);
+Thing.getRecentRevisions = revision.getRecentRevisionsHandler(Thing);
+Thing.getDeleted = revision.getDeletedHandler(Thing);
 Thing.filterNotStaleOrDeleted = revision.getNotStaleOrDeletedFilterHandler(Thing);
 
 // Custom methods --------------------------------------------------------------
@@ -157,6 +170,44 @@ Thing.lookupByURL = function(url, userID) {
 
 };
 
+/**
+ * Find current Thing objects for many URLs at once, together with their review
+ * metrics. Uses a single query, so it is suitable for checking all the links
+ * on a web page.
+ *
+ * @async
+ * @param {String[]} urls
+ *  normalized URLs to look up
+ * @returns {Object[]}
+ *  plain objects with the `id`, `label`, `urls`, `numberOfReviews` and
+ *  `averageStarRating` of each matching thing. A thing that matches several
+ *  URLs is only included once.
+ */
+Thing.lookupByURLs = async function(urls) {
+  if (!urls.length)
+    return [];
+
+  const reviewsOf = thing => r.table('reviews')
+    .getAll(thing('id'), { index: 'thingID' })
+    .filter({ _oldRevOf: false }, { default: true })
+    .filter({ _revDeleted: false }, { default: true });
+
+  return await r.table('things')
+    .getAll(r.args(urls), { index: 'urls' })
+    .filter({ _oldRevOf: false }, { default: true })
+    .filter({ _revDeleted: false }, { default: true })
+    .distinct()
+    .map(thing => ({
+      id: thing('id'),
+      label: thing('label').default({}),
+      urls: thing('urls'),
+      numberOfReviews: reviewsOf(thing).count(),
+      // Subjects with 0 reviews have an average rating of 0, see
+      // getAverageStarRating
+      averageStarRating: reviewsOf(thing).avg('starRating').default(0)
+    }));
+};
+
 /**
  * Get a Thing object by ID, plus some of the data linked to it.
  *
@@ -241,7 +292,9 @@ Thing.getLabel = function(thing, language) {
 
 // See helpers/revision.js
 Thing.define("newRevision", revision.getNewRevisionHandler(Thing));
+Thing.define("restoreRevision", revision.getRestoreRevisionHandler(Thing));
 Thing.define("deleteAllRevisions", revision.getDeleteAllRevisionsHandler(Thing));
+Thing.define("undeleteAllRevisions", revision.getUndeleteAllRevisionsHandler(Thing));
 
 // See helpers/slug-name.js
 Thing.define("updateSlug", slugName.getUpdateSlugHandler({
@@ -259,6 +312,8 @@ Thing.define("initializeFieldsFromAdapter", initializeFieldsFromAdapter);
 Thing.define("populateUserInfo", populateUserInfo);
 Thing.define("populateReviewMetrics", populateReviewMetrics);
 Thing.define("setURLs", setURLs);
+Thing.define("setType", setType);
+Thing.define("getEditableFields", getEditableFields);
 Thing.define("updateActiveSyncs", updateActiveSyncs);
 Thing.define("getSourceIDsOfActiveSyncs", getSourceIDsOfActiveSyncs);
 Thing.define("getReviewsByUser", getReviewsByUser);
@@ -266,6 +321,8 @@ Thing.define("getAverageStarRating", getAverageStarRating);
 Thing.define("getReviewCount", getReviewCount);
 Thing.define("addFile", addFile);
 Thing.define("addFilesByIDsAndSave", addFilesByIDsAndSave);
+Thing.define("getMergePlan", getMergePlan);
+Thing.define("mergeInto", mergeInto);
 
 /**
  * Initialize field values from the lookup result of an adapter. Each adapter
@@ -295,9 +352,16 @@ function initializeFieldsFromAdapter(adapterResult) {
 
   let responsibleAdapter = adapters.getAdapterForSource(adapterResult.sourceID);
   let supportedFields = responsibleAdapter.getSupportedFields();
+
+  // The first adapter that knows what kind of thing this is determines its
+  // type, so that the type-specific fields it provides are shown
+  if (!this.type && responsibleAdapter.getThingType())
+    this.type = responsibleAdapter.getThingType();
+
   for (let field in adapterResult.data) {
-    if (supportedFields.includes(field)) {
-      this[field] = adapterResult.data[field];
+    const value = thingTypes.getExternalValue(field, adapterResult.data[field]);
+    if (supportedFields.includes(field) && value !== undefined) {
+      this[field] = value;
       if (typeof this.sync != 'object')
         this.sync = {};
       this.sync[field] = {
@@ -327,6 +391,7 @@ function populateUserInfo(user) {
   this.userCanDelete = user.isSuperUser || user.isSiteModerator || false;
   this.userCanEdit = user.isSuperUser || user.isTrusted || user.id === this.createdBy;
   this.userCanUpload = user.isSuperUser || user.isTrusted;
+  this.userCanMerge = user.isSuperUser || user.isSiteModerator || false;
   this.userIsCreator = user.id === this.createdBy;
 }
 
@@ -349,6 +414,44 @@ async function populateReviewMetrics() {
   return this;
 }
 
+/**
+ * Change the type of this review subject. Values and synchronization settings
+ * of type-specific fields which do not apply to the new type are removed (they
+ * remain accessible in the revision history). Does not save.
+ *
+ * @param {String} typeID
+ *  identifier of the new type (see helpers/thing-types.js), or undefined to
+ *  remove the type. Review subjects without a type keep all their values.
+ * @memberof Thing
+ * @instance
+ */
+function setType(typeID) {
+  const keptFields = thingTypes.getFieldNames(typeID);
+  for (let field of thingTypes.getAllFieldNames()) {
+    if (!typeID || keptFields.includes(field))
+      continue;
+    this[field] = undefined;
+    if (typeof this.sync == 'object')
+      Reflect.deleteProperty(this.sync, field);
+  }
+  this.type = typeID;
+}
+
+/**
+ * Get the names of the fields users may edit for this review subject via the
+ * `/:id/edit/:field` routes, which depend on its type. Does not check
+ * permissions or synchronization settings.
+ *
+ * @returns {String[]}
+ *  field names
+ * @memberof Thing
+ * @instance
+ */
+function getEditableFields() {
+  return ['label', 'description', 'type']
+    .concat(thingTypes.getFieldNames(this.type, { onlyEditable: true }));
+}
+
 /**
  * Update URLs and reset a Thing object's synchronization settings, based on
  * which adapters report that they can retrieve external metadata for a given
@@ -480,9 +583,10 @@ async function updateActiveSyncs(userID) {
         Array.isArray(dataBySource[source])) {
         // Earlier results get priority, i.e. need to be assigned last
         for (let d of dataBySource[source]) {
-          if (d[field] !== undefined) {
+          const value = thingTypes.getExternalValue(field, d[field]);
+          if (value !== undefined) {
             thing.sync[field].updated = new Date();
-            this[field] = d[field];
+            this[field] = value;
             if (field == 'label')
               needSlugUpdate = true;
           }
@@ -501,7 +605,6 @@ async function updateActiveSyncs(userID) {
 
   return thing;
 
-
   /**
    * Put valid data from results array into an object with sourceID as
    * the key and data as a reverse-order array. There may be multiple
@@ -651,7 +754,6 @@ function addFile(file) {
   this.files.push(file);
 }
 
-
 /**
  * Obtain file objects for an array of file IDs, and associate them with this
  * thing. Saves.
@@ -675,6 +777,177 @@ async function addFilesByIDsAndSave(files, userID) {
   await this.saveAll({ files: true });
 }
 
+/**
+ * Describe what merging this thing into another one via `mergeInto` would
+ * change, without changing anything.
+ *
+ * @param {Thing} target
+ *  the thing that would take the place of this one, with its files
+ * @returns {Object}
+ *  the merge plan, with the following properties:
+ *  - `reviews`: current reviews of this thing (with their creators), which
+ *    will be moved to the target
+ *  - `conflicts`: for each user who has reviewed both things, an object of
+ *    the form `{ userID, user, sourceReviews, targetReviews }`
+ *  - `urls`: URLs of this thing the target does not have yet
+ *  - `files`: files of this thing the target does not have yet
+ *  - `aliases`: aliases (including labels) of this thing the target does not
+ *    have yet, in the same format as the `aliases` field
+ *  - `droppedAliases`: aliases that would not be added, because the target
+ *    would have more than `Thing.options.maxAliases`, in the same format
+ *  - `slugs`: names of the slugs of this thing, which will point to the
+ *    target
+ * @memberof Thing
+ * @instance
+ */
+async function getMergePlan(target) {
+  const Review = require('./review');
+
+  const getReviewsOf = thingID => Review
+    .getAll(thingID, { index: 'thingID' })
+    .filter({ _oldRevOf: false }, { default: true })
+    .filter({ _revDeleted: false }, { default: true })
+    .getJoin({
+      creator: {
+        _apply: seq => seq.without('password')
+      }
+    });
+
+  const [reviews, targetReviews, slugs] = await Promise.all([
+    getReviewsOf(this.id),
+    getReviewsOf(target.id),
+    ThingSlug.getAll(this.id, { index: 'thingID' })
+  ]);
+
+  const conflicts = [];
+  for (let review of reviews) {
+    const conflict = conflicts.find(c => c.userID === review.createdBy);
+    if (conflict) {
+      conflict.sourceReviews.push(review);
+      continue;
+    }
+    const reviewsByUser = targetReviews
+      .filter(targetReview => targetReview.createdBy === review.createdBy);
+    if (reviewsByUser.length)
+      conflicts.push({
+        userID: review.createdBy,
+        user: review.creator,
+        sourceReviews: [review],
+        targetReviews: reviewsByUser
+      });
+  }
+
+  const targetURLs = target.urls || [],
+    targetFiles = target.files || [];
+  const { aliases, droppedAliases } = thingAliases
+    .getNewAliases(this, target, thingOptions.maxAliases);
+
+  return {
+    reviews,
+    conflicts,
+    urls: (this.urls || []).filter(url => !targetURLs.includes(url)),
+    files: (this.files || []).filter(file => !targetFiles.some(f => f.id === file.id)),
+    aliases,
+    droppedAliases,
+    slugs: slugs.map(slug => slug.name)
+  };
+}
+
+/**
+ * Merge this thing into another one, which takes its place. See
+ * `getMergePlan` for what is moved to the target. This thing is deleted
+ * afterwards, and its slugs point to the target.
+ *
+ * Users who have reviewed both things can end up with two reviews of the
+ * target, unless one of them is deleted, so each such conflict needs a
+ * resolution. Validates all resolutions before making any changes. This thing
+ * is deleted last, together with setting `mergedInto`, and the steps before
+ * can be repeated, so a merge that fails can be completed by merging again.
+ * Does not update the search index.
+ *
+ * @param {Thing} target
+ *  the thing that takes the place of this one, with its files
+ * @param {User} user
+ *  the user who performs the merge
+ * @param {Object} [options]
+ *  merge options
+ * @param {Object} options.resolutions
+ *  for each conflict in the merge plan, keyed by user ID: 'keep-both',
+ *  'keep-target' (delete the user's reviews of this thing) or 'keep-source'
+ *  (delete the user's reviews of the target)
+ * @param {String} options.summary
+ *  edit summary for the new revision of the target (HTML-safe)
+ * @returns {Object}
+ *  `{ target, movedReviews, deletedReviews }`, i.e., the new revision of the
+ *  target and the reviews that were moved to it or deleted
+ * @throws {ReportedError}
+ *  if the target is this thing, or if a conflict has no valid resolution
+ * @memberof Thing
+ * @instance
+ */
+async function mergeInto(target, user, { resolutions = {}, summary } = {}) {
+  if (target.id === this.id)
+    throw new ReportedError({
+      message: 'Cannot merge thing %s into itself.',
+      messageParams: [this.id],
+      userMessage: 'cannot merge thing into itself'
+    });
+
+  const plan = await this.getMergePlan(target);
+  let movedReviews = plan.reviews;
+  const deletedReviews = [];
+  for (let conflict of plan.conflicts) {
+    const resolution = resolutions[conflict.userID];
+    if (resolution === 'keep-target') {
+      deletedReviews.push(...conflict.sourceReviews);
+      movedReviews = movedReviews.filter(review => !conflict.sourceReviews.includes(review));
+    } else if (resolution === 'keep-source')
+      deletedReviews.push(...conflict.targetReviews);
+    else if (resolution !== 'keep-both')
+      throw new ReportedError({
+        message: 'No resolution for merge conflict of user %s.',
+        messageParams: [conflict.userID],
+        userMessage: 'need merge conflict resolution'
+      });
+  }
+
+  for (let review of deletedReviews)
+    await review.deleteAllRevisions(user, { tags: ['merge-via-form'] });
+
+  for (let review of movedReviews) {
+    const reviewRev = await review.newRevision(user, { tags: ['merge-via-form'] });
+    reviewRev.thingID = target.id;
+    await reviewRev.save();
+  }
+
+  const targetRev = await target.newRevision(user, { tags: ['merge-via-form'], summary });
+  if (plan.urls.length)
+    targetRev.setURLs(targetRev.urls.concat(plan.urls));
+  for (let language in plan.aliases) {
+    if (!targetRev.aliases)
+      targetRev.aliases = {};
+    targetRev.aliases[language] = (targetRev.aliases[language] || [])
+      .concat(plan.aliases[language]);
+  }
+  await targetRev.save();
+
+  // The target's files may be limited to those we show, so we get all of
+  // them to avoid removing any associations
+  if (plan.files.length) {
+    const targetWithFiles = await Thing.get(target.id).getJoin({ files: true });
+    plan.files.forEach(file => targetWithFiles.addFile(file));
+    await targetWithFiles.saveAll({ files: true });
+  }
+
+  await ThingSlug
+    .getAll(this.id, { index: 'thingID' })
+    .update({ thingID: target.id });
+
+  await this.deleteAllRevisions(user, { tags: ['merge-via-form'], fields: { mergedInto: target.id } });
+
+  return { target: targetRev, movedReviews, deletedReviews };
+}
+
 // Internal helper functions
 
 /**
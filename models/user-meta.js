@@ -35,9 +35,18 @@ let userMetaSchema = {
 Object.assign(userMetaSchema, revision.getSchema());
 let UserMeta = thinky.createModel("user_meta", userMetaSchema);
 
+UserMeta.ensureIndex("_revDate");
+UserMeta.ensureIndex("_oldRevOf");
+
+// NOTE: STATIC METHODS --------------------------------------------------------
+
+UserMeta.getRevisions = revision.getRevisionsHandler(UserMeta);
+UserMeta.getRecentRevisions = revision.getRecentRevisionsHandler(UserMeta);
+
 // NOTE: INSTANCE METHODS ------------------------------------------------------
 
 UserMeta.define("newRevision", revision.getNewRevisionHandler(UserMeta));
+UserMeta.define("restoreRevision", revision.getRestoreRevisionHandler(UserMeta));
 UserMeta.define("deleteAllRevisions", revision.getDeleteAllRevisionsHandler(UserMeta));
 
 module.exports = UserMeta;
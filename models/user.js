@@ -47,11 +47,15 @@ let User = thinky.createModel("users", {
   showErrorDetails: type.boolean().default(false),
   // Basic trust - not a spammer. Can confer trust, can edit things + create teams
   isTrusted: type.boolean().default(false),
-  // Advanced trust - can (reversibly) delete content, but _not_ edit arbitrary content
+  // Advanced trust - can (reversibly) delete content and restore it (see
+  // routes/moderation.js), but _not_ edit arbitrary content
   isSiteModerator: type.boolean().default(false),
   // Can do anything
   isSuperUser: type.boolean().default(false),
   suppressedNotices: [type.string()],
+  // Resolved content reports and moderator warnings the user has not looked at
+  // yet (see routes/moderation.js)
+  unreadReportUpdates: type.number().integer().default(0),
   // Permission field, populated using _currently logged in user_, to determine
   // whether they can edit _this_ user's metadata.
   userCanEditMetadata: type.virtual().default(false),
@@ -99,6 +103,37 @@ User.increaseInviteLinkCount = async function(id) {
   return updatedUser.inviteLinkCount;
 };
 
+/**
+ * Increase the count of unread report updates by 1 for the given users, e.g.,
+ * when a content report they filed has been resolved
+ *
+ * @param {String[]} ids
+ *  unique IDs of the users
+ * @async
+ */
+User.increaseReportUpdateCount = async function(ids) {
+  if (!ids.length)
+    return;
+
+  await r
+    .table('users')
+    .getAll(...ids)
+    .update({
+      unreadReportUpdates: r.row("unreadReportUpdates").default(0).add(1)
+    });
+};
+
+/**
+ * Mark all report updates for a given user as read
+ *
+ * @param {String} id
+ *  unique ID of the user
+ * @async
+ */
+User.resetReportUpdateCount = async function(id) {
+  await User.get(id).update({ unreadReportUpdates: 0 });
+};
+
 /**
  * Create a new user from an object containing the user data. Hashes the
  * password, checks for uniqueness, validates. Saves.
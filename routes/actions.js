@@ -18,6 +18,8 @@ const signinRequiredRoute = require('./handlers/signin-required-route');
 const languages = require('../locales/languages');
 const search = require('../search');
 const slugs = require('./helpers/slugs.js');
+const geo = require('./helpers/geo');
+const thingTypes = require('../models/helpers/thing-types');
 
 const formDefs = {
   'register': [{
@@ -41,11 +43,18 @@ const formDefs = {
 
 router.get('/actions/search', function(req, res, next) {
   let query = (req.query.query || '').trim();
+  // Optionally restrict matching review subjects to a type, e.g., 'book'
+  let type = thingTypes.isValid(req.query.type) ? req.query.type : undefined;
   if (query) {
     Promise
-      .all([search.searchThings(query, req.locale), search.searchReviews(query, req.locale)])
+      .all([search.searchThings(query, req.locale, { type }), search.searchReviews(query, req.locale)])
       .then(results => {
-        let labelMatches = results[0].hits.hits;
+        let labelMatches = search.filterDuplicateHighlights(results[0].hits.hits);
+        for (let match of labelMatches) {
+          let thingType = thingTypes.getType(match._source.type);
+          match.typeLabelKey = thingType ? thingType.labelKey : undefined;
+          match.aliasHighlights = search.getAliasHighlights(match);
+        }
         let textMatches = search.filterDuplicateInnerHighlights(results[1].hits.hits, 'reviews');
         let noMatches = !labelMatches.length && !textMatches.length;
 
@@ -69,6 +78,56 @@ router.get('/actions/search', function(req, res, next) {
   }
 });
 
+// Search for reviewed places near a point, e.g., the location of the user
+// (which is filled in by the browser), or inside a bounding box
+router.get('/actions/search-places', function(req, res, next) {
+  const radiusOptions = [1, 5, 25, 100];
+  const radius = radiusOptions.includes(Number(req.query.radius)) ? Number(req.query.radius) : 5;
+  const lat = geo.parseCoordinate(req.query.lat, 90),
+    lon = geo.parseCoordinate(req.query.lon, 180),
+    bbox = geo.parseBoundingBox(req.query.bbox);
+
+  let area;
+  if (lat !== undefined && lon !== undefined)
+    area = { lat, lon, distance: `${radius}km` };
+  else if (bbox)
+    area = bbox;
+
+  const templateData = {
+    titleKey: 'search places',
+    lat: req.query.lat,
+    lon: req.query.lon,
+    radiusOptions: radiusOptions.map(value => ({ value, isSelected: value === radius })),
+    scripts: ['search-places.js']
+  };
+
+  if (!area) {
+    const searched = ['lat', 'lon', 'bbox'].some(param => req.query[param] !== undefined);
+    return render.template(req, res, 'search-places', Object.assign(templateData, {
+      pageErrors: searched ? [req.__('invalid place search')] : undefined,
+      showHelp: true
+    }));
+  }
+
+  search
+    .searchPlaces(area, { size: 50 })
+    .then(results => {
+      let places = results.hits.hits;
+      for (let place of places) {
+        let thingType = thingTypes.getType(place._source.type);
+        place.typeLabelKey = thingType ? thingType.labelKey : undefined;
+        if (place.sort)
+          place.distance = Math.round(place.sort[0] * 10) / 10;
+      }
+      render.template(req, res, 'search-places', Object.assign(templateData, {
+        places,
+        total: results.hits.total,
+        noMatches: !places.length
+      }));
+    })
+    .catch(next);
+});
+
 router.get('/actions/invite', signinRequiredRoute('invite users', renderInviteLinkPage));
 
 router.post('/actions/invite', signinRequiredRoute('invite users', function(req, res, next) {
@@ -0,0 +1,156 @@
+'use strict';
+
+// External dependencies
+const express = require('express');
+const router = express.Router();
+
+// Internal dependencies
+const Review = require('../models/review');
+const Comment = require('../models/comment');
+const APICommentProvider = require('./handlers/api-comment-provider');
+const api = require('./helpers/api');
+const openapi = require('./helpers/openapi');
+const { jsonResponse, errorResponse, jsonBody } = openapi;
+
+// Comments on reviews. Write requests take the same data as the comment forms,
+// as a JSON object (see routes/handlers/api-comment-provider.js).
+
+const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } };
+const commentResponse = jsonResponse('The comment', {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    comment: { $ref: '#/components/schemas/Comment' },
+    errors: { type: 'array', items: {}, maxItems: 0 }
+  }
+});
+
+router.get('/review/:id/comments', openapi.route('get', '/review/:id/comments', {
+  summary: 'Get the comments on a review',
+  description: 'Top-level comments, oldest first. Replies are nested in `replies`.',
+  parameters: [idParam],
+  responses: {
+    200: jsonResponse('The comments', {
+      type: 'object',
+      properties: {
+        commentsDisabled: { type: 'boolean' },
+        comments: { type: 'array', items: { $ref: '#/components/schemas/Comment' } }
+      }
+    }),
+    404: errorResponse('Review not found')
+  }
+}), function(req, res, next) {
+  Review
+    .getNotStaleOrDeleted(req.params.id)
+    .then(review => Comment.getThreads(review.id).then(threads => {
+      const rv = {
+        commentsDisabled: Boolean(review.commentsDisabled),
+        comments: threads.map(APICommentProvider.getCommentData)
+      };
+      res.status(200);
+      res.type('json');
+      res.send(JSON.stringify(rv, null, 2));
+    }))
+    .catch(error => {
+      switch (error.name) {
+        case 'DocumentNotFoundError':
+        case 'RevisionDeletedError':
+          return api.error(req, res, 'Review not found.', 404);
+        case 'RevisionStaleError':
+          return api.error(req, res, 'The provided ID refers to an outdated revision.', 404);
+        default:
+          return next(error);
+      }
+    });
+});
+
+router.get('/comment/:id', openapi.route('get', '/comment/:id', {
+  summary: 'Get a comment',
+  parameters: [idParam],
+  responses: {
+    200: commentResponse,
+    404: errorResponse('Comment not found')
+  }
+}), getCommentHandler('read', 'GET'));
+
+router.post('/review/:id/new/comment', openapi.route('post', '/review/:id/new/comment', {
+  summary: 'Comment on a review',
+  description: 'Requires `text` and `language`. Pass `parent` to reply to another comment on the same review.',
+  parameters: [idParam],
+  requestBody: jsonBody({ $ref: '#/components/schemas/CommentInput' }),
+  responses: {
+    200: commentResponse,
+    400: errorResponse('Invalid submission'),
+    401: errorResponse('Not signed in'),
+    403: errorResponse('Comments are disabled for this review'),
+    404: errorResponse('Review not found')
+  }
+}), getCommentHandler('add', 'POST'));
+
+router.post('/comment/:id/edit', openapi.route('post', '/comment/:id/edit', {
+  summary: 'Edit a comment',
+  description: 'Requires `text` and `language`. An optional `summary` describes the change.',
+  parameters: [idParam],
+  requestBody: jsonBody({ $ref: '#/components/schemas/CommentInput' }),
+  responses: {
+    200: commentResponse,
+    400: errorResponse('Invalid submission'),
+    401: errorResponse('Not signed in'),
+    403: errorResponse('No permission to edit this comment'),
+    404: errorResponse('Comment not found')
+  }
+}), getCommentHandler('edit', 'POST'));
+
+router.post('/comment/:id/delete', openapi.route('post', '/comment/:id/delete', {
+  summary: 'Delete a comment',
+  parameters: [idParam],
+  responses: {
+    200: jsonResponse('Comment deleted', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        id: { type: 'string', format: 'uuid' },
+        errors: { type: 'array', items: {}, maxItems: 0 }
+      }
+    }),
+    401: errorResponse('Not signed in'),
+    403: errorResponse('No permission to delete this comment'),
+    404: errorResponse('Comment not found')
+  }
+}), getCommentHandler('delete', 'POST'));
+
+router.post('/comment/:id/remove', openapi.route('post', '/comment/:id/remove', {
+  summary: 'Remove a comment (moderators only)',
+  description: 'The comment remains in its thread, but its text is no longer shown.',
+  parameters: [idParam],
+  requestBody: jsonBody({
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      reason: {
+        type: 'string',
+        maxLength: Comment.options.maxRemovalReasonLength,
+        description: 'Reason for the removal, shown in place of the comment'
+      }
+    }
+  }, false),
+  responses: {
+    200: commentResponse,
+    401: errorResponse('Not signed in'),
+    403: errorResponse('No permission to remove this comment'),
+    404: errorResponse('Comment not found')
+  }
+}), getCommentHandler('remove', 'POST'));
+
+function getCommentHandler(action, method) {
+  return function(req, res, next) {
+    const provider = new APICommentProvider(req, res, next, {
+      action,
+      method,
+      id: req.params.id
+    });
+    provider.execute();
+  };
+}
+
+module.exports = router;
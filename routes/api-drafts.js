@@ -0,0 +1,179 @@
+'use strict';
+
+// External dependencies
+const express = require('express');
+const router = express.Router();
+
+// Internal dependencies
+const Draft = require('../models/draft');
+const api = require('./helpers/api');
+const openapi = require('./helpers/openapi');
+const { jsonResponse, errorResponse, jsonBody, queryParam } = openapi;
+
+// Server-side drafts of the review, blog post and team forms, saved
+// periodically by frontend/drafts.js. Drafts belong to the signed-in user and
+// are identified by the path of the page with the form.
+
+const draftProperties = {
+  formURL: { type: 'string', maxLength: Draft.options.maxFormURLLength },
+  formType: { type: 'string', enum: Draft.options.formTypes },
+  title: { type: 'string' },
+  savedOn: { type: 'string', format: 'date-time' }
+};
+
+const draftFieldsSchema = {
+  type: 'object',
+  description: 'Values of the form fields, keyed by field name',
+  additionalProperties: { type: 'string', maxLength: Draft.options.maxFieldLength }
+};
+
+router.get('/drafts', openapi.route('get', '/drafts', {
+  summary: 'List your drafts',
+  description: 'Most recently saved first, without the saved form fields.',
+  responses: {
+    200: jsonResponse('The drafts', {
+      type: 'object',
+      properties: {
+        drafts: { type: 'array', items: { type: 'object', properties: draftProperties } }
+      }
+    }),
+    401: errorResponse('Not signed in')
+  }
+}), function(req, res, next) {
+  if (!req.user)
+    return api.signinRequired(req, res);
+
+  Draft
+    .getForUser(req.user)
+    .then(drafts => sendJSON(res, {
+      drafts: drafts.map(draft => getDraftData(draft))
+    }))
+    .catch(next);
+});
+
+router.get('/draft', openapi.route('get', '/draft', {
+  summary: 'Get your draft of a form',
+  parameters: [
+    queryParam('form', { type: 'string', maxLength: Draft.options.maxFormURLLength },
+      'Path of the page with the form, e.g. `/new/review`', true)
+  ],
+  responses: {
+    200: jsonResponse('The draft', {
+      type: 'object',
+      properties: {
+        draft: {
+          type: 'object',
+          properties: Object.assign({}, draftProperties, { fields: draftFieldsSchema })
+        }
+      }
+    }),
+    401: errorResponse('Not signed in'),
+    404: errorResponse('No draft of this form')
+  }
+}), function(req, res, next) {
+  if (!req.user)
+    return api.signinRequired(req, res);
+
+  Draft
+    .getForForm(req.user, req.query.form)
+    .then(draft => {
+      if (!draft)
+        return api.error(req, res, 'You have no draft of this form.', 404);
+      sendJSON(res, { draft: getDraftData(draft, true) });
+    })
+    .catch(next);
+});
+
+router.post('/draft', openapi.route('post', '/draft', {
+  summary: 'Save a draft of a form',
+  description: 'Replaces any earlier draft of the same form.',
+  requestBody: jsonBody({
+    type: 'object',
+    required: ['formURL', 'formType', 'fields'],
+    additionalProperties: false,
+    properties: {
+      formURL: draftProperties.formURL,
+      formType: draftProperties.formType,
+      title: { type: 'string', description: 'Plain text title for listing the draft' },
+      fields: draftFieldsSchema
+    }
+  }),
+  responses: {
+    200: jsonResponse('Draft saved', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        savedOn: { type: 'string', format: 'date-time' },
+        errors: { type: 'array', items: {}, maxItems: 0 }
+      }
+    }),
+    400: errorResponse('Invalid draft, or too many drafts'),
+    401: errorResponse('Not signed in')
+  }
+}), function(req, res, next) {
+  if (!req.user)
+    return api.signinRequired(req, res);
+
+  const { formURL, formType, title, fields } = req.body;
+  Draft
+    .saveForUser(req.user, { formURL, formType, title, fields })
+    .then(draft => sendJSON(res, {
+      message: 'Draft saved.',
+      savedOn: draft.savedOn,
+      errors: []
+    }))
+    .catch(error => api.reportError(req, res, next, error));
+});
+
+router.post('/draft/delete', openapi.route('post', '/draft/delete', {
+  summary: 'Discard your draft of a form',
+  requestBody: jsonBody({
+    type: 'object',
+    required: ['formURL'],
+    additionalProperties: false,
+    properties: {
+      formURL: draftProperties.formURL
+    }
+  }),
+  responses: {
+    200: jsonResponse('Draft discarded, if there was one', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        errors: { type: 'array', items: {}, maxItems: 0 }
+      }
+    }),
+    401: errorResponse('Not signed in')
+  }
+}), function(req, res, next) {
+  if (!req.user)
+    return api.signinRequired(req, res);
+
+  Draft
+    .discard(req.user, req.body.formURL)
+    .then(() => sendJSON(res, {
+      message: 'Draft discarded.',
+      errors: []
+    }))
+    .catch(next);
+});
+
+function getDraftData(draft, withFields = false) {
+  const data = {
+    formURL: draft.formURL,
+    formType: draft.formType,
+    title: draft.title,
+    savedOn: draft.savedOn
+  };
+  if (withFields)
+    data.fields = draft.fields;
+  return data;
+}
+
+function sendJSON(res, data) {
+  res.status(200);
+  res.type('json');
+  res.send(JSON.stringify(data, null, 2));
+}
+
+module.exports = router;
@@ -7,21 +7,195 @@ const router = express.Router();
 // Internal dependencies
 const User = require('../models/user');
 const Thing = require('../models/thing');
+const Review = require('../models/review');
+const ReviewVote = require('../models/review-vote');
 const actionHandler = require('./handlers/action-handler');
+const APIReviewProvider = require('./handlers/api-review-provider');
+const reviewHandlers = require('./handlers/review-handlers');
 const search = require('../search');
 const urlUtils = require('../util/url-utils');
+const thingTypes = require('../models/helpers/thing-types');
+const languages = require('../locales/languages');
+const api = require('./helpers/api');
+const searchResults = require('./helpers/search-results');
+const slugs = require('./helpers/slugs');
+const {
+  parseQuery, parseID, parseLanguage, parseThingType, parseInteger, parseNumber,
+  parseBoundingBox, parseDate, parseOption, parseInclude
+} = require('./helpers/query-params');
+const openapi = require('./helpers/openapi');
+const { jsonResponse, errorResponse, jsonBody, queryParam } = openapi;
+
+// Responses and parameters shared by several operations
+const messageResponse = jsonResponse('Success', {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    errors: { type: 'array', items: {}, maxItems: 0 }
+  }
+});
+const reviewResponse = jsonResponse('The review', {
+  type: 'object',
+  properties: {
+    message: { type: 'string' },
+    review: { $ref: '#/components/schemas/ReviewSummary' },
+    errors: { type: 'array', items: {}, maxItems: 0 }
+  }
+});
+const reviewIDParam = { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } };
+const thingResponse = jsonResponse('The review subject', {
+  type: 'object',
+  properties: { thing: { $ref: '#/components/schemas/Thing' } }
+});
+
+// Data that can be embedded in /thing/:id responses
+const thingEmbeds = ['reviews', 'files', 'sync', 'metrics', 'ratings'];
+const reviewSortOptions = ['date', 'helpfulness'];
+
+// Paging limits for search queries
+const searchLimits = {
+  defaultSize: 10,
+  maxSize: 50,
+  // Elasticsearch refuses to page beyond 10,000 results by default
+  maxFrom: 9950,
+  // Radius of place searches, in kilometers
+  defaultRadius: 5,
+  maxRadius: 100
+};
+
+// Maximum number of URLs per batch lookup
+const batchLimits = {
+  maxURLs: 500
+};
+
+// Page size limits for list queries
+const listLimits = {
+  default: 25,
+  max: 100
+};
+
+// OpenAPI description of this API, built from the operations below
+router.get('/openapi.json', openapi.route('get', '/openapi.json', {
+  summary: 'Get this OpenAPI document',
+  responses: { 200: jsonResponse('OpenAPI 3 document', { type: 'object' }) }
+}), function(req, res) {
+  res.status(200);
+  res.type('json');
+  res.send(JSON.stringify(openapi.getDocument(), null, 2));
+});
 
 // For true/false user preferences.
-router.post('/actions/:modify-preference', actionHandler.modifyPreference);
+router.post('/actions/:modify-preference', openapi.route('post', '/actions/:modify-preference', {
+  summary: 'Change a true/false preference of the current user',
+  parameters: [{ name: 'modify', in: 'path', required: true, schema: { type: 'string', enum: ['enable', 'disable', 'toggle'] } }],
+  requestBody: jsonBody({
+    type: 'object',
+    required: ['preferenceName'],
+    additionalProperties: false,
+    properties: { preferenceName: { type: 'string' } }
+  }),
+  responses: {
+    200: jsonResponse('Preference changed or unchanged', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        oldValue: { type: 'string' },
+        newValue: { type: 'string' },
+        errors: { type: 'array', items: {}, maxItems: 0 }
+      }
+    }),
+    400: errorResponse('Unknown preference or action'),
+    401: errorResponse('Not signed in')
+  }
+}), actionHandler.modifyPreference);
 
-router.post('/actions/suppress-notice', actionHandler.suppressNotice);
+router.post('/actions/suppress-notice', openapi.route('post', '/actions/suppress-notice', {
+  summary: 'Stop showing a notice to the current user',
+  requestBody: jsonBody({
+    type: 'object',
+    required: ['noticeType'],
+    additionalProperties: false,
+    properties: { noticeType: { type: 'string', enum: ['language-notice-review', 'language-notice-thing'] } }
+  }),
+  responses: {
+    200: messageResponse,
+    400: errorResponse('Unknown notice type'),
+    401: errorResponse('Not signed in')
+  }
+}), actionHandler.suppressNotice);
 
-router.post('/actions/upload', actionHandler.upload);
+// Multipart requests are validated by the upload handler itself, see
+// routes/handlers/api-upload-handler.js
+router.post('/actions/upload', openapi.route('post', '/actions/upload', {
+  summary: 'Upload one or more files',
+  description: 'If uploading multiple files, set `multiple` and add the ' +
+    'original filename to each metadata field, e.g. `description-foo.jpg`. ' +
+    'Requires upload permission.',
+  requestBody: {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          type: 'object',
+          required: ['files', 'description', 'license', 'language'],
+          properties: {
+            files: { type: 'array', items: { type: 'string', format: 'binary' } },
+            multiple: { type: 'boolean' },
+            description: { type: 'string' },
+            ownwork: { type: 'boolean', description: 'The uploader created the file' },
+            creator: { type: 'string', description: 'Required unless ownwork is set' },
+            source: { type: 'string', description: 'Required unless ownwork is set' },
+            license: { type: 'string', enum: ['cc-0', 'cc-by', 'cc-by-sa', 'fair-use'] },
+            language: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+  responses: {
+    200: jsonResponse('Files uploaded', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        uploads: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              originalName: { type: 'string' },
+              uploadedFileName: { type: 'string' },
+              fileID: { type: 'string', format: 'uuid' },
+              description: { $ref: '#/components/schemas/MultilingualString' },
+              license: { type: 'string' },
+              creator: { $ref: '#/components/schemas/MultilingualString' },
+              source: { $ref: '#/components/schemas/MultilingualString' }
+            }
+          }
+        },
+        errors: { type: 'array', items: {}, maxItems: 0 }
+      }
+    }),
+    400: errorResponse('Invalid file or metadata'),
+    401: errorResponse('Not signed in'),
+    403: errorResponse('No upload permission')
+  }
+}), actionHandler.upload);
 
 // Query existence/properties of a thing (review subject)
 // look up by canonical URL name via /thing/:label or use URL query parameter
 // e.g., ?url=http://yahoo.com
-router.get('/thing', function(req, res, next) {
+router.get('/thing', openapi.route('get', '/thing', {
+  summary: 'Look up a review subject by URL',
+  parameters: [
+    queryParam('url', { type: 'string' }, 'URL of the review subject', true),
+    queryParam('userID', { type: 'string', format: 'uuid' }, 'Include reviews of the subject by this user')
+  ],
+  responses: {
+    200: thingResponse,
+    400: errorResponse('Invalid URL'),
+    404: errorResponse('No review subject with this URL')
+  }
+}), function(req, res, next) {
   if (req.query.url) {
     let rv = {},
       failureMsg = 'Could not retrieve review subject.',
@@ -51,21 +225,10 @@ router.get('/thing', function(req, res, next) {
             .populateReviewMetrics()
             .then(() => {
               res.status(200);
-              rv.thing = {
-                id: result.id,
-                label: result.label,
-                aliases: result.aliaes,
-                description: result.description,
-                originalLanguage: result.originalLanguage,
-                canonicalSlugName: result.canonicalSlugName,
-                urlID: result.urlID,
-                createdOn: result.createdOn,
-                createdBy: result.createdBy,
-                numberOfReviews: result.numberOfReviews,
-                averageStarRating: result.averageStarRating,
-                urls: result.urls,
-                reviews: result.reviews
-              };
+              rv.thing = getThingData(result);
+              rv.thing.numberOfReviews = result.numberOfReviews;
+              rv.thing.averageStarRating = result.averageStarRating;
+              rv.thing.reviews = result.reviews;
               res.type('json');
               res.send(JSON.stringify(rv, null, 2));
             })
@@ -76,8 +239,359 @@ router.get('/thing', function(req, res, next) {
   }
 });
 
+// Get a thing (review subject) by its ID or any of its short identifiers
+// (slugs). Associated data can be embedded via the `include` parameter, a
+// comma-separated list of any of the following:
+//
+// - reviews: current reviews, newest first. If there are more than fit on one
+//   page of /api/reviews, `reviewsNextCursor` can be used to continue there.
+// - files: completed uploads, with license information
+// - sync: active synchronizations of fields with external sources
+// - metrics: number of reviews and average star rating
+// - ratings: distribution of star ratings, and average rating by month
+router.get('/thing/:id', openapi.route('get', '/thing/:id', {
+  summary: 'Get a review subject by ID or short identifier',
+  parameters: [
+    { name: 'id', in: 'path', required: true, description: 'ID or short identifier (slug)', schema: { type: 'string' } },
+    queryParam('include', { type: 'string' }, `Comma-separated list of data to embed: ${thingEmbeds.join(', ')}`)
+  ],
+  responses: {
+    200: thingResponse,
+    400: errorResponse('Invalid parameters'),
+    404: errorResponse('Review subject not found')
+  }
+}), function(req, res, next) {
+  const include = parseInclude(req.query.include, thingEmbeds);
+  if (include.errors.length)
+    return api.error(req, res, include.errors);
+
+  const embed = include.values;
+  slugs
+    .resolveAndLoadThingWithoutRedirect(req.params.id, {
+      withFiles: embed.includes('files'),
+      withReviewMetrics: embed.includes('metrics')
+    })
+    .then(thing => {
+      const reviewsPromise = embed.includes('reviews') ?
+        Review.getFeed({
+          thingID: thing.id,
+          withThing: false,
+          limit: listLimits.max
+        }) :
+        Promise.resolve();
+      const ratingsPromise = embed.includes('ratings') ?
+        Review.getRatingStats({ thingID: thing.id }) :
+        Promise.resolve();
+
+      return Promise.all([reviewsPromise, ratingsPromise]).then(([reviewResult, ratingStats]) => {
+        let rv = {};
+        rv.thing = getThingData(thing);
+
+        if (ratingStats) {
+          rv.thing.ratingDistribution = ratingStats.distribution;
+          rv.thing.ratingTrend = ratingStats.trend;
+        }
+
+        if (embed.includes('metrics')) {
+          rv.thing.numberOfReviews = thing.numberOfReviews;
+          rv.thing.averageStarRating = thing.averageStarRating;
+        }
+
+        if (embed.includes('sync')) {
+          rv.thing.sync = {};
+          for (let field in thing.sync || {}) {
+            if (thing.sync[field] && thing.sync[field].active)
+              rv.thing.sync[field] = thing.sync[field];
+          }
+        }
+
+        if (embed.includes('files'))
+          rv.thing.files = (thing.files || []).map(getFileData);
+
+        if (reviewResult) {
+          rv.thing.reviews = reviewResult.feedItems.map(APIReviewProvider.getReviewData);
+          rv.thing.reviewsNextCursor = reviewResult.offsetDate ?
+            reviewResult.offsetDate.toISOString() : null;
+        }
+
+        res.status(200);
+        res.type('json');
+        res.send(JSON.stringify(rv, null, 2));
+      });
+    })
+    .catch(error => {
+      switch (error.name) {
+        case 'DocumentNotFoundError':
+        case 'RevisionDeletedError':
+          return api.error(req, res, 'Review subject not found.', 404);
+        case 'RevisionStaleError':
+          return api.error(req, res, 'The provided ID refers to an outdated revision.', 404);
+        default:
+          return next(error);
+      }
+    });
+});
+
+// Look up many URLs at once, e.g., to check which links on a page have been
+// reviewed. Submitted URLs are normalized before lookup. The response maps
+// each valid URL, as submitted, to `{ id, label, numberOfReviews,
+// averageStarRating }` of the matching review subject, or to null if there is
+// none. URLs that can't be parsed are listed in `invalidURLs`.
+router.post('/things/lookup', openapi.route('post', '/things/lookup', {
+  summary: 'Look up review subjects for many URLs at once',
+  description: 'Read-only; permitted with API tokens that have read access.',
+  requestBody: jsonBody({
+    type: 'object',
+    required: ['urls'],
+    additionalProperties: false,
+    properties: {
+      urls: { type: 'array', maxItems: batchLimits.maxURLs, items: { type: 'string' } }
+    }
+  }),
+  responses: {
+    200: jsonResponse('Lookup results', {
+      type: 'object',
+      properties: {
+        results: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            nullable: true,
+            properties: {
+              id: { type: 'string', format: 'uuid' },
+              label: { $ref: '#/components/schemas/MultilingualString' },
+              numberOfReviews: { type: 'integer' },
+              averageStarRating: { type: 'number' }
+            }
+          }
+        },
+        invalidURLs: { type: 'array', items: { type: 'string' } }
+      }
+    }),
+    400: errorResponse('Invalid request')
+  }
+}), function(req, res, next) {
+  const submittedURLs = Array.from(new Set(req.body.urls));
+  const invalidURLs = submittedURLs.filter(url => !urlUtils.validate(url));
+  const normalizedURLs = new Map();
+  for (let url of submittedURLs) {
+    if (!invalidURLs.includes(url))
+      normalizedURLs.set(url, urlUtils.normalize(url));
+  }
+
+  Thing
+    .lookupByURLs(Array.from(new Set(normalizedURLs.values())))
+    .then(things => {
+      const thingsByURL = {};
+      for (let thing of things) {
+        for (let url of thing.urls) {
+          if (!thingsByURL[url])
+            thingsByURL[url] = {
+              id: thing.id,
+              label: thing.label,
+              numberOfReviews: thing.numberOfReviews,
+              averageStarRating: thing.averageStarRating
+            };
+        }
+      }
+
+      const results = {};
+      for (let [url, normalizedURL] of normalizedURLs)
+        results[url] = thingsByURL[normalizedURL] || null;
+
+      res.status(200);
+      res.type('json');
+      res.send(JSON.stringify({ results, invalidURLs }, null, 2));
+    })
+    .catch(next);
+});
+
+// Full text search across review subjects (things) and reviews. Parameters:
+//
+// - query: the search query (required)
+// - language: language for stemming and fallbacks, defaults to the UI language
+// - from, size: offset and page size, applied to both result sets
+//
+// The response contains `things` and `reviews` objects, each with the `total`
+// number of matches and an array of `hits`. Thing hits have the form
+// `{ id, urlID, type, label, aliases, description, urls, highlights }`. Review hits are
+// grouped by the thing they are about: `{ thing: { id, urlID, label },
+// totalReviews, reviews: [{ id, title, starRating, createdOn, highlights }] }`.
+// Highlights are de-duplicated excerpts with matches wrapped in
+// `<span class="search-highlight">`.
+router.get('/search', openapi.route('get', '/search', {
+  summary: 'Search review subjects and reviews',
+  parameters: [
+    queryParam('query', { type: 'string', minLength: 1 }, 'Search query', true),
+    queryParam('language', { type: 'string', enum: languages.getValidLanguages() }, 'Language for stemming and fallbacks; defaults to the interface language'),
+    queryParam('type', { type: 'string', enum: thingTypes.getTypeIDs() }, 'Only review subjects of this type'),
+    queryParam('from', { type: 'integer', minimum: 0, maximum: searchLimits.maxFrom }, 'Offset'),
+    queryParam('size', { type: 'integer', minimum: 1, maximum: searchLimits.maxSize }, 'Page size')
+  ],
+  responses: {
+    200: jsonResponse('Search results', {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        language: { type: 'string' },
+        from: { type: 'integer' },
+        size: { type: 'integer' },
+        things: { $ref: '#/components/schemas/ThingSearchResults' },
+        reviews: {
+          type: 'object',
+          properties: {
+            total: { type: 'integer' },
+            hits: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  thing: {
+                    type: 'object',
+                    properties: {
+                      id: { type: 'string', format: 'uuid' },
+                      urlID: { type: 'string' },
+                      label: { $ref: '#/components/schemas/MultilingualString' }
+                    }
+                  },
+                  totalReviews: { type: 'integer' },
+                  reviews: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        id: { type: 'string', format: 'uuid' },
+                        title: { $ref: '#/components/schemas/MultilingualString' },
+                        starRating: { type: 'integer' },
+                        createdOn: { type: 'string', format: 'date-time' },
+                        highlights: { $ref: '#/components/schemas/SearchHighlights' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }),
+    400: errorResponse('Invalid parameters')
+  }
+}), function(req, res, next) {
+  // Parameters have been validated against the schemas above; the query must
+  // also contain more than whitespace
+  const query = req.query.query.trim();
+  if (!query)
+    return api.error(req, res, 'Parameter "query" is required.');
+
+  const language = req.query.language || req.locale;
+  const pageOptions = {
+    from: req.query.from === undefined ? 0 : Number(req.query.from),
+    size: req.query.size === undefined ? searchLimits.defaultSize : Number(req.query.size)
+  };
+
+  Promise
+    .all([
+      search.searchThings(query, language, Object.assign({ type: req.query.type }, pageOptions)),
+      search.searchReviews(query, language, pageOptions)
+    ])
+    .then(([thingResults, reviewResults]) => {
+      const rv = searchResults.getSearchResults(Object.assign({ query, language }, pageOptions),
+        thingResults, reviewResults);
+      res.status(200);
+      res.type('json');
+      res.send(JSON.stringify(rv, null, 2));
+    })
+    .catch(next);
+});
+
+// Search for places that have been reviewed, either near a point or inside a
+// bounding box. Parameters:
+//
+// - lat, lon: the point; results are sorted by distance from it
+// - radius: maximum distance from the point in kilometers (default 5)
+// - bbox: alternatively, a bounding box in the order used by OpenStreetMap:
+//   min. longitude, min. latitude, max. longitude, max. latitude
+// - type, from, size: as for /search
+//
+// Thing hits have the same form as for /search, without highlights, but with
+// the `coordinates` of the place and, for searches near a point, its
+// `distance` in kilometers.
+router.get('/search/places', openapi.route('get', '/search/places', {
+  summary: 'Search reviewed places near a point or inside a bounding box',
+  parameters: [
+    queryParam('lat', { type: 'number', minimum: -90, maximum: 90 }, 'Latitude of the point'),
+    queryParam('lon', { type: 'number', minimum: -180, maximum: 180 }, 'Longitude of the point'),
+    queryParam('radius', { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: searchLimits.maxRadius }, 'Maximum distance from the point in kilometers'),
+    queryParam('bbox', { type: 'string' }, 'Bounding box instead of a point: min. longitude, min. latitude, max. longitude, max. latitude, separated by commas'),
+    queryParam('type', { type: 'string', enum: thingTypes.getTypeIDs() }, 'Only review subjects of this type'),
+    queryParam('from', { type: 'integer', minimum: 0, maximum: searchLimits.maxFrom }, 'Offset'),
+    queryParam('size', { type: 'integer', minimum: 1, maximum: searchLimits.maxSize }, 'Page size')
+  ],
+  responses: {
+    200: jsonResponse('Search results', {
+      type: 'object',
+      properties: {
+        from: { type: 'integer' },
+        size: { type: 'integer' },
+        things: { $ref: '#/components/schemas/ThingSearchResults' }
+      }
+    }),
+    400: errorResponse('Invalid parameters')
+  }
+}), function(req, res, next) {
+  const { options, errors } = parseQuery(req.query, {
+    lat: ['lat', parseNumber, -90, 90],
+    lon: ['lon', parseNumber, -180, 180],
+    radius: ['radius', parseNumber, 0, searchLimits.maxRadius],
+    bbox: ['bbox', parseBoundingBox],
+    type: ['type', parseThingType],
+    from: ['from', parseInteger, 0, searchLimits.maxFrom],
+    size: ['size', parseInteger, 1, searchLimits.maxSize]
+  });
+
+  const hasPoint = options.lat !== undefined && options.lon !== undefined;
+  if (!errors.length && hasPoint === Boolean(options.bbox))
+    errors.push('Either both "lat" and "lon", or "bbox" are required.');
+  if (options.radius === 0)
+    errors.push('Parameter "radius" must be greater than 0.');
+  if (errors.length)
+    return api.error(req, res, errors);
+
+  const area = hasPoint ? {
+    lat: options.lat,
+    lon: options.lon,
+    distance: `${options.radius || searchLimits.defaultRadius}km`
+  } : options.bbox;
+  const pageOptions = {
+    from: options.from || 0,
+    size: options.size || searchLimits.defaultSize,
+    type: options.type
+  };
+
+  search
+    .searchPlaces(area, pageOptions)
+    .then(results => {
+      const rv = searchResults.getPlaceSearchResults(pageOptions, results);
+      res.status(200);
+      res.type('json');
+      res.send(JSON.stringify(rv, null, 2));
+    })
+    .catch(next);
+});
+
 // Search suggestions
-router.get('/suggest/thing/:prefix', function(req, res, next) {
+router.get('/suggest/thing/:prefix', openapi.route('get', '/suggest/thing/:prefix', {
+  summary: 'Get autocompletion suggestions for review subject labels',
+  responses: {
+    200: jsonResponse('Suggestions, keyed by `labels-<language>` for matching labels and ' +
+      '`aliases-<language>` for matching aliases. The `text` of each suggestion is the ' +
+      'matching label or alias; `label` is the label of the review subject.', {
+      type: 'object',
+      properties: { results: { type: 'object' } }
+    })
+  }
+}), function(req, res, next) {
   const prefix = req.params.prefix.trim();
   search
     .suggestThing(prefix, req.locale)
@@ -91,6 +605,7 @@ router.get('/suggest/thing/:prefix', function(req, res, next) {
         rv.results[k] = rv.results[k][0].options;
         for (let option of rv.results[k]) {
           option.urlID = option._source.urlID;
+          option.label = option._source.label;
           option.urls = option._source.urls;
           option.description = option._source.description;
           Reflect.deleteProperty(option, '_source');
@@ -105,7 +620,171 @@ router.get('/suggest/thing/:prefix', function(req, res, next) {
     .catch(next);
 });
 
-router.get('/user/:name', function(req, res) {
+// Reviews. Write requests take the same data as the review forms, as a JSON
+// object (see routes/handlers/api-review-provider.js).
+router.get('/review/:id', openapi.route('get', '/review/:id', {
+  summary: 'Get a review',
+  parameters: [reviewIDParam],
+  responses: {
+    200: reviewResponse,
+    404: errorResponse('Review not found')
+  }
+}), getReviewHandler('read', 'GET'));
+
+router.post('/new/review', openapi.route('post', '/new/review', {
+  summary: 'Create a review',
+  description: 'Requires `url` or `thing`, plus `title`, `text`, `starRating` and `language`.',
+  requestBody: jsonBody({ $ref: '#/components/schemas/ReviewInput' }),
+  responses: {
+    200: reviewResponse,
+    400: errorResponse('Invalid submission'),
+    401: errorResponse('Not signed in')
+  }
+}), getReviewHandler('add', 'POST'));
+
+router.post('/review/:id/edit', openapi.route('post', '/review/:id/edit', {
+  summary: 'Edit a review',
+  description: 'Requires `title`, `text`, `starRating` and `language`. ' +
+    'Team associations are left unchanged if `teams` is not specified. ' +
+    'An optional `summary` describes the change.',
+  parameters: [reviewIDParam],
+  requestBody: jsonBody({ $ref: '#/components/schemas/ReviewInput' }),
+  responses: {
+    200: reviewResponse,
+    400: errorResponse('Invalid submission'),
+    401: errorResponse('Not signed in'),
+    403: errorResponse('No permission to edit this review'),
+    404: errorResponse('Review not found')
+  }
+}), getReviewHandler('edit', 'POST'));
+
+router.post('/review/:id/vote', openapi.route('post', '/review/:id/vote', {
+  summary: 'Vote on whether a review is helpful',
+  description: 'Each user has one vote per review. Authors cannot vote on their own reviews.',
+  parameters: [reviewIDParam],
+  requestBody: jsonBody({
+    type: 'object',
+    required: ['vote'],
+    additionalProperties: false,
+    properties: {
+      vote: { type: 'string', enum: ReviewVote.options.votes, description: '`none` retracts an earlier vote' }
+    }
+  }),
+  responses: {
+    200: jsonResponse('Vote recorded', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        votes: { $ref: '#/components/schemas/ReviewVotes' },
+        userVote: { type: 'string', enum: ['helpful', 'not-helpful'], nullable: true },
+        errors: { type: 'array', items: {}, maxItems: 0 }
+      }
+    }),
+    400: errorResponse('Invalid vote, or vote on own review'),
+    401: errorResponse('Not signed in'),
+    404: errorResponse('Review not found')
+  }
+}), reviewHandlers.vote);
+
+router.post('/review/:id/delete', openapi.route('post', '/review/:id/delete', {
+  summary: 'Delete a review',
+  parameters: [reviewIDParam],
+  requestBody: jsonBody({
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      deleteThing: { type: 'boolean', description: 'Also delete the review subject (moderators only)' }
+    }
+  }, false),
+  responses: {
+    200: jsonResponse('Review deleted', {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        id: { type: 'string', format: 'uuid' },
+        thingDeleted: { type: 'boolean' },
+        errors: { type: 'array', items: {}, maxItems: 0 }
+      }
+    }),
+    401: errorResponse('Not signed in'),
+    403: errorResponse('No permission to delete this review'),
+    404: errorResponse('Review not found')
+  }
+}), getReviewHandler('delete', 'POST'));
+
+// List reviews, newest first or, for a given thing, most helpful first.
+// Results can be filtered by thing, author, team, language, star rating and
+// date range. To get the next page, pass the returned `nextCursor` as the
+// `cursor` parameter, along with the same filters.
+router.get('/reviews', openapi.route('get', '/reviews', {
+  summary: 'List reviews, newest or most helpful first',
+  parameters: [
+    queryParam('thing', { type: 'string', format: 'uuid' }, 'Only reviews of this review subject'),
+    queryParam('author', { type: 'string', format: 'uuid' }, 'Only reviews by this user'),
+    queryParam('team', { type: 'string', format: 'uuid' }, 'Only reviews associated with this team'),
+    queryParam('language', { type: 'string' }, 'Only reviews originally written in this language'),
+    queryParam('minRating', { type: 'integer', minimum: 1, maximum: 5 }, 'Minimum star rating'),
+    queryParam('maxRating', { type: 'integer', minimum: 1, maximum: 5 }, 'Maximum star rating'),
+    queryParam('createdAfter', { type: 'string', format: 'date-time' }, 'Only reviews created on or after this date'),
+    queryParam('createdBefore', { type: 'string', format: 'date-time' }, 'Only reviews created before this date'),
+    queryParam('sort', { type: 'string', enum: reviewSortOptions },
+      'Order of reviews (default: date). Sorting by helpfulness requires `thing`.'),
+    queryParam('cursor', { type: 'string' }, '`nextCursor` from the previous page'),
+    queryParam('limit', { type: 'integer', minimum: 1, maximum: listLimits.max }, `Page size (default: ${listLimits.default})`)
+  ],
+  responses: {
+    200: jsonResponse('A page of reviews', {
+      type: 'object',
+      properties: {
+        reviews: { type: 'array', items: { $ref: '#/components/schemas/ReviewSummary' } },
+        nextCursor: { type: 'string', nullable: true }
+      }
+    }),
+    400: errorResponse('Invalid parameters')
+  }
+}), function(req, res, next) {
+  const { options, errors } = parseReviewListQuery(req.query);
+  if (errors.length)
+    return api.error(req, res, errors);
+
+  Review
+    .getFeed(options)
+    .then(result => {
+      // Votes are already populated when ranking by helpfulness
+      const votesPromise = options.sortBy == 'helpfulness' ?
+        Promise.resolve() : Review.populateVotes(result.feedItems);
+      return votesPromise.then(() => result);
+    })
+    .then(result => {
+      let rv = {};
+      rv.reviews = result.feedItems.map(APIReviewProvider.getReviewData);
+      if (result.nextOffset !== undefined)
+        rv.nextCursor = String(result.nextOffset);
+      else
+        rv.nextCursor = result.offsetDate ? result.offsetDate.toISOString() : null;
+      res.status(200);
+      res.type('json');
+      res.send(JSON.stringify(rv, null, 2));
+    })
+    .catch(next);
+});
+
+router.get('/user/:name', openapi.route('get', '/user/:name', {
+  summary: 'Get basic information about a user',
+  responses: {
+    200: jsonResponse('The user', {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        displayName: { type: 'string' },
+        canonicalName: { type: 'string' },
+        registrationDate: { type: 'string', format: 'date-time' },
+        isSiteModerator: { type: 'boolean' }
+      }
+    }),
+    404: errorResponse('User not found')
+  }
+}), function(req, res) {
   const { name } = req.params;
   let rv = {};
   User.filter({
@@ -129,4 +808,101 @@ router.get('/user/:name', function(req, res) {
   });
 });
 
+// Translate the query parameters of a review list request into options for
+// Review.getFeed. Returns the options and an array of validation errors.
+function parseReviewListQuery(query) {
+  const { options, errors } = parseQuery(query, {
+    thingID: ['thing', parseID],
+    createdBy: ['author', parseID],
+    teamID: ['team', parseID],
+    language: ['language', parseLanguage],
+    minRating: ['minRating', parseInteger, 1, 5],
+    maxRating: ['maxRating', parseInteger, 1, 5],
+    limit: ['limit', parseInteger, 1, listLimits.max],
+    createdAfter: ['createdAfter', parseDate],
+    createdBefore: ['createdBefore', parseDate],
+    sortBy: ['sort', parseOption, reviewSortOptions]
+  });
+
+  if (options.limit === undefined)
+    options.limit = listLimits.default;
+
+  // Reviews ranked by helpfulness are paginated by position, not date
+  if (options.sortBy == 'helpfulness') {
+    if (!options.thingID)
+      errors.push('Parameter "sort" can only be "helpfulness" if "thing" is specified.');
+    const offset = parseQuery(query, { offset: ['cursor', parseInteger, 0, Number.MAX_SAFE_INTEGER] });
+    errors.push(...offset.errors);
+    options.offset = offset.options.offset;
+  } else {
+    const cursor = parseQuery(query, { cursor: ['cursor', parseDate] });
+    errors.push(...cursor.errors);
+    options.cursor = cursor.options.cursor;
+  }
+
+  // The cursor and the upper end of the date range both limit results to
+  // older reviews, so we use whichever is more restrictive
+  const upperBounds = [options.cursor, options.createdBefore].filter(Boolean);
+  if (upperBounds.length)
+    options.offsetDate = new Date(Math.min(...upperBounds));
+  Reflect.deleteProperty(options, 'cursor');
+  Reflect.deleteProperty(options, 'createdBefore');
+
+  return { options, errors };
+}
+
+// Representation of a thing for API output, including all type-specific
+// fields that have values. Embeds are added by the callers.
+function getThingData(thing) {
+  const typeFields = {};
+  for (let field of thingTypes.getAllFieldNames())
+    typeFields[field] = thing[field];
+
+  return Object.assign({
+    id: thing.id,
+    urls: thing.urls,
+    label: thing.label,
+    aliases: thing.aliases,
+    description: thing.description,
+    type: thing.type
+  }, typeFields, {
+    originalLanguage: thing.originalLanguage,
+    canonicalSlugName: thing.canonicalSlugName,
+    urlID: thing.urlID,
+    createdOn: thing.createdOn,
+    createdBy: thing.createdBy,
+    _revID: thing._revID,
+    _revUser: thing._revUser,
+    _revDate: thing._revDate,
+    _revTags: thing._revTags,
+    _revSummary: thing._revSummary
+  });
+}
+
+function getFileData(file) {
+  return {
+    id: file.id,
+    name: file.name,
+    url: `/static/uploads/${encodeURIComponent(file.name)}`,
+    description: file.description,
+    mimeType: file.mimeType,
+    license: file.license,
+    creator: file.creator,
+    source: file.source,
+    uploadedBy: file.uploadedBy,
+    uploadedOn: file.uploadedOn
+  };
+}
+
+function getReviewHandler(action, method) {
+  return function(req, res, next) {
+    const provider = new APIReviewProvider(req, res, next, {
+      action,
+      method,
+      id: req.params.id
+    });
+    provider.execute();
+  };
+}
+
 module.exports = router;
@@ -1,5 +1,8 @@
 'use strict';
 const BlogPostProvider = require('./handlers/blog-post-provider');
+const BlogPost = require('../models/blog-post');
+const mlString = require('../models/helpers/ml-string');
+const historyHandlers = require('./handlers/history-handler');
 
 let router = BlogPostProvider.bakeRoutes(null, {
   browse: {
@@ -36,4 +39,21 @@ let router = BlogPostProvider.bakeRoutes(null, {
   }
 });
 
+const historyOptions = {
+  Model: BlogPost,
+  idParam: 'postID',
+  messageKeyPrefix: 'post',
+  load: (req, res, postID) => BlogPost
+    .getWithCreator(postID)
+    .then(post => ({
+      document: post,
+      label: mlString.resolve(req.locale, post.title).str,
+      url: `/team/${post.teamID}/post/${post.id}`
+    }))
+};
+
+router.get('/team/:id/post/:postID/history', historyHandlers.getHistoryHandler(historyOptions));
+
+router.post('/team/:id/post/:postID/history', historyHandlers.getRestoreHandler(historyOptions));
+
 module.exports = router;
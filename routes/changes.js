@@ -0,0 +1,249 @@
+'use strict';
+
+// External dependencies
+const express = require('express');
+const router = express.Router();
+const config = require('config');
+const escapeHTML = require('escape-html');
+const i18n = require('i18n');
+const querystring = require('querystring');
+const url = require('url');
+
+// Internal dependencies
+const Thing = require('../models/thing');
+const Review = require('../models/review');
+const Team = require('../models/team');
+const BlogPost = require('../models/blog-post');
+const Comment = require('../models/comment');
+const File = require('../models/file');
+const UserMeta = require('../models/user-meta');
+const User = require('../models/user');
+const render = require('./helpers/render');
+const feeds = require('./helpers/feeds');
+const mlString = require('../models/helpers/ml-string');
+const languages = require('../locales/languages');
+const historyHandlers = require('./handlers/history-handler');
+
+// Changes per page, also applies to the Atom feed
+const limit = 50;
+
+// Kinds of versioned content, in the order in which they are offered as
+// filters. Functions are called with a raw revision, the stable ID of the
+// document and the user who created the revision. `getLabel` must return
+// HTML-safe strings.
+const changeTypes = {
+  things: {
+    Model: Thing,
+    labelKey: 'content type things',
+    getLabel: (rev, req) => rev.label ?
+      mlString.resolve(req.locale, rev.label).str :
+      escapeHTML(rev.urls[0]),
+    getHistoryURL: (rev, id) => `/${id}/history`
+  },
+  reviews: {
+    Model: Review,
+    labelKey: 'content type reviews',
+    getLabel: (rev, req) => mlString.resolve(req.locale, rev.title).str,
+    getHistoryURL: (rev, id) => `/review/${id}/history`
+  },
+  teams: {
+    Model: Team,
+    labelKey: 'content type teams',
+    getLabel: (rev, req) => mlString.resolve(req.locale, rev.name).str,
+    getHistoryURL: (rev, id) => `/team/${id}/history`
+  },
+  posts: {
+    Model: BlogPost,
+    labelKey: 'content type posts',
+    getLabel: (rev, req) => mlString.resolve(req.locale, rev.title).str,
+    getHistoryURL: (rev, id) => `/team/${rev.teamID}/post/${id}/history`
+  },
+  comments: {
+    Model: Comment,
+    labelKey: 'content type comments',
+    getLabel: (rev, req) => Comment.getExcerpt(rev, req.locale),
+    getHistoryURL: (rev, id) => `/comment/${id}/history`
+  },
+  files: {
+    Model: File,
+    labelKey: 'content type files',
+    getLabel: rev => escapeHTML(rev.name),
+    getHistoryURL: (rev, id) => `/file/${id}/history`
+  },
+  bios: {
+    Model: UserMeta,
+    labelKey: 'content type bios',
+    // Only users can edit their own bios, so the editor is also the owner
+    getLabel: (rev, req, id, user) => user ? escapeHTML(user.displayName) : '',
+    getHistoryURL: (rev, id, user) => user ? `/user/${user.urlName}/history` : undefined
+  }
+};
+
+router.get('/changes', function(req, res, next) {
+  getChanges(req)
+    .then(result => {
+      const { filters, items, offsetDate, pageErrors } = result;
+      const query = querystring.stringify(getFilterParams(filters));
+      const paginationQuery = offsetDate ?
+        querystring.stringify(Object.assign(getFilterParams(filters), {
+          before: offsetDate.toISOString()
+        })) :
+        undefined;
+
+      render.template(req, res, 'changes', {
+        titleKey: 'recent changes',
+        filters,
+        types: Object.keys(changeTypes).map(key => ({
+          key,
+          labelKey: changeTypes[key].labelKey,
+          isSelected: key === filters.type
+        })),
+        items,
+        atomURL: `/changes/atom/${req.locale}${query ? '?' + query : ''}`,
+        paginationURL: paginationQuery ? `/changes?${paginationQuery}` : null,
+        pageErrors,
+        embeddedFeeds: feeds.getEmbeddedFeeds(req, {
+          atomURLPrefix: '/changes/atom',
+          atomURLTitleKey: 'atom feed of recent changes'
+        })
+      });
+    })
+    .catch(next);
+});
+
+router.get('/changes/atom', (req, res) => {
+  const query = querystring.stringify(getFilterParams(getFilters(req)));
+  res.redirect(`/changes/atom/${req.locale}${query ? '?' + query : ''}`);
+});
+
+router.get('/changes/atom/:language', function(req, res, next) {
+  let language = req.params.language;
+  if (!languages.isValid(language))
+    language = 'en';
+  i18n.setLocale(req, language);
+
+  getChanges(req)
+    .then(({ filters, items }) => {
+      const query = querystring.stringify(getFilterParams(filters));
+      res.type('application/atom+xml');
+      render.template(req, res, 'changes-atom', {
+        titleKey: 'recent changes',
+        layout: 'layout-atom',
+        language,
+        items: items.map(item => Object.assign(item, {
+          link: item.diffURL || item.historyURL ?
+            url.resolve(config.qualifiedURL, item.diffURL || item.historyURL) :
+            undefined
+        })),
+        updatedDate: items.length ? items[0].date : new Date(),
+        selfURL: url.resolve(config.qualifiedURL, `/changes/atom/${language}`) +
+          (query ? '?' + query : ''),
+        htmlURL: url.resolve(config.qualifiedURL, '/changes') + (query ? '?' + query : '')
+      });
+    })
+    .catch(next);
+});
+
+// Filters are passed as query parameters: `type` (see `changeTypes`), `user`
+// (URL name), `tag`, `untrusted` (any non-empty value) and `before` (ISO date,
+// for pagination only)
+function getFilters(req) {
+  const { type, user, tag, untrusted } = req.query;
+  return {
+    type: changeTypes.hasOwnProperty(type) ? type : undefined,
+    user: typeof user == 'string' && user.trim() ? user.trim() : undefined,
+    tag: typeof tag == 'string' && tag.trim() ? tag.trim() : undefined,
+    untrusted: Boolean(untrusted)
+  };
+}
+
+// Query parameters for the active filters
+function getFilterParams(filters) {
+  const params = {};
+  for (let key of ['type', 'user', 'tag'])
+    if (filters[key])
+      params[key] = filters[key];
+  if (filters.untrusted)
+    params.untrusted = 1;
+  return params;
+}
+
+async function getChanges(req) {
+  const filters = getFilters(req);
+  const pageErrors = [];
+  const options = {
+    limit: limit + 1,
+    tag: filters.tag,
+    onlyUntrusted: filters.untrusted
+  };
+
+  const offsetDate = new Date(req.query.before);
+  if (!isNaN(offsetDate))
+    options.offsetDate = offsetDate;
+
+  if (filters.user) {
+    try {
+      options.userID = (await User.findByURLName(filters.user)).id;
+    } catch (error) {
+      if (error.name !== 'DocumentNotFoundError')
+        throw error;
+      pageErrors.push(req.__('no user with name', escapeHTML(filters.user)));
+      return { filters, items: [], pageErrors };
+    }
+  }
+
+  const types = filters.type ? [filters.type] : Object.keys(changeTypes);
+  // We keep the revisions themselves unmodified, so we can compare them
+  const results = await Promise.all(types.map(type => changeTypes[type].Model
+    .getRecentRevisions(options)
+    .then(revisions => revisions.map(rev => ({ type, rev, _revUser: rev._revUser })))));
+
+  const changes = [].concat(...results)
+    .sort((change1, change2) => change2.rev._revDate - change1.rev._revDate)
+    .slice(0, limit + 1);
+
+  let nextOffsetDate;
+  // At least one additional revision available, set offset for pagination
+  if (changes.length == limit + 1) {
+    nextOffsetDate = changes[limit - 1].rev._revDate;
+    changes.pop();
+  }
+
+  await historyHandlers.addRevisionUsers(changes);
+  return {
+    filters,
+    items: changes.map(change => getItem(change, req)),
+    offsetDate: nextOffsetDate,
+    pageErrors
+  };
+}
+
+function getItem({ type, rev, user }, req) {
+  const changeType = changeTypes[type];
+  const id = rev._oldRevOf || rev.id;
+  const historyURL = changeType.getHistoryURL(rev, id, user);
+  const item = {
+    id: rev._revID,
+    typeLabelKey: changeType.labelKey,
+    label: changeType.getLabel(rev, req, id, user),
+    historyURL,
+    date: rev._revDate,
+    user,
+    tags: rev._revTags || [],
+    summary: rev._revSummary
+  };
+
+  const previous = rev._previous;
+  if (previous) {
+    const current = Object.assign({}, rev);
+    Reflect.deleteProperty(current, '_previous');
+    item.fields = historyHandlers.getChangedFields(previous, current);
+    if (historyURL)
+      item.diffURL = `${historyURL}?from=${previous._revID}&to=${rev._revID}`;
+  } else
+    item.isNew = true;
+
+  return item;
+}
+
+module.exports = router;
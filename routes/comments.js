@@ -0,0 +1,46 @@
+'use strict';
+const escapeHTML = require('escape-html');
+const CommentProvider = require('./handlers/comment-provider');
+const Comment = require('../models/comment');
+const historyHandlers = require('./handlers/history-handler');
+
+let router = CommentProvider.bakeRoutes(null, {
+  read: {
+    path: '/comment/:id',
+    methods: ['GET']
+  },
+  add: {
+    path: '/review/:id/new/comment',
+    methods: ['GET', 'POST']
+  },
+  edit: {
+    path: '/comment/:id/edit',
+    methods: ['GET', 'POST']
+  },
+  delete: {
+    path: '/comment/:id/delete',
+    methods: ['GET', 'POST']
+  },
+  remove: {
+    path: '/comment/:id/remove',
+    methods: ['GET', 'POST']
+  }
+});
+
+const historyOptions = {
+  Model: Comment,
+  messageKeyPrefix: 'comment',
+  load: (req, res, id) => Comment
+    .getWithCreator(id)
+    .then(comment => ({
+      document: comment,
+      label: req.__('comment by', escapeHTML(comment.creator.displayName)),
+      url: CommentProvider.getURL(comment)
+    }))
+};
+
+router.get('/comment/:id/history', historyHandlers.getHistoryHandler(historyOptions));
+
+router.post('/comment/:id/history', historyHandlers.getRestoreHandler(historyOptions));
+
+module.exports = router;
@@ -11,6 +11,7 @@ const util = require('util');
 const File = require('../models/file');
 const getResourceErrorHandler = require('./handlers/resource-error-handler');
 const render = require('./helpers/render');
+const historyHandlers = require('./handlers/history-handler');
 
 router.get('/files', function(req, res, next) {
   File.getFileFeed()
@@ -41,6 +42,18 @@ function showFiles(req, res, feed) {
   });
 }
 
+router.get('/file/:id/history', historyHandlers.getHistoryHandler({
+  Model: File,
+  messageKeyPrefix: 'file',
+  load: (req, res, id) => File
+    .getNotStaleOrDeleted(id)
+    .then(file => ({
+      document: file,
+      label: file.name,
+      url: `/static/uploads/${encodeURIComponent(file.name)}`
+    }))
+}));
+
 router.get('/file/:id/delete', function(req, res, next) {
   const { id } = req.params;
   File
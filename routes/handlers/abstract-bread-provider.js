@@ -4,6 +4,8 @@ const render = require('../helpers/render');
 const forms = require('../helpers/forms');
 const router = require('express').Router();
 const getResourceErrorHandler = require('./resource-error-handler');
+const Draft = require('../../models/draft');
+const debug = require('../../util/debug');
 
 
 /**
@@ -205,6 +207,16 @@ class AbstractBREADProvider {
     return this.userCan('delete', data);
   }
 
+  // Delete the user's draft of the form on this page (see models/draft.js)
+  // once it has been published. Forms are submitted to the page they're on.
+  // Failures are logged, but don't keep the user from moving on.
+  discardDraft() {
+    const formURL = this.req.originalUrl.split('?')[0];
+    Draft
+      .discard(this.req.user, formURL)
+      .catch(error => debug.error({ req: this.req, error }));
+  }
+
   // Adds a pre-flight check to all actions in provided array.
   // If not defined, adds to all actions
   addPreFlightCheck(actions, check) {
@@ -0,0 +1,220 @@
+'use strict';
+// Internal dependencies
+const CommentProvider = require('./comment-provider');
+const api = require('../helpers/api');
+const forms = require('../helpers/forms');
+
+/**
+ * JSON interface to the comment BREAD operations. Like
+ * {@link APIReviewProvider}, it maps submissions to the fields of the HTML
+ * forms, so they are subject to the same validation and permission checks.
+ *
+ * @extends CommentProvider
+ */
+class APICommentProvider extends CommentProvider {
+
+  constructor(req, res, next, options) {
+
+    super(req, res, next, options);
+
+    api.adaptProvider(this);
+
+  }
+
+  read_GET(comment) {
+    this.sendComment(comment);
+  }
+
+  add_POST(review) {
+
+    const data = this.req.body || {};
+    const language = data.language;
+    this.req.body = APICommentProvider.getFormBody(data, 'new-comment');
+
+    const formValues = this.parseForm({
+      formDef: CommentProvider.formDefs['new-comment'],
+      formKey: 'new-comment',
+      language
+    }).formValues;
+
+    if (this.req.flashHas('pageErrors'))
+      return this.sendFlashedErrors();
+
+    formValues.reviewID = review.id;
+    formValues.createdBy = this.req.user.id;
+    formValues.createdOn = new Date();
+
+    this
+      .loadParent(review, formValues.parentID)
+      .then(() => this.createComment(formValues, { tags: ['create-via-api'] }))
+      .then(comment => this.sendComment(comment, 'Comment created.'))
+      .catch(error => this.handleError(error));
+
+  }
+
+  edit_POST(comment) {
+
+    const data = this.req.body || {};
+    const language = data.language;
+    this.req.body = APICommentProvider.getFormBody(data, 'edit-comment');
+
+    const formValues = this.parseForm({
+      formDef: CommentProvider.formDefs['edit-comment'],
+      formKey: 'edit-comment',
+      language
+    }).formValues;
+
+    if (this.req.flashHas('pageErrors'))
+      return this.sendFlashedErrors();
+
+    this
+      .saveEdit(comment, formValues, language, {
+        tags: ['edit-via-api'],
+        summary: forms.getEditSummary(this.req)
+      })
+      .then(newRev => this.sendComment(newRev, 'Comment updated.'))
+      .catch(error => this.handleError(error));
+
+  }
+
+  delete_POST(comment) {
+
+    this.req.body = APICommentProvider.getFormBody(this.req.body || {}, 'delete-comment');
+    this.parseForm({
+      formDef: CommentProvider.formDefs['delete-comment'],
+      formKey: 'delete-comment'
+    });
+
+    if (this.req.flashHas('pageErrors'))
+      return this.sendFlashedErrors();
+
+    comment
+      .deleteAllRevisions(this.req.user, { tags: ['delete-via-api'] })
+      .then(() => this.sendJSON({
+        message: 'Comment deleted.',
+        id: comment.id,
+        errors: []
+      }))
+      .catch(error => this.handleError(error));
+
+  }
+
+  remove_POST(comment) {
+
+    this.req.body = APICommentProvider.getFormBody(this.req.body || {}, 'remove-comment');
+    const formValues = this.parseForm({
+      formDef: CommentProvider.formDefs['remove-comment'],
+      formKey: 'remove-comment'
+    }).formValues;
+
+    if (this.req.flashHas('pageErrors'))
+      return this.sendFlashedErrors();
+
+    comment
+      .remove(this.req.user, {
+        reason: CommentProvider.getRemovalReason(formValues.reason),
+        tags: ['remove-via-api']
+      })
+      .then(newRev => this.sendComment(newRev, 'Comment removed.'))
+      .catch(error => this.handleError(error));
+
+  }
+
+  handleError(error) {
+    api.reportError(this.req, this.res, this.next, error);
+  }
+
+  sendFlashedErrors() {
+    api.error(this.req, this.res, this.req.flash('pageErrors'));
+  }
+
+  sendComment(comment, message = 'Comment retrieved.') {
+    this.sendJSON({
+      message,
+      comment: APICommentProvider.getCommentData(comment),
+      errors: []
+    });
+  }
+
+  sendJSON(obj) {
+    this.res.status(200);
+    this.res.type('json');
+    this.res.send(JSON.stringify(obj, null, 2));
+  }
+
+  /**
+   * Translate a JSON submission into the field names used by the HTML form
+   * with the given key, analogous to {@link APIReviewProvider.getFormBody}.
+   *
+   * @param {Object} data
+   *  the request body
+   * @param {String} formKey
+   *  one of the keys of {@link CommentProvider.formDefs}
+   * @returns {Object}
+   *  body that can be validated against the form definition
+   */
+  static getFormBody(data, formKey) {
+    const fieldMaps = {
+      'new-comment': { text: 'comment-text', language: 'comment-language', parent: 'comment-parent' },
+      'edit-comment': { text: 'comment-text', language: 'comment-language', summary: 'edit-summary' },
+      'delete-comment': {},
+      'remove-comment': { reason: 'remove-reason' }
+    };
+    const actionFields = {
+      'new-comment': ['comment-action', 'publish'],
+      'edit-comment': ['comment-action', 'publish'],
+      'delete-comment': ['delete-action', 'delete'],
+      'remove-comment': ['remove-action', 'remove']
+    };
+    const fieldMap = fieldMaps[formKey];
+    const body = {};
+
+    for (let key in data) {
+      const value = data[key];
+      if (fieldMap[key]) {
+        if (value !== undefined && value !== null)
+          body[fieldMap[key]] = String(value);
+      } else {
+        body[key] = value;
+      }
+    }
+
+    const [actionField, action] = actionFields[formKey];
+    body[actionField] = action;
+    return body;
+  }
+
+  /**
+   * Obtain a representation of a comment and its replies for API output. The
+   * text of removed comments is not included.
+   *
+   * @param {Comment} comment
+   *  the comment
+   * @returns {Object}
+   *  plain object that can be serialized
+   */
+  static getCommentData(comment) {
+    const removed = Boolean(comment.removedBy);
+    return {
+      id: comment.id,
+      reviewID: comment.reviewID,
+      parentID: comment.parentID || null,
+      text: removed ? {} : comment.text,
+      html: removed ? {} : comment.html,
+      originalLanguage: comment.originalLanguage,
+      createdOn: comment.createdOn,
+      createdBy: comment.createdBy,
+      removed,
+      removalReason: comment.removalReason || null,
+      replies: (comment.replies || []).map(APICommentProvider.getCommentData),
+      _revID: comment._revID,
+      _revUser: comment._revUser,
+      _revDate: comment._revDate,
+      _revTags: comment._revTags,
+      _revSummary: comment._revSummary
+    };
+  }
+
+}
+
+module.exports = APICommentProvider;
@@ -0,0 +1,293 @@
+'use strict';
+// Internal dependencies
+const ReviewProvider = require('./review-provider');
+const Thing = require('../../models/thing');
+const Review = require('../../models/review');
+const api = require('../helpers/api');
+const forms = require('../helpers/forms');
+const ReportedError = require('../../util/reported-error');
+const debug = require('../../util/debug');
+
+/**
+ * JSON interface to the review BREAD operations. Submissions are mapped to the
+ * fields of the HTML forms and pass through the same validation, permission
+ * checks and revision handling as form submissions in {@link ReviewProvider};
+ * only the input and output formats differ.
+ *
+ * @extends ReviewProvider
+ */
+class APIReviewProvider extends ReviewProvider {
+
+  constructor(req, res, next, options) {
+
+    super(req, res, next, options);
+
+    api.adaptProvider(this);
+
+  }
+
+  read_GET(review) {
+    Review
+      .populateVotes([review])
+      .then(() => this.sendReview(review))
+      .catch(error => this.handleError(error));
+  }
+
+  add_POST() {
+
+    const data = this.req.body || {};
+    const language = data.language;
+    this.req.body = APIReviewProvider.getFormBody(data, 'new-review');
+
+    this
+      .loadSubmittedThing(data.thing)
+      .then(thing => {
+        const formData = this.parseForm({
+          formDef: ReviewProvider.formDefs['new-review'],
+          formKey: 'new-review',
+          language,
+          // We don't need a URL if we're adding a review to an existing thing
+          skipRequiredCheck: thing ? ['review-url'] : []
+        });
+
+        formData.formValues.createdBy = this.req.user.id;
+        formData.formValues.createdOn = new Date();
+        formData.formValues.originalLanguage = language;
+
+        if (typeof formData.formValues.files == 'object')
+          formData.formValues.files = Object.keys(formData.formValues.files);
+
+        if (this.req.flashHas('pageErrors'))
+          return this.sendFlashedErrors();
+
+        return this
+          .resolveTeamData(formData.formValues)
+          .then(() => {
+            const reviewObj = Object.assign({}, formData.formValues);
+            if (thing)
+              reviewObj.thing = thing;
+
+            return this.createReview(reviewObj, {
+              files: formData.formValues.files,
+              tags: ['create-via-api']
+            });
+          })
+          // The review has been saved at this point, so we report it as
+          // created even if the follow-up work fails
+          .then(review => this
+            .publishReview(review)
+            .catch(error => debug.error({ req: this.req, error }))
+            .then(() => this.sendReview(review, 'Review created.')));
+      })
+      .catch(error => this.handleError(error));
+
+  }
+
+  edit_POST(review) {
+
+    const data = this.req.body || {};
+    const language = data.language;
+    this.req.body = APIReviewProvider.getFormBody(data, 'edit-review');
+
+    const formData = this.parseForm({
+      formDef: ReviewProvider.formDefs['edit-review'],
+      formKey: 'edit-review',
+      language
+    });
+
+    if (typeof formData.formValues.files == 'object')
+      formData.formValues.files = Object.keys(formData.formValues.files);
+
+    if (this.req.flashHas('pageErrors'))
+      return this.sendFlashedErrors();
+
+    this
+      .resolveTeamData(formData.formValues)
+      .then(() => {
+        // Unlike the form, which always submits the full list of teams, we
+        // leave team associations alone if none are specified
+        if (data.teams === undefined)
+          formData.formValues.teams = review.teams;
+
+        // The same applies to the comment setting
+        if (data.commentsDisabled === undefined)
+          formData.formValues.commentsDisabled = review.commentsDisabled;
+
+        return this.saveEdit(review, formData.formValues, language, {
+          tags: ['edit-via-api'],
+          summary: forms.getEditSummary(this.req)
+        });
+      })
+      .then(newRev => this.sendReview(newRev, 'Review updated.'))
+      .catch(error => this.handleError(error));
+
+  }
+
+  delete_POST(review) {
+
+    const data = this.req.body || {};
+    const withThing = data.deleteThing ? true : false;
+    this.req.body = APIReviewProvider.getFormBody(data, 'delete-review');
+
+    this.parseForm({
+      formDef: ReviewProvider.formDefs['delete-review'],
+      formKey: 'delete-review'
+    });
+
+    if (withThing && !review.thing.userCanDelete)
+      return this.renderPermissionError();
+
+    if (this.req.flashHas('pageErrors'))
+      return this.sendFlashedErrors();
+
+    this
+      .deleteReview(review, withThing)
+      .then(() => this.sendJSON({
+        message: 'Review deleted.',
+        id: review.id,
+        thingDeleted: withThing,
+        errors: []
+      }))
+      .catch(error => this.handleError(error));
+
+  }
+
+  // Look up the review subject by its ID, if one was provided. Resolves with
+  // undefined otherwise.
+  async loadSubmittedThing(thingID) {
+    if (!thingID)
+      return undefined;
+
+    try {
+      return await Thing.getNotStaleOrDeleted(String(thingID));
+    } catch (error) {
+      if (error.name == 'DocumentNotFoundError' || error.name == 'RevisionDeletedError')
+        throw new ReportedError({
+          parentError: error,
+          userMessage: 'thing not found',
+          userMessageParams: [String(thingID)]
+        });
+      else
+        throw error;
+    }
+  }
+
+  handleError(error) {
+    api.reportError(this.req, this.res, this.next, error);
+  }
+
+  sendFlashedErrors() {
+    api.error(this.req, this.res, this.req.flash('pageErrors'));
+  }
+
+  sendReview(review, message = 'Review retrieved.') {
+    this.sendJSON({
+      message,
+      review: APIReviewProvider.getReviewData(review),
+      errors: []
+    });
+  }
+
+  sendJSON(obj) {
+    this.res.status(200);
+    this.res.type('json');
+    this.res.send(JSON.stringify(obj, null, 2));
+  }
+
+  /**
+   * Translate a JSON submission into the field names used by the HTML form
+   * with the given key, so it can be processed by `parseForm`. Values are
+   * converted to strings, since that is what the form parser expects. Keys
+   * we don't know about are passed through unchanged, which will cause the
+   * submission to be rejected as containing unexpected data.
+   *
+   * @param {Object} data
+   *  the request body
+   * @param {String} formKey
+   *  one of the keys of {@link ReviewProvider.formDefs}
+   * @returns {Object}
+   *  body that can be validated against the form definition
+   */
+  static getFormBody(data, formKey) {
+    const body = {};
+    const fieldMap = formKey == 'delete-review' ?
+      { deleteThing: 'delete-thing' } :
+      {
+        url: 'review-url',
+        title: 'review-title',
+        label: 'review-label',
+        text: 'review-text',
+        starRating: 'review-rating',
+        language: 'review-language',
+        commentsDisabled: 'review-comments-disabled',
+        summary: 'edit-summary'
+      };
+
+    for (let key in data) {
+      const value = data[key];
+      if (fieldMap[key]) {
+        if (value !== undefined && value !== null && value !== false)
+          body[fieldMap[key]] = String(value);
+      } else if (key == 'teams' && Array.isArray(value) && formKey != 'delete-review') {
+        value.forEach(id => (body[`review-team-${id}`] = 'on'));
+      } else if (key == 'files' && Array.isArray(value) && formKey != 'delete-review') {
+        value.forEach(id => (body[`uploaded-file-${id}`] = 'on'));
+      } else if (key != 'thing' || formKey != 'new-review') {
+        body[key] = value;
+      }
+    }
+
+    if (formKey == 'delete-review')
+      body['delete-action'] = 'delete';
+    else
+      body['review-action'] = 'publish';
+
+    return body;
+  }
+
+  /**
+   * Obtain a representation of a review (including its most important
+   * revision metadata) for API output.
+   *
+   * @param {Review} review
+   *  the review, with its thing and teams joined
+   * @returns {Object}
+   *  plain object that can be serialized
+   */
+  static getReviewData(review) {
+    const data = {
+      id: review.id,
+      thingID: review.thingID,
+      title: review.title,
+      text: review.text,
+      html: review.html,
+      starRating: review.starRating,
+      originalLanguage: review.originalLanguage,
+      commentsDisabled: Boolean(review.commentsDisabled),
+      createdOn: review.createdOn,
+      createdBy: review.createdBy,
+      teams: Array.isArray(review.teams) ? review.teams.map(team => team.id) : [],
+      _revID: review._revID,
+      _revUser: review._revUser,
+      _revDate: review._revDate,
+      _revTags: review._revTags,
+      _revSummary: review._revSummary
+    };
+
+    if (review.votes)
+      data.votes = review.votes;
+
+    if (review.thing)
+      data.thing = {
+        id: review.thing.id,
+        label: review.thing.label,
+        urlID: review.thing.urlID,
+        urls: review.thing.urls
+      };
+
+    return data;
+  }
+
+}
+
+module.exports = APIReviewProvider;
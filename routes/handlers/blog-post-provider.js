@@ -12,6 +12,7 @@ const mlString = require('../../models/helpers/ml-string.js');
 const languages = require('../../locales/languages');
 const feeds = require('../helpers/feeds');
 const slugs = require('../helpers/slugs');
+const forms = require('../helpers/forms');
 const getJS = require('../../util/get-js');
 const { getEditorMessages } = require('../../frontend/editor-messages');
 
@@ -147,6 +148,9 @@ class BlogPostProvider extends AbstractBREADProvider {
       team,
       isPreview: this.isPreview,
       editing: this.editing,
+      baseRevision: this.baseRevision,
+      editConflict: this.editConflict,
+      editSummary: this.req.body[forms.editSummaryField.name],
       scripts: [getJS('editor')]
     }, {
       messages: getEditorMessages(this.req.locale)
@@ -163,6 +167,7 @@ class BlogPostProvider extends AbstractBREADProvider {
           return false;
 
         this.editing = true;
+        this.baseRevision = blogPost._revID;
         this.add_GET(team, blogPost);
 
       })
@@ -178,6 +183,7 @@ class BlogPostProvider extends AbstractBREADProvider {
           return false;
 
         this.editing = true;
+        this.baseRevision = this.req.body[forms.baseRevisionField.name];
 
         let formKey = 'edit-post';
         let language = this.req.body['post-language'];
@@ -198,14 +204,25 @@ class BlogPostProvider extends AbstractBREADProvider {
         if (this.isPreview || this.req.flashHas('pageErrors'))
           return this.add_GET(team, formValues);
 
+        this.editConflict = forms.getEditConflict(this.req, blogPost, [
+          { name: 'title', saved: blogPost.title[language], submitted: formValues.title[language] },
+          { name: 'post', saved: blogPost.post.text[language], submitted: formValues.post.text[language] }
+        ], `/team/${team.urlID}/post/${blogPost.id}/history`);
+        if (this.editConflict) {
+          this.baseRevision = this.editConflict.revID;
+          return this.add_GET(team, formValues);
+        }
+
         blogPost.newRevision(this.req.user, {
-            tags: ['edit-via-form']
+            tags: ['edit-via-form'],
+            summary: forms.getEditSummary(this.req)
           })
           .then(newRev => {
             newRev.title[language] = formValues.title[language];
             newRev.post.text[language] = formValues.post.text[language];
             newRev.post.html[language] = formValues.post.html[language];
             newRev.save().then(() => {
+                this.discardDraft();
                 this.req.flash('pageMessages', this.req.__('edit saved'));
                 this.res.redirect(`/team/${team.urlID}/post/${newRev.id}`);
               })
@@ -249,6 +266,7 @@ class BlogPostProvider extends AbstractBREADProvider {
         rev
           .save()
           .then(savedRev => {
+            this.discardDraft();
             this.res.redirect(`/team/${team.urlID}/post/${savedRev.id}`);
           })
           .catch(this.next);
@@ -360,6 +378,7 @@ BlogPostProvider.formDefs = {
   }]
 };
 
-BlogPostProvider.formDefs['edit-post'] = BlogPostProvider.formDefs['new-post'];
+BlogPostProvider.formDefs['edit-post'] = BlogPostProvider.formDefs['new-post']
+  .concat([forms.baseRevisionField, forms.editSummaryField]);
 
 module.exports = BlogPostProvider;
@@ -0,0 +1,382 @@
+'use strict';
+// External dependencies
+const escapeHTML = require('escape-html');
+
+// Internal dependencies
+const AbstractBREADProvider = require('./abstract-bread-provider');
+const Comment = require('../../models/comment');
+const Review = require('../../models/review');
+const ReportedError = require('../../util/reported-error');
+const forms = require('../helpers/forms');
+const getJS = require('../../util/get-js');
+const { getEditorMessages } = require('../../frontend/editor-messages');
+
+/**
+ * Forms for adding, editing, deleting and removing comments on reviews. New
+ * comments are added to the review identified in the route; all other actions
+ * are performed on a comment. Comments are shown on the review page, so
+ * successful actions redirect there.
+ *
+ * @extends AbstractBREADProvider
+ */
+class CommentProvider extends AbstractBREADProvider {
+
+  constructor(req, res, next, options) {
+
+    super(req, res, next, options);
+    this.actions.add.titleKey = 'new comment';
+    this.actions.edit.titleKey = 'edit comment';
+    this.actions.delete.titleKey = 'delete comment';
+    this.messageKeyPrefix = 'comment';
+
+    this.actions.add.loadData = this.loadReview;
+    this.actions.add.resourcePermissionCheck = this.userCanComment;
+
+    // Removal by site moderators, see Comment.remove
+    this.actions.remove = {
+      GET: this.remove_GET,
+      POST: this.remove_POST,
+      preFlightChecks: [this.userIsSignedIn],
+      loadData: this.loadData,
+      resourcePermissionCheck: this.userCanRemove,
+      titleKey: 'remove comment'
+    };
+
+  }
+
+  // Comments don't have a page of their own
+  read_GET(comment) {
+    this.res.redirect(CommentProvider.getURL(comment));
+  }
+
+  // Replies are started via the `reply-to` query parameter
+  add_GET(review) {
+    this
+      .loadParent(review, this.req.query['reply-to'])
+      .then(parent => this.renderForm(review, { parentID: parent ? parent.id : undefined }, parent))
+      .catch(error => {
+        this.req.flashError(error);
+        this.renderForm(review);
+      });
+  }
+
+  add_POST(review) {
+
+    this.isPreview = this.req.body['comment-action'] == 'preview';
+
+    const formKey = 'new-comment';
+    const language = this.req.body['comment-language'];
+    const formValues = this.parseForm({
+      formDef: CommentProvider.formDefs[formKey],
+      formKey,
+      language
+    }).formValues;
+
+    formValues.reviewID = review.id;
+    formValues.createdBy = this.req.user.id;
+    formValues.createdOn = new Date();
+    formValues.creator = this.req.user; // Needed for username link in preview
+
+    this
+      .loadParent(review, formValues.parentID)
+      .then(parent => {
+        if (this.isPreview || this.req.flashHas('pageErrors'))
+          return this.renderForm(review, formValues, parent);
+
+        return this
+          .createComment(formValues)
+          .then(comment => this.res.redirect(CommentProvider.getURL(comment)));
+      })
+      .catch(error => {
+        // The form will no longer be a reply if we couldn't find the parent
+        if (error instanceof ReportedError)
+          formValues.parentID = undefined;
+        this.req.flashError(error);
+        this.renderForm(review, formValues);
+      });
+
+  }
+
+  edit_GET(comment) {
+    this.editing = true;
+    this.baseRevision = comment._revID;
+    this.renderForm(this.review, comment);
+  }
+
+  edit_POST(comment) {
+
+    const formKey = 'edit-comment';
+    const language = this.req.body['comment-language'];
+    const formValues = this.parseForm({
+      formDef: CommentProvider.formDefs[formKey],
+      formKey,
+      language
+    }).formValues;
+
+    this.editing = true;
+    this.baseRevision = this.req.body[forms.baseRevisionField.name];
+
+    if (this.req.body['comment-action'] == 'preview') {
+      // Pass along original authorship info for preview
+      formValues.createdOn = comment.createdOn;
+      formValues.creator = comment.creator;
+      this.isPreview = true;
+    }
+
+    if (this.isPreview || this.req.flashHas('pageErrors'))
+      return this.renderForm(this.review, formValues);
+
+    this.editConflict = forms.getEditConflict(this.req, comment, [
+      { name: 'text', saved: comment.text[language], submitted: formValues.text[language] }
+    ], `/comment/${comment.id}/history`);
+    if (this.editConflict) {
+      this.baseRevision = this.editConflict.revID;
+      return this.renderForm(this.review, formValues);
+    }
+
+    this
+      .saveEdit(comment, formValues, language, {
+        summary: forms.getEditSummary(this.req)
+      })
+      .then(newRev => {
+        this.req.flash('pageMessages', this.req.__('edit saved'));
+        this.res.redirect(CommentProvider.getURL(newRev));
+      })
+      .catch(this.next);
+
+  }
+
+  delete_GET(comment) {
+    this.renderTemplate('delete-comment', {
+      titleKey: this.actions[this.action].titleKey,
+      comment,
+      review: this.review,
+      pageErrors: this.req.flash('pageErrors')
+    });
+  }
+
+  delete_POST(comment) {
+
+    this.parseForm({
+      formDef: CommentProvider.formDefs['delete-comment'],
+      formKey: 'delete-comment'
+    });
+
+    if (this.req.flashHas('pageErrors'))
+      return this.delete_GET(comment);
+
+    comment
+      .deleteAllRevisions(this.req.user, { tags: ['delete-via-form'] })
+      .then(() => {
+        this.req.flash('pageMessages', this.req.__('comment deleted'));
+        this.res.redirect(`/review/${comment.reviewID}#comments`);
+      })
+      .catch(this.next);
+
+  }
+
+  remove_GET(comment) {
+    this.renderTemplate('delete-comment', {
+      titleKey: this.actions[this.action].titleKey,
+      comment,
+      review: this.review,
+      isRemoval: true,
+      maxReasonLength: Comment.options.maxRemovalReasonLength,
+      pageErrors: this.req.flash('pageErrors')
+    });
+  }
+
+  remove_POST(comment) {
+
+    const formValues = this.parseForm({
+      formDef: CommentProvider.formDefs['remove-comment'],
+      formKey: 'remove-comment'
+    }).formValues;
+
+    if (this.req.flashHas('pageErrors'))
+      return this.remove_GET(comment);
+
+    comment
+      .remove(this.req.user, { reason: CommentProvider.getRemovalReason(formValues.reason) })
+      .then(newRev => {
+        this.req.flash('pageMessages', this.req.__('comment removed'));
+        this.res.redirect(CommentProvider.getURL(newRev));
+      })
+      .catch(this.next);
+
+  }
+
+  renderForm(review, formValues, parent) {
+
+    const pageErrors = this.req.flash('pageErrors');
+
+    this.renderTemplate('comment-form', {
+      titleKey: this.actions[this.action].titleKey,
+      pageErrors: !this.isPreview ? pageErrors : undefined, // Don't show errors on preview
+      review,
+      parent,
+      formValues,
+      isPreview: this.isPreview,
+      editing: this.editing,
+      baseRevision: this.baseRevision,
+      editConflict: this.editConflict,
+      editSummary: this.req.body[forms.editSummaryField.name],
+      scripts: [getJS('editor')]
+    }, {
+      messages: getEditorMessages(this.req.locale)
+    });
+
+  }
+
+  // Create and save a new comment from parsed form data. Resolves with the
+  // saved comment.
+  async createComment(formValues, { tags = ['create-via-form'] } = {}) {
+    const comment = await Comment.createFirstRevision(this.req.user, { tags });
+    const f = formValues;
+    Object.assign(comment, {
+      reviewID: f.reviewID,
+      parentID: f.parentID,
+      text: f.text,
+      html: f.html,
+      originalLanguage: f.originalLanguage,
+      createdOn: f.createdOn,
+      createdBy: f.createdBy
+    });
+    return await comment.save();
+  }
+
+  // Create and save a new revision of a comment with the submitted text for
+  // the given language. Resolves with the new revision.
+  async saveEdit(comment, formValues, language, { tags = ['edit-via-form'], summary } = {}) {
+    const newRev = await comment.newRevision(this.req.user, { tags, summary });
+    newRev.text[language] = formValues.text[language];
+    newRev.html[language] = formValues.html[language];
+    return await newRev.save();
+  }
+
+  // Look up the comment a new comment replies to, if any. It must belong to
+  // the same review. Resolves with undefined if there is no parent.
+  async loadParent(review, parentID) {
+    if (!parentID)
+      return undefined;
+
+    let parent;
+    try {
+      parent = await Comment.getWithCreator(String(parentID));
+    } catch (error) {
+      if (error.name != 'DocumentNotFoundError' && error.name != 'RevisionDeletedError')
+        throw error;
+    }
+    if (!parent || parent.reviewID !== review.id)
+      throw new ReportedError({
+        message: 'Comment %s to reply to does not exist on review %s.',
+        messageParams: [String(parentID), review.id],
+        userMessage: 'comment to reply to not found'
+      });
+
+    return parent;
+  }
+
+  // Comments are always shown together with the review they belong to
+  async loadData() {
+    const comment = await Comment.getWithCreator(this.id);
+    this.review = await Review.getWithData(comment.reviewID);
+    return comment;
+  }
+
+  loadReview() {
+    this.messageKeyPrefix = 'review';
+    return Review.getWithData(this.id);
+  }
+
+  userCanComment(review) {
+    if (review.commentsDisabled) {
+      this.renderPermissionError({
+        titleKey: this.actions[this.action].titleKey,
+        detailsKey: 'comments disabled'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  userCanRemove(comment) {
+    comment.populateUserInfo(this.req.user);
+    if (!comment.userCanRemove) {
+      this.renderPermissionError({
+        titleKey: this.actions[this.action].titleKey
+      });
+      return false;
+    }
+    return true;
+  }
+
+  // Where a comment is shown
+  static getURL(comment) {
+    return `/review/${comment.reviewID}#comment-${comment.id}`;
+  }
+
+  // Escaped and shortened removal reason, or undefined if none was given
+  static getRemovalReason(reason) {
+    if (typeof reason != 'string' || !reason.trim())
+      return undefined;
+
+    return escapeHTML(reason.trim().substr(0, Comment.options.maxRemovalReasonLength));
+  }
+
+}
+
+CommentProvider.formDefs = {
+  'new-comment': [{
+    name: 'comment-text',
+    required: true,
+    type: 'markdown',
+    key: 'text',
+    flat: true,
+    htmlKey: 'html'
+  }, {
+    name: 'comment-language',
+    required: true,
+    key: 'originalLanguage'
+  }, {
+    name: 'comment-parent',
+    required: false,
+    key: 'parentID'
+  }, {
+    name: 'comment-action',
+    required: true,
+    skipValue: true // Logic, not saved
+  }],
+  'edit-comment': [{
+    name: 'comment-text',
+    required: true,
+    type: 'markdown',
+    key: 'text',
+    flat: true,
+    htmlKey: 'html'
+  }, {
+    name: 'comment-language',
+    required: true
+  }, {
+    name: 'comment-action',
+    required: true,
+    skipValue: true
+  },
+  forms.baseRevisionField,
+  forms.editSummaryField
+  ],
+  'delete-comment': [{
+    name: 'delete-action',
+    required: true
+  }],
+  'remove-comment': [{
+    name: 'remove-reason',
+    required: false,
+    key: 'reason'
+  }, {
+    name: 'remove-action',
+    required: true
+  }]
+};
+
+module.exports = CommentProvider;
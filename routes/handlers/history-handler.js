@@ -0,0 +1,328 @@
+'use strict';
+// External dependencies
+const escapeHTML = require('escape-html');
+
+// Internal dependencies
+const User = require('../../models/user');
+const render = require('../helpers/render');
+const getResourceErrorHandler = require('./resource-error-handler');
+const languages = require('../../locales/languages');
+const diff = require('../../util/diff');
+const ReportedError = require('../../util/reported-error');
+
+// Fields we never compare: identifiers, revision metadata, and rendered HTML,
+// which is always derived from the `text` field next to it
+const skippedFields = ['id', 'html', '_oldRevOf', '_revID', '_revUser',
+  '_revDate', '_revDeleted', '_revTags', '_revSummary'];
+
+/**
+ * Handlers for the history pages of versioned documents, which list all
+ * revisions and compare any two of them (query parameters `from` and `to`,
+ * which take revision IDs). Site moderators can restore earlier revisions of
+ * models that support it (see {@link Revision.getRestoreRevisionHandler}).
+ *
+ * All handler factories take the same options object:
+ *
+ * - `Model`: versioned model with a `getRevisions` method, see
+ *   {@link Revision.getRevisionsHandler}
+ * - `load`: function `(req, res, id)` that returns a promise resolving to
+ *   `{ document, label, url }`, i.e., the current revision (may be undefined
+ *   if there is none yet), its human-readable name and its URL. Rejections are
+ *   passed to the error handler.
+ * - `idParam`: name of the route parameter that identifies the document
+ *   (default: 'id')
+ * - `messageKeyPrefix`: used to report missing documents, see
+ *   routes/handlers/resource-error-handler.js
+ * - `getErrorHandler`: alternative to the resource error handler, called with
+ *   `(req, res, next, id)`
+ * - `slugSourceField`: field from which the document's slug is generated. If
+ *   a restore changes it, the slug is updated.
+ * - `reindex`: function that updates the search index after a restore
+ */
+const historyHandlers = {
+
+  getHistoryHandler(options) {
+    const { Model, load, idParam } = getOptions(options);
+
+    return function(req, res, next) {
+      const id = req.params[idParam];
+
+      load(req, res, id)
+        .then(({ document, label, url }) => {
+          const getRevisions = document ?
+            Model.getRevisions(document.id) :
+            Promise.resolve([]);
+
+          const canRestore = Boolean(document && document.restoreRevision &&
+            req.user && req.user.isSiteModerator);
+
+          return getRevisions
+            .then(revisions => historyHandlers.addRevisionUsers(revisions)
+              .then(() => sendHistory(req, res, { revisions, label, url, canRestore })));
+        })
+        .catch(options.getErrorHandler(req, res, next, id));
+    };
+  },
+
+  // Restore the revision with the `_revID` given in the `restore` field of
+  // the request body, and return to the history page
+  getRestoreHandler(options) {
+    const { load, idParam, slugSourceField, reindex } = getOptions(options);
+
+    return function(req, res, next) {
+      const id = req.params[idParam];
+      const titleKey = 'restore revision';
+
+      if (!req.user)
+        return render.signinRequired(req, res, { titleKey });
+
+      if (!req.user.isSiteModerator)
+        return render.permissionError(req, res, { titleKey });
+
+      load(req, res, id)
+        .then(({ document }) => {
+          if (!document || !document.restoreRevision)
+            return render.permissionError(req, res, { titleKey });
+
+          const previous = Object.assign({}, document);
+          return document
+            .restoreRevision(req.user, String(req.body.restore))
+            .then(newRev => {
+              const slugChanged = slugSourceField &&
+                !isEqual(previous[slugSourceField], newRev[slugSourceField]);
+              return slugChanged ?
+                newRev.updateSlug(req.user.id, newRev.originalLanguage || 'en') :
+                newRev;
+            })
+            .then(newRev => newRev.save())
+            .then(savedRev => {
+              if (reindex)
+                reindex(savedRev);
+              req.flash('pageMessages', req.__('revision restored'));
+              res.redirect(req.originalUrl);
+            })
+            .catch(error => {
+              if (error instanceof ReportedError && error.userMessage)
+                req.flashError(error);
+              else if (error.name == 'DuplicateSlugNameError' || error.name == 'InvalidSlugStringError')
+                req.flash('pageErrors', req.__('cannot restore revision name'));
+              else
+                throw error;
+              res.redirect(req.originalUrl);
+            });
+        })
+        .catch(options.getErrorHandler(req, res, next, id));
+    };
+  },
+
+  /**
+   * Get the names of the fields that differ between two revisions, using the
+   * same rules as the history pages.
+   *
+   * @param {Object} oldRev
+   *  the earlier revision
+   * @param {Object} newRev
+   *  the later revision
+   * @returns {String[]}
+   *  names of changed top-level fields, sorted
+   */
+  getChangedFields(oldRev, newRev) {
+    return getKeys(oldRev, newRev).filter(key => !isEqual(oldRev[key], newRev[key]));
+  },
+
+  /**
+   * Look up the users who created the given revisions. Revisions from raw
+   * queries are plain objects without joins, so this is done separately.
+   *
+   * @param {Object[]} revisions
+   *  revisions to which we add the user who created each of them as the
+   *  `user` property
+   * @returns {Promise}
+   *  promise that resolves when all users have been added
+   */
+  addRevisionUsers(revisions) {
+    const userIDs = Array.from(new Set(revisions.map(rev => rev._revUser)));
+    if (!userIDs.length)
+      return Promise.resolve();
+
+    return User
+      .getAll(...userIDs)
+      .without('password')
+      .then(users => {
+        const usersByID = {};
+        users.forEach(user => (usersByID[user.id] = user));
+        revisions.forEach(rev => (rev.user = usersByID[rev._revUser]));
+      });
+  }
+
+};
+
+function getOptions(options) {
+  options = Object.assign({
+    idParam: 'id',
+    getErrorHandler: (req, res, next, id) =>
+      getResourceErrorHandler(req, res, next, options.messageKeyPrefix, id)
+  }, options);
+  return options;
+}
+
+function sendHistory(req, res, { revisions, label, url, canRestore }) {
+  const pageErrors = req.flash('pageErrors');
+  let comparison;
+
+  revisions.forEach((rev, index) => {
+    rev.isCurrent = index === 0;
+    if (revisions[index + 1])
+      rev.previousRevID = revisions[index + 1]._revID;
+  });
+
+  const { from, to } = req.query;
+  if (from && to) {
+    let oldRev = revisions.find(rev => rev._revID === from),
+      newRev = revisions.find(rev => rev._revID === to);
+
+    if (!oldRev || !newRev)
+      pageErrors.push(req.__('revision not found'));
+    else {
+      // Always compare in chronological order
+      if (oldRev._revDate > newRev._revDate)
+        [oldRev, newRev] = [newRev, oldRev];
+
+      comparison = {
+        from: oldRev,
+        to: newRev,
+        changes: compareRevisions(oldRev, newRev, req)
+      };
+    }
+  }
+
+  render.template(req, res, 'history', {
+    titleKey: 'history of',
+    titleParam: label,
+    label,
+    url,
+    revisions,
+    comparison,
+    canRestore,
+    selectedFrom: comparison ? comparison.from._revID : undefined,
+    selectedTo: comparison ? comparison.to._revID : undefined,
+    pageErrors,
+    pageMessages: req.flash('pageMessages')
+  });
+}
+
+/**
+ * Compare two revisions field by field. Multilingual strings are compared
+ * language by language, lists of strings (like URLs) item by item. Nested
+ * objects are compared key by key.
+ *
+ * All values in the result are HTML-safe. Multilingual strings are stored
+ * escaped, all other values are escaped here.
+ *
+ * @param {Object} oldRev
+ *  the earlier revision
+ * @param {Object} newRev
+ *  the later revision
+ * @param {IncomingMessage} req
+ *  request, used to get language names
+ * @returns {Object[]}
+ *  changed fields
+ */
+function compareRevisions(oldRev, newRev, req) {
+  const changes = [];
+  for (let key of getKeys(oldRev, newRev))
+    compareValues(oldRev[key], newRev[key], key, req, changes);
+  return changes;
+}
+
+function compareValues(oldValue, newValue, name, req, changes) {
+  if (isEqual(oldValue, newValue))
+    return;
+
+  // Treat missing values as empty values of the same kind
+  if (oldValue === undefined || oldValue === null)
+    oldValue = getEmptyValue(newValue);
+  if (newValue === undefined || newValue === null)
+    newValue = getEmptyValue(oldValue);
+
+  if (isMLString(oldValue) && isMLString(newValue)) {
+    changes.push({
+      name,
+      languages: getKeys(oldValue, newValue)
+        .filter(lang => oldValue[lang] !== newValue[lang])
+        .map(lang => ({
+          language: getLanguageName(lang, req),
+          parts: diff.text(oldValue[lang], newValue[lang])
+        }))
+    });
+  } else if (isStringArray(oldValue) && isStringArray(newValue)) {
+    const { added, removed } = diff.list(oldValue, newValue);
+    changes.push({
+      name,
+      isList: true,
+      added: added.map(item => escapeHTML(item)),
+      removed: removed.map(item => escapeHTML(item))
+    });
+  } else if (isObject(oldValue) && isObject(newValue)) {
+    for (let key of getKeys(oldValue, newValue))
+      compareValues(oldValue[key], newValue[key], `${name}.${key}`, req, changes);
+  } else {
+    changes.push({
+      name,
+      before: formatValue(oldValue),
+      after: formatValue(newValue)
+    });
+  }
+}
+
+function getKeys(oldObj, newObj) {
+  return Array
+    .from(new Set(Object.keys(oldObj).concat(Object.keys(newObj))))
+    .filter(key => !skippedFields.includes(key))
+    .sort();
+}
+
+function getLanguageName(lang, req) {
+  if (languages.isValid(lang))
+    return languages.getCompositeName(lang, req.locale);
+  else
+    return req.__('undetermined language');
+}
+
+function getEmptyValue(value) {
+  if (Array.isArray(value))
+    return [];
+  else if (isObject(value))
+    return {};
+  else
+    return undefined;
+}
+
+function isEqual(oldValue, newValue) {
+  return JSON.stringify(oldValue) === JSON.stringify(newValue);
+}
+
+function isObject(value) {
+  return typeof value == 'object' && value !== null && !Array.isArray(value) &&
+    !(value instanceof Date);
+}
+
+function isMLString(value) {
+  return isObject(value) && Object.keys(value).every(key => typeof value[key] == 'string');
+}
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(item => typeof item == 'string');
+}
+
+function formatValue(value) {
+  if (value === undefined)
+    return '';
+  if (value instanceof Date)
+    return value.toLocaleString();
+  if (typeof value == 'object')
+    return escapeHTML(JSON.stringify(value));
+  return escapeHTML(String(value));
+}
+
+module.exports = historyHandlers;
@@ -6,7 +6,11 @@ const i18n = require('i18n');
 
 // Internal dependencies
 const Review = require('../../models/review.js');
+const ReviewVote = require('../../models/review-vote');
 const render = require('../helpers/render');
+const api = require('../helpers/api');
+const getResourceErrorHandler = require('./resource-error-handler');
+const ReportedError = require('../../util/reported-error');
 const feeds = require('../helpers/feeds');
 const languages = require('../../locales/languages');
 
@@ -58,6 +62,8 @@ let reviewHandlers = {
           offsetDate,
           createdBy: options.createdBy
         })
+        .then(result => options.format ? result :
+          Review.populateVotes(result.feedItems, req.user).then(() => result))
         .then(result => {
 
           let offsetDate = result.offsetDate;
@@ -114,6 +120,47 @@ let reviewHandlers = {
         })
         .catch(next);
     };
+  },
+
+  // Record, change or retract the signed-in user's vote on whether the review
+  // with the given ID is helpful. Handles both the form on review cards, which
+  // returns to the previous page, and API requests.
+  vote(req, res, next) {
+    const { id } = req.params;
+    const output = req.isAPI ? api : render;
+    if (!req.user)
+      return output.signinRequired(req, res);
+
+    Review
+      .getNotStaleOrDeleted(id)
+      .then(review => ReviewVote
+        .cast(review, req.user, req.body.vote)
+        .then(() => Review.populateVotes([review], req.user))
+        .then(() => {
+          if (!req.isAPI)
+            return res.redirect('back');
+
+          res.status(200);
+          res.type('json');
+          res.send(JSON.stringify({
+            message: 'Vote recorded.',
+            votes: review.votes,
+            userVote: review.userVote || null,
+            errors: []
+          }, null, 2));
+        }))
+      .catch(error => {
+        if (req.isAPI) {
+          if (error.name == 'DocumentNotFoundError' || error.name == 'RevisionDeletedError')
+            return api.error(req, res, 'Review not found.', 404);
+          return api.reportError(req, res, next, error);
+        }
+        if (error instanceof ReportedError && error.userMessage) {
+          req.flash('siteErrors', Reflect.apply(req.__, req, error.getEscapedUserMessageArray()));
+          return res.redirect('back');
+        }
+        getResourceErrorHandler(req, res, next, 'review', id)(error);
+      });
   }
 };
 
@@ -4,6 +4,8 @@ const config = require('config');
 
 // Internal dependencies
 const Review = require('../../models/review');
+const Comment = require('../../models/comment');
+const ReviewTranslation = require('../../models/review-translation');
 const Team = require('../../models/team');
 const User = require('../../models/user');
 const AbstractBREADProvider = require('./abstract-bread-provider');
@@ -11,11 +13,12 @@ const mlString = require('../../models/helpers/ml-string.js');
 const urlUtils = require('../../util/url-utils');
 const ReportedError = require('../../util/reported-error.js');
 const md = require('../../util/md');
+const forms = require('../helpers/forms');
 const slugs = require('../helpers/slugs');
 const search = require('../../search');
 const getJS = require('../../util/get-js');
 const getMessages = require('../../util/get-messages');
-const { getEditorMessageKeys } = require('../../frontend/editor-messages');
+const { getEditorMessages, getEditorMessageKeys } = require('../../frontend/editor-messages');
 const { getAdapterMessageKeys } = require('../../frontend/adapters/adapter-messages');
 
 class ReviewProvider extends AbstractBREADProvider {
@@ -60,12 +63,29 @@ class ReviewProvider extends AbstractBREADProvider {
     // No permission checks on reads, so we have to do this manually
     review.populateUserInfo(this.req.user);
 
-    this.renderTemplate('review', {
-      titleKey: titleParam ? 'review of' : 'review',
-      titleParam,
-      deferPageHeader: true,
-      review
-    });
+    Promise
+      .all([
+        Comment.getThreads(review.id, this.req.user),
+        Review.populateVotes([review], this.req.user),
+        // Authors approve or reject proposed translations of their reviews
+        review.userIsAuthor ? ReviewTranslation.countPending(review.id) : 0
+      ])
+      .then(([comments, _votes, pendingTranslations]) => {
+        this.renderTemplate('review', {
+          titleKey: titleParam ? 'review of' : 'review',
+          titleParam,
+          deferPageHeader: true,
+          review,
+          comments,
+          pendingTranslations,
+          pageMessages: this.req.flash('pageMessages'),
+          pageErrors: this.req.flash('pageErrors'),
+          scripts: [getJS('editor')]
+        }, {
+          messages: getEditorMessages(this.req.locale)
+        });
+      })
+      .catch(this.next);
 
   }
 
@@ -101,7 +121,10 @@ class ReviewProvider extends AbstractBREADProvider {
       showLanguageNotice,
       pageMessages,
       thing,
-      editing: this.editing ? true : false
+      editing: this.editing ? true : false,
+      baseRevision: this.baseRevision,
+      editConflict: this.editConflict,
+      editSummary: this.req.body[forms.editSummaryField.name]
     }, {
       editing: this.editing ? true : false,
       messages: getMessages(this.req.locale,
@@ -192,25 +215,14 @@ class ReviewProvider extends AbstractBREADProvider {
           return this.add_GET(formData.formValues, thing);
         }
 
-        Review
-          .create(reviewObj, {
-            tags: ['create-via-form'],
-            files: formData.formValues.files
-          })
+        this
+          .createReview(reviewObj, { files: formData.formValues.files })
           .then(review => {
-            this.req.app.locals.webHooks.trigger('newReview', {
-              event: 'new-review',
-              data: this.getWebHookData(review, this.req.user)
-            });
-
-            User
-              .increaseInviteLinkCount(this.req.user.id)
-              .then(() => {
-                this.res.redirect(`/${review.thing.id}#your-review`);
-                search.indexReview(review);
-                search.indexThing(review.thing);
-              })
-              .catch(this.next); // Problem updating invite count
+            this.discardDraft();
+            this
+              .publishReview(review)
+              .then(() => this.res.redirect(`/${review.thing.id}#your-review`))
+              .catch(this.next); // Review was saved, so not a problem with the form
           })
           .catch(error => {
             this.req.flashError(error);
@@ -250,6 +262,7 @@ class ReviewProvider extends AbstractBREADProvider {
   edit_GET(review) {
 
     this.editing = true;
+    this.baseRevision = review._revID;
     this.add_GET(review, review.thing);
 
   }
@@ -266,6 +279,7 @@ class ReviewProvider extends AbstractBREADProvider {
 
     // We no longer accept URL edits if we're in edit-mode
     this.editing = true;
+    this.baseRevision = this.req.body[forms.baseRevisionField.name];
 
     if (this.req.body['review-action'] == 'preview') {
       // Pass along original authorship info for preview
@@ -291,33 +305,86 @@ class ReviewProvider extends AbstractBREADProvider {
         if (this.isPreview || this.req.flashHas('pageErrors'))
           return abort();
 
+        // Back to edit form, now based on the current revision, if someone
+        // else has saved an edit in the meantime
+        const f = formData.formValues;
+        this.editConflict = forms.getEditConflict(this.req, review, [
+          { name: 'title', saved: review.title[language], submitted: f.title[language] },
+          { name: 'text', saved: review.text[language], submitted: f.text[language] },
+          { name: 'starRating', saved: String(review.starRating), submitted: String(f.starRating) }
+        ], `/review/${review.id}/history`);
+        if (this.editConflict) {
+          this.baseRevision = this.editConflict.revID;
+          return abort();
+        }
+
         // Save the edit
-        review
-          .newRevision(this.req.user, {
-            tags: ['edit-via-form']
+        this
+          .saveEdit(review, formData.formValues, language, {
+            summary: forms.getEditSummary(this.req)
           })
           .then(newRev => {
-            let f = formData.formValues;
-            newRev.title[language] = f.title[language];
-            newRev.text[language] = f.text[language];
-            newRev.html[language] = f.html[language];
-            newRev.starRating = f.starRating;
-            newRev.teams = f.teams;
-            newRev.thing = review.thing;
-            this.saveNewRevisionAndFiles(newRev, f.files)
-              .then(() => {
-                search.indexReview(review);
-                search.indexThing(review.thing);
-                this.req.flash('pageMessages', this.req.__('edit saved'));
-                this.res.redirect(`/review/${newRev.id}`);
-              })
-              .catch(abort);
+            this.discardDraft();
+            this.req.flash('pageMessages', this.req.__('edit saved'));
+            this.res.redirect(`/review/${newRev.id}`);
           })
           .catch(abort);
       })
       .catch(abort);
   }
 
+  // Create and save a new review from parsed form data. Resolves with the
+  // saved review; rejects only if it could not be saved, i.e., if there is a
+  // problem with the submission.
+  async createReview(reviewObj, { files, tags = ['create-via-form'] } = {}) {
+    return await Review.create(reviewObj, { tags, files });
+  }
+
+  // Perform the follow-up work associated with publishing a saved review:
+  // notifying webhooks, granting invite links and updating the search index.
+  async publishReview(review) {
+    this.req.app.locals.webHooks.trigger('newReview', {
+      event: 'new-review',
+      data: this.getWebHookData(review, this.req.user)
+    });
+
+    await User.increaseInviteLinkCount(this.req.user.id);
+    search.indexReview(review);
+    search.indexThing(review.thing);
+  }
+
+  // Create a new revision of an existing review with the submitted values for
+  // the given language, save it and update the search index. Resolves with the
+  // new revision.
+  async saveEdit(review, formValues, language, { tags = ['edit-via-form'], summary } = {}) {
+    const newRev = await review.newRevision(this.req.user, { tags, summary });
+    const f = formValues;
+    newRev.title[language] = f.title[language];
+    newRev.text[language] = f.text[language];
+    newRev.html[language] = f.html[language];
+    newRev.starRating = f.starRating;
+    newRev.commentsDisabled = Boolean(f.commentsDisabled);
+    newRev.teams = f.teams;
+    newRev.thing = review.thing;
+    await this.saveNewRevisionAndFiles(newRev, f.files);
+    search.indexReview(review);
+    search.indexThing(review.thing);
+    return newRev;
+  }
+
+  // Delete a review (and optionally its subject) and remove it from the
+  // search index.
+  async deleteReview(review, withThing) {
+    const deleteFunc = withThing ?
+      review.deleteAllRevisionsWithThing :
+      review.deleteAllRevisions;
+
+    await Reflect.apply(deleteFunc, review, [this.req.user]);
+    search.deleteReview(review);
+    if (withThing)
+      search.deleteThing(review.thing);
+  }
+
   // Save an edited review, and associate any newly uploaded files with the
   // review subject
   async saveNewRevisionAndFiles(newRev, files) {
@@ -385,18 +452,12 @@ class ReviewProvider extends AbstractBREADProvider {
     if (this.req.flashHas('pageErrors'))
       return this.delete_GET(review);
 
-    let deleteFunc = withThing ?
-      review.deleteAllRevisionsWithThing :
-      review.deleteAllRevisions;
-
-    Reflect.apply(deleteFunc, review, [this.req.user])
+    this
+      .deleteReview(review, withThing)
       .then(() => {
         this.renderTemplate('review-deleted', {
           titleKey: 'review deleted'
         });
-        search.deleteReview(review);
-        if (withThing)
-          search.deleteThing(review.thing);
       })
       .catch(this.next);
   }
@@ -466,6 +527,12 @@ ReviewProvider.formDefs = {
       required: true,
       skipValue: true // Logic, not saved
     },
+    {
+      name: 'review-comments-disabled',
+      required: false,
+      type: 'boolean',
+      key: 'commentsDisabled'
+    },
     {
       name: 'review-team-%uuid',
       required: false,
@@ -510,6 +577,12 @@ ReviewProvider.formDefs = {
       required: true,
       skipValue: true
     },
+    {
+      name: 'review-comments-disabled',
+      required: false,
+      type: 'boolean',
+      key: 'commentsDisabled'
+    },
     {
       name: 'review-team-%uuid',
       required: false,
@@ -519,6 +592,8 @@ ReviewProvider.formDefs = {
       name: 'uploaded-file-%uuid',
       required: false,
       keyValueMap: 'files'
-    }
+    },
+    forms.baseRevisionField,
+    forms.editSummaryField
   ]
 };
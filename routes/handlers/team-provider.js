@@ -8,10 +8,12 @@ const i18n = require('i18n');
 // Internal deps
 const AbstractBREADProvider = require('./abstract-bread-provider');
 const Team = require('../../models/team');
+const Review = require('../../models/review');
 const mlString = require('../../models/helpers/ml-string');
 const BlogPost = require('../../models/blog-post');
 const feeds = require('../helpers/feeds');
 const slugs = require('../helpers/slugs');
+const forms = require('../helpers/forms');
 const getJS = require('../../util/get-js');
 const { getEditorMessages } = require('../../frontend/editor-messages');
 
@@ -204,6 +206,9 @@ class TeamProvider extends AbstractBREADProvider {
       pageErrors: this.isPreview ? undefined : pageErrors,
       formValues,
       isPreview: this.isPreview,
+      baseRevision: this.baseRevision,
+      editConflict: this.editConflict,
+      editSummary: this.req.body[forms.editSummaryField.name],
       scripts: [getJS('editor')]
     }, {
       messages: getEditorMessages(this.req.locale)
@@ -245,6 +250,10 @@ class TeamProvider extends AbstractBREADProvider {
 
   edit_GET(team) {
 
+    // When we return to the form after a submission, we keep the revision
+    // that the submission was based on
+    if (this.baseRevision === undefined)
+      this.baseRevision = team._revID;
     this.add_GET(team);
 
   }
@@ -292,10 +301,17 @@ class TeamProvider extends AbstractBREADProvider {
       [team.createdBy]: true
     };
 
-    BlogPost.getMostRecentBlogPosts(team.id, {
-        limit: 3
-      })
-      .then(result => {
+    // Rating statistics are only worth a query if the team has any reviews
+    const ratingStatsPromise = Array.isArray(team.reviews) && team.reviews.length ?
+      Review.getRatingStats({ teamID: team.id }) : Promise.resolve();
+
+    Promise
+      .all([
+        BlogPost.getMostRecentBlogPosts(team.id, { limit: 3 }),
+        ratingStatsPromise,
+        Review.populateVotes(team.reviews || [], this.req.user)
+      ])
+      .then(([result, ratingStats]) => {
 
         let blogPosts = result.blogPosts;
         let offsetDate = result.offsetDate;
@@ -326,11 +342,13 @@ class TeamProvider extends AbstractBREADProvider {
           founder,
           embeddedFeeds,
           paginationURL,
+          ratingStats,
           blogPostsUTCISODate: offsetDate ? offsetDate.toISOString() : undefined,
           deferPageHeader: true // Two-column-layout
         });
 
-      });
+      })
+      .catch(this.next);
 
   }
 
@@ -393,7 +411,10 @@ class TeamProvider extends AbstractBREADProvider {
         this.next(new Error(`Format ${this.format} not supported`));
       }
     } else {
-      this.renderTemplate('team-feed', vars);
+      Review
+        .populateVotes(team.reviews, this.req.user)
+        .then(() => this.renderTemplate('team-feed', vars))
+        .catch(this.next);
     }
   }
 
@@ -408,13 +429,29 @@ class TeamProvider extends AbstractBREADProvider {
     });
 
     this.isPreview = this.req.body['team-action'] == 'preview' ? true : false;
+    this.baseRevision = this.req.body[forms.baseRevisionField.name];
 
     if (this.req.flashHas('pageErrors') || this.isPreview)
       return this.edit_GET(formData.formValues);
 
+    const f = formData.formValues;
+    this.editConflict = forms.getEditConflict(this.req, team, [
+      { name: 'name', saved: team.name[language], submitted: f.name[language] },
+      { name: 'motto', saved: team.motto[language], submitted: f.motto[language] },
+      { name: 'description', saved: team.description.text[language], submitted: f.description.text[language] },
+      { name: 'rules', saved: team.rules ? team.rules.text[language] : undefined, submitted: f.rules.text[language] },
+      { name: 'onlyModsCanBlog', saved: String(Boolean(team.onlyModsCanBlog)), submitted: String(Boolean(f.onlyModsCanBlog)) },
+      { name: 'modApprovalToJoin', saved: String(Boolean(team.modApprovalToJoin)), submitted: String(Boolean(f.modApprovalToJoin)) }
+    ], `/team/${team.id}/history`);
+    if (this.editConflict) {
+      this.baseRevision = this.editConflict.revID;
+      return this.edit_GET(formData.formValues);
+    }
+
     team
       .newRevision(this.req.user, {
-        tags: ['edit-via-form']
+        tags: ['edit-via-form'],
+        summary: forms.getEditSummary(this.req)
       })
       .then(newRev => {
 
@@ -433,7 +470,10 @@ class TeamProvider extends AbstractBREADProvider {
           .then(updatedRev => {
             updatedRev
               .save()
-              .then(savedRev => this.res.redirect(`/team/${savedRev.urlID}`))
+              .then(savedRev => {
+                this.discardDraft();
+                this.res.redirect(`/team/${savedRev.urlID}`);
+              })
               .catch(this.next);
           })
           // Slug update failed
@@ -487,7 +527,10 @@ class TeamProvider extends AbstractBREADProvider {
           .then(team => {
             team
               .saveAll()
-              .then(team => this.res.redirect(`/team/${team.urlID}`))
+              .then(team => {
+                this.discardDraft();
+                this.res.redirect(`/team/${team.urlID}`);
+              })
               // Problem saving team and/or updating user
               .catch(this.next);
           })
@@ -575,6 +618,7 @@ TeamProvider.formDefs = {
   }],
 };
 
-TeamProvider.formDefs['edit-team'] = TeamProvider.formDefs['new-team'];
+TeamProvider.formDefs['edit-team'] = TeamProvider.formDefs['new-team']
+  .concat([forms.baseRevisionField, forms.editSummaryField]);
 
 module.exports = TeamProvider;
@@ -5,11 +5,31 @@ const render = require('../helpers/render');
 const feeds = require('../helpers/feeds');
 const User = require('../../models/user');
 const Review = require('../../models/review');
+const APIToken = require('../../models/api-token');
+const UserMeta = require('../../models/user-meta');
+const Draft = require('../../models/draft');
 const reviewHandlers = require('./review-handlers');
+const historyHandlers = require('./history-handler');
+const forms = require('../helpers/forms');
 const md = require('../../util/md');
 const getJS = require('../../util/get-js');
 const { getEditorMessages } = require('../../frontend/editor-messages');
 
+// See routes/handlers/history-handler.js
+const bioHistoryOptions = {
+  Model: UserMeta,
+  idParam: 'name',
+  getErrorHandler: (req, res, next, name) =>
+    userHandlers.getUserNotFoundHandler(req, res, next, name),
+  load: (req, res, name) => User
+    .findByURLName(name, { withData: true })
+    .then(user => ({
+      document: user.meta,
+      label: escapeHTML(user.displayName),
+      url: `/user/${user.urlName}`
+    }))
+};
+
 let userHandlers = {
 
   processEdit(req, res, next) {
@@ -43,6 +63,7 @@ let userHandlers = {
           bioObj.bio.text[bioLanguage] = escapeHTML(bio);
           bioObj.bio.html[bioLanguage] = md.render(bio, { language: req.locale });
           bioObj.originalLanguage = bioLanguage;
+          bioObj._revSummary = forms.getEditSummary(req);
           User
             .createBio(user, bioObj)
             .then(() => {
@@ -50,9 +71,24 @@ let userHandlers = {
             })
             .catch(next);
         } else {
+          let editConflict = forms.getEditConflict(req, user.meta, [{
+            name: 'bio',
+            saved: user.meta.bio.text[bioLanguage],
+            submitted: escapeHTML(bio)
+          }], `/user/${user.urlName}/history`);
+
+          // Back to the form, now based on the current revision
+          if (editConflict)
+            return userHandlers.getUserHandler({
+              editBio: true,
+              editConflict,
+              bioText: escapeHTML(bio)
+            })(req, res, next);
+
           user.meta
             .newRevision(req.user, {
-              tags: ['update-bio-via-user']
+              tags: ['update-bio-via-user'],
+              summary: forms.getEditSummary(req)
             })
             .then(metaRev => {
               if (metaRev.bio === undefined)
@@ -73,9 +109,102 @@ let userHandlers = {
       .catch(userHandlers.getUserNotFoundHandler(req, res, next, name));
   },
 
+  // Create a personal API token for the signed in user, and show it on their
+  // user page. The token is only displayed this one time.
+  processNewAPIToken(req, res, next) {
+
+    const { name } = req.params;
+    User
+      .findByURLName(name)
+      .then(user => {
+        if (!req.user || req.user.id !== user.id)
+          return render.permissionError(req, res, next);
+
+        const label = typeof req.body['token-label'] == 'string' ?
+          req.body['token-label'].trim() : '';
+        const scope = req.body['token-scope'];
+
+        if (!label || label.length > APIToken.options.maxLabelLength ||
+          !APIToken.options.scopes.includes(scope)) {
+          req.flash('pageErrors', req.__('invalid api token data', String(APIToken.options.maxLabelLength)));
+          return res.redirect(`/user/${user.urlName}#api-tokens`);
+        }
+
+        APIToken
+          .create(user, { label: escapeHTML(label), scope })
+          .then(({ token }) => userHandlers.getUserHandler({ newAPIToken: token })(req, res, next))
+          .catch(next);
+      })
+      .catch(userHandlers.getUserNotFoundHandler(req, res, next, name));
+  },
+
+  processRevokeAPIToken(req, res, next) {
+
+    const { name, id } = req.params;
+    User
+      .findByURLName(name)
+      .then(user => {
+        if (!req.user || req.user.id !== user.id)
+          return render.permissionError(req, res, next);
+
+        APIToken
+          .filter({ id, userID: user.id })
+          .then(apiTokens => {
+            if (!apiTokens.length) {
+              req.flash('pageErrors', req.__('api token not found'));
+              return res.redirect(`/user/${user.urlName}#api-tokens`);
+            }
+            return apiTokens[0]
+              .delete()
+              .then(() => {
+                req.flash('pageMessages', req.__('api token revoked'));
+                res.redirect(`/user/${user.urlName}#api-tokens`);
+              });
+          })
+          .catch(next);
+      })
+      .catch(userHandlers.getUserNotFoundHandler(req, res, next, name));
+  },
+
+  // Drafts are normally discarded when the form is published, but users can
+  // also discard them from their user page
+  processDiscardDraft(req, res, next) {
+
+    const { name, id } = req.params;
+    User
+      .findByURLName(name)
+      .then(user => {
+        if (!req.user || req.user.id !== user.id)
+          return render.permissionError(req, res, next);
+
+        Draft
+          .filter({ id, userID: user.id })
+          .then(drafts => {
+            if (!drafts.length) {
+              req.flash('pageErrors', req.__('draft not found'));
+              return res.redirect(`/user/${user.urlName}#drafts`);
+            }
+            return drafts[0]
+              .delete()
+              .then(() => {
+                req.flash('pageMessages', req.__('draft discarded'));
+                res.redirect(`/user/${user.urlName}#drafts`);
+              });
+          })
+          .catch(next);
+      })
+      .catch(userHandlers.getUserNotFoundHandler(req, res, next, name));
+  },
+
   getUserHandler(options) {
     options = Object.assign({
-      editBio: false
+      editBio: false,
+      // See `forms.getEditConflict`; `bioText` is the submitted text to show
+      // in place of the saved one
+      editConflict: undefined,
+      bioText: undefined,
+      // Unhashed API token to show to the user right after its creation
+      newAPIToken: undefined
     }, options);
 
     return function(req, res, next) {
@@ -96,12 +225,22 @@ let userHandlers = {
           if (decodeURIComponent(user.urlName) !== name) // Redirect to chosen display name form (with spaces as underscores)
             return res.redirect(`/user/${user.urlName}`);
 
-          Review
-            .getFeed({
-              createdBy: user.id,
-              limit: 3
-            })
-            .then(result => {
+          // Users can manage their own drafts and API tokens from their user
+          // page
+          const isOwnPage = req.user && req.user.id === user.id;
+
+          Promise
+            .all([
+              Review.getFeed({
+                createdBy: user.id,
+                limit: 3
+              }).then(result => Review
+                .populateVotes(result.feedItems, req.user)
+                .then(() => result)),
+              isOwnPage ? APIToken.getForUser(user) : [],
+              isOwnPage ? Draft.getForUser(user) : []
+            ])
+            .then(([result, apiTokens, drafts]) => {
               let feedItems = result.feedItems;
               let offsetDate = result.offsetDate;
 
@@ -118,6 +257,12 @@ let userHandlers = {
 
               let loadEditor = options.editBio;
 
+              let baseRevision;
+              if (options.editConflict)
+                baseRevision = options.editConflict.revID;
+              else if (user.meta)
+                baseRevision = user.meta._revID;
+
               // For easy lookup in template
               let modOf = {};
               user.moderatorOf.forEach(t => (modOf[t.id] = true));
@@ -129,6 +274,7 @@ let userHandlers = {
               });
 
               let pageErrors = req.flash('pageErrors');
+              let pageMessages = req.flash('pageMessages');
 
               let embeddedFeeds = feeds.getEmbeddedFeeds(req, {
                 atomURLPrefix: `/user/${user.urlName}/feed/atom`,
@@ -147,8 +293,18 @@ let userHandlers = {
                 userInfo: user,
                 feedItems,
                 edit,
+                editConflict: options.editConflict,
+                baseRevision,
+                bioText: options.bioText,
+                editSummary: req.body[forms.editSummaryField.name],
                 scripts: loadEditor ? ['user.js', getJS('editor')] : ['user.js'],
                 pageErrors,
+                pageMessages,
+                isOwnPage,
+                apiTokens,
+                drafts,
+                newAPIToken: options.newAPIToken,
+                apiTokenScopes: APIToken.options.scopes,
                 teams: user.teams,
                 modOf,
                 founderOf,
@@ -165,6 +321,15 @@ let userHandlers = {
     };
   },
 
+  // Revisions of the user's bio, which is stored as versioned user metadata
+  getBioHistoryHandler() {
+    return historyHandlers.getHistoryHandler(bioHistoryOptions);
+  },
+
+  getBioRestoreHandler() {
+    return historyHandlers.getRestoreHandler(bioHistoryOptions);
+  },
+
   getUserFeedHandler(options) {
 
     options = Object.assign({
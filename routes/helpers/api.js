@@ -1,11 +1,26 @@
 'use strict';
+// Internal dependencies
+const APIToken = require('../../models/api-token');
+const User = require('../../models/user');
+const debug = require('../../util/debug');
+const ReportedError = require('../../util/reported-error');
+
+// Operations that use POST only because their input may be too large for a
+// query string. Tokens with read access may use them.
+const readOnlyPOSTPaths = ['/things/lookup'];
 
 let api = {
 
   // Set the API flag for API requests, and ensure all API requests come either
-  // from a browser or an application.
+  // from a browser or an application. Requests authenticated with a personal
+  // API token (see models/api-token.js) don't rely on cookies and are
+  // therefore exempt from request forgery checks.
   prepareRequest(req, res, next) {
     req.isAPI = true;
+    const authorization = req.get('authorization');
+    if (authorization)
+      return api.authenticateWithToken(req, res, next, authorization);
+
     if (!['GET', 'HEAD', 'OPTIONS'].includes(req.method) &&
       req.get('x-requested-with') != 'XMLHttpRequest' &&
       req.get('x-requested-with') != 'app') {
@@ -18,6 +33,39 @@ let api = {
     } else
       return next();
   },
+  // Replace any session user with the owner of the submitted token, and
+  // enforce the token's scope.
+  authenticateWithToken(req, res, next, authorization) {
+    const match = authorization.match(/^Bearer\s+(\S+)$/i);
+    if (!match)
+      return api.error(req, res, 'Authorization header must have the format "Bearer <token>".', 401);
+
+    APIToken
+      .findByToken(match[1])
+      .then(apiToken => {
+        if (!apiToken)
+          return api.error(req, res, 'Invalid or revoked API token.', 401);
+
+        if (!apiToken.canWrite && !api.isReadOnlyRequest(req))
+          return api.error(req, res, 'This API token only permits read access.', 403);
+
+        return User
+          .getWithTeams(apiToken.userID)
+          .then(user => {
+            req.user = user;
+            req.apiToken = apiToken;
+            apiToken
+              .markAsUsed()
+              .catch(error => debug.error({ req, error }));
+            next();
+          });
+      })
+      .catch(next);
+  },
+  isReadOnlyRequest(req) {
+    return ['GET', 'HEAD', 'OPTIONS'].includes(req.method) ||
+      (req.method == 'POST' && readOnlyPOSTPaths.includes(req.path));
+  },
   signinRequired(req, res) {
     let response = {};
     response.message = 'Could not perform action.';
@@ -26,6 +74,31 @@ let api = {
     res.status(401);
     res.send(JSON.stringify(response, null, 2));
   },
+  // Make a BREAD provider (see routes/handlers/abstract-bread-provider.js)
+  // report problems in the API error format instead of rendering pages
+  adaptProvider(provider) {
+    const { req, res } = provider;
+    provider.renderSigninRequired = () => api.signinRequired(req, res);
+    provider.renderPermissionError = () => api.error(req, res, 'Access denied.', 403);
+    provider.getResourceErrorHandler = (messageKeyPrefix, id) => error => {
+      switch (error.name) {
+        case 'DocumentNotFoundError':
+        case 'RevisionDeletedError':
+          return api.error(req, res, req.__(`${messageKeyPrefix} not found`, id), 404);
+        case 'RevisionStaleError':
+          return api.error(req, res, req.__('stale revision error'), 403);
+        default:
+          return provider.next(error);
+      }
+    };
+  },
+  // Errors with a message for the user are reported back to the client; all
+  // others are logged and reported by the generic error handler.
+  reportError(req, res, next, error) {
+    if (error instanceof ReportedError && error.userMessage)
+      return api.error(req, res, Reflect.apply(req.__, req, error.getEscapedUserMessageArray()));
+    return next(error);
+  },
   // Send one or multiple errors. Can be array of strings, or single string.
   // Error status is 400 (bad request) if not specified
   error(req, res, errors, status = 400) {
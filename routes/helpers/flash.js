@@ -6,9 +6,11 @@ const ReportedError = require('../../util/reported-error');
 const debug = require('../../util/debug');
 
 module.exports = function(req, res, next) {
-  let flashExists = req.session && req.session.flash;
+  // The flash is initialized lazily, so we have to check for its existence
+  // at call time.
+  const flashExists = () => req.session && req.session.flash;
   req.flashHas = key => {
-    if (flashExists && Array.isArray(req.session.flash[key]))
+    if (flashExists() && Array.isArray(req.session.flash[key]))
       return req.session.flash[key].length > 0;
     else
       return false;
@@ -18,7 +20,7 @@ module.exports = function(req, res, next) {
   // no such message is provided and display it as 'unknown error' to the
   // user. This is primarily used for form submissions.
   req.flashError = error => {
-    if (flashExists && error instanceof ReportedError && error.userMessage)
+    if (req.session && error instanceof ReportedError && error.userMessage)
       req.flash('pageErrors', Reflect.apply(req.__, this, error.getEscapedUserMessageArray()));
     else {
       req.flash('pageErrors', req.__('unknown error'));
@@ -2,6 +2,7 @@
 const config = require('config');
 const escapeHTML = require('escape-html');
 const md = require('../../util/md');
+const diff = require('../../util/diff');
 const urlUtils = require('../../util/url-utils');
 const languages = require('../../locales/languages');
 
@@ -9,6 +10,28 @@ const languages = require('../../locales/languages');
 const uuidRegex = '([a-f0-9]{8}-[a-f0-9]{4}-4[a-f0-9]{3}-[89aAbB][a-f0-9]{3}-[a-f0-9]{12})';
 
 let forms = {
+
+  // Edit forms carry the `_revID` of the revision they were loaded from in
+  // this field, so we can detect edit conflicts. Add it to the form
+  // definition of edit forms.
+  baseRevisionField: {
+    name: 'base-revision',
+    required: false,
+    skipValue: true
+  },
+
+  // Free-text summary of a change, which edit forms include via the
+  // `edit_summary` partial. Add it to the form definition of edit forms, and
+  // pass the value from `forms.getEditSummary` to `newRevision`.
+  editSummaryField: {
+    name: 'edit-summary',
+    required: false,
+    skipValue: true
+  },
+
+  // Longer summaries are truncated; keep in sync with the partial
+  maxEditSummaryLength: 300,
+
   // TODO: refactor me
   /* eslint complexity: "off" */
   parseSubmission(req, options) {
@@ -39,12 +62,14 @@ let forms = {
     let formValues = {};
     let processedKeys = Object.keys(req.body);
 
-    // Any form submission requires a CSRF token
-    formDef.push({
-      name: '_csrf',
-      required: true,
-      skipValue: true
-    });
+    // Any form submission requires a CSRF token. API requests are exempt, see
+    // routes/helpers/api.js.
+    if (!req.isAPI)
+      formDef.push({
+        name: '_csrf',
+        required: true,
+        skipValue: true
+      });
 
     // Process simple captcha if enabled for this form
     if (config.questionCaptcha.forms[formKey]) {
@@ -229,6 +254,63 @@ let forms = {
       return true;
   },
 
+  /**
+   * Check whether a document has been edited by someone else since the user
+   * loaded the edit form, based on the revision ID in the field described by
+   * `forms.baseRevisionField`. Forms submitted without it (e.g., via the API)
+   * are never considered conflicting.
+   *
+   * @param {IncomingMessage} req
+   *  Express request
+   * @param {Object} document
+   *  the current revision of the document
+   * @param {Object[]} fields
+   *  fields to compare, each of the form `{ name, saved, submitted }`, with
+   *  HTML-safe strings for the saved and submitted value
+   * @param {String} [historyURL]
+   *  URL of the history page of the document, to link to the changes that
+   *  were made in the meantime
+   * @returns {Object}
+   *  undefined if there is no conflict, otherwise information about it for
+   *  the `edit_conflict` partial. `revID` is the revision new edits should be
+   *  based on.
+   */
+  getEditConflict(req, document, fields, historyURL) {
+    const baseRevID = req.body[forms.baseRevisionField.name];
+    if (!baseRevID || baseRevID === document._revID)
+      return undefined;
+
+    return {
+      revID: document._revID,
+      revDate: document._revDate,
+      historyURL: historyURL ?
+        `${historyURL}?from=${encodeURIComponent(baseRevID)}&to=${document._revID}` :
+        undefined,
+      fields: fields
+        .filter(field => (field.saved || '') !== (field.submitted || ''))
+        .map(field => ({
+          name: field.name,
+          parts: diff.text(field.saved, field.submitted)
+        }))
+    };
+  },
+
+  /**
+   * Obtain the edit summary submitted with a form.
+   *
+   * @param {IncomingMessage} req
+   *  Express request
+   * @returns {String}
+   *  trimmed and escaped summary, or undefined if none was provided
+   */
+  getEditSummary(req) {
+    const summary = req.body[forms.editSummaryField.name];
+    if (typeof summary != 'string' || !summary.trim())
+      return undefined;
+
+    return escapeHTML(summary.trim().substr(0, forms.maxEditSummaryLength));
+  },
+
   unpackWildcards(formDef, body) {
 
     for (let field of formDef) {
@@ -0,0 +1,33 @@
+'use strict';
+
+// Parsing of coordinates and bounding boxes submitted as query parameters, for
+// the place search in the web interface and the API. Parsers return undefined
+// for invalid input.
+const geo = {
+
+  // Latitude (max. 90) or longitude (max. 180) in decimal degrees
+  parseCoordinate(str, max) {
+    if (typeof str != 'string' || !str.trim())
+      return undefined;
+    const number = Number(str);
+    return Math.abs(number) <= max ? number : undefined;
+  },
+
+  // Bounding boxes are given as "minLon,minLat,maxLon,maxLat", as in the
+  // OpenStreetMap API, and returned in the form used by search.searchPlaces
+  parseBoundingBox(str) {
+    if (typeof str != 'string')
+      return undefined;
+    const parts = str.split(',');
+    if (parts.length !== 4)
+      return undefined;
+    const [left, bottom, right, top] = parts
+      .map((part, index) => geo.parseCoordinate(part, index % 2 ? 90 : 180));
+    if ([left, bottom, right, top].includes(undefined) || bottom > top)
+      return undefined;
+    return { top, left, bottom, right };
+  }
+
+};
+
+module.exports = geo;
@@ -0,0 +1,619 @@
+'use strict';
+// External dependencies
+const config = require('config');
+const isUUID = require('is-uuid');
+
+// Internal dependencies
+const api = require('./api');
+const debug = require('../../util/debug');
+const pkg = require('../../package.json');
+const thingTypes = require('../../models/helpers/thing-types');
+
+/**
+ * Build the OpenAPI 3 description of the API (served at /api/openapi.json)
+ * from the operations registered by the routes, and validate requests and
+ * responses against it.
+ *
+ * Schemas support the subset of the OpenAPI 3.0 schema object used in this
+ * file and in routes/api.js: `type`, `enum`, `format` (`uuid`, `date-time`),
+ * `pattern`, `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`,
+ * `minLength`, `maxLength`, `maxItems`, `properties`, `required`,
+ * `additionalProperties`, `items`, `nullable` and `$ref` to schemas in
+ * `components`. As in OpenAPI 3.0, `exclusiveMinimum` and `exclusiveMaximum`
+ * are booleans that modify `minimum` and `maximum`, and arrays must have
+ * `items`.
+ *
+ * @namespace OpenAPI
+ */
+
+// Shared schemas, referenced as `#/components/schemas/<name>`
+const components = {
+  securitySchemes: {
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'Personal API token, created on your user page. Requests ' +
+        'with a session cookie instead must send an `X-Requested-With` ' +
+        'header set to `XMLHttpRequest` or `app` for any method other than GET.'
+    }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['message', 'errors'],
+      properties: {
+        message: { type: 'string' },
+        errors: { type: 'array', items: {} }
+      }
+    },
+    MultilingualString: {
+      type: 'object',
+      description: 'Values keyed by language code',
+      additionalProperties: { type: 'string' }
+    },
+    MultilingualStringArray: {
+      type: 'object',
+      description: 'Arrays of values keyed by language code',
+      additionalProperties: { type: 'array', items: { type: 'string' } }
+    },
+    ReviewSummary: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        thingID: { type: 'string', format: 'uuid' },
+        title: { $ref: '#/components/schemas/MultilingualString' },
+        text: { $ref: '#/components/schemas/MultilingualString' },
+        html: { $ref: '#/components/schemas/MultilingualString' },
+        starRating: { type: 'integer', minimum: 1, maximum: 5 },
+        originalLanguage: { type: 'string' },
+        commentsDisabled: { type: 'boolean' },
+        createdOn: { type: 'string', format: 'date-time' },
+        createdBy: { type: 'string', format: 'uuid' },
+        teams: { type: 'array', items: { type: 'string', format: 'uuid' } },
+        votes: { $ref: '#/components/schemas/ReviewVotes' },
+        thing: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            label: { $ref: '#/components/schemas/MultilingualString' },
+            urlID: { type: 'string' },
+            urls: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        _revID: { type: 'string', format: 'uuid' },
+        _revUser: { type: 'string', format: 'uuid' },
+        _revDate: { type: 'string', format: 'date-time' },
+        _revTags: { type: 'array', items: { type: 'string' } },
+        _revSummary: { type: 'string', description: 'Summary of the change, HTML-escaped' }
+      }
+    },
+    ReviewVotes: {
+      type: 'object',
+      description: 'Helpfulness votes. Only included in review lists and single reviews.',
+      properties: {
+        helpful: { type: 'integer', minimum: 0 },
+        notHelpful: { type: 'integer', minimum: 0 },
+        score: { type: 'number', minimum: 0, maximum: 1, description: 'Lower bound of the Wilson score interval of the share of helpful votes' }
+      }
+    },
+    ReviewInput: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        url: { type: 'string', description: 'URL of the review subject (only for new reviews)' },
+        thing: { type: 'string', format: 'uuid', description: 'ID of an existing review subject, instead of a URL (only for new reviews)' },
+        label: { type: 'string', description: 'Label for a new review subject' },
+        title: { type: 'string' },
+        text: { type: 'string', description: 'Markdown' },
+        starRating: { type: 'integer', minimum: 1, maximum: 5 },
+        language: { type: 'string', description: 'Language of title and text' },
+        teams: { type: 'array', items: { type: 'string', format: 'uuid' } },
+        files: { type: 'array', items: { type: 'string', format: 'uuid' }, description: 'Uploaded files to add to the review subject' },
+        commentsDisabled: { type: 'boolean', description: 'Prevent comments on the review' },
+        summary: { type: 'string', maxLength: 300, description: 'Summary of the change (only for edits)' }
+      }
+    },
+    Comment: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        reviewID: { type: 'string', format: 'uuid' },
+        parentID: { type: 'string', format: 'uuid', nullable: true },
+        text: { $ref: '#/components/schemas/MultilingualString' },
+        html: { $ref: '#/components/schemas/MultilingualString' },
+        originalLanguage: { type: 'string' },
+        createdOn: { type: 'string', format: 'date-time' },
+        createdBy: { type: 'string', format: 'uuid' },
+        removed: { type: 'boolean', description: 'Removed by a moderator; text and html are empty' },
+        removalReason: { type: 'string', nullable: true, description: 'HTML-escaped' },
+        replies: { type: 'array', items: { $ref: '#/components/schemas/Comment' } },
+        _revID: { type: 'string', format: 'uuid' },
+        _revUser: { type: 'string', format: 'uuid' },
+        _revDate: { type: 'string', format: 'date-time' },
+        _revTags: { type: 'array', items: { type: 'string' } },
+        _revSummary: { type: 'string', description: 'Summary of the change, HTML-escaped' }
+      }
+    },
+    CommentInput: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        text: { type: 'string', description: 'Markdown' },
+        language: { type: 'string', description: 'Language of the text' },
+        parent: { type: 'string', format: 'uuid', description: 'ID of the comment to reply to (only for new comments)' },
+        summary: { type: 'string', maxLength: 300, description: 'Summary of the change (only for edits)' }
+      }
+    },
+    Thing: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        urls: { type: 'array', items: { type: 'string' } },
+        label: { $ref: '#/components/schemas/MultilingualString' },
+        aliases: { $ref: '#/components/schemas/MultilingualStringArray' },
+        description: { $ref: '#/components/schemas/MultilingualString' },
+        type: { type: 'string', enum: thingTypes.getTypeIDs(), description: 'Determines which of the following fields apply' },
+        subtitle: { $ref: '#/components/schemas/MultilingualString' },
+        authors: { type: 'array', items: { $ref: '#/components/schemas/MultilingualString' } },
+        isbn: { type: 'string', description: 'Books only; ISBN-10 or ISBN-13 without hyphens' },
+        publisher: { $ref: '#/components/schemas/MultilingualString' },
+        address: { $ref: '#/components/schemas/MultilingualString' },
+        postalAddress: {
+          type: 'object',
+          description: 'Places only; properties of a schema.org PostalAddress, HTML-escaped',
+          properties: {
+            streetAddress: { type: 'string' },
+            postalCode: { type: 'string' },
+            addressLocality: { type: 'string' },
+            addressRegion: { type: 'string' },
+            addressCountry: { type: 'string' }
+          }
+        },
+        coordinates: { $ref: '#/components/schemas/Coordinates' },
+        openingHours: { type: 'string', description: 'Places only; in OpenStreetMap syntax' },
+        director: { $ref: '#/components/schemas/MultilingualString' },
+        releaseYear: { type: 'integer' },
+        manufacturer: { $ref: '#/components/schemas/MultilingualString' },
+        gtin: { type: 'string', description: 'Products only; barcode number (EAN, UPC)' },
+        developer: { $ref: '#/components/schemas/MultilingualString' },
+        license: { type: 'string', description: 'Software only; ideally an SPDX identifier' },
+        originalLanguage: { type: 'string' },
+        canonicalSlugName: { type: 'string' },
+        urlID: { type: 'string' },
+        createdOn: { type: 'string', format: 'date-time' },
+        createdBy: { type: 'string', format: 'uuid' },
+        numberOfReviews: { type: 'integer' },
+        averageStarRating: { type: 'number' },
+        ratingDistribution: {
+          type: 'array',
+          description: 'Number of reviews with each star rating, from 1 to 5 stars',
+          items: {
+            type: 'object',
+            properties: {
+              starRating: { type: 'integer', minimum: 1, maximum: 5 },
+              numberOfReviews: { type: 'integer' }
+            }
+          }
+        },
+        ratingTrend: {
+          type: 'array',
+          description: 'Average rating for each month (UTC) in which reviews were written, oldest first. ' +
+            'The cumulative average includes all reviews up to the end of the month.',
+          items: {
+            type: 'object',
+            properties: {
+              month: { type: 'string', pattern: '^\\d{4}-\\d{2}$' },
+              numberOfReviews: { type: 'integer' },
+              averageStarRating: { type: 'number' },
+              cumulativeAverageStarRating: { type: 'number' }
+            }
+          }
+        },
+        sync: { type: 'object' },
+        files: { type: 'array', items: { $ref: '#/components/schemas/File' } },
+        reviews: { type: 'array', items: { $ref: '#/components/schemas/ReviewSummary' } },
+        reviewsNextCursor: { type: 'string', nullable: true },
+        _revID: { type: 'string', format: 'uuid' },
+        _revUser: { type: 'string', format: 'uuid' },
+        _revDate: { type: 'string', format: 'date-time' },
+        _revTags: { type: 'array', items: { type: 'string' } },
+        _revSummary: { type: 'string', description: 'Summary of the change, HTML-escaped' }
+      }
+    },
+    File: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        name: { type: 'string' },
+        url: { type: 'string' },
+        description: { $ref: '#/components/schemas/MultilingualString' },
+        mimeType: { type: 'string' },
+        license: { type: 'string', enum: ['cc-0', 'cc-by', 'cc-by-sa', 'fair-use'] },
+        creator: { $ref: '#/components/schemas/MultilingualString' },
+        source: { $ref: '#/components/schemas/MultilingualString' },
+        uploadedBy: { type: 'string', format: 'uuid' },
+        uploadedOn: { type: 'string', format: 'date-time' }
+      }
+    },
+    Coordinates: {
+      type: 'object',
+      description: 'Latitude and longitude in decimal degrees (WGS 84)',
+      properties: {
+        lat: { type: 'number', minimum: -90, maximum: 90 },
+        lon: { type: 'number', minimum: -180, maximum: 180 }
+      }
+    },
+    // Used by /search and /search/places
+    ThingSearchResults: {
+      type: 'object',
+      properties: {
+        total: { type: 'integer' },
+        hits: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              id: { type: 'string', format: 'uuid' },
+              urlID: { type: 'string' },
+              type: { type: 'string', enum: thingTypes.getTypeIDs() },
+              label: { $ref: '#/components/schemas/MultilingualString' },
+              aliases: { $ref: '#/components/schemas/MultilingualStringArray' },
+              description: { $ref: '#/components/schemas/MultilingualString' },
+              urls: { type: 'array', items: { type: 'string' } },
+              highlights: { $ref: '#/components/schemas/SearchHighlights', description: 'Only for /search' },
+              coordinates: { $ref: '#/components/schemas/Coordinates', description: 'Only for /search/places' },
+              distance: { type: 'number', description: 'Only for /search/places near a point; in kilometers' }
+            }
+          }
+        }
+      }
+    },
+    SearchHighlights: {
+      type: 'array',
+      description: 'Excerpts with matches wrapped in `<span class="search-highlight">`',
+      items: { type: 'string' }
+    }
+  }
+};
+
+let openapi = {
+
+  /**
+   * Register an operation for the OpenAPI document, and obtain middleware that
+   * validates requests against it.
+   *
+   * @param {String} method
+   *  HTTP method in lower case
+   * @param {String} path
+   *  Express path relative to /api, e.g. `/review/:id`
+   * @param {Object} operation
+   *  OpenAPI operation object. Path parameters are added automatically if not
+   *  specified.
+   * @returns {Function}
+   *  Express middleware
+   * @memberof OpenAPI
+   */
+  route(method, path, operation) {
+    const openAPIPath = path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+    operation = Object.assign({ parameters: [] }, operation);
+
+    // Document path parameters
+    const pathParams = (path.match(/:([A-Za-z0-9_]+)/g) || []).map(param => param.substr(1));
+    for (let name of pathParams) {
+      if (!operation.parameters.some(param => param.in == 'path' && param.name == name))
+        operation.parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+
+    if (!paths[openAPIPath])
+      paths[openAPIPath] = {};
+    paths[openAPIPath][method] = operation;
+
+    return function(req, res, next) {
+      const errors = openapi.validateRequest(req, operation);
+      if (errors.length)
+        return api.error(req, res, errors);
+
+      if (config.validateAPIResponses)
+        openapi.validateResponses(req, res, operation);
+
+      next();
+    };
+  },
+
+  // Shorthands for common parts of operation objects
+
+  jsonResponse(description, schema) {
+    return { description, content: { 'application/json': { schema } } };
+  },
+
+  errorResponse(description) {
+    return openapi.jsonResponse(description, { $ref: '#/components/schemas/Error' });
+  },
+
+  jsonBody(schema, required = true) {
+    return { required, content: { 'application/json': { schema } } };
+  },
+
+  queryParam(name, schema, description, required = false) {
+    return { name, in: 'query', required, description, schema };
+  },
+
+  /**
+   * Get the complete OpenAPI document.
+   *
+   * @returns {Object}
+   *  the document
+   * @memberof OpenAPI
+   */
+  getDocument() {
+    return {
+      openapi: '3.0.0',
+      info: {
+        title: 'lib.reviews API',
+        version: pkg.version,
+        license: { name: 'CC0-1.0' }
+      },
+      servers: [{ url: `${config.qualifiedURL}api` }],
+      security: [{}, { bearerAuth: [] }],
+      paths,
+      components
+    };
+  },
+
+  /**
+   * Check query and path parameters and, for JSON or form-encoded requests,
+   * the request body.
+   *
+   * @param {IncomingMessage} req
+   *  Express request
+   * @param {Object} operation
+   *  OpenAPI operation object
+   * @returns {String[]}
+   *  validation errors, if any
+   * @memberof OpenAPI
+   */
+  validateRequest(req, operation) {
+    const errors = [];
+    const sources = { query: req.query, path: req.params };
+    for (let param of operation.parameters) {
+      const value = (sources[param.in] || {})[param.name];
+      if (value === undefined) {
+        if (param.required)
+          errors.push(`Missing required ${param.in} parameter "${param.name}".`);
+        continue;
+      }
+      errors.push(...openapi.validate(param.schema, coerce(param.schema, value),
+        `${param.in} parameter "${param.name}"`));
+    }
+
+    const bodySchema = operation.requestBody && operation.requestBody.content &&
+      operation.requestBody.content['application/json'] &&
+      operation.requestBody.content['application/json'].schema;
+
+    if (bodySchema && req.body !== undefined) {
+      // Form-encoded bodies only contain strings
+      const body = req.is('json') ? req.body : coerce(bodySchema, req.body);
+      errors.push(...openapi.validate(bodySchema, body, 'request body'));
+    }
+    return errors;
+  },
+
+  // Check JSON responses against the schema for their status code, and log
+  // any mismatches. This is a development aid; responses are sent regardless,
+  // unless `validateAPIResponses` is set to 'fail'. Then a response that does
+  // not match is replaced with an error, so that tests can catch it.
+  validateResponses(req, res, operation) {
+    const send = res.send;
+    res.send = function(body) {
+      res.send = send;
+      const errors = openapi.getResponseErrors(operation, res.statusCode, body);
+      if (!errors.length)
+        return Reflect.apply(send, this, [body]);
+
+      debug.error(`Response to ${req.method} ${req.originalUrl} does not match ` +
+        `the OpenAPI document: ${errors.join(' ')}`);
+      if (config.validateAPIResponses !== 'fail')
+        return Reflect.apply(send, this, [body]);
+
+      res.status(500);
+      res.type('json');
+      return Reflect.apply(send, this, [JSON.stringify({
+        message: 'Response does not match the OpenAPI document.',
+        errors
+      })]);
+    };
+  },
+
+  /**
+   * Check a response against the OpenAPI document. Server errors are handled
+   * by the application's error handler, and are not checked.
+   *
+   * @param {Object} operation
+   *  OpenAPI operation object
+   * @param {Number} statusCode
+   *  HTTP status of the response
+   * @param {(String|Buffer|Object)} body
+   *  response body, JSON-encoded or not
+   * @returns {String[]}
+   *  validation errors, if any
+   * @memberof OpenAPI
+   */
+  getResponseErrors(operation, statusCode, body) {
+    if (statusCode >= 500)
+      return [];
+
+    const response = operation.responses[String(statusCode)];
+    if (!response)
+      return [`Response status ${statusCode} is not described.`];
+
+    const schema = response.content && response.content['application/json'] &&
+      response.content['application/json'].schema;
+    if (!schema)
+      return [];
+
+    let data = body;
+    try {
+      if (typeof body == 'string' || Buffer.isBuffer(body))
+        data = JSON.parse(String(body));
+    } catch (_e) {
+      data = body;
+    }
+    return openapi.validate(schema, data, 'response body');
+  },
+
+  /**
+   * Validate a value against a schema.
+   *
+   * @param {Object} schema
+   *  schema to validate against
+   * @param {*} value
+   *  value to validate
+   * @param {String} [name='value']
+   *  used in error messages
+   * @returns {String[]}
+   *  validation errors, if any
+   * @memberof OpenAPI
+   */
+  validate(schema, value, name = 'value') {
+    schema = resolve(schema);
+    if (!schema || !Object.keys(schema).length)
+      return [];
+
+    if (value === null)
+      return schema.nullable ? [] : [`${name} must not be null.`];
+
+    if (schema.type && !hasType(value, schema.type))
+      return [`${name} must be of type ${schema.type}.`];
+
+    if (schema.enum && !schema.enum.includes(value))
+      return [`${name} must be one of: ${schema.enum.join(', ')}.`];
+
+    const validator = validators[schema.type];
+    return validator ? validator(schema, value, name) : [];
+  }
+
+};
+
+// OpenAPI path objects, keyed by path
+const paths = {};
+
+// Type-specific checks, called after the basic type check has passed
+const validators = {
+  string(schema, value, name) {
+    const errors = [];
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      errors.push(`${name} must be at least ${schema.minLength} characters long.`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+      errors.push(`${name} must be at most ${schema.maxLength} characters long.`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value))
+      errors.push(`${name} must match the pattern ${schema.pattern}.`);
+    if (schema.format == 'uuid' && !isUUID.v4(value))
+      errors.push(`${name} must be a valid ID.`);
+    if (schema.format == 'date-time' && isNaN(new Date(value).valueOf()))
+      errors.push(`${name} must be a date in ISO 8601 format.`);
+    return errors;
+  },
+
+  integer(schema, value, name) {
+    return validators.number(schema, value, name);
+  },
+
+  number(schema, value, name) {
+    const errors = [];
+    if (schema.minimum !== undefined) {
+      if (schema.exclusiveMinimum && value <= schema.minimum)
+        errors.push(`${name} must be greater than ${schema.minimum}.`);
+      else if (value < schema.minimum)
+        errors.push(`${name} must be at least ${schema.minimum}.`);
+    }
+    if (schema.maximum !== undefined) {
+      if (schema.exclusiveMaximum && value >= schema.maximum)
+        errors.push(`${name} must be less than ${schema.maximum}.`);
+      else if (value > schema.maximum)
+        errors.push(`${name} must be at most ${schema.maximum}.`);
+    }
+    return errors;
+  },
+
+  array(schema, value, name) {
+    const errors = [];
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      errors.push(`${name} must have at most ${schema.maxItems} items.`);
+    if (schema.items)
+      value.forEach((item, index) =>
+        errors.push(...openapi.validate(schema.items, item, `${name}[${index}]`)));
+    return errors;
+  },
+
+  object(schema, value, name) {
+    const errors = [];
+    const properties = schema.properties || {};
+    for (let key of schema.required || []) {
+      if (value[key] === undefined)
+        errors.push(`${name} must have property "${key}".`);
+    }
+    for (let key in value) {
+      if (properties[key])
+        errors.push(...openapi.validate(properties[key], value[key], `${name}.${key}`));
+      else if (schema.additionalProperties === false)
+        errors.push(`${name} has unknown property "${key}".`);
+      else if (typeof schema.additionalProperties == 'object')
+        errors.push(...openapi.validate(schema.additionalProperties, value[key], `${name}.${key}`));
+    }
+    return errors;
+  }
+};
+
+// Follow references to shared schemas
+function resolve(schema) {
+  while (schema && schema.$ref)
+    schema = components.schemas[schema.$ref.replace('#/components/schemas/', '')];
+  return schema;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value == 'number' && !isNaN(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeof value == 'object' && !Array.isArray(value);
+    default:
+      return typeof value == type;
+  }
+}
+
+// Query parameters and form-encoded bodies are strings; convert them to the
+// type the schema expects so we can validate them. Values that can't be
+// converted are returned as-is and will fail validation.
+function coerce(schema, value) {
+  schema = resolve(schema) || {};
+  if (typeof value == 'object' && value !== null && !Array.isArray(value) && schema.type == 'object') {
+    const properties = schema.properties || {};
+    const rv = {};
+    for (let key in value)
+      rv[key] = properties[key] ? coerce(properties[key], value[key]) : value[key];
+    return rv;
+  }
+  if (typeof value != 'string')
+    return value;
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      if (['true', '1', 'on'].includes(value))
+        return true;
+      if (['false', '0', ''].includes(value))
+        return false;
+      return value;
+    default:
+      return value;
+  }
+}
+
+module.exports = openapi;
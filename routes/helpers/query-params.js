@@ -0,0 +1,103 @@
+'use strict';
+// Validation of query parameters for the API. Each parser has a `getError`
+// method that describes what was expected.
+
+// External dependencies
+const isUUID = require('is-uuid');
+
+// Internal dependencies
+const languages = require('../../locales/languages');
+const thingTypes = require('../../models/helpers/thing-types');
+const geo = require('./geo');
+
+// Parse query parameters according to a specification in the format
+// `{ optionKey: [paramName, parser, ...extraParserArguments] }`. Parameters
+// that are not present are skipped. Returns the parsed options and an array of
+// validation errors.
+function parseQuery(query, spec) {
+  const options = {};
+  const errors = [];
+  for (let key in spec) {
+    const [param, parser, ...args] = spec[key];
+    if (query[param] === undefined)
+      continue;
+    const value = parser(String(query[param]), ...args);
+    if (value === undefined)
+      errors.push(parser.getError(param, ...args));
+    else
+      options[key] = value;
+  }
+  return { options, errors };
+}
+
+// Parsers for query parameters. They return undefined for invalid values.
+function parseID(str) {
+  return isUUID.v4(str) ? str : undefined;
+}
+parseID.getError = param => `Parameter "${param}" must be a valid ID.`;
+
+function parseLanguage(str) {
+  return languages.isValid(str) ? str : undefined;
+}
+parseLanguage.getError = param => `Parameter "${param}" must be a supported language code.`;
+
+function parseThingType(str) {
+  return thingTypes.isValid(str) ? str : undefined;
+}
+parseThingType.getError = param =>
+  `Parameter "${param}" must be one of: ${thingTypes.getTypeIDs().join(', ')}.`;
+
+function parseInteger(str, min, max) {
+  const number = Number(str);
+  return Number.isInteger(number) && number >= min && number <= max ? number : undefined;
+}
+parseInteger.getError = (param, min, max) =>
+  `Parameter "${param}" must be an integer from ${min} to ${max}.`;
+
+function parseNumber(str, min, max) {
+  const number = Number(str);
+  return str.trim() !== '' && number >= min && number <= max ? number : undefined;
+}
+parseNumber.getError = (param, min, max) =>
+  `Parameter "${param}" must be a number from ${min} to ${max}.`;
+
+function parseBoundingBox(str) {
+  return geo.parseBoundingBox(str);
+}
+parseBoundingBox.getError = param =>
+  `Parameter "${param}" must be a bounding box of the form "minLon,minLat,maxLon,maxLat".`;
+
+function parseDate(str) {
+  const date = new Date(str);
+  return isNaN(date.valueOf()) ? undefined : date;
+}
+parseDate.getError = param => `Parameter "${param}" must be a date in ISO 8601 format.`;
+
+function parseOption(str, values) {
+  return values.includes(str) ? str : undefined;
+}
+parseOption.getError = (param, values) => `Parameter "${param}" must be one of: ${values.join(', ')}.`;
+
+// Parse a comma-separated list of values, e.g., of embeds, and validate it
+// against the supported values.
+function parseInclude(str, supportedValues) {
+  const values = typeof str == 'string' ?
+    str.split(',').map(value => value.trim()).filter(Boolean) : [];
+  const errors = values
+    .filter(value => !supportedValues.includes(value))
+    .map(value => `Parameter "include" contains unknown value "${value}". Supported values: ${supportedValues.join(', ')}.`);
+  return { values, errors };
+}
+
+module.exports = {
+  parseQuery,
+  parseID,
+  parseLanguage,
+  parseThingType,
+  parseInteger,
+  parseNumber,
+  parseBoundingBox,
+  parseDate,
+  parseOption,
+  parseInclude
+};
@@ -0,0 +1,100 @@
+'use strict';
+
+// Internal dependencies
+const search = require('../../search');
+
+// The shape of search results in the API (see /search and /search/places in
+// routes/api.js), built from ElasticSearch responses. Only fields we document
+// are included, so changes to the search index don't leak into the API.
+const searchResults = {
+
+  // Response body for /search: matching things and reviews, with the query
+  // and page options that produced them
+  getSearchResults({ query, language, from, size }, thingResults, reviewResults) {
+    const thingHits = search.filterDuplicateHighlights(thingResults.hits.hits);
+    const reviewHits = search.filterDuplicateInnerHighlights(reviewResults.hits.hits, 'reviews');
+    return {
+      query,
+      language,
+      from,
+      size,
+      things: {
+        total: thingResults.hits.total,
+        hits: thingHits.map(searchResults.getThingHitData)
+      },
+      reviews: {
+        total: reviewResults.hits.total,
+        hits: reviewHits.map(searchResults.getReviewHitData)
+      }
+    };
+  },
+
+  // Response body for /search/places
+  getPlaceSearchResults({ from, size }, results) {
+    return {
+      from,
+      size,
+      things: {
+        total: results.hits.total,
+        hits: results.hits.hits.map(searchResults.getPlaceHitData)
+      }
+    };
+  },
+
+  getThingHitData(hit) {
+    return {
+      id: hit._id,
+      urlID: hit._source.urlID,
+      type: hit._source.type,
+      label: hit._source.label,
+      aliases: hit._source.aliases,
+      description: hit._source.description,
+      urls: hit._source.urls,
+      highlights: searchResults.flattenHighlights(hit.highlight)
+    };
+  },
+
+  // Place searches have no highlights, but the coordinates of the place and,
+  // for searches near a point, its distance in kilometers
+  getPlaceHitData(hit) {
+    const data = searchResults.getThingHitData(hit);
+    Reflect.deleteProperty(data, 'highlights');
+    data.coordinates = hit._source.coordinates;
+    if (hit.sort)
+      data.distance = hit.sort[0];
+    return data;
+  },
+
+  // Reviews are grouped by the thing they are about
+  getReviewHitData(hit) {
+    const innerHits = hit.inner_hits && hit.inner_hits.reviews ?
+      hit.inner_hits.reviews.hits : { total: 0, hits: [] };
+    return {
+      thing: {
+        id: hit._id,
+        urlID: hit._source.urlID,
+        label: hit._source.label
+      },
+      totalReviews: innerHits.total,
+      reviews: innerHits.hits.map(reviewHit => ({
+        id: reviewHit._id,
+        title: reviewHit._source.title,
+        starRating: reviewHit._source.starRating,
+        createdOn: reviewHit._source.createdOn,
+        highlights: searchResults.flattenHighlights(reviewHit.highlight)
+      }))
+    };
+  },
+
+  // Elasticsearch groups highlights by field (e.g., `text.en.processed`); we
+  // return them as a single list.
+  flattenHighlights(highlight) {
+    const highlights = [];
+    for (let field in highlight || {})
+      highlights.push(...highlight[field]);
+    return highlights;
+  }
+
+};
+
+module.exports = searchResults;
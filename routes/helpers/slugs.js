@@ -34,7 +34,22 @@ const slugs = {
       DocumentModel: Thing,
       SlugModel: ThingSlug,
       slugForeignKey: 'thingID',
-      basePath: '/'
+      basePath: '/',
+      followMerges: true
+    });
+  },
+
+  // As above, but resolves with the thing even if the slug is not canonical,
+  // instead of redirecting to the canonical URL. Used by the API, which has no
+  // use for redirects.
+  resolveAndLoadThingWithoutRedirect(id, loadOptions) {
+
+    return _resolveAndLoad(undefined, undefined, id, loadOptions, {
+      DocumentModel: Thing,
+      SlugModel: ThingSlug,
+      slugForeignKey: 'thingID',
+      redirect: false,
+      followMerges: true
     });
   }
 
@@ -48,6 +63,11 @@ const slugs = {
 //   slugForeignKey: name of the ID key in the slug table that refers back to the
 //     document
 //   basePath: base URL of any canonical URL we redirect to
+//   redirect: set to false to always resolve with the document instead of
+//     redirecting to its canonical URL (default: true)
+//   followMerges: if the document was deleted because it was merged into
+//     another one (see the `mergedInto` field of things), redirect to or
+//     resolve with that one instead (default: false)
 function _resolveAndLoad(req, res, id, loadOptions, modelConfig) {
 
   return new Promise((resolve, reject) => {
@@ -58,7 +78,7 @@ function _resolveAndLoad(req, res, id, loadOptions, modelConfig) {
       modelConfig.DocumentModel
         .getWithData(id, loadOptions)
         .then(document => {
-          if (document.canonicalSlugName) {
+          if (document.canonicalSlugName && modelConfig.redirect !== false) {
             _redirectToCanonical(req, res, id, modelConfig.basePath, document.canonicalSlugName);
             let e = new Error();
             e.name = 'RedirectedError';
@@ -66,7 +86,26 @@ function _resolveAndLoad(req, res, id, loadOptions, modelConfig) {
           } else
             resolve(document);
         })
-        .catch(reject); // ID not found or other error
+        .catch(error => {
+          if (error.name !== 'RevisionDeletedError' || !modelConfig.followMerges)
+            return reject(error); // ID not found or other error
+
+          modelConfig.DocumentModel
+            .get(id)
+            .then(document => {
+              if (!document.mergedInto)
+                reject(error);
+              else if (modelConfig.redirect === false)
+                resolve(_resolveAndLoad(req, res, document.mergedInto, loadOptions, modelConfig));
+              else {
+                _redirectToCanonical(req, res, id, modelConfig.basePath, document.mergedInto);
+                let e = new Error();
+                e.name = 'RedirectedError';
+                reject(e);
+              }
+            })
+            .catch(reject);
+        });
 
     } else {
       // We'll assume that the provided ID refers to a slug
@@ -76,11 +115,13 @@ function _resolveAndLoad(req, res, id, loadOptions, modelConfig) {
           modelConfig.DocumentModel
             .getWithData(slug[modelConfig.slugForeignKey], loadOptions)
             .then(document => {
-              if (document.canonicalSlugName === slug.name)
+              if (document.canonicalSlugName === slug.name || modelConfig.redirect === false)
                 resolve(document);
-              // We always want to redirect to the canonical name
+              // We always want to redirect to the canonical name. Slugs of
+              // merged documents may point to documents without one.
               else {
-                _redirectToCanonical(req, res, id, modelConfig.basePath, document.canonicalSlugName);
+                _redirectToCanonical(req, res, id, modelConfig.basePath,
+                  document.canonicalSlugName || document.id);
                 let e = new Error();
                 e.name = 'RedirectedError';
                 reject(e);
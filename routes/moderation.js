@@ -0,0 +1,615 @@
+'use strict';
+
+// External dependencies
+const express = require('express');
+const router = express.Router();
+const escapeHTML = require('escape-html');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+// Internal dependencies
+const Review = require('../models/review');
+const Thing = require('../models/thing');
+const ThingSlug = require('../models/thing-slug');
+const Team = require('../models/team');
+const TeamSlug = require('../models/team-slug');
+const BlogPost = require('../models/blog-post');
+const Comment = require('../models/comment');
+const File = require('../models/file');
+const ThingDuplicate = require('../models/thing-duplicate');
+const ContentReport = require('../models/content-report');
+const User = require('../models/user');
+const render = require('./helpers/render');
+const mlString = require('../models/helpers/ml-string');
+const search = require('../search');
+const ReportedError = require('../util/reported-error');
+const historyHandlers = require('./handlers/history-handler');
+const getResourceErrorHandler = require('./handlers/resource-error-handler');
+
+// Kinds of content that site moderators can delete and restore. `getLabel`
+// must return HTML-safe strings; `restore` undeletes a (deleted) current
+// revision and all data that depends on it.
+//
+// Content types that users can report (see models/content-report.js) also
+// have a `resourceKey` for "not found" messages, `getAuthorID`, and
+// `deleteReported`, which deletes a current revision and all data that depends
+// on it if a moderator upholds a report.
+const contentTypes = {
+  reviews: {
+    Model: Review,
+    labelKey: 'deleted reviews',
+    getLabel: (review, req) => mlString.resolve(req.locale, review.title).str,
+    getURL: review => `/review/${review.id}`,
+    resourceKey: 'review',
+    getAuthorID: review => review.createdBy,
+    async deleteReported(review, user) {
+      await review.deleteAllRevisions(user, { tags: ['delete-via-report'] });
+      search.deleteReview(review);
+    },
+    async restore(review, user) {
+      // A review may have been deleted together with its subject, which we
+      // need to restore first
+      const thing = await Thing.get(review.thingID);
+      if (thing._revDeleted)
+        await contentTypes.things.restore(thing, user, ['undelete-via-review']);
+
+      await review.undeleteAllRevisions(user, { tags: ['undelete-via-form'] });
+      search.indexReview(review);
+    }
+  },
+  things: {
+    Model: Thing,
+    labelKey: 'deleted review subjects',
+    getLabel: (thing, req) => thing.label ?
+      mlString.resolve(req.locale, thing.label).str :
+      escapeHTML(thing.urls[0]),
+    getURL: thing => `/${thing.urlID}`,
+    resourceKey: 'thing',
+    getAuthorID: thing => thing.createdBy,
+    async deleteReported(thing, user) {
+      // Reviews can't exist without their subject
+      const reviews = await Review
+        .getAll(thing.id, { index: 'thingID' })
+        .filter({ _revDeleted: false }, { default: true })
+        .filter({ _oldRevOf: false }, { default: true });
+      for (let review of reviews) {
+        await review.deleteAllRevisions(user, { tags: ['delete-with-thing'] });
+        search.deleteReview(review);
+      }
+      await thing.deleteAllRevisions(user, { tags: ['delete-via-report'] });
+      search.deleteThing(thing);
+    },
+    async restore(thing, user, tags = ['undelete-via-form']) {
+      // Its reviews, URLs and slugs now belong to the thing it was merged into
+      if (thing.mergedInto)
+        throw new ReportedError({
+          message: 'Thing %s was merged into %s and cannot be restored.',
+          messageParams: [thing.id, thing.mergedInto],
+          userMessage: 'cannot restore merged thing'
+        });
+
+      await restoreSlug(thing, user, ThingSlug, 'thingID');
+      await thing.undeleteAllRevisions(user, { tags });
+      search.indexThing(thing);
+    }
+  },
+  teams: {
+    Model: Team,
+    labelKey: 'deleted teams',
+    getLabel: (team, req) => mlString.resolve(req.locale, team.name).str,
+    getURL: team => `/team/${team.urlID}`,
+    async restore(team, user) {
+      await restoreSlug(team, user, TeamSlug, 'teamID');
+      await team.undeleteAllRevisions(user, { tags: ['undelete-via-form'] });
+    }
+  },
+  posts: {
+    Model: BlogPost,
+    labelKey: 'deleted blog posts',
+    getLabel: (post, req) => mlString.resolve(req.locale, post.title).str,
+    getURL: post => `/team/${post.teamID}/post/${post.id}`,
+    resourceKey: 'post',
+    getAuthorID: post => post.createdBy,
+    async deleteReported(post, user) {
+      await post.deleteAllRevisions(user, { tags: ['delete-via-report'] });
+    },
+    async restore(post, user) {
+      await post.undeleteAllRevisions(user, { tags: ['undelete-via-form'] });
+    }
+  },
+  comments: {
+    Model: Comment,
+    labelKey: 'deleted comments',
+    getLabel: (comment, req) => Comment.getExcerpt(comment, req.locale),
+    getURL: comment => `/comment/${comment.id}`,
+    resourceKey: 'comment',
+    getAuthorID: comment => comment.createdBy,
+    async deleteReported(comment, user) {
+      await comment.deleteAllRevisions(user, { tags: ['delete-via-report'] });
+    },
+    async restore(comment, user) {
+      await comment.undeleteAllRevisions(user, { tags: ['undelete-via-form'] });
+    }
+  },
+  files: {
+    Model: File,
+    labelKey: 'deleted files',
+    getLabel: file => escapeHTML(file.name),
+    getURL: file => `/static/uploads/${encodeURIComponent(file.name)}`,
+    resourceKey: 'file',
+    getAuthorID: file => file.uploadedBy,
+    async deleteReported(file, user) {
+      // Same move as in routes/files.js
+      const rename = util.promisify(fs.rename),
+        oldPath = path.join(__dirname, '../static/uploads', file.name),
+        newPath = path.join(__dirname, '../deleted', file.name);
+
+      await file.deleteAllRevisions(user, { tags: ['delete-via-report'] });
+      await rename(oldPath, newPath);
+    },
+    async restore(file, user) {
+      // Reverses the move in routes/files.js
+      const rename = util.promisify(fs.rename),
+        oldPath = path.join(__dirname, '../deleted', file.name),
+        newPath = path.join(__dirname, '../static/uploads', file.name);
+
+      await rename(oldPath, newPath);
+      await file.undeleteAllRevisions(user, { tags: ['undelete-via-form'] });
+    }
+  }
+};
+
+router.get('/moderation/deleted', function(req, res, next) {
+  const type = req.query.type || 'reviews';
+  if (!checkModerator(req, res) || !getContentType(type, next))
+    return;
+
+  let offsetDate = new Date(req.query.before);
+  if (isNaN(offsetDate))
+    offsetDate = undefined;
+
+  contentTypes[type].Model
+    .getDeleted({ offsetDate })
+    .then(feed => historyHandlers.addRevisionUsers(feed.items)
+      .then(() => sendDeletedContent(req, res, type, feed)))
+    .catch(next);
+});
+
+// Restore the document with the ID given in the `id` field of the request
+// body, and return to the list
+router.post('/moderation/deleted', function(req, res, next) {
+  const type = req.body.type;
+  if (!checkModerator(req, res) || !getContentType(type, next))
+    return;
+
+  const contentType = contentTypes[type],
+    id = String(req.body.id);
+
+  contentType.Model
+    .filter({ id, _revDeleted: true })
+    .filter({ _oldRevOf: false }, { default: true })
+    .then(documents => {
+      if (!documents.length)
+        throw new ReportedError({
+          message: 'Document %s of type %s does not exist or is not deleted.',
+          messageParams: [id, type],
+          userMessage: 'content to restore not found'
+        });
+
+      const document = documents[0];
+      return contentType
+        .restore(document, req.user)
+        .then(() => req.flash('pageMessages',
+          req.__('content restored', contentType.getURL(document), contentType.getLabel(document, req))));
+    })
+    .catch(error => {
+      if (error instanceof ReportedError && error.userMessage)
+        req.flashError(error);
+      else if (error.name == 'DuplicateSlugNameError' || error.name == 'InvalidSlugStringError')
+        req.flash('pageErrors', req.__('cannot restore content name'));
+      else
+        throw error;
+    })
+    .then(() => res.redirect(`/moderation/deleted?type=${type}`))
+    .catch(next);
+});
+
+router.get('/moderation/duplicates', function(req, res, next) {
+  if (!checkModerator(req, res, 'duplicate things'))
+    return;
+
+  ThingDuplicate
+    .getOpen()
+    .then(({ items, total }) => sendDuplicates(req, res, items, total))
+    .catch(next);
+});
+
+// Dismiss the candidate with the ID given in the `id` field of the request
+// body as a false positive, and return to the list
+router.post('/moderation/duplicates', function(req, res, next) {
+  if (!checkModerator(req, res, 'duplicate things'))
+    return;
+
+  const id = String(req.body.id);
+  ThingDuplicate
+    .filter({ id })
+    .then(duplicates => {
+      if (!duplicates.length || duplicates[0].dismissedOn)
+        throw new ReportedError({
+          message: 'Duplicate candidate %s does not exist or has already been dismissed.',
+          messageParams: [id],
+          userMessage: 'duplicate to dismiss not found'
+        });
+      return duplicates[0]
+        .dismiss(req.user)
+        .then(() => req.flash('pageMessages', req.__('duplicate dismissed')));
+    })
+    .catch(error => {
+      if (error instanceof ReportedError && error.userMessage)
+        req.flashError(error);
+      else
+        throw error;
+    })
+    .then(() => res.redirect('/moderation/duplicates'))
+    .catch(next);
+});
+
+router.get('/moderation/reports', function(req, res, next) {
+  if (!checkModerator(req, res, 'reported content'))
+    return;
+
+  ContentReport
+    .getOpen()
+    .then(groups => sendReportQueue(req, res, groups))
+    .catch(next);
+});
+
+// Resolve all open reports on the content with the ID given in the `id` field
+// of the request body, using the `outcome` and `note` fields, and return to
+// the queue
+router.post('/moderation/reports', function(req, res, next) {
+  if (!checkModerator(req, res, 'reported content') || !getReportableType(req.body.type, next))
+    return;
+
+  const type = req.body.type,
+    id = String(req.body.id),
+    { outcome, note } = req.body;
+
+  resolveReports(type, id, req.user, { outcome, note })
+    .then(document => req.flash('pageMessages',
+      req.__(`reports resolved ${outcome}`, contentTypes[type].getLabel(document, req))))
+    .catch(error => {
+      if (error instanceof ReportedError && error.userMessage)
+        req.flashError(error);
+      else
+        throw error;
+    })
+    .then(() => res.redirect('/moderation/reports'))
+    .catch(next);
+});
+
+router.get('/report/:type/:id', function(req, res, next) {
+  const { type, id } = req.params;
+  const titleKey = 'report content';
+  const contentType = getReportableType(type, next);
+  if (!contentType)
+    return;
+
+  if (!req.user)
+    return render.signinRequired(req, res, { titleKey });
+
+  contentType.Model
+    .getNotStaleOrDeleted(id)
+    .then(document => sendReportForm(req, res, type, document))
+    .catch(getResourceErrorHandler(req, res, next, contentType.resourceKey, id));
+});
+
+router.post('/report/:type/:id', function(req, res, next) {
+  const { type, id } = req.params;
+  const titleKey = 'report content';
+  const contentType = getReportableType(type, next);
+  if (!contentType)
+    return;
+
+  if (!req.user)
+    return render.signinRequired(req, res, { titleKey });
+
+  contentType.Model
+    .getNotStaleOrDeleted(id)
+    .then(document => ContentReport
+      .create({
+        contentType: type,
+        contentID: document.id,
+        contentAuthorID: contentType.getAuthorID(document),
+        reason: req.body.reason,
+        notes: req.body.notes
+      }, req.user)
+      .then(() => {
+        req.flash('pageMessages', req.__('content reported'));
+        res.redirect('/reports');
+      })
+      .catch(error => {
+        if (error instanceof ReportedError && error.userMessage) {
+          req.flashError(error);
+          return sendReportForm(req, res, type, document, req.body);
+        }
+        throw error;
+      }))
+    .catch(getResourceErrorHandler(req, res, next, contentType.resourceKey, id));
+});
+
+// Reports the user has filed, and warnings they have received. Visiting this
+// page marks all report updates as read.
+router.get('/reports', function(req, res, next) {
+  const titleKey = 'your reports';
+  if (!req.user)
+    return render.signinRequired(req, res, { titleKey });
+
+  ContentReport
+    .getForUser(req.user)
+    .then(({ reports, warnings }) => getReportedContent([...reports, ...warnings], req)
+      .then(content => User
+        .resetReportUpdateCount(req.user.id)
+        .then(() => {
+          req.user.unreadReportUpdates = 0;
+          sendUserReports(req, res, reports, warnings, content);
+        })))
+    .catch(next);
+});
+
+function checkModerator(req, res, titleKey = 'deleted content') {
+  if (!req.user) {
+    render.signinRequired(req, res, { titleKey });
+    return false;
+  }
+
+  if (!req.user.isSiteModerator) {
+    render.permissionError(req, res, { titleKey });
+    return false;
+  }
+  return true;
+}
+
+// Unknown content types result in a 404
+function getContentType(type, next) {
+  if (!contentTypes.hasOwnProperty(type)) {
+    next();
+    return undefined;
+  }
+  return contentTypes[type];
+}
+
+// Like getContentType, but only for content that users can report
+function getReportableType(type, next) {
+  if (!ContentReport.options.contentTypes.includes(type)) {
+    next();
+    return undefined;
+  }
+  return contentTypes[type];
+}
+
+// Delete the reported content if the reports are upheld, and resolve them.
+// Returns the current revision of the content.
+async function resolveReports(type, id, user, { outcome, note }) {
+  const contentType = contentTypes[type];
+  const [document] = await contentType.Model
+    .getAll(id)
+    .filter({ _oldRevOf: false }, { default: true });
+  if (!document)
+    throw new ReportedError({
+      message: 'Reported document %s of type %s does not exist.',
+      messageParams: [id, type],
+      userMessage: 'reported content not found'
+    });
+
+  if (!ContentReport.options.outcomes.includes(outcome))
+    throw new ReportedError({
+      message: 'Invalid report outcome: %s',
+      messageParams: [String(outcome)],
+      userMessage: 'invalid report outcome'
+    });
+
+  // Content may also have been deleted since it was reported
+  if (outcome == 'deleted' && !document._revDeleted)
+    await contentType.deleteReported(document, user);
+
+  await ContentReport.resolveAll(id, user, { outcome, note });
+  return document;
+}
+
+// Look up the current revisions (deleted or not) of reported content, and
+// return a map from content IDs to HTML-safe labels and, unless the content
+// has been deleted, URLs
+async function getReportedContent(reports, req) {
+  const idsByType = {};
+  for (let report of reports) {
+    if (!idsByType[report.contentType])
+      idsByType[report.contentType] = new Set();
+    idsByType[report.contentType].add(report.contentID);
+  }
+
+  const content = new Map();
+  for (let type in idsByType) {
+    const contentType = contentTypes[type];
+    const documents = await contentType.Model
+      .getAll(...idsByType[type])
+      .filter({ _oldRevOf: false }, { default: true });
+    for (let document of documents)
+      content.set(document.id, {
+        label: contentType.getLabel(document, req),
+        url: document._revDeleted ? undefined : contentType.getURL(document),
+        isDeleted: Boolean(document._revDeleted)
+      });
+  }
+  return content;
+}
+
+function sendReportForm(req, res, type, document, formValues = {}) {
+  const contentType = contentTypes[type];
+  const reasons = ContentReport.options.reasons.map(reason => ({
+    reason,
+    labelKey: `report reason ${reason}`,
+    isSelected: reason === formValues.reason
+  }));
+
+  render.template(req, res, 'report-content', {
+    titleKey: 'report content',
+    type,
+    id: document.id,
+    contentURL: contentType.getURL(document),
+    contentLabel: contentType.getLabel(document, req),
+    reasons,
+    notes: formValues.notes,
+    maxNotesLength: ContentReport.options.maxNotesLength,
+    singleColumn: true,
+    pageErrors: req.flash('pageErrors')
+  });
+}
+
+async function sendReportQueue(req, res, groups) {
+  const content = await getReportedContent(groups, req);
+  const authorIDs = Array.from(new Set(groups.map(group => group.contentAuthorID).filter(Boolean)));
+  const authors = new Map();
+  if (authorIDs.length) {
+    const users = await User
+      .getAll(...authorIDs)
+      .without('password');
+    users.forEach(user => authors.set(user.id, user));
+  }
+
+  const items = groups.map(group => ({
+    type: group.contentType,
+    id: group.contentID,
+    typeLabelKey: `content type ${group.contentType}`,
+    content: content.get(group.contentID) || { label: escapeHTML(group.contentID), isDeleted: true },
+    author: authors.get(group.contentAuthorID),
+    reports: group.reports.map(report => ({
+      reporter: report.reporter,
+      reasonKey: `report reason ${report.reason}`,
+      notes: report.notes,
+      createdOn: report.createdOn
+    }))
+  }));
+
+  render.template(req, res, 'reported-content', {
+    titleKey: 'reported content',
+    items,
+    outcomes: ContentReport.options.outcomes,
+    maxNotesLength: ContentReport.options.maxNotesLength,
+    pageErrors: req.flash('pageErrors'),
+    pageMessages: req.flash('pageMessages')
+  });
+}
+
+function sendUserReports(req, res, reports, warnings, content) {
+  const getContent = report => content.get(report.contentID) ||
+    { label: escapeHTML(report.contentID), isDeleted: true };
+
+  render.template(req, res, 'user-reports', {
+    titleKey: 'your reports',
+    reports: reports.map(report => ({
+      typeLabelKey: `content type ${report.contentType}`,
+      content: getContent(report),
+      reasonKey: `report reason ${report.reason}`,
+      notes: report.notes,
+      createdOn: report.createdOn,
+      statusKey: `report status ${report.status}`,
+      resolvedOn: report.resolvedOn,
+      resolutionNote: report.resolutionNote
+    })),
+    warnings: warnings.map(report => ({
+      typeLabelKey: `content type ${report.contentType}`,
+      content: getContent(report),
+      resolvedOn: report.resolvedOn,
+      resolver: report.resolver,
+      resolutionNote: report.resolutionNote
+    })),
+    pageMessages: req.flash('pageMessages')
+  });
+}
+
+function sendDeletedContent(req, res, type, feed) {
+  const contentType = contentTypes[type];
+  const items = feed.items.map(document => ({
+    id: document.id,
+    label: contentType.getLabel(document, req),
+    deletedOn: document._revDate,
+    deletedBy: document.user,
+    tags: document._revTags,
+    mergedURL: document.mergedInto ? `/${document.mergedInto}` : undefined
+  }));
+
+  const types = Object.keys(contentTypes).map(key => ({
+    key,
+    labelKey: contentTypes[key].labelKey,
+    isSelected: key === type
+  }));
+
+  render.template(req, res, 'deleted-content', {
+    titleKey: 'deleted content',
+    type,
+    types,
+    items,
+    paginationURL: feed.offsetDate ?
+      `/moderation/deleted?type=${type}&before=${feed.offsetDate.toISOString()}` :
+      null,
+    pageErrors: req.flash('pageErrors'),
+    pageMessages: req.flash('pageMessages')
+  });
+}
+
+function sendDuplicates(req, res, duplicates, total) {
+  const items = duplicates.map(duplicate => {
+    const [thing, otherThing] = duplicate.things;
+    return {
+      id: duplicate.id,
+      things: duplicate.things,
+      reasons: duplicate.reasons.map(reason => getDuplicateReason(reason, req)),
+      detectedOn: duplicate.detectedOn,
+      mergeURLs: [
+        `/${thing.urlID}/merge?target=${otherThing.urlID}`,
+        `/${otherThing.urlID}/merge?target=${thing.urlID}`
+      ]
+    };
+  });
+
+  render.template(req, res, 'duplicate-things', {
+    titleKey: 'duplicate things',
+    items,
+    total,
+    pageErrors: req.flash('pageErrors'),
+    pageMessages: req.flash('pageMessages')
+  });
+}
+
+// Explanation of why two things are likely duplicates, as an HTML-safe string
+function getDuplicateReason(reason, req) {
+  switch (reason.type) {
+    case 'url':
+      return req.__('duplicate reason url', escapeHTML(reason.value));
+    case 'source':
+      return req.__('duplicate reason source', req.__(`${reason.source} source label`),
+        escapeHTML(reason.value));
+    default:
+      return req.__('duplicate reason label', escapeHTML(reason.value));
+  }
+}
+
+// Make sure the canonical slug of a document points to it again, and create a
+// new one if it does not. Does not save.
+async function restoreSlug(document, user, SlugModel, slugForeignKey) {
+  if (!document.canonicalSlugName)
+    return;
+
+  const slugs = await SlugModel
+    .filter({ name: document.canonicalSlugName, [slugForeignKey]: document.id })
+    .limit(1);
+  if (slugs.length)
+    return;
+
+  document.canonicalSlugName = undefined;
+  await document.updateSlug(user.id, document.originalLanguage || 'en');
+}
+
+module.exports = router;
@@ -0,0 +1,227 @@
+'use strict';
+
+// External dependencies
+const express = require('express');
+const router = express.Router();
+
+// Internal dependencies
+const Review = require('../models/review');
+const ReviewTranslation = require('../models/review-translation');
+const render = require('./helpers/render');
+const mlString = require('../models/helpers/ml-string');
+const languages = require('../locales/languages');
+const search = require('../search');
+const ReportedError = require('../util/reported-error');
+const getResourceErrorHandler = require('./handlers/resource-error-handler');
+const getJS = require('../util/get-js');
+const getMessages = require('../util/get-messages');
+const md = require('../util/md');
+const { getEditorMessageKeys } = require('../frontend/editor-messages');
+
+// Trusted users can propose translations of reviews they did not write (see
+// models/review-translation.js). The author of the review approves or rejects
+// them from a list of pending proposals.
+
+router.get('/review/:id/translate', function(req, res, next) {
+  const { id } = req.params;
+  const titleKey = 'translate review';
+  if (!req.user)
+    return render.signinRequired(req, res, { titleKey });
+
+  Review
+    .getWithData(id)
+    .then(review => {
+      review.populateUserInfo(req.user);
+      if (!review.userCanTranslate)
+        return sendTranslationPermissionError(req, res, review);
+
+      sendTranslationForm(req, res, review);
+    })
+    .catch(getResourceErrorHandler(req, res, next, 'review', id));
+});
+
+router.post('/review/:id/translate', function(req, res, next) {
+  const { id } = req.params;
+  const titleKey = 'translate review';
+  if (!req.user)
+    return render.signinRequired(req, res, { titleKey });
+
+  const formValues = {
+    language: req.body['translation-language'],
+    title: req.body['translation-title'],
+    text: req.body['translation-text']
+  };
+
+  Review
+    .getWithData(id)
+    .then(review => {
+      review.populateUserInfo(req.user);
+      if (!review.userCanTranslate)
+        return sendTranslationPermissionError(req, res, review);
+
+      return ReviewTranslation
+        .propose(review, req.user, formValues)
+        .then(() => {
+          req.flash('pageMessages', req.__('translation proposed'));
+          res.redirect(`/review/${review.id}`);
+        })
+        .catch(error => {
+          if (error instanceof ReportedError && error.userMessage) {
+            req.flashError(error);
+            return sendTranslationForm(req, res, review, formValues);
+          }
+          throw error;
+        });
+    })
+    .catch(getResourceErrorHandler(req, res, next, 'review', id));
+});
+
+router.get('/review/:id/translations', function(req, res, next) {
+  const { id } = req.params;
+  const titleKey = 'translation proposals';
+  if (!req.user)
+    return render.signinRequired(req, res, { titleKey });
+
+  Review
+    .getWithData(id)
+    .then(review => {
+      review.populateUserInfo(req.user);
+      if (!review.userIsAuthor)
+        return render.permissionError(req, res, {
+          titleKey,
+          detailsKey: 'only author can resolve translation'
+        });
+
+      return ReviewTranslation
+        .getPending(review.id)
+        .then(translations => sendTranslationQueue(req, res, review, translations));
+    })
+    .catch(getResourceErrorHandler(req, res, next, 'review', id));
+});
+
+// Approve or reject the proposal with the ID given in the `translation` field
+// of the request body, depending on the `action` field, and return to the
+// list of proposals
+router.post('/review/:id/translations', function(req, res, next) {
+  const { id } = req.params;
+  const titleKey = 'translation proposals';
+  if (!req.user)
+    return render.signinRequired(req, res, { titleKey });
+
+  const { action } = req.body,
+    translationID = String(req.body.translation);
+
+  // Without joined data, so we can save a new revision
+  Review
+    .getNotStaleOrDeleted(id)
+    .then(review => resolveTranslation(review, translationID, action, req.user)
+      .then(translation => req.flash('pageMessages',
+        req.__(`translation ${action}`, languages.getCompositeName(translation.language, req.locale))))
+      .catch(error => {
+        if (error instanceof ReportedError && error.userMessage)
+          req.flashError(error);
+        else
+          throw error;
+      })
+      .then(() => res.redirect(`/review/${review.id}/translations`)))
+    .catch(getResourceErrorHandler(req, res, next, 'review', id));
+});
+
+async function resolveTranslation(review, translationID, action, user) {
+  if (action !== 'approved' && action !== 'rejected')
+    throw new ReportedError({
+      message: 'Invalid translation action: %s',
+      messageParams: [String(action)],
+      userMessage: 'translation not found'
+    });
+
+  const [translation] = await ReviewTranslation.filter({ id: translationID, reviewID: review.id });
+  if (!translation)
+    throw new ReportedError({
+      message: 'Translation %s of review %s not found.',
+      messageParams: [translationID, review.id],
+      userMessage: 'translation not found'
+    });
+
+  if (action === 'rejected') {
+    await ReviewTranslation.reject(translation, review, user);
+    return translation;
+  }
+
+  const newRev = await ReviewTranslation.approve(translation, review, user);
+  search.indexReview(newRev);
+  return translation;
+}
+
+function sendTranslationPermissionError(req, res, review) {
+  render.permissionError(req, res, {
+    titleKey: 'translate review',
+    detailsKey: review.userIsAuthor ? 'cannot translate own review' : 'must be trusted to translate'
+  });
+}
+
+function sendTranslationForm(req, res, review, formValues = {}) {
+  // Translations are proposed in the current language by default, unless the
+  // review was written in it
+  const selectedLanguage = formValues.language ||
+    (req.locale !== review.originalLanguage ? req.locale : undefined);
+  const languageOptions = languages
+    .getValidLanguagesSorted()
+    .filter(langKey => langKey !== review.originalLanguage)
+    .map(langKey => ({
+      langKey,
+      name: languages.getCompositeName(langKey, req.locale),
+      isSelected: langKey === selectedLanguage,
+      hasTranslation: Boolean(review.text && review.text[langKey])
+    }));
+
+  render.template(req, res, 'review-translation-form', {
+    titleKey: 'translate review',
+    review,
+    original: getOriginal(review),
+    languageOptions,
+    formValues,
+    maxTitleLength: Review.options.maxTitleLength,
+    singleColumn: true,
+    pageErrors: req.flash('pageErrors'),
+    scripts: [getJS('editor')]
+  }, {
+    messages: getMessages(req.locale, md.getMarkdownMessageKeys(), getEditorMessageKeys())
+  });
+}
+
+function sendTranslationQueue(req, res, review, translations) {
+  const original = getOriginal(review);
+  const items = translations.map(translation => ({
+    id: translation.id,
+    languageName: languages.getCompositeName(translation.language, req.locale),
+    creator: translation.creator,
+    createdOn: translation.createdOn,
+    title: translation.title,
+    html: translation.html,
+    replacesExisting: Boolean(review.text && review.text[translation.language])
+  }));
+
+  render.template(req, res, 'review-translations', {
+    titleKey: 'translation proposals',
+    review,
+    reviewURL: `/review/${review.id}`,
+    original,
+    items,
+    singleColumn: true,
+    pageErrors: req.flash('pageErrors'),
+    pageMessages: req.flash('pageMessages')
+  });
+}
+
+// The review's title and text in the language it was written in
+function getOriginal(review) {
+  const language = review.originalLanguage || 'en';
+  return {
+    languageName: languages.getNativeName(language),
+    title: mlString.resolve(language, review.title).str,
+    html: mlString.resolve(language, review.html).str
+  };
+}
+
+module.exports = router;
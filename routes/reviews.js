@@ -11,6 +11,9 @@ const Review = require('../models/review');
 const ReviewProvider = require('./handlers/review-provider');
 const reviewHandlers = require('./handlers/review-handlers');
 const BlogPost = require('../models/blog-post');
+const mlString = require('../models/helpers/ml-string');
+const search = require('../search');
+const historyHandlers = require('./handlers/history-handler');
 
 // Standard routes
 
@@ -46,6 +49,9 @@ router.get('/', (req, res, next) => {
 
   Promise
     .all(queries)
+    .then(queryResults => Review
+      .populateVotes(queryResults[0].feedItems, req.user)
+      .then(() => queryResults))
     .then(queryResults => {
 
       // Promise.all helpfully keeps order in which promises were passed
@@ -114,4 +120,23 @@ router.get('/feed/before/:utcisodate', reviewHandlers.getFeedHandler({ deferPage
 
 router.get('/new', (req, res) => res.redirect('/new/review'));
 
+router.post('/review/:id/vote', reviewHandlers.vote);
+
+const historyOptions = {
+  Model: Review,
+  messageKeyPrefix: 'review',
+  reindex: review => search.indexReview(review),
+  load: (req, res, id) => Review
+    .getWithData(id)
+    .then(review => ({
+      document: review,
+      label: mlString.resolve(req.locale, review.title).str,
+      url: `/review/${review.id}`
+    }))
+};
+
+router.get('/review/:id/history', historyHandlers.getHistoryHandler(historyOptions));
+
+router.post('/review/:id/history', historyHandlers.getRestoreHandler(historyOptions));
+
 module.exports = router;
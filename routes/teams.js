@@ -8,6 +8,8 @@ const render = require('./helpers/render');
 const mlString = require('../models/helpers/ml-string');
 const languages = require('../locales/languages');
 const slugs = require('./helpers/slugs');
+const Team = require('../models/team');
+const historyHandlers = require('./handlers/history-handler');
 
 
 // Default routes for read, edit, add, delete
@@ -15,6 +17,27 @@ let router = TeamProvider.bakeRoutes('team');
 
 router.get('/team', (req, res) => res.redirect('/teams'));
 
+const historyOptions = {
+  Model: Team,
+  messageKeyPrefix: 'team',
+  slugSourceField: 'name',
+  load: (req, res, id) => slugs
+    .resolveAndLoadTeam(req, res, id, {
+      withMembers: false,
+      withModerators: false,
+      withJoinRequests: false
+    })
+    .then(team => ({
+      document: team,
+      label: mlString.resolve(req.locale, team.name).str,
+      url: `/team/${team.urlID}`
+    }))
+};
+
+router.get('/team/:id/history', historyHandlers.getHistoryHandler(historyOptions));
+
+router.post('/team/:id/history', historyHandlers.getRestoreHandler(historyOptions));
+
 // Feed of all reviews
 router.get('/team/:id/feed', (req, res, next) => {
   const teamProvider = new TeamProvider(req, res, next, {
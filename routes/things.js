@@ -19,9 +19,10 @@ const search = require('../search');
 const getMessages = require('../util/get-messages');
 const urlUtils = require('../util/url-utils');
 const signinRequiredRoute = require('./handlers/signin-required-route');
-
-// For handling form fields
-const editableFields = ['description', 'label'];
+const historyHandlers = require('./handlers/history-handler');
+const ReportedError = require('../util/reported-error');
+const mlString = require('../models/helpers/ml-string');
+const thingTypes = require('../models/helpers/thing-types');
 
 
 router.get('/:id', function(req, res, next) {
@@ -73,41 +74,129 @@ router.post('/:id/manage/urls', signinRequiredRoute('manage links',
   }));
 
 
-router.get('/:id/edit/:field', function(req, res, next) {
+// Aliases are alternative names of a thing in any language, e.g.,
+// abbreviations or former names. They are found by the search.
+router.get('/:id/manage/aliases', signinRequiredRoute('manage aliases', (req, res, next) => {
+  const { id } = req.params,
+    titleKey = res.locals.titleKey;
 
-  if (!editableFields.includes(req.params.field))
-    return next();
+  slugs
+    .resolveAndLoadThing(req, res, id)
+    .then(thing => {
+      thing.populateUserInfo(req.user);
+      if (!thing.userCanEdit)
+        return render.permissionError(req, res, { titleKey });
 
-  const titleKey = `edit ${req.params.field}`;
-  const edit = {
-    [req.params.field]: true
-  };
-  const { id } = req.params;
+      sendThingAliasesForm({ req, res, titleKey, thing });
+    })
+    .catch(getResourceErrorHandler(req, res, next, 'thing', id));
+
+}));
+
+router.post('/:id/manage/aliases', signinRequiredRoute('manage aliases', (req, res, next) => {
+  const { id } = req.params,
+    titleKey = res.locals.titleKey;
 
+  slugs
+    .resolveAndLoadThing(req, res, id)
+    .then(thing => {
+      thing.populateUserInfo(req.user);
+      if (!thing.userCanEdit)
+        return render.permissionError(req, res, { titleKey });
+
+      processThingAliasesUpdate({ req, res, next, titleKey, thing });
+    })
+    .catch(getResourceErrorHandler(req, res, next, 'thing', id));
+
+}));
+
+router.get('/:id/edit/:field', function(req, res, next) {
+  const { id, field } = req.params;
+  if (!isKnownField(field))
+    return next();
+
+  const titleKey = getEditTitleKey(field);
   if (!req.user)
     return render.signinRequired(req, res, { titleKey });
 
   slugs
     .resolveAndLoadThing(req, res, id)
     .then(thing => {
+      // Type-specific fields can only be edited for things of that type
+      if (!thing.getEditableFields().includes(field))
+        return next();
+
       thing.populateUserInfo(req.user);
       if (!thing.userCanEdit)
         return render.permissionError(req, res, { titleKey });
 
-      let descriptionSyncActive = thing.sync && thing.sync.description && thing.sync.description.active;
-      if (req.params.field === 'description' && descriptionSyncActive)
+      if (isSyncedField(thing, field))
         return render.permissionError(req, res, {
           titleKey,
           detailsKey: 'cannot edit synced field'
         });
 
-      sendForm(req, res, thing, edit, titleKey);
+      sendForm(req, res, thing, { field, titleKey });
     })
     .catch(getResourceErrorHandler(req, res, next, 'thing', id));
 });
 
 router.post('/:id/edit/:field', processTextFieldUpdate);
 
+const historyOptions = {
+  Model: Thing,
+  messageKeyPrefix: 'thing',
+  slugSourceField: 'label',
+  reindex: thing => search.indexThing(thing),
+  load: (req, res, id) => slugs
+    .resolveAndLoadThing(req, res, id, { withFiles: false, withReviewMetrics: false })
+    .then(thing => ({
+      document: thing,
+      label: Thing.getLabel(thing, req.locale),
+      url: `/${thing.urlID}`
+    }))
+};
+
+router.get('/:id/history', historyHandlers.getHistoryHandler(historyOptions));
+
+router.post('/:id/history', historyHandlers.getRestoreHandler(historyOptions));
+
+// Site moderators can merge a duplicate review subject into another one. The
+// form first shows a preview of what will be moved, see processMerge.
+router.get('/:id/merge', signinRequiredRoute('merge thing', (req, res, next) => {
+  const { id } = req.params,
+    titleKey = res.locals.titleKey;
+
+  slugs
+    .resolveAndLoadThing(req, res, id)
+    .then(thing => {
+      thing.populateUserInfo(req.user);
+      if (!thing.userCanMerge)
+        return render.permissionError(req, res, { titleKey });
+
+      // The target can be suggested, e.g., by the duplicates report
+      const targetInput = typeof req.query.target == 'string' ? req.query.target.trim() : undefined;
+      sendMergeForm(req, res, { titleKey, thing, targetInput });
+    })
+    .catch(getResourceErrorHandler(req, res, next, 'thing', id));
+}));
+
+router.post('/:id/merge', signinRequiredRoute('merge thing', (req, res, next) => {
+  const { id } = req.params,
+    titleKey = res.locals.titleKey;
+
+  slugs
+    .resolveAndLoadThing(req, res, id)
+    .then(thing => {
+      thing.populateUserInfo(req.user);
+      if (!thing.userCanMerge)
+        return render.permissionError(req, res, { titleKey });
+
+      processMerge(req, res, next, { titleKey, thing });
+    })
+    .catch(getResourceErrorHandler(req, res, next, 'thing', id));
+}));
+
 router.get('/:id/before/:utcisodate', function(req, res, next) {
   const { id } = req.params;
   let utcISODate = req.params.utcisodate;
@@ -186,36 +275,52 @@ router.get('/thing/:id/atom/:language', function(req, res) {
 
 function loadThingAndReviews(req, res, next, thing, offsetDate) {
 
-  let p1, p2;
+  let p1, p2, p3;
 
   thing.populateUserInfo(req.user);
   if (Array.isArray(thing.files))
     thing.files.map(file => file.populateUserInfo(req.user));
 
+  // Reviews can also be ranked by helpfulness (?sort=helpfulness), in which
+  // case pages are identified by position (?offset=n) rather than date
+  const sortBy = req.query.sort == 'helpfulness' ? 'helpfulness' : 'date';
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
   // We don't use a join so we can use the orderBy index on this query.
   p1 = Review.getFeed({
     thingID: thing.id,
     withThing: false,
     withoutCreator: req.user ? req.user.id : false, // Obtained separately below
-    offsetDate
+    offsetDate,
+    sortBy,
+    offset
   });
 
   // Separate query for any reviews by the user (might otherwise not be
   // within the date range captured above). Populates with user info.
   p2 = thing.getReviewsByUser(req.user);
 
+  // Rating distribution and trend, shown together with the average rating
+  p3 = thing.numberOfReviews > 1 ?
+    Review.getRatingStats({ thingID: thing.id }) : Promise.resolve();
+
   Promise
-    .all([p1, p2])
+    .all([p1, p2, p3])
     .then(result => {
 
       result[0].feedItems.forEach(review => {
         review.populateUserInfo(req.user);
 
       });
-      sendThing(req, res, thing, {
-        otherReviews: result[0],
-        userReviews: result[1]
-      });
+      // Vote counts for all reviews, and the user's own votes
+      return Review
+        .populateVotes(result[0].feedItems.concat(result[1]), req.user)
+        .then(() => sendThing(req, res, thing, {
+          otherReviews: result[0],
+          userReviews: result[1],
+          ratingStats: result[2],
+          sortBy
+        }));
     })
     .catch(next);
 
@@ -225,38 +330,77 @@ function processTextFieldUpdate(req, res, next) {
 
   const { field, id } = req.params;
 
-  if (!editableFields.includes(field))
+  if (!isKnownField(field))
     return next();
 
-  const titleKey = `edit ${field}`;
+  const titleKey = getEditTitleKey(field);
 
   slugs.resolveAndLoadThing(req, res, id)
     .then(thing => {
+      if (!thing.getEditableFields().includes(field))
+        return next();
+
       thing.populateUserInfo(req.user);
       if (!thing.userCanEdit)
         return render.permissionError(req, res, {
           titleKey
         });
 
-      let descriptionSyncActive = thing.sync && thing.sync.description && thing.sync.description.active;
-      if (field === 'description' && descriptionSyncActive)
+      if (isSyncedField(thing, field))
         return render.permissionError(req, res, {
           titleKey,
           detailsKey: 'cannot edit synced field'
         });
 
+      const language = req.body['thing-language'];
+      const input = req.body[`thing-${field}`];
+      const multilingual = isMultilingualField(field);
+      const text = escapeHTML(typeof input == 'string' ? input.trim() : '');
+
+      let value;
+      try {
+        value = getSubmittedValue(field, input);
+      } catch (error) {
+        if (!(error instanceof ReportedError))
+          throw error;
+        req.flashError(error);
+        return sendForm(req, res, thing, { field, titleKey, submittedText: text });
+      }
+
+      let saved = thing[field];
+      if (multilingual)
+        saved = saved ? saved[language] : undefined;
+
+      let editConflict = forms.getEditConflict(req, thing, [{
+        name: field,
+        saved: multilingual ? saved : thingTypes.formatValue(field, saved),
+        submitted: multilingual ? text : thingTypes.formatValue(field, value) || ''
+      }], `/${thing.id}/history`);
+
+      // Back to the form, now based on the current revision
+      if (editConflict)
+        return sendForm(req, res, thing, {
+          field,
+          titleKey,
+          editConflict,
+          submittedText: text
+        });
+
       thing
-        .newRevision(req.user)
+        .newRevision(req.user, { summary: forms.getEditSummary(req) })
         .then(newRev => {
-          if (!newRev[field])
-            newRev[field] = {};
-
-          let language = req.body['thing-language'];
-          languages.validate(language);
-          let text = req.body[`thing-${field}`];
-          newRev[field][language] = escapeHTML(text);
-          if (!newRev.originalLanguage)
-            newRev.originalLanguage = language;
+          if (field === 'type')
+            newRev.setType(value);
+          else if (multilingual) {
+            if (!newRev[field])
+              newRev[field] = {};
+
+            languages.validate(language);
+            newRev[field][language] = text;
+            if (!newRev.originalLanguage)
+              newRev.originalLanguage = language;
+          } else
+            newRev[field] = value;
 
           let maybeUpdateSlug;
           if (field === 'label') // Must update slug to match label change
@@ -287,11 +431,55 @@ function processTextFieldUpdate(req, res, next) {
     .catch(getResourceErrorHandler(req, res, next, 'thing', id));
 }
 
-function sendForm(req, res, thing, edit, titleKey) {
-  edit = Object.assign({
-    label: false,
-    description: false
-  }, edit);
+// Fields that can be edited via /:id/edit/:field for at least some things
+function isKnownField(field) {
+  return ['label', 'description', 'type'].includes(field) ||
+    thingTypes.getField(field) !== undefined;
+}
+
+function isMultilingualField(field) {
+  return ['label', 'description'].includes(field) ||
+    Boolean(thingTypes.getField(field) && thingTypes.getField(field).multilingual);
+}
+
+// Fields with data from an external source cannot be edited while the
+// synchronization is active. Labels have always remained editable.
+function isSyncedField(thing, field) {
+  return field !== 'label' && Boolean(thing.sync && thing.sync[field] && thing.sync[field].active);
+}
+
+function getEditTitleKey(field) {
+  if (['label', 'description', 'type'].includes(field))
+    return `edit ${field}`;
+  return thingTypes.getField(field).titleKey;
+}
+
+// Value to store for a non-multilingual field (or undefined to clear it).
+// Throws a ReportedError for invalid input.
+function getSubmittedValue(field, input) {
+  if (field === 'type') {
+    if (!input)
+      return undefined;
+    if (!thingTypes.isValid(input))
+      throw new ReportedError({
+        message: 'Review subject type %s does not exist.',
+        messageParams: [String(input)],
+        userMessage: 'invalid thing type'
+      });
+    return input;
+  }
+
+  if (isMultilingualField(field))
+    return undefined;
+
+  return thingTypes.normalizeValue(field, input);
+}
+
+// Besides the `field` to edit and the `titleKey`, `options` may contain an
+// `editConflict` (see `forms.getEditConflict`) and the `submittedText` to
+// show in place of the saved one
+function sendForm(req, res, thing, options) {
+  const { field, titleKey, editConflict, submittedText } = options;
   let pageErrors = req.flash('pageErrors');
   let pageMessages = req.flash('pageMessages');
   let showLanguageNotice = false;
@@ -303,6 +491,23 @@ function sendForm(req, res, thing, edit, titleKey) {
       user.suppressedNotices.indexOf('language-notice-thing') == -1))
     showLanguageNotice = true;
 
+  // Label, description and type have their own form fields, type-specific
+  // fields share a generic one
+  let editField;
+  const fieldDef = thingTypes.getField(field);
+  if (fieldDef) {
+    let value = thing[field];
+    if (fieldDef.multilingual)
+      value = mlString.resolve(req.locale, value || {});
+    editField = {
+      name: field,
+      value: fieldDef.multilingual ? value && value.str : thingTypes.formatValue(field, value),
+      helpKey: fieldDef.helpKey,
+      labelKey: fieldDef.labelKey
+    };
+  }
+
+  const selectedType = editConflict ? submittedText : thing.type;
   render.template(req, res, 'thing-form', {
     titleKey,
     deferPageHeader: true,
@@ -310,17 +515,35 @@ function sendForm(req, res, thing, edit, titleKey) {
     pageErrors,
     showLanguageNotice,
     pageMessages,
-    edit
+    edit: { [field]: true },
+    editField,
+    types: field === 'type' ? getTypeOptions(selectedType) : undefined,
+    editConflict,
+    baseRevision: editConflict ? editConflict.revID : thing._revID,
+    submittedText,
+    editSummary: req.body[forms.editSummaryField.name]
   });
 
 }
 
+function getTypeOptions(selectedType) {
+  return thingTypes.getTypeIDs().map(typeID => ({
+    id: typeID,
+    labelKey: thingTypes.getType(typeID).labelKey,
+    isSelected: typeID === selectedType
+  }));
+}
+
 function sendThing(req, res, thing, options) {
   options = Object.assign({
     // Set to a feed of reviews not written by the currently logged in user
     otherReviews: [],
     // Set to a feed of reviews written by the currently logged in user.
-    userReviews: []
+    userReviews: [],
+    // Set to the result of Review.getRatingStats to show rating statistics
+    ratingStats: undefined,
+    // Order of otherReviews, see Review.getFeed
+    sortBy: 'date'
   }, options);
 
   let pageErrors = req.flash('pageErrors');
@@ -333,18 +556,29 @@ function sendThing(req, res, thing, options) {
   let offsetDate = options.otherReviews && options.otherReviews.offsetDate ?
     options.otherReviews.offsetDate : undefined;
 
+  const nextOffset = options.otherReviews ? options.otherReviews.nextOffset : undefined;
+
   let paginationURL;
   if (offsetDate)
     paginationURL = `/before/${offsetDate.toISOString()}`;
+  else if (nextOffset)
+    paginationURL = `/${thing.urlID}?sort=helpfulness&offset=${nextOffset}`;
 
   // If there are URLs beyond the main URL, we show them in categorized form
   let taggedURLs = Array.isArray(thing.urls) && thing.urls.length > 1 ?
     urlUtils.getURLsByTag(thing.urls.slice(1), { onlyOneTag: true, sortResults: true }) : {};
 
+  const thingType = thingTypes.getType(thing.type);
+
   render.template(req, res, 'thing', {
     titleKey: 'reviews of',
     titleParam: Thing.getLabel(thing, req.locale),
     thing,
+    typeLabelKey: thingType ? thingType.labelKey : undefined,
+    schemaOrgType: thingType ? thingType.schemaOrgType : 'Product',
+    typeFields: getTypeFields(req, thing),
+    aliases: getAliases(req, thing),
+    subtitleEditable: thing.getEditableFields().includes('subtitle'),
     pageErrors,
     pageMessages,
     embeddedFeeds,
@@ -352,6 +586,8 @@ function sendThing(req, res, thing, options) {
     userReviews: options.userReviews,
     paginationURL,
     hasMoreThanOneReview: thing.numberOfReviews > 1,
+    sortByHelpfulness: options.sortBy == 'helpfulness',
+    ratingStats: options.ratingStats,
     otherReviews: options.otherReviews ? options.otherReviews.feedItems : undefined,
     taggedURLs,
     activeSourceIDs: thing.getSourceIDsOfActiveSyncs(),
@@ -364,6 +600,39 @@ function sendThing(req, res, thing, options) {
   });
 }
 
+// Aliases in the best available language for the user, or undefined if there
+// are none
+function getAliases(req, thing) {
+  const resolved = mlString.resolve(req.locale, thing.aliases || {});
+  return resolved && resolved.str.length ? resolved.str : undefined;
+}
+
+// Type-specific fields to show in the list of data about a thing. Subtitles
+// and authors are shown separately; the subtitle is only listed here if it
+// can be added. Fields without a label (e.g., the postal address) are not
+// listed. Values are HTML-safe strings.
+function getTypeFields(req, thing) {
+  const editable = thing.getEditableFields();
+  return thingTypes
+    .getFieldNames(thing.type)
+    .filter(name => name !== 'authors' && thingTypes.getField(name).labelKey)
+    .filter(name => !(name === 'subtitle' && mlString.resolve(req.locale, thing.subtitle)))
+    .map(name => {
+      const field = thingTypes.getField(name);
+      const resolved = field.multilingual ? mlString.resolve(req.locale, thing[name]) : undefined;
+      const value = field.multilingual ? resolved && resolved.str : thingTypes.formatValue(name, thing[name]);
+      return {
+        name,
+        value,
+        labelKey: field.labelKey,
+        icon: field.icon,
+        sync: thing.sync ? thing.sync[name] : undefined,
+        editable: editable.includes(name)
+      };
+    })
+    .filter(field => field.value !== undefined || (field.editable && thing.userCanEdit));
+}
+
 // Send the form for the "manage URLs" route, either with the current
 // URLs, or with data from the POST request
 function sendThingURLsForm(paramsObj) {
@@ -381,6 +650,7 @@ function sendThingURLsForm(paramsObj) {
     // Preserve submission content, if any
     urls: formValues ? formValues.urls : thing.urls,
     primary: formValues ? formValues.primary : 0,
+    editSummary: formValues ? req.body[forms.editSummaryField.name] : undefined,
     scripts: ['manage-urls.js']
   }, {
     messages: getMessages(req.locale, ['not a url', 'add http', 'add https', 'enter web address short'])
@@ -394,7 +664,7 @@ function processThingURLsUpdate(paramsObj) {
     name: 'primary',
     type: 'number',
     required: true
-  }];
+  }, forms.editSummaryField];
   // This will parse fields like url-0 to an array of URLs
   for (let field in req.body) {
     if (/^url-[0-9]+$/.test(field))
@@ -455,7 +725,7 @@ function processThingURLsUpdate(paramsObj) {
 
       // No dupes -- continue!
       thing
-        .newRevision(req.user)
+        .newRevision(req.user, { summary: forms.getEditSummary(req) })
         .then(newRev => {
           // Reset sync settings for adapters
           newRev.setURLs(thingURLs);
@@ -479,4 +749,238 @@ function processThingURLsUpdate(paramsObj) {
     });
 }
 
+// Send the form for the "manage aliases" route. Each alias is shown in a row
+// with its language, followed by empty rows for adding aliases. `formValues`
+// are the submitted rows (with escaped aliases), if any; `editConflict` is described in
+// `forms.getEditConflict`.
+function sendThingAliasesForm(paramsObj) {
+  const { req, res, titleKey, thing, formValues, editConflict } = paramsObj;
+  const pageErrors = req.flash('pageErrors'),
+    pageMessages = req.flash('pageMessages');
+
+  let rows = formValues;
+  if (!rows) {
+    rows = [];
+    for (let language of languages.getValidLanguagesSorted()) {
+      for (let alias of (thing.aliases || {})[language] || [])
+        rows.push({ language, alias });
+    }
+  }
+  const emptyRows = Math.max(0, Math.min(3, Thing.options.maxAliases - rows.length));
+  rows = rows.concat(Array(emptyRows).fill({ language: req.locale, alias: '' }));
+
+  render.template(req, res, 'thing-aliases', {
+    titleKey,
+    thing,
+    pageErrors,
+    pageMessages,
+    singleColumn: true,
+    rows: rows.map(row => ({
+      alias: row.alias,
+      languages: languages.getValidLanguagesSorted().map(langKey => ({
+        langKey,
+        name: languages.getCompositeName(langKey, req.locale),
+        isSelected: langKey === row.language
+      }))
+    })),
+    editConflict,
+    baseRevision: editConflict ? editConflict.revID : thing._revID,
+    editSummary: formValues ? req.body[forms.editSummaryField.name] : undefined
+  });
+}
+
+// Handle data from a POST request for the "manage aliases" route. Rows
+// without text are ignored, and there can be at most `Thing.options.maxAliases`
+// rows; duplicates and aliases that are the same as the label in the same
+// language are removed.
+function processThingAliasesUpdate(paramsObj) {
+  const { req, res, next, titleKey, thing } = paramsObj;
+
+  // Keyed by row number
+  const rows = new Map();
+  let hasErrors = false;
+  for (let key in req.body) {
+    const match = key.match(/^alias-([0-9]+)$/);
+    if (!match || typeof req.body[key] != 'string' || !req.body[key].trim())
+      continue;
+
+    const index = Number(match[1]);
+    if (index >= Thing.options.maxAliases) {
+      hasErrors = true;
+      continue;
+    }
+    rows.set(index, {
+      alias: escapeHTML(req.body[key].trim().replace(/\s+/g, ' ')),
+      language: req.body[`alias-${match[1]}-language`]
+    });
+  }
+  if (hasErrors)
+    req.flash('pageErrors', req.__('too many aliases', String(Thing.options.maxAliases)));
+
+  const formValues = [...rows.keys()]
+    .sort((a, b) => a - b)
+    .map(index => rows.get(index));
+
+  const aliases = {};
+  for (let { alias, language } of formValues) {
+    if (!languages.isValid(language)) {
+      req.flash('pageErrors', req.__('invalid alias language', alias));
+      hasErrors = true;
+    } else if (alias.length > Thing.options.maxAliasLength) {
+      req.flash('pageErrors', req.__('alias too long', alias, String(Thing.options.maxAliasLength)));
+      hasErrors = true;
+    } else {
+      const known = (aliases[language] || [])
+        .concat((thing.label || {})[language] || [])
+        .map(str => str.toLowerCase());
+      if (!known.includes(alias.toLowerCase()))
+        aliases[language] = (aliases[language] || []).concat(alias);
+    }
+  }
+  if (hasErrors)
+    return sendThingAliasesForm({ req, res, titleKey, thing, formValues });
+
+  const editConflict = forms.getEditConflict(req, thing, [{
+    name: 'aliases',
+    saved: formatAliases(thing.aliases),
+    submitted: formatAliases(aliases)
+  }], `/${thing.id}/history`);
+  if (editConflict)
+    return sendThingAliasesForm({ req, res, titleKey, thing, formValues, editConflict });
+
+  thing
+    .newRevision(req.user, { summary: forms.getEditSummary(req) })
+    .then(newRev => {
+      newRev.aliases = aliases;
+      return newRev.save();
+    })
+    .then(savedRev => {
+      search.indexThing(savedRev);
+      req.flash('pageMessages', req.__('aliases updated'));
+      res.redirect(`/${savedRev.urlID}/manage/aliases`);
+    })
+    .catch(next);
+}
+
+// Aliases as HTML-safe text with one alias per line, for comparisons
+function formatAliases(aliases = {}) {
+  return languages
+    .getValidLanguagesSorted()
+    .filter(language => aliases[language] && aliases[language].length)
+    .map(language => aliases[language].map(alias => `${language}: ${alias}`).join('\n'))
+    .join('\n');
+}
+
+// Show the preview of a merge, unless the merge has been confirmed for the
+// same target that was previewed. Conflicts must be resolved by the moderator
+// (see Thing.mergeInto), who can do so in the preview.
+function processMerge(req, res, next, { titleKey, thing }) {
+  const targetInput = typeof req.body['merge-target'] == 'string' ?
+    req.body['merge-target'].trim() : '';
+
+  const resolutions = {};
+  for (let key in req.body) {
+    const match = key.match(/^conflict-(.+)$/);
+    if (match)
+      resolutions[match[1]] = req.body[key];
+  }
+
+  const sendPreview = target => thing
+    .getMergePlan(target)
+    .then(plan => sendMergeForm(req, res, { titleKey, thing, targetInput, target, plan, resolutions }));
+
+  getMergeTarget(targetInput)
+    .then(target => {
+      if (!target) {
+        req.flash('pageErrors', req.__('merge target not found', escapeHTML(targetInput)));
+        return sendMergeForm(req, res, { titleKey, thing, targetInput });
+      }
+
+      if (target.id === thing.id) {
+        req.flash('pageErrors', req.__('cannot merge thing into itself'));
+        return sendMergeForm(req, res, { titleKey, thing, targetInput });
+      }
+
+      if (req.body['merge-action'] !== 'merge' || req.body['merge-previewed'] !== target.id)
+        return sendPreview(target);
+
+      return thing
+        .mergeInto(target, req.user, { resolutions, summary: forms.getEditSummary(req) })
+        .then(({ target: targetRev, movedReviews, deletedReviews }) => {
+          search.deleteThing(thing);
+          search.indexThing(targetRev);
+          // Reviews are indexed as children of their subject
+          movedReviews.forEach(review => {
+            search.deleteReview({ id: review.id, thingID: thing.id });
+            search.indexReview(review);
+          });
+          deletedReviews.forEach(review => search.deleteReview(review));
+
+          req.flash('pageMessages', req.__('things merged', Thing.getLabel(thing, req.locale)));
+          res.redirect(`/${targetRev.urlID}`);
+        })
+        .catch(error => {
+          if (error instanceof ReportedError && error.userMessage) {
+            req.flashError(error);
+            return sendPreview(target);
+          }
+          throw error;
+        });
+    })
+    .catch(next);
+}
+
+// The merge target can be specified via the URL of its page on this site, or
+// via its short identifier or ID. Resolves with undefined if there is no such
+// review subject.
+function getMergeTarget(input) {
+  let id = input;
+  if (/^https?:\/\//i.test(input)) {
+    try {
+      id = decodeURIComponent(url.parse(input).pathname.split('/')[1] || '');
+    } catch (error) {
+      return Promise.resolve(undefined);
+    }
+  }
+  if (!id)
+    return Promise.resolve(undefined);
+
+  return slugs
+    .resolveAndLoadThingWithoutRedirect(id)
+    .catch(error => {
+      if (['DocumentNotFoundError', 'RevisionDeletedError', 'RevisionStaleError'].includes(error.name))
+        return undefined;
+      throw error;
+    });
+}
+
+function sendMergeForm(req, res, { titleKey, thing, targetInput, target, plan, resolutions = {} }) {
+  const conflicts = plan ? plan.conflicts.map(conflict => Object.assign({
+    resolution: resolutions[conflict.userID]
+  }, conflict)) : [];
+
+  const getAliasRows = aliases => Object.keys(aliases).map(language => ({
+    language: languages.getCompositeName(language, req.locale),
+    aliases: aliases[language]
+  }));
+  const aliases = plan ? getAliasRows(plan.aliases) : [];
+  const droppedAliases = plan ? getAliasRows(plan.droppedAliases) : [];
+
+  render.template(req, res, 'thing-merge', {
+    titleKey,
+    thing,
+    label: Thing.getLabel(thing, req.locale),
+    targetInput,
+    target,
+    targetLabel: target ? Thing.getLabel(target, req.locale) : undefined,
+    plan,
+    conflicts,
+    aliases,
+    droppedAliases,
+    maxAliases: Thing.options.maxAliases,
+    editSummary: req.body[forms.editSummaryField.name],
+    pageErrors: req.flash('pageErrors')
+  });
+}
+
 module.exports = router;
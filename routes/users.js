@@ -16,4 +16,14 @@ router.get('/:name/edit/bio', userHandlers.getUserHandler({editBio: true}));
 
 router.post('/:name/edit/bio', userHandlers.processEdit);
 
+router.get('/:name/history', userHandlers.getBioHistoryHandler());
+
+router.post('/:name/history', userHandlers.getBioRestoreHandler());
+
+router.post('/:name/tokens', userHandlers.processNewAPIToken);
+
+router.post('/:name/tokens/:id/revoke', userHandlers.processRevokeAPIToken);
+
+router.post('/:name/drafts/:id/discard', userHandlers.processDiscardDraft);
+
 module.exports = router;
@@ -55,33 +55,136 @@ let search = {
     return client.search(obj);
   },
 
-  // Find things by their label or description; performs language fallback
-  searchThings(query, lang = 'en') {
+  // Find things by their label, aliases or description, or by an identifier
+  // like an ISBN; performs language fallback. Results can be paged using the
+  // from/size options, and restricted to a type of thing (e.g., 'book') using
+  // the type option. Matching aliases are included in the highlights.
+  searchThings(query, lang = 'en', { from = 0, size = 10, type } = {}) {
+    return client.search(search.getThingSearchQuery(query, lang, { from, size, type }));
+  },
+
+  // The request body for searchThings, as an object that can be passed to
+  // the ElasticSearch client.
+  getThingSearchQuery(query, lang = 'en', { from = 0, size = 10, type } = {}) {
     let options = search.getSearchOptions('things', 'label', lang);
-    let descriptionOptions = search.getSearchOptions('things', 'description', lang);
-    options.fields = options.fields.concat(descriptionOptions.fields);
-    Object.assign(options.highlight.fields, descriptionOptions.highlight.fields);
+    for (let field of ['aliases', 'description']) {
+      let fieldOptions = search.getSearchOptions('things', field, lang);
+      options.fields = options.fields.concat(fieldOptions.fields);
+      Object.assign(options.highlight.fields, fieldOptions.highlight.fields);
+    }
 
-    return client.search({
+    // Type-specific text fields are searched, but not highlighted
+    for (let field of ['subtitle', 'authors', 'publisher', 'director', 'manufacturer', 'developer'])
+      options.fields = options.fields.concat(search.getSearchOptions('things', field, lang).fields);
+    options.fields.push('postalAddress.*');
+
+    // Identifiers are indexed without separators
+    const identifier = query.replace(/[\s-]/g, '').toUpperCase();
+
+    return {
       index: 'libreviews',
       type: 'things',
       body: {
+        from,
+        size,
         query: {
-          simple_query_string: {
-            fields: options.fields,
-            query,
-            default_operator: 'and'
+          bool: {
+            should: [{
+                simple_query_string: {
+                  fields: options.fields,
+                  query,
+                  default_operator: 'and'
+                }
+              },
+              { term: { isbn: identifier } },
+              { term: { gtin: identifier } }
+            ],
+            minimum_should_match: 1,
+            filter: type ? [{ term: { type } }] : []
           }
         },
         highlight: options.highlight
       }
-    });
+    };
+
+  },
 
+  // The highlights of a thing search hit (see searchThings) for matching
+  // aliases in any language, since the label may not match.
+  getAliasHighlights(hit) {
+    return Object.keys(hit.highlight || {})
+      .filter(field => /^aliases\./.test(field))
+      .reduce((highlights, field) => highlights.concat(hit.highlight[field]), []);
+  },
+
+  // Find review subjects with coordinates that have been reviewed at least
+  // once, either within a distance (e.g., '5km') of a point, nearest first:
+  //   { lat, lon, distance }
+  // or inside a bounding box:
+  //   { top, left, bottom, right }
+  // For distance searches, hits have a `sort` property with the distance in
+  // kilometers. Results can be paged and restricted to a type like searchThings.
+  searchPlaces(area, { from = 0, size = 10, type } = {}) {
+    let filter = [{
+      has_child: {
+        type: 'reviews',
+        query: { match_all: {} }
+      }
+    }];
+    if (type)
+      filter.push({ term: { type } });
+
+    let sort;
+    if (area.distance !== undefined) {
+      const point = { lat: area.lat, lon: area.lon };
+      filter.push({
+        geo_distance: {
+          distance: area.distance,
+          coordinates: point
+        }
+      });
+      sort = [{
+        _geo_distance: {
+          coordinates: point,
+          order: 'asc',
+          unit: 'km'
+        }
+      }];
+    } else {
+      filter.push({
+        geo_bounding_box: {
+          coordinates: {
+            top_left: { lat: area.top, lon: area.left },
+            bottom_right: { lat: area.bottom, lon: area.right }
+          }
+        }
+      });
+    }
+
+    return client.search({
+      index: 'libreviews',
+      type: 'things',
+      body: {
+        from,
+        size,
+        query: {
+          bool: { filter }
+        },
+        sort
+      }
+    });
   },
 
   // Find reviews by their text or title; performs language fallback and includes
   // the thing via parent-child join. The review is returned as an inner hit.
-  searchReviews(query, lang = 'en') {
+  // The from/size options page through the things, not the reviews.
+  searchReviews(query, lang = 'en', { from = 0, size = 10 } = {}) {
+    return client.search(search.getReviewSearchQuery(query, lang, { from, size }));
+  },
+
+  // The request body for searchReviews, as an object that can be passed to
+  // the ElasticSearch client.
+  getReviewSearchQuery(query, lang = 'en', { from = 0, size = 10 } = {}) {
     // Add text fields
     let options = search.getSearchOptions('reviews', 'text', lang);
 
@@ -90,10 +193,12 @@ let search = {
     options.fields = options.fields.concat(titleOptions.fields);
 
     Object.assign(options.highlight.fields, titleOptions.highlight.fields);
-    return client.search({
+    return {
       index: 'libreviews',
       type: 'things',
       body: {
+        from,
+        size,
         query: {
           has_child: {
             type: 'reviews',
@@ -110,28 +215,33 @@ let search = {
           }
         }
       }
-    });
+    };
   },
 
   // We may be getting highlights from both the processed (stememd) index
   // and the unprocessed one. This function filters the dupes from inner hits.
   filterDuplicateInnerHighlights(hits, type) {
     for (let hit of hits) {
-      if (hit.inner_hits && hit.inner_hits[type] && hit.inner_hits[type].hits) {
-        for (let innerHit of hit.inner_hits[type].hits.hits) {
-          if (innerHit.highlight) {
-            let seenHighlights = [];
-            for (let key in innerHit.highlight) {
-              innerHit.highlight[key] = innerHit.highlight[key].filter(highlight => {
-                if (seenHighlights.indexOf(highlight) === -1) {
-                  seenHighlights.push(highlight);
-                  return true;
-                } else {
-                  return false;
-                }
-              });
+      if (hit.inner_hits && hit.inner_hits[type] && hit.inner_hits[type].hits)
+        search.filterDuplicateHighlights(hit.inner_hits[type].hits.hits);
+    }
+    return hits;
+  },
+
+  // As above, for the highlights of top-level hits.
+  filterDuplicateHighlights(hits) {
+    for (let hit of hits) {
+      if (hit.highlight) {
+        let seenHighlights = [];
+        for (let key in hit.highlight) {
+          hit.highlight[key] = hit.highlight[key].filter(highlight => {
+            if (seenHighlights.indexOf(highlight) === -1) {
+              seenHighlights.push(highlight);
+              return true;
+            } else {
+              return false;
             }
-          }
+          });
         }
       }
     }
@@ -164,8 +274,16 @@ let search = {
   },
 
   // Get search suggestions based on entered characters for review subjects
-  // (things).
+  // (things). Suggestions based on labels are keyed `labels-<language>`, those
+  // based on aliases `aliases-<language>`; the `text` of each suggestion is the
+  // matching label or alias.
   suggestThing(prefix = '', lang = 'en') {
+    return client.search(search.getThingSuggestQuery(prefix, lang));
+  },
+
+  // The request body for suggestThing, as an object that can be passed to the
+  // ElasticSearch client.
+  getThingSuggestQuery(prefix = '', lang = 'en') {
     // We'll query all fallbacks back to English, and return all results
     let langs = languages.getFallbacks(lang);
     if (lang !== 'en')
@@ -186,9 +304,48 @@ let search = {
           field: `label.${currentLanguage}.completion`
         }
       };
+      query.body.suggest[`aliases-${currentLanguage}`] = {
+        prefix,
+        completion: {
+          field: `aliases.${currentLanguage}.completion`
+        }
+      };
     }
 
-    return client.search(query);
+    return query;
+  },
+
+  // Find other things whose label in any language is a near match for the
+  // label of the given thing in the same language, e.g., due to typos or
+  // differences in case. Used to detect likely duplicates.
+  findSimilarThings(thing, { size = 10 } = {}) {
+    const label = mlString.stripHTML(thing.label) || {};
+    const should = Object.keys(label).map(lang => ({
+      match: {
+        [`label.${lang}`]: {
+          query: label[lang],
+          operator: 'and',
+          fuzziness: 'AUTO'
+        }
+      }
+    }));
+
+    return client.search({
+      index: 'libreviews',
+      type: 'things',
+      body: {
+        size,
+        query: {
+          bool: {
+            should,
+            minimum_should_match: 1,
+            must_not: {
+              ids: { values: [thing.id] }
+            }
+          }
+        }
+      }
+    });
   },
 
   // Index a new review. Returns a promise; logs errors
@@ -222,7 +379,20 @@ let search = {
           aliases: mlString.stripHTMLFromArray(thing.aliases),
           description: mlString.stripHTML(thing.description),
           urls: thing.urls,
-          urlID: thing.urlID
+          urlID: thing.urlID,
+          type: thing.type,
+          subtitle: mlString.stripHTML(thing.subtitle),
+          authors: (thing.authors || []).map(mlString.stripHTML),
+          publisher: mlString.stripHTML(thing.publisher),
+          address: mlString.stripHTML(thing.address),
+          postalAddress: mlString.stripHTML(thing.postalAddress),
+          coordinates: thing.coordinates,
+          director: mlString.stripHTML(thing.director),
+          manufacturer: mlString.stripHTML(thing.manufacturer),
+          developer: mlString.stripHTML(thing.developer),
+          isbn: thing.isbn,
+          gtin: thing.gtin,
+          releaseYear: thing.releaseYear
         }
       })
       .catch(error => debug.error({
@@ -245,7 +415,7 @@ let search = {
     return client.delete({
         index: 'libreviews',
         type: 'reviews',
-        parent: review.thing.id,
+        parent: review.thingID,
         id: review.id
       })
       .catch(error => debug.error({
@@ -296,7 +466,39 @@ let search = {
                 urls: search.getURLProperties(),
                 label: search.getMultilingualTextProperties(true),
                 aliases: search.getMultilingualTextProperties(true),
-                description: search.getMultilingualTextProperties()
+                description: search.getMultilingualTextProperties(),
+                // Type-specific fields, see models/helpers/thing-types.js
+                type: {
+                  type: 'keyword'
+                },
+                subtitle: search.getMultilingualTextProperties(),
+                authors: search.getMultilingualTextProperties(),
+                publisher: search.getMultilingualTextProperties(),
+                address: search.getMultilingualTextProperties(),
+                postalAddress: {
+                  properties: {
+                    streetAddress: { type: 'text' },
+                    postalCode: { type: 'keyword' },
+                    addressLocality: { type: 'text' },
+                    addressRegion: { type: 'text' },
+                    addressCountry: { type: 'text' }
+                  }
+                },
+                coordinates: {
+                  type: 'geo_point'
+                },
+                director: search.getMultilingualTextProperties(),
+                manufacturer: search.getMultilingualTextProperties(),
+                developer: search.getMultilingualTextProperties(),
+                isbn: {
+                  type: 'keyword'
+                },
+                gtin: {
+                  type: 'keyword'
+                },
+                releaseYear: {
+                  type: 'integer'
+                }
               }
             }
           }
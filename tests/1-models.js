@@ -4,7 +4,13 @@ process.env.NODE_ENV = 'development';
 process.env.NODE_APP_INSTANCE = 'testing-1';
 
 const dbFixture = require('./fixtures/db-fixture');
-const { getReviewDataGenerator, getTeamData } = require('./helpers/content-helpers');
+const {
+  getReviewDataGenerator,
+  getTeamData,
+  getReportData,
+  getDraftData,
+  getTranslationData
+} = require('./helpers/content-helpers');
 const { getModels } = require('./helpers/model-helpers');
 const isUUID = require('is-uuid');
 const test = require('ava');
@@ -98,6 +104,26 @@ test('We can create a new revision of a review', async t => {
   }, 'We can add a translation to a review title');
 });
 
+test('We can restore an earlier revision of a review', async t => {
+  let reviewObj = reviewData.next().value;
+  let review = await dbFixture.models.Review.create(reviewObj);
+  let { _revID, id } = review;
+  let originalTitle = Object.assign({}, review.title);
+
+  let newRev = await review.newRevision(user);
+  newRev.title = { en: 'An entirely different title' };
+  newRev = await newRev.save();
+
+  let restoredRev = await newRev.restoreRevision(user, _revID);
+  restoredRev = await restoredRev.save();
+  t.is(restoredRev.id, id, 'Restored revision retains old stable ID');
+  t.not(restoredRev._revID, _revID, 'Restored revision has a newly assigned ID');
+  t.deepEqual(restoredRev.title, originalTitle, 'Content of earlier revision is restored');
+  t.deepEqual(restoredRev._revTags, ['rollback'], 'Restored revision is tagged');
+
+  await t.throws(restoredRev.restoreRevision(user, 'not a revision ID'));
+});
+
 test('We can retrieve and paginate a feed of reviews', async t => {
 
   t.plan(4);
@@ -154,6 +180,333 @@ test('We can delete multiple revisions of a review and its associated thing', as
   t.true(deletedThing._revDeleted, 'Associated thing has been deleted');
 });
 
+test('We can undelete a deleted review and all its revisions', async t => {
+  let reviewObj = reviewData.next().value;
+  let review = await dbFixture.models.Review.create(reviewObj);
+  let { id } = review;
+
+  let newRev = await review.newRevision(user);
+  newRev = await newRev.save();
+  let deletedRev = await newRev.deleteAllRevisions(user);
+
+  let feed = await dbFixture.models.Review.getDeleted();
+  t.true(feed.items.some(item => item.id === id), 'Deleted review is listed');
+
+  let undeletedRev = await deletedRev.undeleteAllRevisions(user);
+  t.deepEqual(undeletedRev._revTags, ['undelete'], 'Undeletion revision is tagged');
+
+  let current = await dbFixture.models.Review.getNotStaleOrDeleted(id);
+  t.is(current.id, id, 'Review can be retrieved again');
+  let revisions = await dbFixture.models.Review.getRevisions(id);
+  t.is(revisions.length, 4, 'All revisions have been restored, including the deletion');
+});
+
+test('We can merge a review subject into another one', async t => {
+  let sourceReview = await dbFixture.models.Review.create(reviewData.next().value);
+  let targetReview = await dbFixture.models.Review.create(reviewData.next().value);
+
+  let source = await dbFixture.models.Thing.getWithData(sourceReview.thingID);
+  source.label = { en: 'A duplicate' };
+  await source.save();
+  let target = await dbFixture.models.Thing.getWithData(targetReview.thingID);
+
+  let plan = await source.getMergePlan(target);
+  t.is(plan.reviews.length, 1, 'Review of merged subject will be moved');
+  t.is(plan.conflicts.length, 1, 'User who reviewed both subjects is a conflict');
+  t.deepEqual(plan.urls, source.urls, 'URLs will be added');
+  t.deepEqual(plan.aliases, { en: ['A duplicate'] }, 'Label will be added as alias');
+
+  let error = await t.throws(source.mergeInto(target, user));
+  t.is(error.userMessage, 'need merge conflict resolution', 'Conflicts must be resolved');
+
+  let result = await source.mergeInto(target, user, {
+    resolutions: { [user.id]: 'keep-both' }
+  });
+  t.true(result.target.urls.includes(source.urls[0]), 'URLs have been moved');
+
+  let movedReview = await dbFixture.models.Review.getNotStaleOrDeleted(sourceReview.id);
+  t.is(movedReview.thingID, target.id, 'Review has been moved');
+  t.deepEqual(movedReview._revTags, ['merge-via-form'], 'Review revision is tagged');
+
+  let merged = await dbFixture.models.Thing.get(source.id);
+  t.true(merged._revDeleted, 'Merged subject has been deleted');
+  t.is(merged.mergedInto, target.id, 'Merged subject points to target');
+  t.deepEqual(merged._revTags, ['delete', 'merge-via-form'], 'Deletion revision records the merge');
+});
+
+test('We can change the type of a review subject and validate type-specific fields', async t => {
+  const { normalizeValue } = require('../models/helpers/thing-types');
+  let review = await dbFixture.models.Review.create(reviewData.next().value);
+  let thing = await dbFixture.models.Thing.getWithData(review.thingID);
+
+  thing.setType('book');
+  thing.isbn = normalizeValue('isbn', ' 978-0-306-40615-7 ');
+  thing.publisher = { en: 'Plenum' };
+  await thing.save();
+  t.is(thing.isbn, '9780306406157', 'ISBN is stored without hyphens');
+  t.deepEqual(thing.getEditableFields(), ['label', 'description', 'type', 'subtitle', 'isbn', 'publisher'],
+    'Fields of the type can be edited');
+
+  let error = t.throws(() => normalizeValue('isbn', '978-0-306-40615-8'));
+  t.is(error.userMessage, 'invalid isbn', 'ISBN with bad check digit is rejected');
+
+  thing.setType('place');
+  await thing.save();
+  t.is(thing.isbn, undefined, 'Fields of the old type are cleared');
+  t.is(thing.publisher, undefined, 'Multilingual fields of the old type are cleared');
+
+  thing.coordinates = normalizeValue('coordinates', '52.5163, 13.3777');
+  await thing.save();
+  t.deepEqual(thing.coordinates, { lat: 52.5163, lon: 13.3777 }, 'Coordinates are stored as numbers');
+  error = t.throws(() => normalizeValue('coordinates', '91, 13'));
+  t.is(error.userMessage, 'invalid coordinates', 'Latitude must be within range');
+});
+
+test('We can get the rating distribution and trend of a review subject', async t => {
+  const { Review } = dbFixture.models;
+  const { r } = dbFixture.db;
+  let review = await Review.create(Object.assign(reviewData.next().value, {
+    starRating: 4,
+    createdOn: new Date('2017-01-15T12:00:00Z')
+  }));
+
+  // Further reviews by other users, including one that has been deleted
+  const addReview = (starRating, createdOn, extraFields) => new Review(Object.assign({
+    thingID: review.thingID,
+    starRating,
+    createdOn: new Date(createdOn),
+    createdBy: r.uuid(),
+    _revID: r.uuid(),
+    _revUser: user.id,
+    _revDate: new Date(createdOn)
+  }, extraFields)).save();
+  await addReview(2, '2017-01-20T12:00:00Z');
+  await addReview(5, '2017-03-01T12:00:00Z');
+  await addReview(1, '2017-03-02T12:00:00Z', { _revDeleted: true });
+
+  let stats = await Review.getRatingStats({ thingID: review.thingID });
+  t.is(stats.numberOfReviews, 3, 'Deleted reviews are not counted');
+  t.is(stats.averageStarRating, 11 / 3, 'Average rating is calculated');
+  t.deepEqual(stats.distribution.map(entry => entry.numberOfReviews), [0, 1, 0, 1, 1],
+    'Reviews are counted by star rating');
+  t.deepEqual(stats.trend, [
+    { month: '2017-01', numberOfReviews: 2, averageStarRating: 3, cumulativeAverageStarRating: 3 },
+    { month: '2017-03', numberOfReviews: 1, averageStarRating: 5, cumulativeAverageStarRating: 11 / 3 }
+  ], 'Average ratings are calculated for each month');
+});
+
+test('We can find, record and dismiss likely duplicate review subjects', async t => {
+  const { Review, ThingDuplicate } = dbFixture.models;
+  const createWithURL = url => Review.create(Object.assign(reviewData.next().value, { url }));
+
+  let reviews = [];
+  for (let url of [
+      'http://www.example.com/duplicate/',
+      'https://example.com/duplicate?ref=feed',
+      'https://www.wikidata.org/wiki/Q42',
+      'https://www.wikidata.org/entity/Q42'
+    ])
+    reviews.push(await createWithURL(url));
+
+  const urlKey = ThingDuplicate.getKey(reviews[0].thingID, reviews[1].thingID),
+    sourceKey = ThingDuplicate.getKey(reviews[2].thingID, reviews[3].thingID);
+
+  let candidates = await ThingDuplicate.findCandidates({ labels: false });
+  let urlCandidate = candidates.find(candidate => candidate.id == urlKey),
+    sourceCandidate = candidates.find(candidate => candidate.id == sourceKey);
+  t.deepEqual(urlCandidate.reasons, [{ type: 'url', value: 'example.com/duplicate' }],
+    'URLs differing by scheme, www., trailing slash and query string are detected');
+  t.deepEqual(sourceCandidate.reasons, [{ type: 'source', source: 'wikidata', value: 'Q42' }],
+    'URLs referring to the same Wikidata item are detected');
+
+  await ThingDuplicate.record(candidates);
+  let open = await ThingDuplicate.getOpen();
+  let duplicate = open.items.find(item => item.id == urlKey);
+  t.truthy(duplicate, 'Recorded duplicate is listed');
+
+  await duplicate.dismiss(user);
+  await ThingDuplicate.record(await ThingDuplicate.findCandidates({ labels: false }));
+  open = await ThingDuplicate.getOpen();
+  t.false(open.items.some(item => item.id == urlKey), 'Dismissed duplicate is not listed again');
+  t.true(open.items.some(item => item.id == sourceKey), 'Other duplicate is still listed');
+});
+
+test('We can vote on reviews and rank them by helpfulness', async t => {
+  const { Review, ReviewVote } = dbFixture.models;
+  let first = await Review.create(reviewData.next().value);
+  let second = await Review.create(Object.assign(reviewData.next().value, {
+    thing: await dbFixture.models.Thing.get(first.thingID),
+    createdBy: '4c6a2b1e-7f3d-4e8a-9c5b-2d1f0e3a6b7c'
+  }));
+
+  const voters = [
+    '6f1e2d3c-4b5a-4978-8e1d-2c3b4a5f6e7d',
+    '7a2b3c4d-5e6f-4a8b-9c1d-2e3f4a5b6c7d',
+    '8b3c4d5e-6f7a-4b9c-8d2e-3f4a5b6c7d8e'
+  ].map(id => ({ id }));
+  for (let voter of voters)
+    await ReviewVote.cast(second, voter, 'helpful');
+  await ReviewVote.cast(first, voters[0], 'not-helpful');
+  await ReviewVote.cast(first, voters[0], 'helpful');
+  await ReviewVote.cast(first, voters[1], 'not-helpful');
+  await ReviewVote.cast(first, voters[1], 'none');
+
+  let error = await t.throws(ReviewVote.cast(first, user, 'helpful'));
+  t.is(error.userMessage, 'cannot vote on own review', 'Authors cannot vote on their own reviews');
+
+  await Review.populateVotes([first, second], voters[0]);
+  t.deepEqual([first.votes.helpful, first.votes.notHelpful], [1, 0],
+    'Votes can be changed and retracted');
+  t.is(first.userVote, 'helpful', 'User votes are populated');
+  t.true(second.votes.score > first.votes.score, 'More votes result in a higher score');
+  t.is(ReviewVote.getScore(0, 0), 0, 'Reviews without votes have a score of 0');
+
+  let feed = await Review.getFeed({ thingID: first.thingID, sortBy: 'helpfulness', limit: 1 });
+  t.is(feed.feedItems[0].id, second.id, 'Reviews are ranked by helpfulness');
+  t.is(feed.nextOffset, 1, 'Ranked feeds are paginated by position');
+});
+
+test('We can comment on a review, reply to comments and remove them', async t => {
+  const { Review, Comment } = dbFixture.models;
+  let review = await Review.create(reviewData.next().value);
+
+  const addComment = async(text, parentID) => {
+    let comment = await Comment.createFirstRevision(user);
+    Object.assign(comment, {
+      reviewID: review.id,
+      parentID,
+      text: { en: text },
+      html: { en: `<p>${text}</p>` },
+      originalLanguage: 'en',
+      createdOn: new Date(),
+      createdBy: user.id
+    });
+    return await comment.save();
+  };
+  let comment = await addComment('First!');
+  let reply = await addComment('Second!', comment.id);
+  await addComment('Third!');
+
+  let threads = await Comment.getThreads(review.id, user);
+  t.is(threads.length, 2, 'Replies are not listed as top-level comments');
+  t.is(threads[0].replies[0].id, reply.id, 'Replies are nested below their parent');
+  t.true(threads[0].userCanEdit && threads[0].userCanDelete, 'Authors can edit and delete comments');
+  t.false(threads[0].userCanRemove, 'Authors cannot remove comments');
+
+  const moderator = { id: '0a5a8e1c-5d2f-4c1b-9b7e-3f1d2a6c8e4b', isSiteModerator: true };
+  comment.populateUserInfo(moderator);
+  t.true(comment.userCanRemove && comment.userCanDelete, 'Moderators can remove and delete comments');
+  t.false(comment.userCanEdit, 'Moderators cannot edit comments');
+
+  let removed = await comment.remove(moderator, { reason: 'Spam' });
+  threads = await Comment.getThreads(review.id, user);
+  t.is(threads[0].removalReason, 'Spam', 'Removed comments remain in the thread');
+  t.is(threads[0]._revID, removed._revID, 'Only the current revision is listed');
+  t.false(threads[0].userCanEdit, 'Removed comments can no longer be edited');
+
+  await threads[0].deleteAllRevisions(user);
+  threads = await Comment.getThreads(review.id);
+  t.deepEqual(threads.map(thread => thread.text.en), ['Second!', 'Third!'],
+    'Replies to deleted comments are listed as top-level comments');
+});
+
+test('We can report content and resolve the reports', async t => {
+  const { Review, ContentReport } = dbFixture.models;
+  let review = await Review.create(reviewData.next().value);
+
+  const reporters = [
+    '9c4d5e6f-7a8b-4c1d-9e2f-3a4b5c6d7e8f',
+    'ad5e6f7a-8b9c-4d2e-8f3a-4b5c6d7e8f9a'
+  ].map(id => ({ id }));
+
+  await ContentReport.create(getReportData(review, { notes: ' Buy now! ' }), reporters[0]);
+  await ContentReport.create(getReportData(review, { reason: 'abuse' }), reporters[1]);
+
+  let error = await t.throws(ContentReport.create(getReportData(review), reporters[0]));
+  t.is(error.userMessage, 'content already reported', 'Users can only have one open report per content');
+  error = await t.throws(ContentReport.create(getReportData(review), user));
+  t.is(error.userMessage, 'cannot report own content', 'Authors cannot report their own content');
+  error = await t.throws(ContentReport.create(getReportData(review, { reason: 'boring' }), reporters[0]));
+  t.is(error.userMessage, 'invalid report reason', 'Reports need a valid reason');
+
+  let groups = await ContentReport.getOpen();
+  let group = groups.find(group => group.contentID == review.id);
+  t.is(group.reports.length, 2, 'Open reports are grouped by content');
+  t.is(group.reports[0].notes, 'Buy now!', 'Notes are trimmed');
+
+  await ContentReport.resolveAll(review.id, user, { outcome: 'warned', note: 'Please stop.' });
+  groups = await ContentReport.getOpen();
+  t.false(groups.some(group => group.contentID == review.id), 'Resolved reports are no longer open');
+
+  let { reports } = await ContentReport.getForUser(reporters[0]);
+  t.is(reports[0].status, 'warned', 'Reporters can see the outcome');
+  let { warnings } = await ContentReport.getForUser(user);
+  t.is(warnings.length, 1, 'Authors see one warning per resolution');
+  t.is(warnings[0].resolutionNote, 'Please stop.', 'Warnings include the moderator note');
+
+  await ContentReport.create(getReportData(review), reporters[0]);
+  t.pass('Content can be reported again after earlier reports have been resolved');
+});
+
+test('We can save, list and discard drafts', async t => {
+  const { Draft } = dbFixture.models;
+  let saved = await Draft.saveForUser(user, getDraftData());
+  t.is(saved.title, 'A draft', 'Draft titles are trimmed');
+  await Draft.saveForUser(user, getDraftData({ fields: { 'review-text': 'Almost done' } }));
+  await Draft.saveForUser(user, getDraftData({ formURL: '/team/new', formType: 'team', title: undefined }));
+
+  let drafts = await Draft.getForUser(user);
+  t.is(drafts.length, 2, 'Users have one draft per form');
+  t.is(drafts[0].formURL, '/team/new', 'Most recently saved drafts are listed first');
+  saved = await Draft.getForForm(user, '/new/review');
+  t.is(saved.fields['review-text'], 'Almost done', 'Saving a draft again replaces its fields');
+
+  let error = await t.throws(Draft.saveForUser(user, getDraftData({ formURL: '//example.com/' })));
+  t.is(error.userMessage, 'invalid draft', 'Drafts must belong to a form on this site');
+  error = await t.throws(Draft.saveForUser(user, getDraftData({ fields: { 'review-rating': 5 } })));
+  t.is(error.userMessage, 'invalid draft', 'Draft fields must be strings');
+
+  await Draft.discard(user, '/new/review');
+  t.is(await Draft.getForForm(user, '/new/review'), undefined, 'Drafts can be discarded');
+});
+
+test('We can propose, approve and reject translations of reviews', async t => {
+  const { Review, ReviewTranslation } = dbFixture.models;
+  let review = await Review.create(reviewData.next().value);
+
+  const translator = { id: 'be6f7a8b-9cad-4e3f-9a4b-5c6d7e8f9a0b', isTrusted: true };
+
+  let error = await t.throws(ReviewTranslation.propose(review, { id: translator.id }, getTranslationData()));
+  t.is(error.userMessage, 'must be trusted to translate', 'Only trusted users can translate');
+  error = await t.throws(ReviewTranslation.propose(review, { id: user.id, isTrusted: true }, getTranslationData()));
+  t.is(error.userMessage, 'cannot translate own review', 'Authors cannot propose translations');
+  error = await t.throws(ReviewTranslation.propose(review, translator, getTranslationData({ language: 'en' })));
+  t.is(error.userMessage, 'invalid translation language', 'Translations must be into another language');
+
+  await ReviewTranslation.propose(review, translator, getTranslationData({ title: 'Entwurf' }));
+  let proposal = await ReviewTranslation.propose(review, translator, getTranslationData());
+  let pending = await ReviewTranslation.getPending(review.id);
+  t.is(pending.length, 1, 'Proposals for the same language replace earlier ones');
+  t.is(pending[0].title, 'Eine Rezension', 'The latest proposal is kept');
+  t.true(/<em>guter<\/em>/.test(proposal.html), 'Translated text is rendered as HTML');
+
+  review = await Review.getNotStaleOrDeleted(review.id);
+  error = await t.throws(ReviewTranslation.approve(proposal, review, translator));
+  t.is(error.userMessage, 'only author can resolve translation', 'Only authors can approve translations');
+
+  let newRev = await ReviewTranslation.approve(proposal, review, user);
+  t.is(newRev.title.de, 'Eine Rezension', 'Approved title is added to the review');
+  t.is(newRev.text.de, 'Ein *guter* Text', 'Approved text is added to the review');
+  t.is(newRev._revUser, translator.id, 'New revision is credited to the translator');
+  t.is(await ReviewTranslation.countPending(review.id), 0, 'Approved proposals are no longer pending');
+
+  review = await Review.getNotStaleOrDeleted(review.id);
+  proposal = await ReviewTranslation.propose(review, translator, getTranslationData({ language: 'fr', title: 'Une critique' }));
+  await ReviewTranslation.reject(proposal, review, user);
+  error = await t.throws(ReviewTranslation.approve(proposal, review, user));
+  t.is(error.userMessage, 'translation already resolved', 'Rejected proposals cannot be approved');
+});
+
 test.after.always(async() => {
   await dbFixture.cleanup();
 });
@@ -190,3 +543,15 @@ test('We can create a team and associate it with a request to join it', async t
   t.is(savedRequest[0].teamID, savedTeamRev.id, 'Request is associated with the expected team');
   t.is(savedRequest[0].userID, user.id, 'Request is associated with the expected user');
 });
+
+test('We can create an API token and find it by its unhashed value', async t => {
+  let { apiToken, token } = await dbFixture.models.APIToken.create(user, {
+    label: 'My bot',
+    scope: 'write'
+  });
+  t.not(apiToken.tokenHash, token, 'Token is not stored in the clear');
+  let foundToken = await dbFixture.models.APIToken.findByToken(token);
+  t.is(foundToken.id, apiToken.id, 'Token can be found by its unhashed value');
+  t.true(foundToken.canWrite, 'Token has write scope');
+  t.is(await dbFixture.models.APIToken.findByToken('not a token'), undefined, 'Bad tokens are not found');
+});
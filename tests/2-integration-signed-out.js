@@ -58,6 +58,16 @@ let routeTests = [{
     path: '/+not+a+thing+',
     status: 404,
     regex: /Thing not found/
+  },
+  {
+    path: '/api/search/places?lat=0&lon=0&radius=0',
+    status: 400,
+    regex: /must be greater than 0/
+  },
+  {
+    path: '/api/search/places?lat=0&lon=0&radius=-5',
+    status: 400,
+    regex: /must be greater than 0/
   }
 ];
 
@@ -108,8 +108,298 @@ test(`We can create and edit a review`, async t => {
     .expect(/I just checked/) // New text is there ..
     .expect(/Written by <a href="\/user\/A_friend_of_many_GNUs">A friend of/); // .. and byline indicates save
 
+  // Submitting the form we loaded before the edit again results in a conflict
+  let baseRevision = (editResponse.text.match(/value="(.*?)" name="base-revision"/) || [])[1];
+  t.truthy(baseRevision, 'Edit form contains the base revision');
+
+  await agent
+    .post(editURL)
+    .type('form')
+    .send({
+      _csrf: csrf,
+      'base-revision': baseRevision,
+      'review-title': 'The unattainable is unknown again',
+      'review-text': 'This is a decent enough resource.',
+      'review-rating': '3',
+      'review-language': 'en',
+      'review-action': 'publish'
+    })
+    .expect(200)
+    .expect(/Someone else has saved a new version of this page/)
+    .expect(/<ins>[^<]*again<\/ins>/);
+
+  t.pass();
+
+});
+
+test(`We can create, edit and delete a review via the API`, async t => {
+  await agent
+    .post('/api/new/review')
+    .set('x-requested-with', 'app')
+    .send({
+      url: 'http://example.com/',
+      title: 'An example of an example',
+      text: 'Reserved for use in documentation.',
+      starRating: 4,
+      language: 'en'
+    })
+    .expect(200);
+
+  let user = await dbFixture.models.User.findByURLName('A_friend_of_many_GNUs');
+  let reviews = await dbFixture.models.Review.filter({ createdBy: user.id, starRating: 4 });
+  t.is(reviews.length, 1, 'Review was saved');
+  let reviewID = reviews[0].id;
+
+  let invalidEditResponse = await agent
+    .post(`/api/review/${reviewID}/edit`)
+    .set('x-requested-with', 'app')
+    .send({ title: 'Missing text and rating', language: 'en' })
+    .expect(400);
+  t.true(invalidEditResponse.body.errors.length > 0, 'Validation errors are reported');
+
+  let editResponse = await agent
+    .post(`/api/review/${reviewID}/edit`)
+    .set('x-requested-with', 'app')
+    .send({
+      title: 'An example of an example',
+      text: 'Still reserved for use in documentation.',
+      starRating: 5,
+      language: 'en',
+      summary: 'Upgrade <rating>'
+    })
+    .expect(200);
+  t.is(editResponse.body.review.starRating, 5, 'Edit was saved');
+  t.deepEqual(editResponse.body.review._revTags, ['edit-via-api'], 'Revision is tagged');
+  t.is(editResponse.body.review._revSummary, 'Upgrade &lt;rating&gt;', 'Edit summary is saved');
+
+  let historyResponse = await agent
+    .get(`/review/${reviewID}/history`)
+    .expect(200)
+    .expect(/edit-via-api/)
+    .expect(/create-via-api/)
+    .expect(/Upgrade &lt;rating&gt;/);
+
+  let m = historyResponse.text.match(/href="\?from=(.*?)&amp;to=(.*?)"/);
+  if (!m)
+    return t.fail('Could not find link to compare revisions');
+
+  await agent
+    .get(`/review/${reviewID}/history?from=${m[1]}&to=${m[2]}`)
+    .expect(200)
+    .expect(/<del>Reserved<\/del><ins>Still reserved<\/ins>/);
+
+  await agent
+    .get('/changes?type=reviews&tag=edit-via-api')
+    .expect(200)
+    .expect(/An example of an example/)
+    .expect(/<code>starRating<\/code> <code>text<\/code>/);
+
+  await agent
+    .get('/changes/atom/en?tag=edit-via-api')
+    .expect(200)
+    .expect('content-type', /application\/atom\+xml/)
+    .expect(/<entry>/);
+
+  await agent
+    .post(`/api/review/${reviewID}/delete`)
+    .set('x-requested-with', 'app')
+    .send({})
+    .expect(200);
+
+  await agent
+    .get(`/api/review/${reviewID}`)
+    .expect(404);
+
   t.pass();
+});
+
+test(`API tokens authenticate requests within their scope`, async t => {
+  let user = await dbFixture.models.User.findByURLName('A_friend_of_many_GNUs');
+  let { token: readToken } = await dbFixture.models.APIToken.create(user, { label: 'Reader', scope: 'read' });
+  let { token: writeToken } = await dbFixture.models.APIToken.create(user, { label: 'Writer', scope: 'write' });
+
+  // No session cookie, no X-Requested-With header
+  await request(app)
+    .post('/api/new/review')
+    .set('Authorization', `Bearer ${readToken}`)
+    .send({})
+    .expect(403);
+
+  await request(app)
+    .post('/api/new/review')
+    .set('Authorization', 'Bearer invalid')
+    .send({})
+    .expect(401);
+
+  let response = await request(app)
+    .post('/api/new/review')
+    .set('Authorization', `Bearer ${writeToken}`)
+    .send({ url: 'http://example.org/', language: 'en' })
+    .expect(400);
+  t.true(response.body.errors.length > 0, 'Authenticated request reaches validation');
+});
+
+test(`We can page through a filtered list of reviews via the API`, async t => {
+  let user = await dbFixture.models.User.findByURLName('A_friend_of_many_GNUs');
+  for (let i = 1; i <= 3; i++) {
+    await dbFixture.models.Review.create({
+      url: `http://example.net/${i}`,
+      title: { de: `Beispiel ${i}` },
+      text: { de: 'Ein Beispiel.' },
+      html: { de: '<p>Ein Beispiel.</p>' },
+      starRating: 2,
+      createdOn: new Date(Date.now() - (i * 1000)),
+      createdBy: user.id,
+      originalLanguage: 'de'
+    });
+  }
+
+  await agent
+    .get('/api/reviews?minRating=6')
+    .expect(400);
+
+  let firstPage = await agent
+    .get(`/api/reviews?author=${user.id}&language=de&maxRating=2&limit=2`)
+    .expect(200);
+  t.is(firstPage.body.reviews.length, 2, 'First page has expected number of reviews');
+  t.truthy(firstPage.body.nextCursor, 'Cursor for next page is provided');
+
+  let secondPage = await agent
+    .get(`/api/reviews?author=${user.id}&language=de&maxRating=2&limit=2&cursor=${firstPage.body.nextCursor}`)
+    .expect(200);
+  t.is(secondPage.body.reviews.length, 1, 'Second page has remaining review');
+  t.is(secondPage.body.nextCursor, null, 'There are no further pages');
+});
+
+test(`We can look up a thing with embedded reviews via the API`, async t => {
+  // Rating must differ from that of other reviews by this user, since the
+  // tests run concurrently and some count the user's reviews by rating
+  let user = await dbFixture.models.User.findByURLName('A_friend_of_many_GNUs');
+  let review = await dbFixture.models.Review.create({
+    url: 'http://example.net/thing-lookup',
+    title: { en: 'Lookup test' },
+    text: { en: 'A thing to look up.' },
+    html: { en: '<p>A thing to look up.</p>' },
+    starRating: 1,
+    createdOn: new Date(),
+    createdBy: user.id,
+    originalLanguage: 'en'
+  });
+
+  await agent
+    .get(`/api/thing/${review.thingID}?include=reviews,unknown`)
+    .expect(400);
+
+  let response = await agent
+    .get(`/api/thing/${review.thingID}?include=reviews,metrics`)
+    .expect(200);
+  t.is(response.body.thing.id, review.thingID, 'Expected thing is returned');
+  t.is(response.body.thing.numberOfReviews, 1, 'Review metrics are embedded');
+  t.is(response.body.thing.reviews[0].id, review.id, 'Reviews are embedded');
+
+  let lookupResponse = await agent
+    .post('/api/things/lookup')
+    .set('x-requested-with', 'app')
+    .send({ urls: ['HTTP://EXAMPLE.NET/thing-lookup', 'http://example.net/unknown', 'not a URL'] })
+    .expect(200);
+  t.is(lookupResponse.body.results['HTTP://EXAMPLE.NET/thing-lookup'].id, review.thingID, 'URLs are normalized and resolved');
+  t.is(lookupResponse.body.results['http://example.net/unknown'], null, 'Unknown URLs are reported');
+  t.deepEqual(lookupResponse.body.invalidURLs, ['not a URL'], 'Invalid URLs are reported');
+});
+
+test(`We can manage the aliases of a thing`, async t => {
+  let user = await dbFixture.models.User.findByURLName('A_friend_of_many_GNUs');
+  let review = await dbFixture.models.Review.create({
+    url: 'http://example.net/thing-aliases',
+    title: { en: 'Alias test' },
+    text: { en: 'A thing with aliases.' },
+    html: { en: '<p>A thing with aliases.</p>' },
+    starRating: 3,
+    createdOn: new Date(),
+    createdBy: user.id,
+    originalLanguage: 'en'
+  });
+  const aliasesURL = `/${review.thingID}/manage/aliases`;
+
+  let formResponse = await agent
+    .get(aliasesURL)
+    .expect(200);
+
+  let csrf = extractCSRF(formResponse.text);
+  if (!csrf)
+    return t.fail('Could not obtain CSRF token');
+
+  await agent
+    .post(aliasesURL)
+    .type('form')
+    .send({
+      _csrf: csrf,
+      'alias-0': ' HHGTTG ',
+      'alias-0-language': 'en',
+      'alias-1': '',
+      'alias-1-language': 'en',
+      'alias-2': 'Per  Anhalter',
+      'alias-2-language': 'de'
+    })
+    .expect(302);
+
+  let thing = await dbFixture.models.Thing.get(review.thingID);
+  t.deepEqual(thing.aliases, { en: ['HHGTTG'], de: ['Per Anhalter'] }, 'Aliases are trimmed and saved by language');
+
+  await agent
+    .post(aliasesURL)
+    .type('form')
+    .send({
+      _csrf: csrf,
+      'alias-0': 'HHGTTG',
+      'alias-0-language': 'not a language'
+    })
+    .expect(200)
+    .expect(/Please select a language for the alias HHGTTG/);
+
+  await agent
+    .post(aliasesURL)
+    .type('form')
+    .send({
+      _csrf: csrf,
+      'alias-0': 'HHGTTG',
+      'alias-0-language': 'en',
+      'alias-4000000000': 'Far away',
+      'alias-4000000000-language': 'en'
+    })
+    .expect(200)
+    .expect(/A thing can have at most 100 aliases/);
+
+  thing = await dbFixture.models.Thing.get(review.thingID);
+  t.deepEqual(thing.aliases, { en: ['HHGTTG'], de: ['Per Anhalter'] }, 'Rejected aliases are not saved');
+});
+
+test(`The API is described by an OpenAPI document that is used for validation`, async t => {
+  let response = await agent
+    .get('/api/openapi.json')
+    .expect(200);
+  t.is(response.body.openapi, '3.0.0', 'OpenAPI document is returned');
+  t.truthy(response.body.paths['/review/{id}'].get, 'Routes are described');
+
+  // OpenAPI 3.0 requires `items` for arrays
+  const arraysWithoutItems = [];
+  const findArraysWithoutItems = (obj, path) => {
+    if (obj.type === 'array' && !obj.items)
+      arraysWithoutItems.push(path);
+    for (let key in obj) {
+      if (obj[key] && typeof obj[key] == 'object')
+        findArraysWithoutItems(obj[key], `${path}/${key}`);
+    }
+  };
+  findArraysWithoutItems(response.body, '#');
+  t.deepEqual(arraysWithoutItems, [], 'All array schemas have items');
 
+  let invalidResponse = await agent
+    .post('/api/new/review')
+    .set('x-requested-with', 'app')
+    .send({ starRating: 'five', unknownField: true })
+    .expect(400);
+  t.true(invalidResponse.body.errors.length >= 2, 'Request body is validated against the schema');
 });
 
 test(`We can create a new team`, async t => {
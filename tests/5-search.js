@@ -0,0 +1,195 @@
+'use strict';
+// Standard env settings
+process.env.NODE_ENV = 'development';
+process.env.NODE_APP_INSTANCE = 'testing-5';
+
+// These tests only check the queries we send to ElasticSearch, and how we
+// process its results, so they don't need a search server.
+const search = require('../search');
+const searchResults = require('../routes/helpers/search-results');
+const test = require('ava');
+
+test(`Thing searches include aliases in the user's language and fallbacks`, t => {
+  const query = search.getThingSearchQuery('Hitchhiker', 'de');
+  const { fields } = query.body.query.bool.should[0].simple_query_string;
+  for (let lang of ['de', 'en', 'und']) {
+    t.true(fields.includes(`aliases.${lang}*`), `Aliases in ${lang} are searched`);
+    t.true(fields.includes(`label.${lang}*`), `Labels in ${lang} are searched`);
+    t.truthy(query.body.highlight.fields[`aliases.${lang}*`], `Aliases in ${lang} are highlighted`);
+  }
+  t.false(fields.includes('aliases.fr*'), 'Aliases in other languages are not searched');
+});
+
+test(`Thing searches can be paged and restricted to a type`, t => {
+  const query = search.getThingSearchQuery('Hitchhiker', 'en', { from: 10, size: 5, type: 'book' });
+  t.is(query.body.from, 10);
+  t.is(query.body.size, 5);
+  t.deepEqual(query.body.query.bool.filter, [{ term: { type: 'book' } }]);
+});
+
+test(`Thing suggestions include aliases in the user's language and fallbacks`, t => {
+  const { suggest } = search.getThingSuggestQuery('Hitch', 'pt').body;
+  for (let lang of ['pt', 'pt-PT', 'en', 'und']) {
+    t.deepEqual(suggest[`aliases-${lang}`], {
+      prefix: 'Hitch',
+      completion: { field: `aliases.${lang}.completion` }
+    }, `Aliases in ${lang} are suggested`);
+    t.is(suggest[`labels-${lang}`].completion.field, `label.${lang}.completion`,
+      `Labels in ${lang} are suggested`);
+  }
+});
+
+test(`Alias highlights are extracted from thing search hits`, t => {
+  const hit = {
+    highlight: {
+      'label.en': ['<span class="search-highlight">Hitchhiker</span>'],
+      'aliases.en': ['<span class="search-highlight">HHGTTG</span>'],
+      'aliases.de.stemmed': ['<span class="search-highlight">Per Anhalter</span>']
+    }
+  };
+  t.deepEqual(search.getAliasHighlights(hit), [
+    '<span class="search-highlight">HHGTTG</span>',
+    '<span class="search-highlight">Per Anhalter</span>'
+  ]);
+  t.deepEqual(search.getAliasHighlights({}), [], 'Hits without highlights have no alias highlights');
+});
+
+test(`Duplicate alias highlights from stemmed and unstemmed fields are removed`, t => {
+  const highlight = '<span class="search-highlight">HHGTTG</span>';
+  const [hit] = search.filterDuplicateHighlights([{
+    highlight: {
+      'aliases.en': [highlight],
+      'aliases.en.stemmed': [highlight]
+    }
+  }]);
+  t.deepEqual(search.getAliasHighlights(hit), [highlight]);
+});
+
+test(`Review searches are paged by review subject in the given language`, t => {
+  const query = search.getReviewSearchQuery('towel', 'de', { from: 20, size: 5 });
+  t.is(query.body.from, 20);
+  t.is(query.body.size, 5);
+  const { fields } = query.body.query.has_child.query.simple_query_string;
+  t.true(fields.includes('text.de*'), 'Text in the given language is searched');
+  t.true(fields.includes('title.en*'), 'Titles in fallback languages are searched');
+});
+
+// Responses from ElasticSearch, as returned by searchThings and searchReviews
+const highlight = text => `<span class="search-highlight">${text}</span>`;
+const thingResults = {
+  hits: {
+    total: 21,
+    hits: [{
+      _id: 'f4b5b6d2-5a7b-4b6e-9a2e-8f7f1c3e2a10',
+      _source: {
+        urlID: 'hitchhikers-guide',
+        type: 'book',
+        label: { en: 'The Hitchhiker\'s Guide to the Galaxy' },
+        aliases: { en: ['HHGTTG'] },
+        description: { en: 'A novel' },
+        urls: ['https://example.com/hhgttg'],
+        createdOn: '2020-01-01T00:00:00.000Z',
+        coordinates: { lat: 51.5, lon: -0.1 }
+      },
+      highlight: {
+        'label.en': [highlight('Hitchhiker')],
+        'label.en.stemmed': [highlight('Hitchhiker')],
+        'aliases.en': [highlight('HHGTTG')]
+      }
+    }]
+  }
+};
+const reviewResults = {
+  hits: {
+    total: 1,
+    hits: [{
+      _id: 'f4b5b6d2-5a7b-4b6e-9a2e-8f7f1c3e2a10',
+      _source: {
+        urlID: 'hitchhikers-guide',
+        label: { en: 'The Hitchhiker\'s Guide to the Galaxy' }
+      },
+      inner_hits: {
+        reviews: {
+          hits: {
+            total: 3,
+            hits: [{
+              _id: '0d7a4b0e-3f7e-4c53-8d84-5f4b3a9c2e11',
+              _source: {
+                title: { en: 'Don\'t panic' },
+                text: { en: 'Bring a towel.' },
+                starRating: 5,
+                createdOn: '2020-01-02T00:00:00.000Z',
+                createdBy: '1c6a1d0e-6b0a-4f0e-9d3c-2b1a0f9e8d12'
+              },
+              highlight: {
+                'text.en': [highlight('towel')],
+                'text.en.stemmed': [highlight('towel')]
+              }
+            }]
+          }
+        }
+      }
+    }]
+  }
+};
+
+test(`Search results have the documented shape, with the query and page options`, t => {
+  const rv = searchResults.getSearchResults({ query: 'hitchhiker', language: 'de', from: 20, size: 5 },
+    thingResults, reviewResults);
+
+  t.deepEqual(Object.keys(rv), ['query', 'language', 'from', 'size', 'things', 'reviews']);
+  t.is(rv.query, 'hitchhiker');
+  t.is(rv.language, 'de');
+  t.is(rv.from, 20);
+  t.is(rv.size, 5);
+
+  t.is(rv.things.total, 21);
+  t.deepEqual(rv.things.hits, [{
+    id: 'f4b5b6d2-5a7b-4b6e-9a2e-8f7f1c3e2a10',
+    urlID: 'hitchhikers-guide',
+    type: 'book',
+    label: { en: 'The Hitchhiker\'s Guide to the Galaxy' },
+    aliases: { en: ['HHGTTG'] },
+    description: { en: 'A novel' },
+    urls: ['https://example.com/hhgttg'],
+    highlights: [highlight('Hitchhiker'), highlight('HHGTTG')]
+  }], 'Thing hits only contain documented fields, with de-duplicated highlights');
+
+  t.is(rv.reviews.total, 1);
+  t.deepEqual(rv.reviews.hits, [{
+    thing: {
+      id: 'f4b5b6d2-5a7b-4b6e-9a2e-8f7f1c3e2a10',
+      urlID: 'hitchhikers-guide',
+      label: { en: 'The Hitchhiker\'s Guide to the Galaxy' }
+    },
+    totalReviews: 3,
+    reviews: [{
+      id: '0d7a4b0e-3f7e-4c53-8d84-5f4b3a9c2e11',
+      title: { en: 'Don\'t panic' },
+      starRating: 5,
+      createdOn: '2020-01-02T00:00:00.000Z',
+      highlights: [highlight('towel')]
+    }]
+  }], 'Review hits are grouped by review subject and only contain documented fields');
+});
+
+test(`Review subjects without matching reviews have an empty list of reviews`, t => {
+  const data = searchResults.getReviewHitData({ _id: 'x', _source: { urlID: 'x', label: {} } });
+  t.is(data.totalReviews, 0);
+  t.deepEqual(data.reviews, []);
+});
+
+test(`Place search results include coordinates and distance instead of highlights`, t => {
+  const results = {
+    hits: {
+      total: 1,
+      hits: [Object.assign({ sort: [1.5] }, thingResults.hits.hits[0])]
+    }
+  };
+  const rv = searchResults.getPlaceSearchResults({ from: 0, size: 10, type: 'place' }, results);
+  t.deepEqual(Object.keys(rv), ['from', 'size', 'things']);
+  const [hit] = rv.things.hits;
+  t.is(hit.highlights, undefined);
+  t.deepEqual(hit.coordinates, { lat: 51.5, lon: -0.1 });
+  t.is(hit.distance, 1.5);
+});
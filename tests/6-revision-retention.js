@@ -0,0 +1,78 @@
+'use strict';
+// Standard env settings
+process.env.NODE_ENV = 'development';
+process.env.NODE_APP_INSTANCE = 'testing-6';
+
+// The retention policy for maintenance/prune-revisions.js, which permanently
+// deletes the revisions it considers prunable.
+const { getCutoff, getPrunableRevisions } = require('../models/helpers/revision-retention');
+const test = require('ava');
+
+const now = new Date('2020-06-30T12:00:00Z');
+const policy = {
+  cutoff: getCutoff(90, now),
+  keepTags: ['delete', 'undelete', 'rollback']
+};
+
+// Old revisions with the given dates (and tags), in the order given
+function getRevisions(...specs) {
+  return specs.map((spec, index) => {
+    const [date, tags = ['edit-via-form']] = Array.isArray(spec) ? spec : [spec];
+    return { id: `rev-${index}`, _revDate: new Date(date), _revTags: tags };
+  });
+}
+
+const getIDs = revisions => revisions.map(rev => rev.id);
+
+test('Cutoff is the given number of days before now', t => {
+  t.deepEqual(getCutoff(90, now), new Date('2020-04-01T12:00:00Z'));
+});
+
+test('First revision is always kept', t => {
+  const revisions = getRevisions('2020-01-01T10:00:00Z', '2020-01-01T11:00:00Z', '2020-01-01T12:00:00Z');
+  t.deepEqual(getIDs(getPrunableRevisions(revisions, policy)), ['rev-1']);
+
+  // Regardless of the order in which we get them
+  t.deepEqual(getIDs(getPrunableRevisions(revisions.slice().reverse(), policy)), ['rev-1']);
+});
+
+test('Last revision of each day is kept', t => {
+  const revisions = getRevisions(
+    '2020-01-01T08:00:00Z',
+    '2020-01-02T08:00:00Z',
+    '2020-01-02T23:59:59Z',
+    '2020-01-03T00:00:00Z',
+    '2020-01-03T09:00:00Z'
+  );
+  t.deepEqual(getIDs(getPrunableRevisions(revisions, policy)), ['rev-1', 'rev-3']);
+});
+
+test('Revisions with any of the keepTags are kept', t => {
+  const revisions = getRevisions(
+    '2020-01-01T08:00:00Z',
+    ['2020-01-02T08:00:00Z', ['delete']],
+    ['2020-01-02T09:00:00Z', ['undelete', 'undelete-via-form']],
+    ['2020-01-02T10:00:00Z', ['rollback']],
+    '2020-01-02T11:00:00Z',
+    '2020-01-02T12:00:00Z'
+  );
+  t.deepEqual(getIDs(getPrunableRevisions(revisions, policy)), ['rev-4']);
+});
+
+test('Nothing from the cutoff onward is pruned', t => {
+  const revisions = getRevisions(
+    '2020-03-01T08:00:00Z',
+    '2020-04-01T11:00:00Z',
+    '2020-04-01T12:00:00Z',
+    '2020-04-01T13:00:00Z',
+    '2020-06-30T10:00:00Z',
+    '2020-06-30T11:00:00Z'
+  );
+  t.deepEqual(getIDs(getPrunableRevisions(revisions, policy)), ['rev-1']);
+});
+
+test('Revisions are not modified', t => {
+  const revisions = getRevisions('2020-01-02T08:00:00Z', '2020-01-01T08:00:00Z');
+  getPrunableRevisions(revisions, policy);
+  t.deepEqual(getIDs(revisions), ['rev-0', 'rev-1']);
+});
@@ -0,0 +1,56 @@
+'use strict';
+// Standard env settings
+process.env.NODE_ENV = 'development';
+process.env.NODE_APP_INSTANCE = 'testing-7';
+
+// Aliases a review subject gains when another one is merged into it
+const { countAliases, getNewAliases } = require('../models/helpers/thing-aliases');
+const test = require('ava');
+
+const source = {
+  label: { en: 'The Hitchhiker\'s Guide to the Galaxy', de: 'Per Anhalter durch die Galaxis' },
+  aliases: { en: ['HHGTTG', 'Hitchhiker\'s Guide'], fr: ['H2G2'] }
+};
+
+test('Aliases are counted in all languages', t => {
+  t.is(countAliases(source.aliases), 3);
+  t.is(countAliases(undefined), 0);
+});
+
+test('Labels and aliases the target does not have yet are new aliases', t => {
+  const target = {
+    label: { en: 'Hitchhiker\'s Guide' },
+    aliases: { de: ['Per Anhalter durch die Galaxis'] }
+  };
+  t.deepEqual(getNewAliases(source, target, 100), {
+    aliases: {
+      en: ['The Hitchhiker\'s Guide to the Galaxy', 'HHGTTG'],
+      fr: ['H2G2']
+    },
+    droppedAliases: {}
+  });
+});
+
+test('Aliases beyond the maximum are dropped', t => {
+  const target = {
+    label: { en: 'Hitchhiker' },
+    aliases: { en: ['HHG'] }
+  };
+  t.deepEqual(getNewAliases(source, target, 3), {
+    aliases: {
+      en: ['The Hitchhiker\'s Guide to the Galaxy'],
+      de: ['Per Anhalter durch die Galaxis']
+    },
+    droppedAliases: {
+      en: ['HHGTTG', 'Hitchhiker\'s Guide'],
+      fr: ['H2G2']
+    }
+  });
+});
+
+test('A target that is already at the maximum gets no new aliases', t => {
+  const target = { aliases: { en: ['HHG', 'HHGTTG'] } };
+  const { aliases, droppedAliases } = getNewAliases(source, target, 2);
+  t.deepEqual(aliases, {});
+  t.is(countAliases(droppedAliases), 4, 'Names the target already has are not dropped');
+});
@@ -39,3 +39,26 @@ exports.getTeamData = (userID) => ({
   createdOn: new Date(),
   originalLanguage: 'en'
 });
+
+// Report of the given review; `data` overrides the defaults
+exports.getReportData = (review, data) => Object.assign({
+  contentType: 'reviews',
+  contentID: review.id,
+  contentAuthorID: review.createdBy,
+  reason: 'spam'
+}, data);
+
+// Draft of the new review form; `data` overrides the defaults
+exports.getDraftData = data => Object.assign({
+  formURL: '/new/review',
+  formType: 'review',
+  title: ' A draft ',
+  fields: { 'review-title': 'A draft', 'review-text': 'Not done yet' }
+}, data);
+
+// Translation of a review into German; `data` overrides the defaults
+exports.getTranslationData = data => Object.assign({
+  language: 'de',
+  title: 'Eine Rezension',
+  text: 'Ein *guter* Text'
+}, data);
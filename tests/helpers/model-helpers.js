@@ -22,8 +22,36 @@ exports.getModels = () => [{
     name: 'BlogPost',
     file: 'blog-post.js'
   },
+  {
+    name: 'Comment',
+    file: 'comment.js'
+  },
+  {
+    name: 'ReviewVote',
+    file: 'review-vote.js'
+  },
   {
     name: 'TeamJoinRequest',
     file: 'team-join-request.js'
+  },
+  {
+    name: 'APIToken',
+    file: 'api-token.js'
+  },
+  {
+    name: 'ThingDuplicate',
+    file: 'thing-duplicate.js'
+  },
+  {
+    name: 'ContentReport',
+    file: 'content-report.js'
+  },
+  {
+    name: 'Draft',
+    file: 'draft.js'
+  },
+  {
+    name: 'ReviewTranslation',
+    file: 'review-translation.js'
   }
 ];
@@ -0,0 +1,133 @@
+/**
+ * Simple diffs for comparing revisions of multilingual text, lists and other
+ * values. Text is compared word by word.
+ *
+ * @namespace Diff
+ */
+'use strict';
+
+// Beyond this number of comparisons (length of changed section of old text
+// times length of changed section of new text), we don't attempt to find
+// the longest common subsequence and show the whole section as replaced.
+const maxComparisons = 4000000;
+
+const diff = {
+
+  /**
+   * Compare two strings word by word.
+   *
+   * @param {String} [oldText='']
+   *  the earlier version
+   * @param {String} [newText='']
+   *  the later version
+   * @returns {Object[]}
+   *  parts of the text in order, each of the form `{ value, added, removed }`.
+   *  Adjacent parts of the same kind are merged.
+   * @memberof Diff
+   */
+  text(oldText = '', newText = '') {
+    // Keep whitespace as separate tokens, so the text can be reassembled
+    const oldTokens = String(oldText).split(/(\s+)/).filter(Boolean);
+    const newTokens = String(newText).split(/(\s+)/).filter(Boolean);
+
+    // Unchanged beginnings and endings are common and cheap to find
+    let start = 0;
+    while (start < oldTokens.length && start < newTokens.length &&
+      oldTokens[start] === newTokens[start])
+      start++;
+
+    let oldEnd = oldTokens.length,
+      newEnd = newTokens.length;
+    while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+      oldEnd--;
+      newEnd--;
+    }
+
+    const parts = [];
+    addPart(parts, oldTokens.slice(0, start), {});
+    for (let part of diffTokens(oldTokens.slice(start, oldEnd), newTokens.slice(start, newEnd)))
+      addPart(parts, [part.value], part);
+    addPart(parts, oldTokens.slice(oldEnd), {});
+    return parts;
+  },
+
+  /**
+   * Compare two lists of strings, such as URLs. Order is ignored.
+   *
+   * @param {String[]} [oldList=[]]
+   *  the earlier version
+   * @param {String[]} [newList=[]]
+   *  the later version
+   * @returns {Object}
+   *  `{ added, removed }`, arrays of the items only found in the later or
+   *  earlier version, respectively
+   * @memberof Diff
+   */
+  list(oldList = [], newList = []) {
+    return {
+      added: newList.filter(item => !oldList.includes(item)),
+      removed: oldList.filter(item => !newList.includes(item))
+    };
+  }
+
+};
+
+// Longest common subsequence diff of two token arrays
+function diffTokens(oldTokens, newTokens) {
+  const m = oldTokens.length,
+    n = newTokens.length;
+
+  if (!m || !n || m * n > maxComparisons)
+    return oldTokens.map(value => ({ value, removed: true }))
+      .concat(newTokens.map(value => ({ value, added: true })));
+
+  // lengths[i][j]: length of the LCS of oldTokens[i..] and newTokens[j..]
+  const lengths = [];
+  for (let i = m; i >= 0; i--) {
+    lengths[i] = new Uint32Array(n + 1);
+    if (i == m)
+      continue;
+    for (let j = n - 1; j >= 0; j--) {
+      lengths[i][j] = oldTokens[i] === newTokens[j] ?
+        lengths[i + 1][j + 1] + 1 :
+        Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0,
+    j = 0;
+  while (i < m && j < n) {
+    if (oldTokens[i] === newTokens[j]) {
+      result.push({ value: oldTokens[i] });
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      result.push({ value: oldTokens[i], removed: true });
+      i++;
+    } else {
+      result.push({ value: newTokens[j], added: true });
+      j++;
+    }
+  }
+  for (; i < m; i++)
+    result.push({ value: oldTokens[i], removed: true });
+  for (; j < n; j++)
+    result.push({ value: newTokens[j], added: true });
+  return result;
+}
+
+// Append tokens to the list of parts, merging them with the last part if it
+// is of the same kind
+function addPart(parts, tokens, { added = false, removed = false }) {
+  if (!tokens.length)
+    return;
+
+  const last = parts[parts.length - 1];
+  if (last && last.added === added && last.removed === removed)
+    last.value += tokens.join('');
+  else
+    parts.push({ value: tokens.join(''), added, removed });
+}
+
+module.exports = diff;
@@ -163,6 +163,8 @@ hbs.registerHelper('mlString', function(str, addLanguageSpan, options) {
 
 hbs.registerHelper('round', (num, dec) => +num.toFixed(dec));
 
+hbs.registerHelper('percentage', (part, whole) => whole ? Math.round(part / whole * 100) : 0);
+
 hbs.registerHelper('ifCond', function(v1, operator, v2, options) {
   switch (operator) {
     case '==':
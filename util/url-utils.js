@@ -196,6 +196,18 @@ let urlUtils = {
     return inputURL
       .replace(/^.*?:\/\//, '') // strip protocol
       .replace(/\/$/, ''); // remove trailing slashes
+  },
+
+  // Reduces a URL to a string that is identical for URLs which differ only by
+  // scheme, "www." prefix, trailing slash, query string or fragment. This is
+  // too lossy to store, but useful to find likely duplicate review subjects.
+  getComparisonKey(inputURL) {
+    let parsedURL = url.parse(urlUtils.normalize(inputURL));
+    let host = (parsedURL.host || '')
+      .toLowerCase()
+      .replace(/^www\./, '');
+    let pathname = (parsedURL.pathname || '').replace(/\/+$/, '');
+    return host + pathname;
   }
 
 };